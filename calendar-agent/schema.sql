@@ -27,6 +27,25 @@ CREATE TABLE IF NOT EXISTS user_integrations (
 CREATE INDEX IF NOT EXISTS idx_user_integrations_user_provider 
 ON user_integrations(user_id, provider);
 
+-- ============================================
+-- Subjects Table
+-- What a user files tasks under (e.g. "DSA"); names are unique per user, ignoring case
+-- ============================================
+CREATE TABLE IF NOT EXISTS subjects (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    -- Display colour (#RRGGBB)
+    color VARCHAR(7) CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+    -- Google Calendar event colorId, used instead of the priority colour
+    google_color_id VARCHAR(2) CHECK (google_color_id IN ('1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subjects_user_name
+ON subjects(user_id, lower(name));
+
 -- ============================================
 -- Tasks Table
 -- Stores study tasks (source of truth)
@@ -37,15 +56,58 @@ CREATE TABLE IF NOT EXISTS tasks (
     title VARCHAR(255) NOT NULL,
     description TEXT,
     deadline TIMESTAMPTZ NOT NULL,
+    -- Calendar event span: deadline is the end; NULL duration means the default 60 minutes
+    start_time TIMESTAMPTZ,
+    duration_minutes INTEGER CHECK (duration_minutes BETWEEN 1 AND 1440),
     timezone VARCHAR(50) DEFAULT 'UTC',
     status VARCHAR(20) DEFAULT 'pending',
+    -- Priority level and optional Eisenhower quadrant
+    priority VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (priority IN ('high', 'medium', 'low')),
+    is_urgent BOOLEAN,
+    is_important BOOLEAN,
+    -- Subject and free-form tags (lowercase, without '#')
+    subject_id UUID REFERENCES subjects(id) ON DELETE SET NULL,
+    tags TEXT[] NOT NULL DEFAULT '{}',
     google_calendar_event_id VARCHAR(255),
     google_task_id VARCHAR(255),
     synced_at TIMESTAMPTZ,
+    sync_conflict JSONB,
+    -- Recurring series: RRULE subset and excluded occurrence deadlines (UTC ISO strings)
+    recurrence_rule TEXT,
+    recurrence_exdates JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Stored occurrence of a series (only once edited or completed)
+    recurring_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    original_deadline TIMESTAMPTZ,
+    -- Full-text search over title (weight A) and description (weight B)
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    ) STORED,
+    -- Set while the task is in the trash; purged after the retention window
+    deleted_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Columns added after the initial release (for existing databases)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS sync_conflict JSONB;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_exdates JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurring_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS original_deadline TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS start_time TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes BETWEEN 1 AND 1440);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (priority IN ('high', 'medium', 'low'));
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS is_urgent BOOLEAN;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS is_important BOOLEAN;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+) STORED;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS subject_id UUID REFERENCES subjects(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
 -- Indexes for common queries
 CREATE INDEX IF NOT EXISTS idx_tasks_user_deadline 
 ON tasks(user_id, deadline);
@@ -56,6 +118,98 @@ ON tasks(status);
 CREATE INDEX IF NOT EXISTS idx_tasks_user_status 
 ON tasks(user_id, status);
 
+-- Recurring series are expanded per request
+CREATE INDEX IF NOT EXISTS idx_tasks_user_recurring
+ON tasks(user_id, deadline)
+WHERE recurrence_rule IS NOT NULL;
+
+-- One stored row per occurrence
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_occurrence
+ON tasks(recurring_task_id, original_deadline)
+WHERE recurring_task_id IS NOT NULL;
+
+-- Inbound sync scans linked tasks by deadline
+CREATE INDEX IF NOT EXISTS idx_tasks_user_event
+ON tasks(user_id, deadline)
+WHERE google_calendar_event_id IS NOT NULL;
+
+-- Full-text task search
+CREATE INDEX IF NOT EXISTS idx_tasks_search
+ON tasks USING GIN (search_vector);
+
+-- Trash listing and purge
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted
+ON tasks(user_id, deleted_at)
+WHERE deleted_at IS NOT NULL;
+
+-- Per-subject views and tag filters
+CREATE INDEX IF NOT EXISTS idx_tasks_user_subject
+ON tasks(user_id, subject_id)
+WHERE subject_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_tags
+ON tasks USING GIN (tags);
+
+-- ============================================
+-- Task Dependencies Table
+-- task_id is blocked until depends_on_task_id is completed or cancelled
+-- ============================================
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    user_id UUID NOT NULL,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    depends_on_task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (task_id, depends_on_task_id),
+    CHECK (task_id <> depends_on_task_id)
+);
+
+-- Dependents of a task (unblocking) and all links of a user (cycle detection)
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on
+ON task_dependencies(depends_on_task_id);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_user
+ON task_dependencies(user_id);
+
+-- ============================================
+-- Task Checklist Items Table
+-- Ordered subtasks of a task, each with its own completion state
+-- ============================================
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_completed BOOLEAN NOT NULL DEFAULT FALSE,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task
+ON task_checklist_items(task_id, position);
+
+-- ============================================
+-- Task Revisions Table
+-- Field-level history of every task mutation and who made it
+-- ============================================
+CREATE TABLE IF NOT EXISTS task_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    -- user | chat | study_plan | google_sync | system
+    actor VARCHAR(20) NOT NULL,
+    -- created | updated | deleted | restored
+    action VARCHAR(20) NOT NULL,
+    -- { column: { from, to } } for each changed column
+    changes JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- History of a task, and local edits since the last sync (inbound reconciliation)
+CREATE INDEX IF NOT EXISTS idx_task_revisions_task
+ON task_revisions(task_id, created_at);
+
 -- ============================================
 -- Agent Logs Table
 -- Tracks all agent actions for observability
@@ -146,6 +300,83 @@ ON study_plans(status);
 CREATE INDEX IF NOT EXISTS idx_study_plans_user_status 
 ON study_plans(user_id, status);
 
+-- Tasks created by a study plan (added here because study_plans is created after tasks)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS study_plan_id UUID REFERENCES study_plans(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_study_plan
+ON tasks(study_plan_id)
+WHERE study_plan_id IS NOT NULL;
+
+-- Study plans with missed sessions (pending, deadline passed), one row per
+-- plan, for the periodic rescheduler. Keyset-paginated by study_plan_id.
+CREATE OR REPLACE FUNCTION missed_study_plans(
+    p_before TIMESTAMPTZ,
+    p_after UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 1000
+)
+RETURNS TABLE (study_plan_id UUID, user_id UUID)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT t.study_plan_id, t.user_id
+    FROM tasks t
+    WHERE t.study_plan_id IS NOT NULL
+      AND t.deleted_at IS NULL
+      AND t.status = 'pending'
+      AND t.deadline < p_before
+      AND (p_after IS NULL OR t.study_plan_id > p_after)
+    GROUP BY t.study_plan_id, t.user_id
+    ORDER BY t.study_plan_id
+    LIMIT p_limit;
+$$;
+
+-- ============================================
+-- Task Search
+-- Ranked full-text search with highlighted snippets, keyset-paginated by
+-- (rank DESC, id). Created here because it filters on study_plan_id.
+-- Tasks are returned as JSON so new task columns need no change here.
+-- ============================================
+CREATE OR REPLACE FUNCTION search_tasks(
+    p_user_id UUID,
+    p_query TEXT,
+    p_status TEXT DEFAULT NULL,
+    p_from TIMESTAMPTZ DEFAULT NULL,
+    p_to TIMESTAMPTZ DEFAULT NULL,
+    p_study_plan_id UUID DEFAULT NULL,
+    p_cursor_rank REAL DEFAULT NULL,
+    p_cursor_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (task JSONB, rank REAL, title_highlight TEXT, snippet TEXT)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        to_jsonb(t) - 'search_vector',
+        ranked.rank,
+        ts_headline('english', t.title, ranked.query,
+            'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+        NULLIF(ts_headline('english', COALESCE(t.description, ''), ranked.query,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'), '')
+    FROM (
+        SELECT t.id, ts_rank(t.search_vector, query) AS rank, query
+        FROM tasks t, websearch_to_tsquery('english', p_query) AS query
+        WHERE t.user_id = p_user_id
+          AND t.search_vector @@ query
+          AND t.deleted_at IS NULL
+          AND (p_status IS NULL OR t.status = p_status)
+          AND (p_from IS NULL OR t.deadline >= p_from)
+          AND (p_to IS NULL OR t.deadline <= p_to)
+          AND (p_study_plan_id IS NULL OR t.study_plan_id = p_study_plan_id)
+    ) ranked
+    JOIN tasks t ON t.id = ranked.id
+    WHERE p_cursor_rank IS NULL
+       OR ranked.rank < p_cursor_rank
+       OR (ranked.rank = p_cursor_rank AND ranked.id > p_cursor_id)
+    ORDER BY ranked.rank DESC, ranked.id
+    LIMIT p_limit;
+$$;
+
 -- RLS Policy for study_plans (commented for now)
 -- ALTER TABLE study_plans ENABLE ROW LEVEL SECURITY;
 
@@ -161,6 +392,144 @@ ON study_plans(user_id, status);
 --     ON study_plans FOR UPDATE
 --     USING (auth.uid() = user_id);
 
+-- ============================================
+-- Jobs Table
+-- Durable background job queue (Google sync, etc.)
+-- ============================================
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID,
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+    progress JSONB NOT NULL DEFAULT '{}'::jsonb,
+    result JSONB,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    dedupe_key VARCHAR(255),
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_by VARCHAR(255),
+    lease_expires_at TIMESTAMPTZ,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Workers scan runnable jobs by status and run_at
+CREATE INDEX IF NOT EXISTS idx_jobs_runnable
+ON jobs(status, run_at);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_user
+ON jobs(user_id, created_at DESC);
+
+-- At most one active job per dedupe key (e.g. one full sync per user)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_dedupe
+ON jobs(dedupe_key)
+WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+
+-- Atomically claim the next runnable job for a worker.
+-- Runnable = queued and due, or running with an expired lease (crashed worker).
+-- SKIP LOCKED lets concurrent workers claim different jobs without blocking.
+CREATE OR REPLACE FUNCTION claim_next_job(p_worker_id TEXT, p_lease_seconds INTEGER)
+RETURNS SETOF jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE jobs
+    SET status = 'running',
+        locked_by = p_worker_id,
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+        attempts = attempts + 1,
+        started_at = COALESCE(started_at, NOW()),
+        updated_at = NOW()
+    WHERE id = (
+        SELECT id FROM jobs
+        WHERE run_at <= NOW()
+          AND (
+              status = 'queued'
+              OR (status = 'running' AND lease_expires_at < NOW())
+          )
+        ORDER BY run_at
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+    )
+    RETURNING *;
+END;
+$$;
+
+-- ============================================
+-- Calendar Channels Table
+-- Google Calendar push channels and incremental sync tokens
+-- ============================================
+CREATE TABLE IF NOT EXISTS calendar_channels (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    calendar_id VARCHAR(255) NOT NULL DEFAULT 'primary',
+    channel_id VARCHAR(255),
+    resource_id VARCHAR(255),
+    channel_token VARCHAR(255),
+    expires_at TIMESTAMPTZ,
+    last_message_number BIGINT NOT NULL DEFAULT 0,
+    sync_token TEXT,
+    last_synced_at TIMESTAMPTZ,
+    -- Event ID -> failed reconcile attempts, for events that hold back the sync token
+    failed_events JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(user_id, calendar_id)
+);
+
+-- Webhook looks channels up by ID
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_channels_channel
+ON calendar_channels(channel_id)
+WHERE channel_id IS NOT NULL;
+
+-- Renewal job scans by expiry
+CREATE INDEX IF NOT EXISTS idx_calendar_channels_expires
+ON calendar_channels(expires_at)
+WHERE channel_id IS NOT NULL;
+
+-- ============================================
+-- Conversations Table
+-- Chat conversations with the agent; older messages are folded into summary
+-- ============================================
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    summary TEXT,
+    -- Time of the last message the summary covers
+    summarized_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user
+ON conversations(user_id, updated_at DESC);
+
+-- ============================================
+-- Chat Messages Table
+-- Both sides of each chat turn, with the tasks a reply created or changed
+-- ============================================
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    -- Reply type (task_created, task_updated, task_query, clarification, general)
+    response_type VARCHAR(30),
+    task_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation
+ON chat_messages(conversation_id, created_at);
+
 -- ============================================
 -- Success message
 -- ============================================
@@ -19,8 +19,6 @@
  * TODO: Implement request ID middleware for tracing
  * TODO: Add API rate limiting
  * TODO: Add request body size limits
- * TODO: Implement async job queue for sync operations
- * TODO: Add webhook endpoints for Google Calendar push notifications
  */
 
 const express = require('express');
@@ -30,6 +28,7 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const latencyTracker = require('./middleware/latencyTracker');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const jobQueue = require('./services/syncJobs');
 
 // Import routes
 const calendarRouter = require('./routes/calendar');
@@ -165,12 +164,52 @@ app.get('/', (req, res) => {
             },
             tasks: {
                 create: 'POST /calendar/tasks',
+                batch: 'POST /calendar/tasks/batch',
+                list: 'GET /calendar/tasks?from=&to=',
                 today: 'GET /calendar/tasks/today',
                 week: 'GET /calendar/tasks/week',
-                updateStatus: 'PATCH /calendar/tasks/:taskId/status'
+                search: 'GET /calendar/tasks/search?q=',
+                trash: 'GET /calendar/tasks/trash',
+                overdue: 'GET /calendar/tasks/overdue',
+                rescheduleOverdue: 'POST /calendar/tasks/overdue/reschedule',
+                getById: 'GET /calendar/tasks/:taskId',
+                history: 'GET /calendar/tasks/:taskId/history',
+                update: 'PUT /calendar/tasks/:taskId',
+                delete: 'DELETE /calendar/tasks/:taskId',
+                restore: 'POST /calendar/tasks/:taskId/restore',
+                updateStatus: 'PATCH /calendar/tasks/:taskId/status',
+                addDependency: 'POST /calendar/tasks/:taskId/dependencies',
+                removeDependency: 'DELETE /calendar/tasks/:taskId/dependencies/:dependsOnTaskId',
+                getChecklist: 'GET /calendar/tasks/:taskId/checklist',
+                addChecklistItems: 'POST /calendar/tasks/:taskId/checklist',
+                updateChecklistItem: 'PATCH /calendar/tasks/:taskId/checklist/:itemId',
+                deleteChecklistItem: 'DELETE /calendar/tasks/:taskId/checklist/:itemId',
+                reorderChecklist: 'PUT /calendar/tasks/:taskId/checklist/order',
+                resolveConflict: 'POST /calendar/tasks/:taskId/conflict/resolve'
+            },
+            subjects: {
+                list: 'GET /calendar/subjects',
+                create: 'POST /calendar/subjects',
+                update: 'PATCH /calendar/subjects/:subjectId',
+                delete: 'DELETE /calendar/subjects/:subjectId'
             },
             sync: {
-                syncAll: 'POST /calendar/sync'
+                syncAll: 'POST /calendar/sync',
+                inbound: 'POST /calendar/sync/inbound',
+                watch: 'POST /calendar/sync/watch',
+                unwatch: 'DELETE /calendar/sync/watch'
+            },
+            webhooks: {
+                google: 'POST /calendar/webhooks/google'
+            },
+            jobs: {
+                status: 'GET /calendar/jobs/:jobId'
+            },
+            chat: {
+                message: 'POST /calendar/chat',
+                conversations: 'GET /calendar/chat/conversations',
+                getConversation: 'GET /calendar/chat/conversations/:conversationId',
+                deleteConversation: 'DELETE /calendar/chat/conversations/:conversationId'
             },
             summaries: {
                 daily: 'POST /calendar/summary/daily',
@@ -179,6 +218,8 @@ app.get('/', (req, res) => {
             studyPlans: {
                 generate: 'POST /study-plan/generate',
                 apply: 'POST /study-plan/apply',
+                unapply: 'POST /study-plan/:id/unapply',
+                reschedule: 'POST /study-plan/:id/reschedule',
                 getById: 'GET /study-plan/:id',
                 getUserPlans: 'GET /study-plan/user/plans'
             }
@@ -261,8 +302,15 @@ server = app.listen(PORT, () => {
         hasGoogleClientId: !!config.google.clientId,
         hasGoogleClientSecret: !!config.google.clientSecret,
         defaultTimezone: config.timezone.default,
-        corsOrigins: Array.isArray(allowedOrigins) ? allowedOrigins.join(', ') : allowedOrigins
+        corsOrigins: Array.isArray(allowedOrigins) ? allowedOrigins.join(', ') : allowedOrigins,
+        jobsDriver: config.jobs.driver,
+        jobsWorkerEnabled: config.jobs.workerEnabled
     });
+
+    // Start processing background jobs (Google sync, etc.)
+    if (config.jobs.workerEnabled) {
+        jobQueue.startWorker();
+    }
 });
 
 // =============================================================================
@@ -272,12 +320,15 @@ server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
     logger.info(`${signal} received, shutting down gracefully...`);
 
-    server.close((err) => {
+    server.close(async (err) => {
         if (err) {
             logger.error('Error during shutdown', { error: err.message });
             process.exit(1);
         }
 
+        // Let the running job finish; unfinished work is re-claimed after its lease expires
+        await jobQueue.stopWorker();
+
         logger.info('Server closed successfully');
         process.exit(0);
     });
@@ -58,6 +58,8 @@ const config = {
         clientId: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         redirectUri: process.env.GOOGLE_REDIRECT_URI,
+        // Public HTTPS URL of POST /calendar/webhooks/google (push notifications disabled if unset)
+        webhookUrl: process.env.GOOGLE_WEBHOOK_URL,
         // Scopes required for Calendar and Tasks API access
         scopes: [
             'https://www.googleapis.com/auth/calendar',
@@ -69,6 +71,61 @@ const config = {
     // Timezone settings
     timezone: {
         default: process.env.DEFAULT_TIMEZONE || 'UTC'
+    },
+
+    // Background job queue settings
+    jobs: {
+        // 'supabase' (jobs table) or 'memory' (tests / local only)
+        driver: process.env.JOBS_DRIVER || 'supabase',
+        // Set to 'false' to run the API without processing jobs in this process
+        workerEnabled: process.env.JOBS_WORKER_ENABLED !== 'false',
+        pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS, 10) || 2000,
+        leaseSeconds: parseInt(process.env.JOBS_LEASE_SECONDS, 10) || 60,
+        maxAttempts: parseInt(process.env.JOBS_MAX_ATTEMPTS, 10) || 3
+    },
+
+    // Inbound (Google -> Supabase) sync settings
+    sync: {
+        // 'supabase_wins', 'google_wins' or 'flag' (store the conflict for the user to resolve)
+        conflictPolicy: process.env.SYNC_CONFLICT_POLICY || 'supabase_wins',
+        // Window of task deadlines checked against Google on each reconciliation
+        inboundLookbackDays: parseInt(process.env.SYNC_INBOUND_LOOKBACK_DAYS, 10) || 30,
+        inboundLookaheadDays: parseInt(process.env.SYNC_INBOUND_LOOKAHEAD_DAYS, 10) || 180,
+        // Push notification channels (Google caps the lifetime, usually at 7 days)
+        channelTtlSeconds: parseInt(process.env.SYNC_CHANNEL_TTL_SECONDS, 10) || 7 * 24 * 60 * 60,
+        channelRenewBeforeHours: parseInt(process.env.SYNC_CHANNEL_RENEW_BEFORE_HOURS, 10) || 24,
+        channelRenewIntervalMinutes: parseInt(process.env.SYNC_CHANNEL_RENEW_INTERVAL_MINUTES, 10) || 60,
+        // Failed attempts at a changed event before incremental sync skips it
+        maxEventFailures: parseInt(process.env.SYNC_MAX_EVENT_FAILURES, 10) || 3
+    },
+
+    // Study plan scheduling settings
+    scheduling: {
+        // Sessions are only placed between these local times (HH:mm)
+        allowedHoursStart: process.env.SCHEDULING_ALLOWED_HOURS_START || '08:00',
+        allowedHoursEnd: process.env.SCHEDULING_ALLOWED_HOURS_END || '22:00',
+        // Free time kept between a session and other tasks/events
+        bufferMinutes: process.env.SCHEDULING_BUFFER_MINUTES !== undefined
+            ? parseInt(process.env.SCHEDULING_BUFFER_MINUTES, 10) || 0
+            : 15,
+        // Periodically move missed (still pending) study sessions to the next free slot
+        autoReschedule: process.env.SCHEDULING_AUTO_RESCHEDULE !== 'false',
+        rescheduleIntervalMinutes: parseInt(process.env.SCHEDULING_RESCHEDULE_INTERVAL_MINUTES, 10) || 60,
+        // Also push later sessions of the plan forward by a day
+        rescheduleShiftLater: process.env.SCHEDULING_RESCHEDULE_SHIFT_LATER === 'true'
+    },
+    trash: {
+        // Deleted tasks can be restored for this long, then they are purged
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+        purgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 24 * 60
+    },
+    checklist: {
+        // Complete a task once every item of its checklist is checked
+        autoCompleteTask: process.env.CHECKLIST_AUTO_COMPLETE_TASK !== 'false'
+    },
+    chat: {
+        // Most recent messages sent to the LLM verbatim; beyond this, older ones are summarised
+        historyWindow: parseInt(process.env.CHAT_HISTORY_WINDOW, 10) || 20
     }
 };
 
@@ -44,19 +44,32 @@ const ActionTypes = {
     TASK_CREATED: 'task.created',
     TASK_UPDATED: 'task.updated',
     TASK_DELETED: 'task.deleted',
+    TASK_RESTORED: 'task.restored',
+    TASK_BATCH: 'task.batch',
+    TASKS_OVERDUE_RESCHEDULED: 'task.overdue_rescheduled',
     TASK_STATUS_CHANGED: 'task.status_changed',
+    TASK_DEPENDENCY_ADDED: 'task.dependency_added',
+    TASK_DEPENDENCY_REMOVED: 'task.dependency_removed',
+    TASK_UNBLOCKED: 'task.unblocked',
 
     // Sync actions
     SYNC_STARTED: 'sync.started',
     SYNC_COMPLETED: 'sync.completed',
     SYNC_FAILED: 'sync.failed',
     SYNC_PARTIAL: 'sync.partial',
+    SYNC_INBOUND_COMPLETED: 'sync.inbound_completed',
+    SYNC_CONFLICT: 'sync.conflict',
+    SYNC_CONFLICT_RESOLVED: 'sync.conflict_resolved',
+    SYNC_INCREMENTAL_COMPLETED: 'sync.incremental_completed',
+    SYNC_EVENT_SKIPPED: 'sync.event_skipped',
 
     // Google Calendar actions
     GCAL_EVENT_CREATED: 'gcal.event_created',
     GCAL_EVENT_UPDATED: 'gcal.event_updated',
     GCAL_EVENT_DELETED: 'gcal.event_deleted',
     GCAL_API_ERROR: 'gcal.api_error',
+    GCAL_CHANNEL_REGISTERED: 'gcal.channel_registered',
+    GCAL_CHANNEL_STOPPED: 'gcal.channel_stopped',
 
     // Google Tasks actions
     GTASK_CREATED: 'gtask.created',
@@ -71,6 +84,8 @@ const ActionTypes = {
     // Study Plan actions
     STUDY_PLAN_GENERATED: 'study_plan.generated',
     STUDY_PLAN_APPLIED: 'study_plan.applied',
+    STUDY_PLAN_UNAPPLIED: 'study_plan.unapplied',
+    STUDY_PLAN_RESCHEDULED: 'study_plan.rescheduled',
     STUDY_PLAN_FAILED: 'study_plan.failed'
 };
 
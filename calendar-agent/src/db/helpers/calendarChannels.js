@@ -0,0 +1,212 @@
+/**
+ * Calendar Channels Database Helper
+ * Handles the per-user Google Calendar push notification state:
+ * - The active `events.watch` channel (ID, resource ID, secret token, expiry)
+ * - The `nextSyncToken` used for incremental sync
+ *
+ * One row per user and calendar. The sync token outlives channels, so
+ * renewing a channel keeps the token.
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'calendar_channels';
+
+/**
+ * Get the channel state for a user
+ * @param {string} userId - User's unique identifier
+ * @param {string} calendarId - Google calendar ID
+ * @returns {Promise<Object|null>} Channel record or null
+ */
+async function getChannelByUserId(userId, calendarId = 'primary') {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('calendar_id', calendarId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to fetch calendar channel', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get the channel state by Google channel ID (used by the webhook)
+ * @param {string} channelId - Channel ID we passed to events.watch
+ * @returns {Promise<Object|null>} Channel record or null
+ */
+async function getChannelByChannelId(channelId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('channel_id', channelId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to fetch calendar channel', {
+            error: error.message,
+            channelId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Store a newly registered channel, replacing the previous one for the user
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} channel - Channel data
+ * @param {string} channel.calendarId - Google calendar ID
+ * @param {string} channel.channelId - Channel ID
+ * @param {string} channel.resourceId - Resource ID returned by Google
+ * @param {string} channel.token - Secret echoed back in X-Goog-Channel-Token
+ * @param {Date} channel.expiresAt - Channel expiry
+ * @returns {Promise<Object>} Stored channel record
+ */
+async function saveChannel(userId, channel) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .upsert({
+            user_id: userId,
+            calendar_id: channel.calendarId || 'primary',
+            channel_id: channel.channelId,
+            resource_id: channel.resourceId,
+            channel_token: channel.token,
+            expires_at: channel.expiresAt.toISOString(),
+            last_message_number: 0,
+            updated_at: new Date().toISOString()
+        }, {
+            onConflict: 'user_id,calendar_id',
+            ignoreDuplicates: false
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to store calendar channel', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    logger.info('Calendar channel stored', { userId, channelId: channel.channelId });
+    return data;
+}
+
+/**
+ * Update channel state columns for a user
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} fields - Column values to set
+ * @param {string} calendarId - Google calendar ID
+ * @returns {Promise<Object|null>} Updated record or null if the user has no row
+ */
+async function updateChannelState(userId, fields, calendarId = 'primary') {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update({
+            ...fields,
+            updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .eq('calendar_id', calendarId)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to update calendar channel', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Store the sync token for a user, creating the row if needed
+ * Sync tokens can exist before (or without) a push channel.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string|null} syncToken - nextSyncToken from Google (null to force a full sync)
+ * @param {string} calendarId - Google calendar ID
+ * @returns {Promise<Object>} Updated record
+ */
+async function saveSyncToken(userId, syncToken, calendarId = 'primary') {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .upsert({
+            user_id: userId,
+            calendar_id: calendarId,
+            sync_token: syncToken,
+            last_synced_at: syncToken ? now : null,
+            updated_at: now
+        }, {
+            onConflict: 'user_id,calendar_id',
+            ignoreDuplicates: false
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to store sync token', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get channels that expire before a given time
+ * @param {Date} before - Expiry cutoff
+ * @returns {Promise<Array>} Channel records
+ */
+async function getExpiringChannels(before) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .not('channel_id', 'is', null)
+        .lte('expires_at', before.toISOString())
+        .order('expires_at', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch expiring calendar channels', {
+            error: error.message
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+module.exports = {
+    getChannelByUserId,
+    getChannelByChannelId,
+    saveChannel,
+    updateChannelState,
+    saveSyncToken,
+    getExpiringChannels
+};
@@ -0,0 +1,126 @@
+/**
+ * Chat Messages Database Helper
+ * Handles the messages of chat conversations (see conversations.js).
+ *
+ * Each turn stores the user's message and the agent's reply, with the
+ * reply's response type and the IDs of the tasks it created or changed.
+ * Messages are removed with their conversation (ON DELETE CASCADE).
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'chat_messages';
+
+/**
+ * Message roles
+ */
+const MessageRole = {
+    USER: 'user',
+    ASSISTANT: 'assistant'
+};
+
+/**
+ * Add messages to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User's unique identifier
+ * @param {Array<Object>} messages - [{ role, content, responseType?, taskIds?, createdAt? }]
+ * @returns {Promise<Array>} Created message records, oldest first
+ */
+async function addMessages(conversationId, userId, messages) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .insert(messages.map(message => ({
+            conversation_id: conversationId,
+            user_id: userId,
+            role: message.role,
+            content: message.content,
+            response_type: message.responseType || null,
+            task_ids: message.taskIds || [],
+            created_at: message.createdAt || now
+        })))
+        .select();
+
+    if (error) {
+        logger.error('Failed to add chat messages', {
+            error: error.message,
+            conversationId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Get the latest (or earliest) messages of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Query options
+ * @param {string} options.after - Only messages created after this time (ISO, exclusive)
+ * @param {number} options.limit - Maximum messages (the newest are kept; default: 100)
+ * @param {boolean} options.earliest - Keep the oldest messages within the limit instead
+ * @returns {Promise<Array>} Message records, oldest first
+ */
+async function getMessages(conversationId, options = {}) {
+    let query = supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('conversation_id', conversationId);
+
+    if (options.after) {
+        query = query.gt('created_at', options.after);
+    }
+
+    const { data, error } = await query
+        .order('created_at', { ascending: !!options.earliest })
+        .limit(options.limit || 100);
+
+    if (error) {
+        logger.error('Failed to fetch chat messages', {
+            error: error.message,
+            conversationId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return options.earliest ? (data || []) : (data || []).reverse();
+}
+
+/**
+ * Count the messages of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Query options
+ * @param {string} options.after - Only messages created after this time (ISO, exclusive)
+ * @returns {Promise<number>} Number of messages
+ */
+async function countMessages(conversationId, options = {}) {
+    let query = supabase
+        .from(TABLE_NAME)
+        .select('id', { count: 'exact', head: true })
+        .eq('conversation_id', conversationId);
+
+    if (options.after) {
+        query = query.gt('created_at', options.after);
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+        logger.error('Failed to count chat messages', {
+            error: error.message,
+            conversationId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return count || 0;
+}
+
+module.exports = {
+    MessageRole,
+    addMessages,
+    getMessages,
+    countMessages
+};
@@ -0,0 +1,166 @@
+/**
+ * Checklist Items Database Helper
+ * Handles the checklist items (subtasks) inside a task.
+ *
+ * Items are ordered by `position` within their task and are removed with
+ * the task (ON DELETE CASCADE). Progress roll-up and auto-completing the
+ * parent task live in taskManager.js.
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'task_checklist_items';
+
+/**
+ * Get the checklist items of a set of tasks
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<Array>} Item records, ordered by task then position
+ */
+async function getItems(taskIds) {
+    if (taskIds.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .in('task_id', taskIds)
+        .order('task_id', { ascending: true })
+        .order('position', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch checklist items', {
+            error: error.message,
+            taskCount: taskIds.length
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Append items to the end of a task's checklist
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} titles - Item titles, in order
+ * @param {number} startPosition - Position of the first new item
+ * @returns {Promise<Array>} Created item records
+ */
+async function createItems(userId, taskId, titles, startPosition = 0) {
+    if (titles.length === 0) {
+        return [];
+    }
+
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .insert(titles.map((title, index) => ({
+            user_id: userId,
+            task_id: taskId,
+            title,
+            position: startPosition + index,
+            is_completed: false,
+            created_at: now,
+            updated_at: now
+        })))
+        .select();
+
+    if (error) {
+        logger.error('Failed to create checklist items', {
+            error: error.message,
+            taskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Update a checklist item
+ * @param {string} itemId - Item ID
+ * @param {string} taskId - Task ID the item must belong to
+ * @param {string} userId - User unique identifier (for authorization)
+ * @param {Object} updates - Fields to update
+ * @param {string} updates.title - New title
+ * @param {boolean} updates.isCompleted - Completion state
+ * @param {number} updates.position - New position
+ * @returns {Promise<Object|null>} Updated item record or null if not found
+ */
+async function updateItem(itemId, taskId, userId, updates) {
+    const updateData = {
+        updated_at: new Date().toISOString()
+    };
+
+    if (updates.title !== undefined) {
+        updateData.title = updates.title;
+    }
+
+    if (updates.isCompleted !== undefined) {
+        updateData.is_completed = updates.isCompleted;
+        updateData.completed_at = updates.isCompleted ? new Date().toISOString() : null;
+    }
+
+    if (updates.position !== undefined) {
+        updateData.position = updates.position;
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update(updateData)
+        .eq('id', itemId)
+        .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to update checklist item', {
+            error: error.message,
+            itemId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete a checklist item
+ * @param {string} itemId - Item ID
+ * @param {string} taskId - Task ID the item must belong to
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<boolean>} Whether an item was deleted
+ */
+async function deleteItem(itemId, taskId, userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .delete()
+        .eq('id', itemId)
+        .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete checklist item', {
+            error: error.message,
+            itemId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+module.exports = {
+    getItems,
+    createItems,
+    updateItem,
+    deleteItem
+};
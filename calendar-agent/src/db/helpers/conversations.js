@@ -0,0 +1,174 @@
+/**
+ * Conversations Database Helper
+ * Handles chat conversations with the calendar agent.
+ *
+ * A conversation owns its messages (see chatMessages.js). Once a conversation
+ * gets long, its older messages are folded into `summary`; `summarized_until`
+ * is the time of the last message the summary covers.
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'conversations';
+
+/**
+ * Create a conversation
+ * @param {string} userId - User's unique identifier
+ * @param {string} title - Conversation title
+ * @returns {Promise<Object>} Created conversation record
+ */
+async function createConversation(userId, title) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .insert({
+            user_id: userId,
+            title,
+            created_at: now,
+            updated_at: now
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to create conversation', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get the conversations of a user
+ * @param {string} userId - User's unique identifier
+ * @param {number} limit - Maximum conversations to return (default: 50)
+ * @returns {Promise<Array>} Conversation records, most recently active first
+ */
+async function getConversations(userId, limit = 50) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        logger.error('Failed to fetch conversations', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get a conversation by ID
+ * @param {string} conversationId - Conversation unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<Object|null>} Conversation record or null
+ */
+async function getConversationById(conversationId, userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to fetch conversation', {
+            error: error.message,
+            conversationId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Update a conversation (and mark it active now)
+ * @param {string} conversationId - Conversation unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @param {Object} updates - Fields to update
+ * @param {string} updates.summary - Summary of the older messages
+ * @param {string} updates.summarizedUntil - Time of the last message the summary covers (ISO)
+ * @returns {Promise<Object|null>} Updated conversation record or null if not found
+ */
+async function updateConversation(conversationId, userId, updates = {}) {
+    const updateData = {
+        updated_at: new Date().toISOString()
+    };
+
+    if (updates.summary !== undefined) {
+        updateData.summary = updates.summary;
+    }
+
+    if (updates.summarizedUntil !== undefined) {
+        updateData.summarized_until = updates.summarizedUntil;
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update(updateData)
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to update conversation', {
+            error: error.message,
+            conversationId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete a conversation and its messages
+ * @param {string} conversationId - Conversation unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<boolean>} Whether a conversation was deleted
+ */
+async function deleteConversation(conversationId, userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .delete()
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete conversation', {
+            error: error.message,
+            conversationId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+module.exports = {
+    createConversation,
+    getConversations,
+    getConversationById,
+    updateConversation,
+    deleteConversation
+};
@@ -0,0 +1,208 @@
+/**
+ * Jobs Database Helper
+ * Supabase/Postgres driver for the background job queue.
+ *
+ * Jobs are claimed with a lease: a worker owns a running job only until
+ * lease_expires_at. If the worker crashes, the lease runs out and another
+ * worker picks the job up again. Claiming is done by the claim_next_job()
+ * Postgres function (see schema.sql) using FOR UPDATE SKIP LOCKED, so two
+ * workers can never claim the same job.
+ *
+ * NOTE: jobsMemory.js exposes the same interface for tests and local runs.
+ *
+ * TODO: Add cleanup of finished jobs older than a retention window
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'jobs';
+
+/**
+ * Job status enum
+ */
+const JobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+/**
+ * Insert a new job
+ * If a dedupe key is given and an active (queued/running) job with the same
+ * key exists, that job is returned instead of creating a new one.
+ *
+ * @param {Object} jobData - Job data
+ * @param {string} jobData.userId - Owner of the job (null for system jobs)
+ * @param {string} jobData.type - Job type
+ * @param {Object} jobData.payload - Handler input
+ * @param {string} jobData.dedupeKey - Optional dedupe key
+ * @param {number} jobData.maxAttempts - Maximum number of attempts
+ * @param {Date} jobData.runAt - Earliest time the job may run
+ * @returns {Promise<Object>} Job record
+ */
+async function insertJob(jobData) {
+    const record = {
+        user_id: jobData.userId || null,
+        type: jobData.type,
+        payload: jobData.payload || {},
+        status: JobStatus.QUEUED,
+        progress: {},
+        attempts: 0,
+        max_attempts: jobData.maxAttempts,
+        dedupe_key: jobData.dedupeKey || null,
+        run_at: (jobData.runAt || new Date()).toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .insert(record)
+        .select()
+        .single();
+
+    if (error) {
+        // Unique violation on the active dedupe key index
+        if (error.code === '23505' && record.dedupe_key) {
+            const existing = await getActiveJobByDedupeKey(record.dedupe_key);
+            if (existing) {
+                logger.debug('Job already queued, reusing', {
+                    jobId: existing.id,
+                    dedupeKey: record.dedupe_key
+                });
+                return existing;
+            }
+        }
+
+        logger.error('Failed to insert job', {
+            error: error.message,
+            type: jobData.type
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get the active (queued or running) job for a dedupe key
+ * @param {string} dedupeKey - Dedupe key
+ * @returns {Promise<Object|null>} Job record or null
+ */
+async function getActiveJobByDedupeKey(dedupeKey) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('dedupe_key', dedupeKey)
+        .in('status', [JobStatus.QUEUED, JobStatus.RUNNING])
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch job by dedupe key', {
+            error: error.message,
+            dedupeKey
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job unique identifier
+ * @returns {Promise<Object|null>} Job record or null
+ */
+async function getJobById(jobId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('id', jobId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to fetch job', {
+            error: error.message,
+            jobId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Atomically claim the next runnable job
+ * Picks queued jobs and running jobs whose lease has expired.
+ *
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} leaseSeconds - Lease duration
+ * @returns {Promise<Object|null>} Claimed job or null if nothing is runnable
+ */
+async function claimNextJob(workerId, leaseSeconds) {
+    const { data, error } = await supabase.rpc('claim_next_job', {
+        p_worker_id: workerId,
+        p_lease_seconds: leaseSeconds
+    });
+
+    if (error) {
+        logger.error('Failed to claim job', {
+            error: error.message,
+            workerId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    // SETOF functions come back as an array
+    return Array.isArray(data) ? (data[0] || null) : data;
+}
+
+/**
+ * Update a running job owned by a worker
+ * Used for progress reports and lease renewal.
+ *
+ * @param {string} jobId - Job unique identifier
+ * @param {string} workerId - Worker holding the lease
+ * @param {Object} fields - Column values to set
+ * @returns {Promise<Object|null>} Updated job or null if the lease was lost
+ */
+async function updateRunningJob(jobId, workerId, fields) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update({
+            ...fields,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .eq('locked_by', workerId)
+        .eq('status', JobStatus.RUNNING)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to update job', {
+            error: error.message,
+            jobId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!data) {
+        logger.warn('Job lease lost, update skipped', { jobId, workerId });
+    }
+
+    return data;
+}
+
+module.exports = {
+    JobStatus,
+    insertJob,
+    getJobById,
+    claimNextJob,
+    updateRunningJob
+};
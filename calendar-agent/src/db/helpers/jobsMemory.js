@@ -0,0 +1,159 @@
+/**
+ * In-Memory Jobs Driver
+ * Same interface as jobs.js, backed by a Map instead of Postgres.
+ *
+ * Intended for tests and local development without a `jobs` table.
+ * Jobs do NOT survive a restart and are not shared between processes.
+ * Select it with JOBS_DRIVER=memory.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Job status enum
+ * Mirrors jobs.JobStatus; duplicated so this driver never loads the Supabase client.
+ */
+const JobStatus = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+const jobs = new Map();
+
+/**
+ * Copy a job so callers cannot mutate the stored record
+ * @param {Object} job - Job record
+ * @returns {Object} Detached copy
+ */
+function clone(job) {
+    return job ? JSON.parse(JSON.stringify(job)) : null;
+}
+
+/**
+ * Find the active (queued or running) job for a dedupe key
+ * @param {string} dedupeKey - Dedupe key
+ * @returns {Object|undefined} Stored job record
+ */
+function findActiveByDedupeKey(dedupeKey) {
+    for (const job of jobs.values()) {
+        if (job.dedupe_key === dedupeKey &&
+            (job.status === JobStatus.QUEUED || job.status === JobStatus.RUNNING)) {
+            return job;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Insert a new job (see jobs.insertJob)
+ * @param {Object} jobData - Job data
+ * @returns {Promise<Object>} Job record
+ */
+async function insertJob(jobData) {
+    if (jobData.dedupeKey) {
+        const existing = findActiveByDedupeKey(jobData.dedupeKey);
+        if (existing) {
+            return clone(existing);
+        }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        user_id: jobData.userId || null,
+        type: jobData.type,
+        payload: jobData.payload || {},
+        status: JobStatus.QUEUED,
+        progress: {},
+        result: null,
+        error_message: null,
+        attempts: 0,
+        max_attempts: jobData.maxAttempts,
+        dedupe_key: jobData.dedupeKey || null,
+        run_at: (jobData.runAt || new Date()).toISOString(),
+        locked_by: null,
+        lease_expires_at: null,
+        started_at: null,
+        finished_at: null,
+        created_at: now,
+        updated_at: now
+    };
+
+    jobs.set(job.id, job);
+    return clone(job);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job unique identifier
+ * @returns {Promise<Object|null>} Job record or null
+ */
+async function getJobById(jobId) {
+    return clone(jobs.get(jobId) || null);
+}
+
+/**
+ * Claim the next runnable job (see jobs.claimNextJob)
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} leaseSeconds - Lease duration
+ * @returns {Promise<Object|null>} Claimed job or null
+ */
+async function claimNextJob(workerId, leaseSeconds) {
+    const now = Date.now();
+
+    const runnable = [...jobs.values()]
+        .filter(job => new Date(job.run_at).getTime() <= now)
+        .filter(job => job.status === JobStatus.QUEUED ||
+            (job.status === JobStatus.RUNNING && new Date(job.lease_expires_at).getTime() < now))
+        .sort((a, b) => new Date(a.run_at) - new Date(b.run_at));
+
+    const job = runnable[0];
+    if (!job) {
+        return null;
+    }
+
+    job.status = JobStatus.RUNNING;
+    job.locked_by = workerId;
+    job.lease_expires_at = new Date(now + leaseSeconds * 1000).toISOString();
+    job.attempts += 1;
+    job.started_at = job.started_at || new Date(now).toISOString();
+    job.updated_at = new Date(now).toISOString();
+
+    return clone(job);
+}
+
+/**
+ * Update a running job owned by a worker (see jobs.updateRunningJob)
+ * @param {string} jobId - Job unique identifier
+ * @param {string} workerId - Worker holding the lease
+ * @param {Object} fields - Column values to set
+ * @returns {Promise<Object|null>} Updated job or null if the lease was lost
+ */
+async function updateRunningJob(jobId, workerId, fields) {
+    const job = jobs.get(jobId);
+
+    if (!job || job.locked_by !== workerId || job.status !== JobStatus.RUNNING) {
+        return null;
+    }
+
+    Object.assign(job, clone(fields), { updated_at: new Date().toISOString() });
+    return clone(job);
+}
+
+/**
+ * Remove all jobs (test helper)
+ */
+function reset() {
+    jobs.clear();
+}
+
+module.exports = {
+    JobStatus,
+    insertJob,
+    getJobById,
+    claimNextJob,
+    updateRunningJob,
+    reset
+};
@@ -121,7 +121,9 @@ async function updatePlanStatus(planId, status) {
 
     const updateData = {
         status,
-        ...(status === 'applied' && { applied_at: new Date().toISOString() })
+        ...(status === 'applied' && { applied_at: new Date().toISOString() }),
+        // An unapplied plan goes back to draft and can be applied again
+        ...(status === 'draft' && { applied_at: null })
     };
 
     const { data, error } = await supabase
@@ -0,0 +1,198 @@
+/**
+ * Subjects Database Helper
+ * Handles the subjects a user files tasks under (e.g. "DSA", "Physics").
+ *
+ * A subject has a display colour and an optional Google Calendar colorId
+ * that its tasks' events use instead of the priority colour. Names are
+ * unique per user, ignoring case.
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'subjects';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Columns that updateSubject may write, keyed by the camelCase field name
+ */
+const UPDATABLE_COLUMNS = {
+    name: 'name',
+    color: 'color',
+    googleColorId: 'google_color_id'
+};
+
+/**
+ * Create a subject
+ * @param {Object} subjectData - Subject data
+ * @param {string} subjectData.userId - User's unique identifier
+ * @param {string} subjectData.name - Subject name
+ * @param {string|null} subjectData.color - Display colour (#RRGGBB)
+ * @param {string|null} subjectData.googleColorId - Google Calendar event colorId ('1'-'11')
+ * @returns {Promise<Object>} Created subject record
+ * @throws {Error} 'Subject already exists: ...' if the user has a subject with that name
+ */
+async function createSubject(subjectData) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .insert({
+            user_id: subjectData.userId,
+            name: subjectData.name,
+            color: subjectData.color || null,
+            google_color_id: subjectData.googleColorId || null,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw new Error(`Subject already exists: ${subjectData.name}`);
+        }
+        logger.error('Failed to create subject', {
+            error: error.message,
+            userId: subjectData.userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    logger.info('Subject created', { subjectId: data.id, userId: subjectData.userId });
+    return data;
+}
+
+/**
+ * Get all subjects of a user
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<Array>} Subject records sorted by name
+ */
+async function getSubjects(userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch subjects', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get a subject by ID
+ * @param {string} subjectId - Subject unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<Object|null>} Subject record or null
+ */
+async function getSubjectById(subjectId, userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('id', subjectId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to fetch subject', {
+            error: error.message,
+            subjectId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Update subject fields
+ * @param {string} subjectId - Subject unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @param {Object} updates - Fields to update (keys of UPDATABLE_COLUMNS)
+ * @returns {Promise<Object|null>} Updated subject record or null if not found
+ * @throws {Error} 'Subject already exists: ...' when renaming onto another subject's name
+ */
+async function updateSubject(subjectId, userId, updates) {
+    const updateData = {
+        updated_at: new Date().toISOString()
+    };
+
+    for (const [field, value] of Object.entries(updates)) {
+        const column = UPDATABLE_COLUMNS[field];
+
+        if (!column) {
+            throw new Error(`Field cannot be updated: ${field}`);
+        }
+
+        if (value !== undefined) {
+            updateData[column] = value;
+        }
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update(updateData)
+        .eq('id', subjectId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        if (error.code === UNIQUE_VIOLATION) {
+            throw new Error(`Subject already exists: ${updates.name}`);
+        }
+        logger.error('Failed to update subject', {
+            error: error.message,
+            subjectId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete a subject (its tasks keep existing without a subject)
+ * @param {string} subjectId - Subject unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<boolean>} Whether a subject was deleted
+ */
+async function deleteSubject(subjectId, userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .delete()
+        .eq('id', subjectId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete subject', {
+            error: error.message,
+            subjectId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+module.exports = {
+    createSubject,
+    getSubjects,
+    getSubjectById,
+    updateSubject,
+    deleteSubject
+};
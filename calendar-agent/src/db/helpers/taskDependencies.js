@@ -0,0 +1,151 @@
+/**
+ * Task Dependencies Database Helper
+ * Handles the prerequisite links between tasks.
+ *
+ * A row means `task_id` depends on `depends_on_task_id`: the task is blocked
+ * until the prerequisite is completed (or cancelled). Rows are removed with
+ * either task (ON DELETE CASCADE).
+ *
+ * Cycle detection lives in taskManager.js; this helper only stores links.
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'task_dependencies';
+
+/**
+ * Link a task to a prerequisite (no-op if the link exists)
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Dependent task ID
+ * @param {string} dependsOnTaskId - Prerequisite task ID
+ * @returns {Promise<void>}
+ */
+async function addDependency(userId, taskId, dependsOnTaskId) {
+    const { error } = await supabase
+        .from(TABLE_NAME)
+        .upsert({
+            user_id: userId,
+            task_id: taskId,
+            depends_on_task_id: dependsOnTaskId,
+            created_at: new Date().toISOString()
+        }, {
+            onConflict: 'task_id,depends_on_task_id',
+            ignoreDuplicates: true
+        });
+
+    if (error) {
+        logger.error('Failed to add task dependency', {
+            error: error.message,
+            taskId,
+            dependsOnTaskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+}
+
+/**
+ * Remove a prerequisite link
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Dependent task ID
+ * @param {string} dependsOnTaskId - Prerequisite task ID
+ * @returns {Promise<boolean>} Whether a link was removed
+ */
+async function removeDependency(userId, taskId, dependsOnTaskId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .delete()
+        .eq('user_id', userId)
+        .eq('task_id', taskId)
+        .eq('depends_on_task_id', dependsOnTaskId)
+        .select();
+
+    if (error) {
+        logger.error('Failed to remove task dependency', {
+            error: error.message,
+            taskId,
+            dependsOnTaskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+/**
+ * Get the prerequisite links of a set of tasks
+ * @param {Array<string>} taskIds - Dependent task IDs
+ * @returns {Promise<Array>} Dependency records
+ */
+async function getDependencies(taskIds) {
+    if (taskIds.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('task_id, depends_on_task_id')
+        .in('task_id', taskIds);
+
+    if (error) {
+        logger.error('Failed to fetch task dependencies', {
+            error: error.message,
+            taskCount: taskIds.length
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get the links of tasks that depend on a task
+ * @param {string} dependsOnTaskId - Prerequisite task ID
+ * @returns {Promise<Array>} Dependency records
+ */
+async function getDependents(dependsOnTaskId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('task_id, depends_on_task_id')
+        .eq('depends_on_task_id', dependsOnTaskId);
+
+    if (error) {
+        logger.error('Failed to fetch dependent tasks', {
+            error: error.message,
+            dependsOnTaskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get every link of a user (used for cycle detection)
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<Array>} Dependency records
+ */
+async function getUserDependencies(userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('task_id, depends_on_task_id')
+        .eq('user_id', userId);
+
+    if (error) {
+        logger.error('Failed to fetch user task dependencies', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+module.exports = {
+    addDependency,
+    removeDependency,
+    getDependencies,
+    getDependents,
+    getUserDependencies
+};
@@ -0,0 +1,239 @@
+/**
+ * Task Revisions Database Helper
+ * Field-level change history of tasks.
+ *
+ * Every mutation in tasks.js records a revision with the before/after value
+ * of each tracked column that changed, and who made the change. Sync
+ * bookkeeping (Google IDs, synced_at, sync_conflict) is not tracked.
+ *
+ * The inbound reconciler reads revisions to tell local edits apart from its
+ * own writes (see calendarReconciler.js).
+ *
+ * NOTE: Recording a revision never fails the mutation itself; failures are
+ * logged, like agent logs.
+ */
+
+const supabase = require('../supabase');
+const logger = require('../../utils/logger');
+
+const TABLE_NAME = 'task_revisions';
+
+/**
+ * Who made a change
+ */
+const TaskActor = {
+    USER: 'user',
+    CHAT: 'chat',
+    STUDY_PLAN: 'study_plan',
+    GOOGLE_SYNC: 'google_sync',
+    SYSTEM: 'system'
+};
+
+/**
+ * Revision actions
+ */
+const RevisionAction = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    DELETED: 'deleted',
+    RESTORED: 'restored'
+};
+
+/**
+ * Task columns whose changes are recorded
+ */
+const TRACKED_COLUMNS = [
+    'title',
+    'description',
+    'deadline',
+    'start_time',
+    'duration_minutes',
+    'timezone',
+    'status',
+    'priority',
+    'is_urgent',
+    'is_important',
+    'recurrence_rule',
+    'recurrence_exdates',
+    'study_plan_id',
+    'subject_id',
+    'tags',
+    'deleted_at'
+];
+
+/**
+ * Timestamp columns, compared as instants rather than strings
+ */
+const TIMESTAMP_COLUMNS = ['deadline', 'start_time', 'deleted_at'];
+
+/**
+ * Normalize a column value for comparison
+ * @param {string} column - Column name
+ * @param {*} value - Column value
+ * @returns {string} Comparable representation
+ */
+function comparable(column, value) {
+    if (value === undefined || value === null) {
+        return 'null';
+    }
+
+    if (TIMESTAMP_COLUMNS.includes(column)) {
+        return String(new Date(value).getTime());
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Diff two task records on the tracked columns
+ * @param {Object|null} before - Record before the change (null for a new task)
+ * @param {Object} after - Record after the change
+ * @returns {Object} { column: { from, to } } for each changed column
+ */
+function diffTask(before, after) {
+    const changes = {};
+
+    for (const column of TRACKED_COLUMNS) {
+        const from = before ? before[column] ?? null : null;
+        const to = after[column] ?? null;
+
+        if (comparable(column, from) !== comparable(column, to)) {
+            changes[column] = { from, to };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Check whether an update writes any tracked column
+ * @param {Object} updateData - Row update (column names as keys)
+ * @returns {boolean} Whether a revision may be needed
+ */
+function touchesTrackedColumns(updateData) {
+    return Object.keys(updateData).some(column => TRACKED_COLUMNS.includes(column));
+}
+
+/**
+ * Record the changes between two versions of tasks
+ * Pairs without a tracked change are skipped.
+ *
+ * @param {Array<Object>} entries - [{ before, after }] (before null for a new task)
+ * @param {string} actor - One of TaskActor
+ * @param {string} action - One of RevisionAction
+ * @returns {Promise<void>}
+ */
+async function recordRevisions(entries, actor, action) {
+    const createdAt = new Date().toISOString();
+
+    const rows = entries
+        .map(({ before, after }) => ({
+            task_id: after.id,
+            user_id: after.user_id,
+            actor,
+            action,
+            changes: diffTask(before, after),
+            created_at: createdAt
+        }))
+        .filter(row => Object.keys(row.changes).length > 0);
+
+    if (rows.length === 0) {
+        return;
+    }
+
+    try {
+        const { error } = await supabase
+            .from(TABLE_NAME)
+            .insert(rows);
+
+        if (error) {
+            logger.error('Failed to record task revisions', {
+                error: error.message,
+                taskIds: rows.map(row => row.task_id),
+                action
+            });
+        }
+    } catch (err) {
+        logger.error('Exception recording task revisions', {
+            error: err.message,
+            action
+        });
+    }
+}
+
+/**
+ * Record the change between two versions of a task
+ * @param {Object|null} before - Record before the change (null for a new task)
+ * @param {Object} after - Record after the change
+ * @param {string} actor - One of TaskActor
+ * @param {string} action - One of RevisionAction
+ * @returns {Promise<void>}
+ */
+async function recordRevision(before, after, actor, action) {
+    return recordRevisions([{ before, after }], actor, action);
+}
+
+/**
+ * Get the history of a task
+ * @param {string} taskId - Task unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @param {number} limit - Maximum revisions to return (default: 50)
+ * @returns {Promise<Array>} Revision records, newest first
+ */
+async function getTaskRevisions(taskId, userId, limit = 50) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        logger.error('Failed to fetch task revisions', {
+            error: error.message,
+            taskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get the revisions of a task made after a point in time
+ * @param {string} taskId - Task unique identifier
+ * @param {Date} since - Exclusive lower bound
+ * @returns {Promise<Array>} Revision records, oldest first
+ */
+async function getRevisionsSince(taskId, since) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('task_id', taskId)
+        .gt('created_at', since.toISOString())
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch recent task revisions', {
+            error: error.message,
+            taskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+module.exports = {
+    TaskActor,
+    RevisionAction,
+    TRACKED_COLUMNS,
+    diffTask,
+    touchesTrackedColumns,
+    recordRevision,
+    recordRevisions,
+    getTaskRevisions,
+    getRevisionsSince
+};
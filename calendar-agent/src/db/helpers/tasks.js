@@ -5,17 +5,30 @@
  * IMPORTANT: Supabase is the system of record for all tasks.
  * Google Calendar/Tasks are secondary sync targets.
  * 
- * TODO: Add batch operations for bulk task updates
- * TODO: Add soft delete support
- * TODO: Add task history/audit trail
- * TODO: Implement task search with full-text search
+ * Deleted tasks are kept in the trash (`deleted_at` set) until purged, and
+ * every query here except the trash ones skips them.
+ * 
+ * Every mutation records a revision with the acting TaskActor (see
+ * taskRevisions.js).
+ * 
+ * Bulk variants (createTasks, updateTasksStatus, purgeTasks) serve the batch
+ * endpoint with one round-trip per group of tasks.
  */
 
 const supabase = require('../supabase');
 const logger = require('../../utils/logger');
+const taskRevisions = require('./taskRevisions');
+
+const { TaskActor, RevisionAction } = taskRevisions;
 
 const TABLE_NAME = 'tasks';
 
+/**
+ * Rows read per request when a query has to return every match
+ * (PostgREST's default max-rows; a lower server cap only means more requests)
+ */
+const DB_PAGE_SIZE = 1000;
+
 /**
  * Task status enum
  */
@@ -26,14 +39,43 @@ const TaskStatus = {
     CANCELLED: 'cancelled'
 };
 
+/**
+ * Statuses of unfinished tasks (a task in one of them is overdue once its deadline passes)
+ */
+const OPEN_STATUSES = [TaskStatus.PENDING, TaskStatus.IN_PROGRESS];
+
+/**
+ * Task priority enum, highest first
+ */
+const TaskPriority = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
 /**
  * Create a new task
  * @param {Object} taskData - Task data
  * @param {string} taskData.userId - User's unique identifier
  * @param {string} taskData.title - Task title
  * @param {string} taskData.description - Task description
- * @param {Date} taskData.deadline - Task deadline (UTC)
+ * @param {Date} taskData.deadline - Task deadline (UTC), also the end of the calendar event
+ * @param {Date} taskData.startTime - Start of the calendar event (UTC, optional)
+ * @param {number} taskData.durationMinutes - Event length in minutes (optional)
  * @param {string} taskData.timezone - User's timezone for display
+ * @param {string} taskData.recurrenceRule - RRULE for a recurring series (optional)
+ * @param {Array<string>} taskData.recurrenceExdates - Excluded occurrence deadlines (ISO, UTC)
+ * @param {string} taskData.recurringTaskId - Series ID when storing a single occurrence
+ * @param {Date} taskData.originalDeadline - Occurrence deadline before any edit
+ * @param {string} taskData.status - Initial status (default: pending)
+ * @param {string} taskData.googleCalendarEventId - Linked event (e.g. an instance of the series event)
+ * @param {string} taskData.studyPlanId - Study plan that created the task (optional)
+ * @param {string} taskData.priority - Priority level (default: medium)
+ * @param {boolean|null} taskData.isUrgent - Eisenhower "urgent" flag (optional)
+ * @param {boolean|null} taskData.isImportant - Eisenhower "important" flag (optional)
+ * @param {string|null} taskData.subjectId - Subject the task belongs to (optional)
+ * @param {Array<string>} taskData.tags - Normalized tags (optional)
+ * @param {string} taskData.actor - Who creates the task (TaskActor, default: system)
  * @returns {Promise<Object>} Created task record
  */
 async function createTask(taskData) {
@@ -44,16 +86,7 @@ async function createTask(taskData) {
         title: taskData.title
     });
 
-    const record = {
-        user_id: taskData.userId,
-        title: taskData.title,
-        description: taskData.description || null,
-        deadline: taskData.deadline.toISOString(),
-        timezone: taskData.timezone || 'UTC',
-        status: TaskStatus.PENDING,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-    };
+    const record = buildTaskRecord(taskData);
 
     const { data, error } = await supabase
         .from(TABLE_NAME)
@@ -69,6 +102,8 @@ async function createTask(taskData) {
         throw new Error(`Database error: ${error.message}`);
     }
 
+    await taskRevisions.recordRevision(null, data, taskData.actor || TaskActor.SYSTEM, RevisionAction.CREATED);
+
     logger.info(`Created task in ${Date.now() - startTime}ms`, {
         taskId: data.id,
         userId: taskData.userId
@@ -77,6 +112,71 @@ async function createTask(taskData) {
     return data;
 }
 
+/**
+ * Create several tasks in one insert
+ * @param {Array<Object>} taskDataList - Task data, as for createTask
+ * @param {string} actor - Who creates the tasks (TaskActor, default: system)
+ * @returns {Promise<Array>} Created task records, in input order
+ */
+async function createTasks(taskDataList, actor = TaskActor.SYSTEM) {
+    if (taskDataList.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .insert(taskDataList.map(buildTaskRecord))
+        .select();
+
+    if (error) {
+        logger.error('Failed to create tasks', {
+            error: error.message,
+            count: taskDataList.length
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    await taskRevisions.recordRevisions(
+        data.map(task => ({ before: null, after: task })),
+        actor,
+        RevisionAction.CREATED
+    );
+
+    logger.info('Created tasks', { count: data.length });
+    return data;
+}
+
+/**
+ * Build the row for a new task
+ * @param {Object} taskData - Task data (see createTask)
+ * @returns {Object} Row to insert
+ */
+function buildTaskRecord(taskData) {
+    return {
+        user_id: taskData.userId,
+        title: taskData.title,
+        description: taskData.description || null,
+        deadline: taskData.deadline.toISOString(),
+        start_time: taskData.startTime ? taskData.startTime.toISOString() : null,
+        duration_minutes: taskData.durationMinutes || null,
+        timezone: taskData.timezone || 'UTC',
+        status: taskData.status || TaskStatus.PENDING,
+        recurrence_rule: taskData.recurrenceRule || null,
+        recurrence_exdates: taskData.recurrenceExdates || [],
+        recurring_task_id: taskData.recurringTaskId || null,
+        original_deadline: taskData.originalDeadline ? taskData.originalDeadline.toISOString() : null,
+        google_calendar_event_id: taskData.googleCalendarEventId || null,
+        study_plan_id: taskData.studyPlanId || null,
+        priority: taskData.priority || TaskPriority.MEDIUM,
+        is_urgent: taskData.isUrgent ?? null,
+        is_important: taskData.isImportant ?? null,
+        subject_id: taskData.subjectId || null,
+        tags: taskData.tags || [],
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+}
+
 /**
  * Get a task by ID
  * @param {string} taskId - Task unique identifier
@@ -89,6 +189,7 @@ async function getTaskById(taskId, userId) {
         .select('*')
         .eq('id', taskId)
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .single();
 
     if (error) {
@@ -105,16 +206,50 @@ async function getTaskById(taskId, userId) {
     return data;
 }
 
+/**
+ * Get the task linked to a Google Calendar event
+ * @param {string} userId - User's unique identifier
+ * @param {string} eventId - Google Calendar event ID
+ * @returns {Promise<Object|null>} Task record or null
+ */
+async function getTaskByGoogleEventId(userId, eventId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('google_calendar_event_id', eventId)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch task by Google event', {
+            error: error.message,
+            eventId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
 /**
  * Get tasks for a specific date range
+ * Without a limit, every matching task is returned: PostgREST caps one
+ * response (1000 rows by default), so the rows are read page by page until
+ * the exact count is reached.
+ *
  * @param {string} userId - User's unique identifier
  * @param {Date} startDate - Start of range (UTC)
  * @param {Date} endDate - End of range (UTC)
  * @param {Object} options - Query options
  * @param {string[]} options.statuses - Filter by status(es)
+ * @param {string} options.subjectId - Filter by subject ('none' for tasks without one)
+ * @param {string} options.tag - Filter by tag (normalized)
  * @param {number} options.limit - Maximum number of tasks
+ * @param {number} options.maxRows - Fail instead of reading more matching tasks than this
  * @param {string} options.orderBy - Column to order by
  * @returns {Promise<Array>} Array of task records
+ * @throws {Error} 'Too many tasks: ...' if more than maxRows tasks match
  */
 async function getTasksByDateRange(userId, startDate, endDate, options = {}) {
     const startTime = Date.now();
@@ -125,41 +260,369 @@ async function getTasksByDateRange(userId, startDate, endDate, options = {}) {
         endDate: endDate.toISOString()
     });
 
-    let query = supabase
+    const orderColumn = options.orderBy || 'deadline';
+
+    const buildQuery = () => {
+        let query = supabase
+            .from(TABLE_NAME)
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .gte('deadline', startDate.toISOString())
+            .lte('deadline', endDate.toISOString());
+
+        // Filter by status if provided
+        if (options.statuses && options.statuses.length > 0) {
+            query = query.in('status', options.statuses);
+        }
+
+        if (options.subjectId === 'none') {
+            query = query.is('subject_id', null);
+        } else if (options.subjectId) {
+            query = query.eq('subject_id', options.subjectId);
+        }
+
+        if (options.tag) {
+            query = query.contains('tags', [options.tag]);
+        }
+
+        // Apply ordering (default: deadline ascending); the ID keeps pages stable
+        return query
+            .order(orderColumn, { ascending: true })
+            .order('id', { ascending: true });
+    };
+
+    const { data: tasks, error, count } = options.limit
+        ? await buildQuery().limit(options.limit)
+        : await selectAllPages(buildQuery, options.maxRows);
+
+    if (error) {
+        logger.error('Failed to fetch tasks by date range', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (options.maxRows && count > options.maxRows) {
+        throw new Error(`Too many tasks: ${count} match (at most ${options.maxRows})`);
+    }
+
+    logger.debug(`Fetched ${tasks.length} tasks in ${Date.now() - startTime}ms`, {
+        userId
+    });
+
+    return tasks;
+}
+
+/**
+ * Read every row a query matches, DB_PAGE_SIZE rows per request
+ * The query must select with { count: 'exact' } and have a stable order.
+ *
+ * @param {Function} buildQuery - Returns a fresh query builder for each page
+ * @param {number} maxRows - Stop after the first page if more rows than this match
+ * @returns {Promise<Object>} { data, error, count } like a single query
+ */
+async function selectAllPages(buildQuery, maxRows) {
+    const rows = [];
+    let count = 0;
+
+    do {
+        const { data, error, count: pageCount } = await buildQuery()
+            .range(rows.length, rows.length + DB_PAGE_SIZE - 1);
+
+        if (error) {
+            return { data: null, error, count: null };
+        }
+
+        count = pageCount ?? 0;
+        rows.push(...(data || []));
+
+        // An empty page means rows went away meanwhile
+        if ((maxRows && count > maxRows) || !data || data.length === 0) {
+            break;
+        }
+    } while (rows.length < count);
+
+    return { data: rows, error: null, count };
+}
+
+/**
+ * Get recurring series that may have occurrences before a date
+ * @param {string} userId - User's unique identifier
+ * @param {Date} endDate - Only series starting on or before this date (UTC)
+ * @returns {Promise<Array>} Series task records
+ */
+async function getRecurringSeries(userId, endDate) {
+    const { data, error } = await supabase
         .from(TABLE_NAME)
         .select('*')
         .eq('user_id', userId)
-        .gte('deadline', startDate.toISOString())
+        .not('recurrence_rule', 'is', null)
+        .is('deleted_at', null)
+        .neq('status', TaskStatus.CANCELLED)
         .lte('deadline', endDate.toISOString());
 
-    // Filter by status if provided
-    if (options.statuses && options.statuses.length > 0) {
-        query = query.in('status', options.statuses);
+    if (error) {
+        logger.error('Failed to fetch recurring series', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
     }
 
-    // Apply ordering (default: deadline ascending)
-    const orderColumn = options.orderBy || 'deadline';
-    query = query.order(orderColumn, { ascending: true });
+    return data || [];
+}
 
-    // Apply limit if provided
-    if (options.limit) {
-        query = query.limit(options.limit);
+/**
+ * Get stored occurrences (edited or completed) of recurring series
+ * @param {string[]} seriesIds - Series task IDs
+ * @param {Date} startDate - Start of original deadline range (UTC)
+ * @param {Date} endDate - End of original deadline range (UTC, optional: no end)
+ * @returns {Promise<Array>} Occurrence task records
+ */
+async function getOccurrenceOverrides(seriesIds, startDate, endDate = null) {
+    if (seriesIds.length === 0) {
+        return [];
+    }
+
+    let query = supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .in('recurring_task_id', seriesIds)
+        .is('deleted_at', null)
+        .gte('original_deadline', startDate.toISOString());
+
+    if (endDate) {
+        query = query.lte('original_deadline', endDate.toISOString());
     }
 
     const { data, error } = await query;
 
     if (error) {
-        logger.error('Failed to fetch tasks by date range', {
+        logger.error('Failed to fetch occurrence overrides', {
+            error: error.message
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get the stored row for one occurrence of a series
+ * @param {string} seriesId - Series task ID
+ * @param {Date} originalDeadline - Occurrence deadline before any edit (UTC)
+ * @returns {Promise<Object|null>} Occurrence task record or null
+ */
+async function getOccurrenceOverride(seriesId, originalDeadline) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('recurring_task_id', seriesId)
+        .eq('original_deadline', originalDeadline.toISOString())
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch occurrence override', {
+            error: error.message,
+            seriesId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Get tasks by ID
+ * @param {string} userId - User's unique identifier
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<Array>} Task records (missing IDs are skipped)
+ */
+async function getTasksByIds(userId, taskIds) {
+    if (taskIds.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .in('id', taskIds)
+        .is('deleted_at', null);
+
+    if (error) {
+        logger.error('Failed to fetch tasks by ID', {
+            error: error.message,
+            taskCount: taskIds.length
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get the tasks created by a study plan
+ * @param {string} userId - User's unique identifier
+ * @param {string} studyPlanId - Study plan ID
+ * @returns {Promise<Array>} Task records sorted by deadline
+ */
+async function getTasksByStudyPlan(userId, studyPlanId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('study_plan_id', studyPlanId)
+        .is('deleted_at', null)
+        .order('deadline', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch study plan tasks', {
+            error: error.message,
+            studyPlanId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get a user's overdue tasks (pending or in progress, deadline passed), across all time
+ * Recurring series rows are skipped; stored occurrences are included.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Date} before - Deadline cutoff (usually now)
+ * @returns {Promise<Array>} Task records, oldest deadline first
+ */
+async function getOverdueTasks(userId, before) {
+    const { data, error } = await selectAllPages(() => overdueTasksQuery(userId, before, { count: 'exact' })
+        .order('deadline', { ascending: true })
+        .order('id', { ascending: true }));
+
+    if (error) {
+        logger.error('Failed to fetch overdue tasks', {
             error: error.message,
             userId
         });
         throw new Error(`Database error: ${error.message}`);
     }
 
-    logger.debug(`Fetched ${data.length} tasks in ${Date.now() - startTime}ms`, {
-        userId
+    return data || [];
+}
+
+/**
+ * Count a user's overdue tasks without reading them (see getOverdueTasks)
+ * @param {string} userId - User's unique identifier
+ * @param {Date} before - Deadline cutoff (usually now)
+ * @returns {Promise<number>} Number of overdue tasks
+ */
+async function countOverdueTasks(userId, before) {
+    const { count, error } = await overdueTasksQuery(userId, before, { count: 'exact', head: true });
+
+    if (error) {
+        logger.error('Failed to count overdue tasks', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return count ?? 0;
+}
+
+/**
+ * Query for a user's overdue tasks
+ * @param {string} userId - User's unique identifier
+ * @param {Date} before - Deadline cutoff
+ * @param {Object} selectOptions - Options for select() (count, head)
+ * @returns {Object} Query builder
+ */
+function overdueTasksQuery(userId, before, selectOptions) {
+    return supabase
+        .from(TABLE_NAME)
+        .select('*', selectOptions)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .is('recurrence_rule', null)
+        .in('status', OPEN_STATUSES)
+        .lt('deadline', before.toISOString());
+}
+
+/**
+ * Get the study plans that have pending sessions past their deadline, across all users
+ * Used by the periodic rescheduler. Each plan is listed once
+ * (missed_study_plans() in schema.sql), read DB_PAGE_SIZE plans at a time.
+ *
+ * @param {Date} before - Deadline cutoff
+ * @returns {Promise<Array>} [{ study_plan_id, user_id }] sorted by plan ID
+ */
+async function getPlansWithMissedSessions(before) {
+    const plans = [];
+
+    for (;;) {
+        const { data, error } = await supabase.rpc('missed_study_plans', {
+            p_before: before.toISOString(),
+            p_after: plans.length > 0 ? plans[plans.length - 1].study_plan_id : null,
+            p_limit: DB_PAGE_SIZE
+        });
+
+        if (error) {
+            logger.error('Failed to fetch study plans with missed sessions', {
+                error: error.message
+            });
+            throw new Error(`Database error: ${error.message}`);
+        }
+
+        // Stop on an empty page, not a short one: the server may cap rows below DB_PAGE_SIZE
+        if (!data || data.length === 0) {
+            return plans;
+        }
+
+        plans.push(...data);
+    }
+}
+
+/**
+ * Full-text search over task titles and descriptions (search_tasks() in schema.sql)
+ * Results are ordered by rank, best first; pass the last result's rank and ID
+ * to get the next page.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} query - Search text (web search syntax: "quoted phrases", -exclusions, or)
+ * @param {Object} options - Filters and paging
+ * @param {string} options.status - Only tasks with this status
+ * @param {Date} options.from - Only tasks with a deadline at or after this time
+ * @param {Date} options.to - Only tasks with a deadline at or before this time
+ * @param {string} options.studyPlanId - Only tasks created by this study plan
+ * @param {Object} options.after - { rank, id } of the last result of the previous page
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Promise<Array>} [{ task, rank, title_highlight, snippet }]
+ */
+async function searchTasks(userId, query, options = {}) {
+    const { data, error } = await supabase.rpc('search_tasks', {
+        p_user_id: userId,
+        p_query: query,
+        p_status: options.status || null,
+        p_from: options.from ? options.from.toISOString() : null,
+        p_to: options.to ? options.to.toISOString() : null,
+        p_study_plan_id: options.studyPlanId || null,
+        p_cursor_rank: options.after ? options.after.rank : null,
+        p_cursor_id: options.after ? options.after.id : null,
+        p_limit: options.limit || 20
     });
 
+    if (error) {
+        logger.error('Failed to search tasks', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
     return data || [];
 }
 
@@ -176,6 +639,9 @@ async function getUnsyncedTasks(userId) {
         .select('*')
         .eq('user_id', userId)
         .is('google_calendar_event_id', null)
+        .is('deleted_at', null)
+        // Occurrences are synced as part of their series event
+        .is('recurring_task_id', null)
         .neq('status', TaskStatus.CANCELLED)
         .order('deadline', { ascending: true });
 
@@ -201,9 +667,11 @@ async function getUnsyncedTasks(userId) {
 async function updateTaskSyncInfo(taskId, syncData) {
     logger.debug('Updating task sync info', { taskId });
 
+    // Same timestamp for both so the task does not look locally modified after a sync
+    const now = new Date().toISOString();
     const updateData = {
-        synced_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
+        synced_at: now,
+        updated_at: now
     };
 
     if (syncData.googleCalendarEventId) {
@@ -238,9 +706,10 @@ async function updateTaskSyncInfo(taskId, syncData) {
  * @param {string} taskId - Task unique identifier
  * @param {string} userId - User unique identifier (for authorization)
  * @param {string} status - New status
- * @returns {Promise<Object>} Updated task record
+ * @param {string} actor - Who changes the status (TaskActor, default: system)
+ * @returns {Promise<Object|null>} Updated task record or null if not found (or in the trash)
  */
-async function updateTaskStatus(taskId, userId, status) {
+async function updateTaskStatus(taskId, userId, status, actor = TaskActor.SYSTEM) {
     logger.debug('Updating task status', { taskId, status });
 
     // Validate status
@@ -248,6 +717,12 @@ async function updateTaskStatus(taskId, userId, status) {
         throw new Error(`Invalid status: ${status}`);
     }
 
+    const before = await getTaskById(taskId, userId);
+
+    if (!before) {
+        return null;
+    }
+
     const { data, error } = await supabase
         .from(TABLE_NAME)
         .update({
@@ -256,10 +731,15 @@ async function updateTaskStatus(taskId, userId, status) {
         })
         .eq('id', taskId)
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .select()
         .single();
 
     if (error) {
+        // Trashed (or deleted) since it was read
+        if (error.code === 'PGRST116') {
+            return null;
+        }
         logger.error('Failed to update task status', {
             error: error.message,
             taskId
@@ -267,16 +747,208 @@ async function updateTaskStatus(taskId, userId, status) {
         throw new Error(`Database error: ${error.message}`);
     }
 
+    await taskRevisions.recordRevision(before, data, actor, RevisionAction.UPDATED);
+
     logger.info('Task status updated', { taskId, status });
     return data;
 }
 
+/**
+ * Set the same status on several tasks in one update
+ * @param {Array<string>} taskIds - Task IDs
+ * @param {string} userId - User unique identifier (for authorization)
+ * @param {string} status - New status
+ * @param {string} actor - Who changes the status (TaskActor, default: system)
+ * @returns {Promise<Array>} Updated task records
+ */
+async function updateTasksStatus(taskIds, userId, status, actor = TaskActor.SYSTEM) {
+    if (!Object.values(TaskStatus).includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+    }
+
+    if (taskIds.length === 0) {
+        return [];
+    }
+
+    const before = await getTasksByIds(userId, taskIds);
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update({
+            status,
+            updated_at: new Date().toISOString()
+        })
+        .in('id', taskIds)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .select();
+
+    if (error) {
+        logger.error('Failed to update task statuses', {
+            error: error.message,
+            count: taskIds.length
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const beforeById = new Map(before.map(task => [task.id, task]));
+
+    await taskRevisions.recordRevisions(
+        data.map(task => ({ before: beforeById.get(task.id) || null, after: task })),
+        actor,
+        RevisionAction.UPDATED
+    );
+
+    logger.info('Task statuses updated', { count: data.length, status });
+    return data;
+}
+
+/**
+ * Columns that updateTask may write, keyed by the camelCase field name
+ */
+const UPDATABLE_COLUMNS = {
+    title: 'title',
+    description: 'description',
+    deadline: 'deadline',
+    startTime: 'start_time',
+    durationMinutes: 'duration_minutes',
+    timezone: 'timezone',
+    status: 'status',
+    priority: 'priority',
+    isUrgent: 'is_urgent',
+    isImportant: 'is_important',
+    subjectId: 'subject_id',
+    tags: 'tags',
+    googleCalendarEventId: 'google_calendar_event_id',
+    googleTaskId: 'google_task_id',
+    syncedAt: 'synced_at',
+    syncConflict: 'sync_conflict',
+    recurrenceExdates: 'recurrence_exdates'
+};
+
+/**
+ * Update task fields
+ * Only the fields present in `updates` are written; Date values are stored as ISO strings.
+ *
+ * @param {string} taskId - Task unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @param {Object} updates - Fields to update (keys of UPDATABLE_COLUMNS)
+ * @param {string} updates.title - New title
+ * @param {string|null} updates.description - New description
+ * @param {Date} updates.deadline - New deadline (UTC)
+ * @param {Date|null} updates.startTime - New event start (UTC)
+ * @param {number|null} updates.durationMinutes - New event length in minutes
+ * @param {string} updates.timezone - New timezone
+ * @param {string} updates.status - New status
+ * @param {string} updates.priority - New priority level
+ * @param {boolean|null} updates.isUrgent - Eisenhower "urgent" flag
+ * @param {boolean|null} updates.isImportant - Eisenhower "important" flag
+ * @param {string|null} updates.subjectId - Subject (null to clear)
+ * @param {Array<string>} updates.tags - Normalized tags (replaces the current ones)
+ * @param {string|null} updates.googleCalendarEventId - Linked Google Calendar event (null to unlink)
+ * @param {Object|null} updates.syncConflict - Unresolved Google sync conflict (null to clear)
+ * @param {Array<string>} updates.recurrenceExdates - Excluded occurrence deadlines of a series
+ * @param {string} actor - Who makes the change (TaskActor, default: system)
+ * @returns {Promise<Object|null>} Updated task record or null if not found
+ */
+async function updateTask(taskId, userId, updates, actor = TaskActor.SYSTEM) {
+    logger.debug('Updating task', { taskId, fields: Object.keys(updates) });
+
+    const updateData = {
+        updated_at: new Date().toISOString()
+    };
+
+    for (const [field, value] of Object.entries(updates)) {
+        const column = UPDATABLE_COLUMNS[field];
+
+        if (!column) {
+            throw new Error(`Field cannot be updated: ${field}`);
+        }
+
+        if (value === undefined) {
+            continue;
+        }
+
+        updateData[column] = value instanceof Date ? value.toISOString() : value;
+    }
+
+    // A write that records a sync must not make the task look locally modified afterwards
+    if (updateData.synced_at) {
+        updateData.updated_at = updateData.synced_at;
+    }
+
+    if (updateData.status && !Object.values(TaskStatus).includes(updateData.status)) {
+        throw new Error(`Invalid status: ${updateData.status}`);
+    }
+
+    // Sync bookkeeping alone needs no revision, so skip the extra read
+    const before = taskRevisions.touchesTrackedColumns(updateData)
+        ? await getTaskById(taskId, userId)
+        : null;
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update(updateData)
+        .eq('id', taskId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            return null;
+        }
+        logger.error('Failed to update task', {
+            error: error.message,
+            taskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (before) {
+        await taskRevisions.recordRevision(before, data, actor, RevisionAction.UPDATED);
+    }
+
+    logger.info('Task updated', { taskId });
+    return data;
+}
+
+/**
+ * Get tasks that are linked to a Google Calendar event
+ * @param {string} userId - User's unique identifier
+ * @param {Date} startDate - Start of deadline range (UTC)
+ * @param {Date} endDate - End of deadline range (UTC)
+ * @returns {Promise<Array>} Synced task records
+ */
+async function getSyncedTasks(userId, startDate, endDate) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .not('google_calendar_event_id', 'is', null)
+        .is('deleted_at', null)
+        .gte('deadline', startDate.toISOString())
+        .lte('deadline', endDate.toISOString())
+        .order('deadline', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch synced tasks', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
 /**
  * Get task statistics for a user
  * @param {string} userId - User's unique identifier
  * @param {Date} startDate - Start of range (UTC)
  * @param {Date} endDate - End of range (UTC)
- * @returns {Promise<Object>} Statistics object
+ * @returns {Promise<Object>} Statistics object, including per-subject counts (see computeTaskStats)
  */
 async function getTaskStats(userId, startDate, endDate) {
     logger.debug('Fetching task statistics', { userId });
@@ -285,57 +957,124 @@ async function getTaskStats(userId, startDate, endDate) {
     // Current implementation is simple but not efficient at scale
     const tasks = await getTasksByDateRange(userId, startDate, endDate);
 
+    return computeTaskStats(tasks);
+}
+
+/**
+ * Whether a task is overdue: still pending or in progress after its deadline
+ * @param {Object} task - Task record
+ * @param {Date} now - Reference time (default: now)
+ * @returns {boolean} True if overdue
+ */
+function isTaskOverdue(task, now = new Date()) {
+    return OPEN_STATUSES.includes(task.status) && new Date(task.deadline) < now;
+}
+
+/**
+ * Compute task statistics from task records
+ * Used directly when the task list already includes expanded recurring occurrences.
+ *
+ * @param {Array} tasks - Task records
+ * @returns {Object} Statistics; `overdue` counts unfinished tasks past their
+ *   deadline, `bySubject` maps each subject ID ('none' for tasks without one)
+ *   to { total, pending, completed, hours }
+ */
+function computeTaskStats(tasks) {
     const stats = {
         total: tasks.length,
         pending: tasks.filter(t => t.status === TaskStatus.PENDING).length,
         inProgress: tasks.filter(t => t.status === TaskStatus.IN_PROGRESS).length,
         completed: tasks.filter(t => t.status === TaskStatus.COMPLETED).length,
         cancelled: tasks.filter(t => t.status === TaskStatus.CANCELLED).length,
+        highPriorityPending: tasks.filter(t => t.priority === TaskPriority.HIGH && t.status === TaskStatus.PENDING).length,
+        overdue: tasks.filter(t => isTaskOverdue(t)).length,
         hours: 0
     };
 
     // Calculate total hours for interesting tasks (mainly completed ones)
-    // We parse "Duration: X minutes" from description
+    // Older tasks have no duration_minutes, so we parse "Duration: X minutes" from description
     const completedTasks = tasks.filter(t => t.status === TaskStatus.COMPLETED);
-    let totalMinutes = 0;
-
-    for (const task of completedTasks) {
-        if (task.description) {
-            const match = task.description.match(/Duration: (\d+) minutes/i);
-            if (match && match[1]) {
-                totalMinutes += parseInt(match[1], 10);
-            } else {
-                // Default fallback: 30 minutes if no duration specified but completed
-                // This makes the chart feel more alive
-                totalMinutes += 30;
-            }
-        } else {
-            // Default fallback for tasks without description
-            totalMinutes += 30;
+    const totalMinutes = completedTasks.reduce((sum, task) => sum + getStudyMinutes(task), 0);
+
+    stats.hours = toHours(totalMinutes);
+
+    const bySubject = {};
+
+    for (const task of tasks) {
+        const key = task.subject_id || 'none';
+        const entry = bySubject[key] || (bySubject[key] = { total: 0, pending: 0, completed: 0, minutes: 0 });
+
+        entry.total++;
+        if (task.status === TaskStatus.PENDING) {
+            entry.pending++;
+        }
+        if (task.status === TaskStatus.COMPLETED) {
+            entry.completed++;
+            entry.minutes += getStudyMinutes(task);
         }
     }
 
-    stats.hours = Math.round((totalMinutes / 60) * 10) / 10; // Round to 1 decimal place
+    stats.bySubject = Object.fromEntries(Object.entries(bySubject).map(([key, { minutes, ...counts }]) => [
+        key,
+        { ...counts, hours: toHours(minutes) }
+    ]));
 
     return stats;
 }
 
 /**
- * Delete a task
+ * Minutes of study a completed task counts for
+ * Older tasks have no duration_minutes, so we parse "Duration: X minutes" from description
+ *
+ * @param {Object} task - Task record
+ * @returns {number} Minutes
+ */
+function getStudyMinutes(task) {
+    if (task.duration_minutes) {
+        return task.duration_minutes;
+    }
+
+    const match = task.description && task.description.match(/Duration: (\d+) minutes/i);
+    if (match && match[1]) {
+        return parseInt(match[1], 10);
+    }
+
+    // Default fallback: 30 minutes if no duration specified but completed
+    // This makes the chart feel more alive
+    return 30;
+}
+
+/**
+ * Convert minutes to hours, rounded to 1 decimal place
+ * @param {number} minutes - Minutes
+ * @returns {number} Hours
+ */
+function toHours(minutes) {
+    return Math.round((minutes / 60) * 10) / 10;
+}
+
+/**
+ * Move a task to the trash
+ * Stored occurrences of a series go with it, with the same `deleted_at`, so
+ * restoring the series brings them back too.
+ *
  * @param {string} taskId - Task unique identifier
  * @param {string} userId - User unique identifier (for authorization)
- * @returns {Promise<boolean>} Whether deletion was successful
- * 
- * TODO: Implement soft delete instead of hard delete
+ * @param {string} actor - Who deletes the task (TaskActor, default: system)
+ * @returns {Promise<boolean>} Whether a task was moved to the trash
  */
-async function deleteTask(taskId, userId) {
-    logger.debug('Deleting task', { taskId });
+async function deleteTask(taskId, userId, actor = TaskActor.SYSTEM) {
+    logger.debug('Moving task to trash', { taskId });
 
-    const { error } = await supabase
+    const deletedAt = new Date().toISOString();
+
+    const { data, error } = await supabase
         .from(TABLE_NAME)
-        .delete()
+        .update({ deleted_at: deletedAt })
         .eq('id', taskId)
-        .eq('user_id', userId);
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .select();
 
     if (error) {
         logger.error('Failed to delete task', {
@@ -345,18 +1084,229 @@ async function deleteTask(taskId, userId) {
         throw new Error(`Database error: ${error.message}`);
     }
 
-    logger.info('Task deleted', { taskId });
+    if (data.length === 0) {
+        return false;
+    }
+
+    const { data: occurrences, error: occurrencesError } = await supabase
+        .from(TABLE_NAME)
+        .update({ deleted_at: deletedAt })
+        .eq('recurring_task_id', taskId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .select();
+
+    if (occurrencesError) {
+        logger.error('Failed to delete series occurrences', {
+            error: occurrencesError.message,
+            taskId
+        });
+        throw new Error(`Database error: ${occurrencesError.message}`);
+    }
+
+    await taskRevisions.recordRevisions(
+        [...data, ...occurrences].map(task => ({ before: { ...task, deleted_at: null }, after: task })),
+        actor,
+        RevisionAction.DELETED
+    );
+
+    logger.info('Task moved to trash', { taskId });
     return true;
 }
 
+/**
+ * Get the tasks in a user's trash
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<Array>} Deleted task records, most recently deleted first
+ */
+async function getDeletedTasks(userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+    if (error) {
+        logger.error('Failed to fetch deleted tasks', {
+            error: error.message,
+            userId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Get a task from the trash
+ * @param {string} taskId - Task unique identifier
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<Object|null>} Deleted task record or null
+ */
+async function getDeletedTaskById(taskId, userId) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .select('*')
+        .eq('id', taskId)
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch deleted task', {
+            error: error.message,
+            taskId
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Take a task (and the occurrences deleted with it) out of the trash
+ * @param {Object} task - Deleted task record
+ * @param {string} actor - Who restores the task (TaskActor, default: system)
+ * @returns {Promise<Object>} Restored task record
+ */
+async function restoreTask(task, actor = TaskActor.SYSTEM) {
+    const restoredAt = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .update({
+            deleted_at: null,
+            updated_at: restoredAt
+        })
+        .eq('id', task.id)
+        .eq('user_id', task.user_id)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to restore task', {
+            error: error.message,
+            taskId: task.id
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { data: occurrences, error: occurrencesError } = await supabase
+        .from(TABLE_NAME)
+        .update({
+            deleted_at: null,
+            updated_at: restoredAt
+        })
+        .eq('recurring_task_id', task.id)
+        .eq('user_id', task.user_id)
+        .eq('deleted_at', task.deleted_at)
+        .select();
+
+    if (occurrencesError) {
+        logger.error('Failed to restore series occurrences', {
+            error: occurrencesError.message,
+            taskId: task.id
+        });
+        throw new Error(`Database error: ${occurrencesError.message}`);
+    }
+
+    await taskRevisions.recordRevisions(
+        [{ before: task, after: data }, ...occurrences.map(occurrence => ({
+            before: { ...occurrence, deleted_at: task.deleted_at },
+            after: occurrence
+        }))],
+        actor,
+        RevisionAction.RESTORED
+    );
+
+    logger.info('Task restored from trash', { taskId: task.id });
+    return data;
+}
+
+/**
+ * Permanently delete tasks right away, skipping the trash
+ * Only used to undo tasks created by a batch that failed.
+ *
+ * @param {Array<string>} taskIds - Task IDs
+ * @param {string} userId - User unique identifier (for authorization)
+ * @returns {Promise<void>}
+ */
+async function purgeTasks(taskIds, userId) {
+    if (taskIds.length === 0) {
+        return;
+    }
+
+    const { error } = await supabase
+        .from(TABLE_NAME)
+        .delete()
+        .in('id', taskIds)
+        .eq('user_id', userId);
+
+    if (error) {
+        logger.error('Failed to purge tasks', {
+            error: error.message,
+            count: taskIds.length
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+}
+
+/**
+ * Permanently delete tasks that have been in the trash since before a cutoff,
+ * across all users (dependencies and stored occurrences cascade)
+ *
+ * @param {Date} before - Deletion time cutoff
+ * @returns {Promise<number>} Number of tasks removed
+ */
+async function purgeDeletedTasks(before) {
+    const { data, error } = await supabase
+        .from(TABLE_NAME)
+        .delete()
+        .lt('deleted_at', before.toISOString())
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to purge deleted tasks', {
+            error: error.message
+        });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data.length;
+}
+
 module.exports = {
     TaskStatus,
+    OPEN_STATUSES,
+    TaskPriority,
     createTask,
+    createTasks,
     getTaskById,
+    getTaskByGoogleEventId,
     getTasksByDateRange,
     getUnsyncedTasks,
     updateTaskSyncInfo,
     updateTaskStatus,
+    updateTasksStatus,
+    updateTask,
+    getSyncedTasks,
+    getRecurringSeries,
+    getOccurrenceOverrides,
+    getOccurrenceOverride,
+    getTasksByIds,
+    searchTasks,
+    getTasksByStudyPlan,
+    getOverdueTasks,
+    countOverdueTasks,
+    getPlansWithMissedSessions,
     getTaskStats,
-    deleteTask
+    computeTaskStats,
+    isTaskOverdue,
+    deleteTask,
+    getDeletedTasks,
+    getDeletedTaskById,
+    restoreTask,
+    purgeTasks,
+    purgeDeletedTasks
 };
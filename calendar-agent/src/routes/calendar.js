@@ -6,9 +6,41 @@
  * POST   /calendar/connect-google     - Initiate Google OAuth flow
  * POST   /calendar/oauth/callback     - Handle OAuth callback
  * POST   /calendar/tasks              - Create a new study task
+ * POST   /calendar/tasks/batch        - Apply several task operations as one unit
+ * GET    /calendar/tasks              - List tasks in a date range (filters, sort, cursor pagination)
  * GET    /calendar/tasks/today        - Get today's tasks
  * GET    /calendar/tasks/week         - Get this week's tasks
- * POST   /calendar/sync               - Sync tasks to Google Calendar/Tasks
+ * GET    /calendar/tasks/search       - Full-text search over tasks
+ * GET    /calendar/tasks/trash        - List deleted tasks
+ * GET    /calendar/tasks/overdue      - List unfinished tasks past their deadline
+ * POST   /calendar/tasks/overdue/reschedule - Move overdue tasks to the next free slots
+ * GET    /calendar/tasks/:taskId      - Get a single task
+ * GET    /calendar/tasks/:taskId/history - Get a task's change history
+ * PUT    /calendar/tasks/:taskId      - Edit a task (PATCH also accepted)
+ * DELETE /calendar/tasks/:taskId      - Move a task to the trash
+ * POST   /calendar/tasks/:taskId/restore - Restore a task from the trash
+ * POST   /calendar/tasks/:taskId/dependencies - Make a task depend on another task
+ * DELETE /calendar/tasks/:taskId/dependencies/:dependsOnTaskId - Remove a dependency
+ * GET    /calendar/tasks/:taskId/checklist - Get a task's checklist and progress
+ * POST   /calendar/tasks/:taskId/checklist - Add checklist items
+ * PATCH  /calendar/tasks/:taskId/checklist/:itemId - Rename, check or uncheck an item
+ * DELETE /calendar/tasks/:taskId/checklist/:itemId - Delete an item
+ * PUT    /calendar/tasks/:taskId/checklist/order - Reorder the checklist
+ * POST   /calendar/tasks/:taskId/conflict/resolve - Resolve a flagged Google sync conflict
+ * GET    /calendar/subjects           - List subjects
+ * POST   /calendar/subjects           - Create a subject
+ * PATCH  /calendar/subjects/:subjectId - Edit a subject
+ * DELETE /calendar/subjects/:subjectId - Delete a subject (its tasks keep existing)
+ * POST   /calendar/sync               - Queue a sync of tasks to Google Calendar/Tasks
+ * POST   /calendar/sync/inbound       - Queue reconciliation of Google Calendar edits
+ * POST   /calendar/sync/watch         - Start Google Calendar push notifications
+ * DELETE /calendar/sync/watch         - Stop Google Calendar push notifications
+ * POST   /calendar/webhooks/google    - Receive Google Calendar push notifications
+ * GET    /calendar/jobs/:jobId        - Get background job status/progress
+ * POST   /calendar/chat               - Create, change or look up tasks from a chat message
+ * GET    /calendar/chat/conversations - List chat conversations
+ * GET    /calendar/chat/conversations/:conversationId - Get a conversation and its messages
+ * DELETE /calendar/chat/conversations/:conversationId - Delete a conversation
  * POST   /calendar/summary/daily      - Generate daily summary
  * POST   /calendar/summary/weekly     - Generate weekly summary
  * 
@@ -33,8 +65,16 @@ const googleOAuth = require('../services/googleOAuth');
 const taskManager = require('../services/taskManager');
 const summaryGenerator = require('../services/summaryGenerator');
 const chatService = require('../services/chatService');
+const conversationManager = require('../services/conversationManager');
+const jobQueue = require('../services/jobQueue');
+const calendarReconciler = require('../services/calendarReconciler');
+const calendarWatch = require('../services/calendarWatch');
 const agentLogs = require('../db/helpers/agentLogs');
-const { getCurrentDateInTimezone } = require('../utils/timezone');
+const subjectsDb = require('../db/helpers/subjects');
+const { TaskPriority, TaskStatus } = require('../db/helpers/tasks');
+const { getCurrentDateInTimezone, isValidTimezone } = require('../utils/timezone');
+const { normalizeRule } = require('../utils/recurrence');
+const { MAX_TAGS } = require('../utils/tags');
 
 const logger = require('../utils/logger');
 
@@ -231,6 +271,67 @@ router.get('/oauth/callback', asyncHandler(async (req, res) => {
 // Task Management Endpoints
 // =============================================================================
 
+/**
+ * Reject a duration_minutes body value that is not a whole number of minutes
+ * up to one day (null and undefined are allowed)
+ * @param {*} durationMinutes - Value from the request body
+ */
+function validateDuration(durationMinutes) {
+    if (durationMinutes === undefined || durationMinutes === null) {
+        return;
+    }
+
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 24 * 60) {
+        throw new AppError('duration_minutes must be a whole number between 1 and 1440', 400);
+    }
+}
+
+/**
+ * Reject priority, is_urgent and is_important body values that are not valid
+ * (undefined is allowed; null is allowed for the flags)
+ * @param {Object} body - Request body
+ */
+function validatePriority({ priority, is_urgent: isUrgent, is_important: isImportant }) {
+    if (priority !== undefined && !Object.values(TaskPriority).includes(priority)) {
+        throw new AppError(`priority must be one of: ${Object.values(TaskPriority).join(', ')}`, 400);
+    }
+
+    for (const [name, value] of [['is_urgent', isUrgent], ['is_important', isImportant]]) {
+        if (value !== undefined && value !== null && typeof value !== 'boolean') {
+            throw new AppError(`${name} must be a boolean`, 400);
+        }
+    }
+}
+
+/**
+ * Reject subject_id and tags body values that are not valid
+ * (undefined is allowed; null is allowed for subject_id)
+ * @param {Object} body - Request body
+ */
+function validateSubjectAndTags({ subject_id: subjectId, tags }) {
+    if (subjectId !== undefined && subjectId !== null && typeof subjectId !== 'string') {
+        throw new AppError('subject_id must be a string', 400);
+    }
+
+    if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+        throw new AppError('tags must be an array of strings', 400);
+    }
+
+    if (tags && tags.length > MAX_TAGS) {
+        throw new AppError(`A task can have at most ${MAX_TAGS} tags`, 400);
+    }
+}
+
+/**
+ * Whether a service error is caused by invalid task input
+ * @param {Error} error - Error from taskManager
+ * @returns {boolean} True if the request should fail with 400
+ */
+function isInvalidTaskInput(error) {
+    return ['Invalid datetime format', 'Invalid schedule', 'Invalid priority', 'Invalid subject', 'Invalid tags', 'Invalid checklist']
+        .some(prefix => error.message.startsWith(prefix));
+}
+
 /**
  * POST /calendar/tasks
  * Create a new study task
@@ -242,16 +343,36 @@ router.get('/oauth/callback', asyncHandler(async (req, res) => {
  *   {
  *     title: string (required),
  *     description: string (optional),
- *     deadline: string (required, ISO datetime),
- *     timezone: string (required, IANA timezone)
+ *     deadline: string (ISO datetime, end of the calendar event),
+ *     start_time: string (optional, ISO datetime),
+ *     duration_minutes: number (optional, 1-1440, default event length: 60),
+ *     priority: 'high' | 'medium' | 'low' (optional, default: medium),
+ *     is_urgent: boolean (optional),
+ *     is_important: boolean (optional),
+ *     timezone: string (required, IANA timezone),
+ *     recurrence: string (optional, RRULE e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=12"),
+ *     exdates: string[] (optional, occurrences to skip, ISO datetimes),
+ *     subject_id: string (optional, one of the user's subjects),
+ *     tags: string[] (optional, up to 20, stored lowercase without '#'),
+ *     checklist: string[] (optional, checklist item titles in order)
  *   }
  * 
  * Query:
  *   syncToGoogle: boolean (optional, default: false)
+ *
+ * NOTE: deadline or start_time is required. Any two of deadline, start_time
+ * and duration_minutes determine the third.
+ *
+ * NOTE: Without priority, is_urgent/is_important set it from the Eisenhower
+ * quadrant (both: high, one: medium, neither: low).
+ *
+ * NOTE: A recurring task returns the series. Its occurrences appear in the
+ * task lists with IDs like `${seriesId}_20261019T180000Z`, which the single
+ * task endpoints accept to complete, edit or delete one occurrence.
  */
 router.post('/tasks', authenticate, asyncHandler(async (req, res) => {
     const { userId } = req;
-    const { title, description, deadline, timezone } = req.body;
+    const { title, description, deadline, start_time: startTime, duration_minutes: durationMinutes, priority, is_urgent: isUrgent, is_important: isImportant, timezone, recurrence, exdates, subject_id: subjectId, tags, checklist } = req.body;
     const syncToGoogle = req.query.syncToGoogle === 'true';
 
     // Validation
@@ -260,23 +381,65 @@ router.post('/tasks', authenticate, asyncHandler(async (req, res) => {
         throw new AppError('Task title is required', 400);
     }
 
-    if (!deadline) {
-        throw new AppError('Task deadline is required', 400);
+    if (!deadline && !startTime) {
+        throw new AppError('Task deadline or start_time is required', 400);
+    }
+
+    validateDuration(durationMinutes);
+    validatePriority(req.body);
+    validateSubjectAndTags(req.body);
+
+    if (checklist !== undefined && (!Array.isArray(checklist) || checklist.some(item => typeof item !== 'string'))) {
+        throw new AppError('checklist must be an array of strings', 400);
     }
 
     if (!timezone) {
         throw new AppError('Timezone is required', 400);
     }
 
-    logger.info('Creating new task', { userId, title, syncToGoogle });
+    if (recurrence !== undefined && recurrence !== null) {
+        try {
+            normalizeRule(recurrence, timezone);
+        } catch (error) {
+            throw new AppError(`Invalid recurrence: ${error.message}`, 400);
+        }
+    }
+
+    if (exdates !== undefined && (!Array.isArray(exdates) || exdates.some(d => typeof d !== 'string'))) {
+        throw new AppError('exdates must be an array of ISO datetime strings', 400);
+    }
+
+    if (exdates && exdates.length > 0 && !recurrence) {
+        throw new AppError('exdates requires recurrence', 400);
+    }
+
+    logger.info('Creating new task', { userId, title, syncToGoogle, recurrence });
 
     // Create task
-    const task = await taskManager.createTask(userId, {
-        title,
-        description,
-        deadline,
-        timezone
-    }, { syncToGoogle });
+    let task;
+    try {
+        task = await taskManager.createTask(userId, {
+            title,
+            description,
+            deadline,
+            startTime,
+            durationMinutes,
+            priority,
+            isUrgent,
+            isImportant,
+            timezone,
+            recurrence,
+            exdates,
+            subjectId,
+            tags,
+            checklist
+        }, { syncToGoogle });
+    } catch (error) {
+        if (isInvalidTaskInput(error)) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
 
     res.status(201).json({
         success: true,
@@ -284,19 +447,221 @@ router.post('/tasks', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /calendar/tasks/batch
+ * Apply several task operations as one unit: either all are applied or none
+ * (a failed write undoes the ones before it)
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   {
+ *     operations: [ (1-100 items)
+ *       { op: 'create', task: { ...same fields as POST /calendar/tasks } },
+ *       { op: 'update_status', task_id: string, status: string },
+ *       { op: 'reschedule', task_id: string, deadline?, start_time?, duration_minutes? },
+ *       { op: 'delete', task_id: string }
+ *     ],
+ *     sync_to_google: boolean (optional, default: false, syncs created tasks)
+ *   }
+ *
+ * Response (200):
+ *   { results: [{ index, op, status: 'applied', task | trashedTaskId }], sync_job_id }
+ *
+ * Response (400 invalid operations, 500 rolled back):
+ *   { success: false, error: { message }, data: { results } } where each result
+ *   is 'invalid', 'not_applied', 'failed' or 'rolled_back', with `error`
+ *
+ * NOTE: Each task may appear in one operation only. Changes to linked Google
+ * events are pushed by one background job (sync_job_id) after the batch.
+ */
+router.post('/tasks/batch', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { operations, sync_to_google: syncToGoogle } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new AppError('operations must be a non-empty array', 400);
+    }
+
+    if (operations.length > taskManager.MAX_BATCH_OPERATIONS) {
+        throw new AppError(`A batch can contain at most ${taskManager.MAX_BATCH_OPERATIONS} operations`, 400);
+    }
+
+    if (operations.some(operation => !operation || typeof operation !== 'object')) {
+        throw new AppError('Each operation must be an object', 400);
+    }
+
+    operations.forEach((operation, index) => {
+        const checklist = operation.task && operation.task.checklist;
+        if (checklist !== undefined && (!Array.isArray(checklist) || checklist.some(item => typeof item !== 'string'))) {
+            throw new AppError(`operations[${index}].task.checklist must be an array of strings`, 400);
+        }
+    });
+
+    logger.info('Applying task batch', { userId, operations: operations.length });
+
+    const result = await taskManager.applyTaskBatch(userId, operations.map(operation => ({
+        op: operation.op,
+        taskId: operation.task_id,
+        status: operation.status,
+        deadline: operation.deadline,
+        startTime: operation.start_time,
+        durationMinutes: operation.duration_minutes,
+        task: operation.task && {
+            title: operation.task.title,
+            description: operation.task.description,
+            deadline: operation.task.deadline,
+            startTime: operation.task.start_time,
+            durationMinutes: operation.task.duration_minutes,
+            priority: operation.task.priority,
+            isUrgent: operation.task.is_urgent,
+            isImportant: operation.task.is_important,
+            timezone: operation.task.timezone,
+            recurrence: operation.task.recurrence,
+            exdates: operation.task.exdates,
+            subjectId: operation.task.subject_id,
+            tags: operation.task.tags,
+            checklist: operation.task.checklist
+        }
+    })), { syncToGoogle: syncToGoogle === true });
+
+    if (!result.applied) {
+        return res.status(result.rolledBack ? 500 : 400).json({
+            success: false,
+            error: {
+                message: result.error,
+                rollback_errors: result.rollbackErrors
+            },
+            data: {
+                results: result.results
+            }
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            results: result.results,
+            sync_job_id: result.syncJobId
+        }
+    });
+}));
+
+/**
+ * GET /calendar/tasks
+ * List tasks in any date range (next week, a month view, a backlog)
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Query:
+ *   from: string (required, ISO date or datetime; a date means the start of that day)
+ *   to: string (required, ISO date or datetime; a date means the end of that day)
+ *   timezone: string (required, IANA timezone for from/to and formatting)
+ *   status: string (optional, comma-separated, e.g. "pending,in_progress")
+ *   subject_id: string (optional, 'none' for tasks without a subject)
+ *   tag: string (optional)
+ *   sort: 'deadline' | '-deadline' | 'priority' | 'title' (optional, default: deadline)
+ *   cursor: string (optional, next_cursor from the previous page, same sort)
+ *   limit: number (optional, 1-100, default: 50)
+ *
+ * Response:
+ *   { tasks, count, total, stats, next_cursor: string | null, dateRange, timezone }
+ *
+ * NOTE: `total` and `stats` cover every task in the range that matches the
+ * filters, not just this page. Ranges are limited to 366 days, and to 5000
+ * matching stored tasks (400 above that: narrow the range or add filters).
+ */
+router.get('/tasks', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { from, to, timezone, status, subject_id: subjectId, tag, sort, cursor } = req.query;
+
+    if (!from || !to) {
+        throw new AppError('from and to query parameters are required', 400);
+    }
+
+    if (!timezone) {
+        throw new AppError('Timezone query parameter is required', 400);
+    }
+
+    if (!isValidTimezone(timezone)) {
+        throw new AppError(`Invalid timezone: ${timezone}`, 400);
+    }
+
+    const statuses = status ? status.split(',').map(value => value.trim()) : undefined;
+
+    if (statuses && statuses.some(value => !Object.values(TaskStatus).includes(value))) {
+        throw new AppError(`Invalid status. Must be one of: ${Object.values(TaskStatus).join(', ')}`, 400);
+    }
+
+    if (sort !== undefined && !Object.values(taskManager.TaskSort).includes(sort)) {
+        throw new AppError(`sort must be one of: ${Object.values(taskManager.TaskSort).join(', ')}`, 400);
+    }
+
+    let limit;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new AppError('limit must be a whole number between 1 and 100', 400);
+        }
+    }
+
+    logger.debug('Listing tasks', { userId, from, to, timezone, status, sort });
+
+    let result;
+    try {
+        result = await taskManager.listTasks(userId, {
+            from,
+            to,
+            timezone,
+            statuses,
+            subjectId,
+            tag,
+            sort,
+            cursor,
+            limit
+        });
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    res.json({
+        success: true,
+        data: {
+            tasks: result.tasks,
+            count: result.tasks.length,
+            total: result.total,
+            stats: result.stats,
+            next_cursor: result.nextCursor,
+            dateRange: result.dateRange,
+            timezone
+        }
+    });
+}));
+
 /**
  * GET /calendar/tasks/today
- * Get today's tasks for the authenticated user
+ * Get today's tasks for the authenticated user, highest priority first
+ * (`byPriority` has the same tasks grouped into high, medium and low)
  * 
  * Headers:
  *   X-User-Id: user's UUID
  * 
  * Query:
  *   timezone: string (required, IANA timezone)
+ *   subject_id: string (optional, 'none' for tasks without a subject)
+ *   tag: string (optional)
+ *
+ * NOTE: The filters also apply to `stats`. `stats.overdueTotal` counts every
+ * overdue task, not only this period's.
  */
 router.get('/tasks/today', authenticate, asyncHandler(async (req, res) => {
     const { userId } = req;
-    const { timezone } = req.query;
+    const { timezone, subject_id: subjectId, tag } = req.query;
 
     if (!timezone) {
         throw new AppError('Timezone query parameter is required', 400);
@@ -304,12 +669,13 @@ router.get('/tasks/today', authenticate, asyncHandler(async (req, res) => {
 
     logger.debug('Fetching today\'s tasks', { userId, timezone });
 
-    const result = await taskManager.getTodayTasks(userId, timezone);
+    const result = await taskManager.getTodayTasks(userId, timezone, { subjectId, tag });
 
     res.json({
         success: true,
         data: {
             tasks: result.tasks,
+            byPriority: result.byPriority,
             stats: result.stats,
             count: result.tasks.length,
             timezone
@@ -319,17 +685,23 @@ router.get('/tasks/today', authenticate, asyncHandler(async (req, res) => {
 
 /**
  * GET /calendar/tasks/week
- * Get this week's tasks for the authenticated user
+ * Get this week's tasks for the authenticated user, highest priority first
+ * (`byPriority` has the same tasks grouped into high, medium and low)
  * 
  * Headers:
  *   X-User-Id: user's UUID
  * 
  * Query:
  *   timezone: string (required, IANA timezone)
+ *   subject_id: string (optional, 'none' for tasks without a subject)
+ *   tag: string (optional)
+ *
+ * NOTE: The filters also apply to `stats`. `stats.overdueTotal` counts every
+ * overdue task, not only this period's.
  */
 router.get('/tasks/week', authenticate, asyncHandler(async (req, res) => {
     const { userId } = req;
-    const { timezone } = req.query;
+    const { timezone, subject_id: subjectId, tag } = req.query;
 
     if (!timezone) {
         throw new AppError('Timezone query parameter is required', 400);
@@ -337,12 +709,13 @@ router.get('/tasks/week', authenticate, asyncHandler(async (req, res) => {
 
     logger.debug('Fetching week\'s tasks', { userId, timezone });
 
-    const result = await taskManager.getWeekTasks(userId, timezone);
+    const result = await taskManager.getWeekTasks(userId, timezone, { subjectId, tag });
 
     res.json({
         success: true,
         data: {
             tasks: result.tasks,
+            byPriority: result.byPriority,
             stats: result.stats,
             dateRange: result.dateRange,
             count: result.tasks.length,
@@ -351,165 +724,1250 @@ router.get('/tasks/week', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
-// =============================================================================
-// Sync Endpoint
-// =============================================================================
-
 /**
- * POST /calendar/sync
- * Sync all unsynced tasks to Google Calendar and optionally Google Tasks
- * 
+ * GET /calendar/tasks/search
+ * Full-text search over task titles and descriptions, best matches first
+ *
  * Headers:
  *   X-User-Id: user's UUID
- * 
- * Body:
+ *
+ * Query:
+ *   q: string (required, web search syntax: "exact phrase", -exclude, or)
+ *   status: string (optional, 'pending' | 'in_progress' | 'completed' | 'cancelled')
+ *   from: string (optional, ISO datetime, earliest deadline)
+ *   to: string (optional, ISO datetime, latest deadline)
+ *   study_plan_id: string (optional)
+ *   cursor: string (optional, next_cursor from the previous page)
+ *   limit: number (optional, 1-100, default: 20)
+ *   timezone: string (optional, IANA timezone for from/to and formatting, default: UTC)
+ *
+ * Response:
  *   {
- *     syncToTasks: boolean (optional, default: false)
+ *     tasks: [{ ...task, search: { rank, titleHighlight, snippet } }],
+ *     count: number,
+ *     next_cursor: string | null
  *   }
- * 
- * NOTE: User must have connected their Google account first.
- * 
- * TODO: Move to async job for production (return job ID for polling)
+ *
+ * NOTE: Matches are wrapped in <mark></mark> in titleHighlight and snippet.
  */
-router.post('/sync',
-    authenticate,
-    asyncHandler(requireGoogleIntegration),
-    asyncHandler(async (req, res) => {
-        const { userId } = req;
-        const { syncToTasks = false } = req.body;
+router.get('/tasks/search', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { q, status, from, to, study_plan_id: studyPlanId, cursor, timezone } = req.query;
+
+    if (!q || q.trim().length === 0) {
+        throw new AppError('Search query (q) is required', 400);
+    }
 
-        logger.info('Starting task sync', { userId, syncToTasks });
+    if (q.length > 200) {
+        throw new AppError('Search query (q) cannot be longer than 200 characters', 400);
+    }
 
-        // Perform sync
-        // WARNING: This is synchronous - should be async job in production
-        const result = await taskManager.syncAllTasks(userId, { syncToTasks });
+    if (status !== undefined && !Object.values(TaskStatus).includes(status)) {
+        throw new AppError(`Invalid status. Must be one of: ${Object.values(TaskStatus).join(', ')}`, 400);
+    }
 
-        res.json({
-            success: true,
-            data: {
-                synced: result.synced,
-                failed: result.failed,
-                tasks: result.tasks,
-                message: result.failed > 0
-                    ? `Synced ${result.synced} tasks, ${result.failed} failed`
-                    : `Successfully synced ${result.synced} tasks`
-            }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        throw new AppError(`Invalid timezone: ${timezone}`, 400);
+    }
+
+    let limit;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new AppError('limit must be a whole number between 1 and 100', 400);
+        }
+    }
+
+    logger.debug('Searching tasks', { userId, q, status, studyPlanId });
+
+    let result;
+    try {
+        result = await taskManager.searchTasks(userId, q.trim(), {
+            status,
+            from,
+            to,
+            studyPlanId,
+            cursor,
+            limit,
+            timezone
         });
-    })
-);
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
 
-// =============================================================================
-// Summary Endpoints
-// =============================================================================
+    res.json({
+        success: true,
+        data: {
+            tasks: result.tasks,
+            count: result.tasks.length,
+            next_cursor: result.nextCursor
+        }
+    });
+}));
 
 /**
- * POST /calendar/summary/daily
- * Generate a daily summary using Groq LLM
- * 
+ * GET /calendar/tasks/trash
+ * List deleted tasks, newest first. They can be restored until `purgeAt`.
+ *
  * Headers:
  *   X-User-Id: user's UUID
- * 
- * Body:
- *   {
- *     timezone: string (required, IANA timezone)
- *   }
+ *
+ * Query:
+ *   timezone: IANA timezone (optional, default: UTC)
+ *
+ * NOTE: Occurrences deleted together with their series are not listed;
+ * restoring the series restores them.
  */
-router.post('/summary/daily', authenticate, asyncHandler(async (req, res) => {
+router.get('/tasks/trash', authenticate, asyncHandler(async (req, res) => {
     const { userId } = req;
-    const { timezone } = req.body;
+    const timezone = req.query.timezone || 'UTC';
 
-    if (!timezone) {
-        throw new AppError('Timezone is required in request body', 400);
-    }
+    logger.debug('Fetching trash', { userId });
 
-    logger.info('Generating daily summary', { userId, timezone });
+    const tasks = await taskManager.getTrash(userId, timezone);
 
-    const summary = await summaryGenerator.generateDailySummary(userId, timezone);
+    res.json({
+        success: true,
+        data: {
+            tasks,
+            count: tasks.length
+        }
+    });
+}));
+
+/**
+ * GET /calendar/tasks/overdue
+ * List overdue tasks (pending or in progress after their deadline) across
+ * all time, oldest deadline first
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Query:
+ *   timezone: IANA timezone (optional, default: UTC)
+ *   subject_id: string (optional, 'none' for tasks without a subject)
+ *   tag: string (optional)
+ */
+router.get('/tasks/overdue', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { timezone = 'UTC', subject_id: subjectId, tag } = req.query;
+
+    logger.debug('Fetching overdue tasks', { userId });
+
+    const result = await taskManager.getOverdueTasks(userId, timezone, { subjectId, tag });
 
     res.json({
         success: true,
-        data: summary
+        data: {
+            tasks: result.tasks,
+            count: result.count
+        }
     });
 }));
 
 /**
- * POST /calendar/summary/weekly
- * Generate a weekly summary using Groq LLM
- * 
+ * POST /calendar/tasks/overdue/reschedule
+ * Move overdue tasks to the next free slots, highest priority first.
+ * Each task keeps its duration and, where possible, its time of day.
+ *
  * Headers:
  *   X-User-Id: user's UUID
- * 
- * Body:
+ *
+ * Body (optional):
  *   {
- *     timezone: string (required, IANA timezone)
+ *     task_ids?: string[] (default: every overdue task),
+ *     allowed_hours?: { start: 'HH:mm', end: 'HH:mm' } (default: SCHEDULING_ALLOWED_HOURS_*)
  *   }
+ *
+ * Response:
+ *   { overdue, rescheduled: [{ taskId, title, previousStartTime, startTime, deadline }],
+ *     errors: [{ taskId, error }], google_calendar_checked }
  */
-router.post('/summary/weekly', authenticate, asyncHandler(async (req, res) => {
+router.post('/tasks/overdue/reschedule', authenticate, asyncHandler(async (req, res) => {
     const { userId } = req;
-    const { timezone } = req.body;
+    const { task_ids: taskIds, allowed_hours: allowedHours } = req.body || {};
 
-    if (!timezone) {
-        throw new AppError('Timezone is required in request body', 400);
+    if (taskIds !== undefined && (!Array.isArray(taskIds) || taskIds.some(id => typeof id !== 'string'))) {
+        throw new AppError('task_ids must be an array of task IDs', 400);
     }
 
-    logger.info('Generating weekly summary', { userId, timezone });
+    logger.info('Overdue reschedule request', { userId, taskCount: taskIds?.length });
 
-    const summary = await summaryGenerator.generateWeeklySummary(userId, timezone);
+    let result;
+    try {
+        result = await taskManager.rescheduleOverdueTasks(userId, { taskIds, allowedHours });
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
 
     res.json({
         success: true,
-        data: summary
+        data: {
+            overdue: result.overdue,
+            rescheduled: result.rescheduled,
+            errors: result.errors,
+            google_calendar_checked: result.googleCalendarChecked
+        }
     });
 }));
 
 // =============================================================================
-// Status Endpoints
+// Subject Endpoints
 // =============================================================================
 
 /**
- * PATCH /calendar/tasks/:taskId/status
- * Update a task's status
- * 
- * Headers:
- *   X-User-Id: user's UUID
- * 
- * Body:
- *   {
- *     status: 'pending' | 'in_progress' | 'completed' | 'cancelled'
- *   }
+ * Reject subject body values that are not valid (undefined is allowed;
+ * null is allowed for the colours)
+ * @param {Object} body - Request body
  */
-router.patch('/tasks/:taskId/status', authenticate, asyncHandler(async (req, res) => {
-    const { userId } = req;
-    const { taskId } = req.params;
-    const { status } = req.body;
+function validateSubject({ name, color, google_color_id: googleColorId }) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100)) {
+        throw new AppError('name must be a non-empty string of at most 100 characters', 400);
+    }
 
-    if (!status) {
-        throw new AppError('Status is required', 400);
+    if (color !== undefined && color !== null && !/^#[0-9A-Fa-f]{6}$/.test(color)) {
+        throw new AppError('color must be a hex colour like #4f46e5', 400);
     }
 
-    const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-        throw new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400);
+    if (googleColorId !== undefined && googleColorId !== null &&
+        !(typeof googleColorId === 'string' && /^([1-9]|1[01])$/.test(googleColorId))) {
+        throw new AppError('google_color_id must be a Google Calendar event colorId (\'1\' to \'11\')', 400);
     }
+}
 
-    logger.info('Updating task status', { userId, taskId, status });
+/**
+ * GET /calendar/subjects
+ * List the user's subjects, sorted by name
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.get('/subjects', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
 
-    const task = await taskManager.updateTaskStatus(userId, taskId, status);
+    const subjects = await subjectsDb.getSubjects(userId);
 
     res.json({
         success: true,
-        data: task
+        data: {
+            subjects,
+            count: subjects.length
+        }
     });
 }));
 
-// =============================================================================
-// Chat Endpoint (Natural Language Task Creation)
-// =============================================================================
-
 /**
- * POST /calendar/chat
- * Process natural language message and create task if intent is detected
- * 
+ * POST /calendar/subjects
+ * Create a subject
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   {
+ *     name: string (required, unique per user ignoring case),
+ *     color: string (optional, #RRGGBB),
+ *     google_color_id: string (optional, '1'-'11', used for the subject's
+ *       Google Calendar events instead of the priority colour)
+ *   }
+ */
+router.post('/subjects', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { name, color, google_color_id: googleColorId } = req.body;
+
+    if (name === undefined) {
+        throw new AppError('Subject name is required', 400);
+    }
+
+    validateSubject(req.body);
+
+    let subject;
+    try {
+        subject = await subjectsDb.createSubject({ userId, name: name.trim(), color, googleColorId });
+    } catch (error) {
+        if (error.message.startsWith('Subject already exists')) {
+            throw new AppError(error.message, 409);
+        }
+        throw error;
+    }
+
+    res.status(201).json({
+        success: true,
+        data: subject
+    });
+}));
+
+/**
+ * PATCH /calendar/subjects/:subjectId
+ * Edit a subject
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body (all fields optional, at least one required):
+ *   { name: string, color: string | null, google_color_id: string | null }
+ *
+ * NOTE: A new Google colour applies to events synced or edited afterwards.
+ */
+router.patch('/subjects/:subjectId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { subjectId } = req.params;
+    const { name, color, google_color_id: googleColorId } = req.body;
+
+    const updates = {};
+    if (name !== undefined) updates.name = typeof name === 'string' ? name.trim() : name;
+    if (color !== undefined) updates.color = color;
+    if (googleColorId !== undefined) updates.googleColorId = googleColorId;
+
+    if (Object.keys(updates).length === 0) {
+        throw new AppError('At least one of name, color or google_color_id is required', 400);
+    }
+
+    validateSubject(req.body);
+
+    let subject;
+    try {
+        subject = await subjectsDb.updateSubject(subjectId, userId, updates);
+    } catch (error) {
+        if (error.message.startsWith('Subject already exists')) {
+            throw new AppError(error.message, 409);
+        }
+        throw error;
+    }
+
+    if (!subject) {
+        throw new AppError('Subject not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: subject
+    });
+}));
+
+/**
+ * DELETE /calendar/subjects/:subjectId
+ * Delete a subject; its tasks keep existing without a subject
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.delete('/subjects/:subjectId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { subjectId } = req.params;
+
+    const deleted = await subjectsDb.deleteSubject(subjectId, userId);
+
+    if (!deleted) {
+        throw new AppError('Subject not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { subjectId }
+    });
+}));
+
+// =============================================================================
+// Sync Endpoint
+// =============================================================================
+
+/**
+ * POST /calendar/sync
+ * Queue a background sync of all unsynced tasks to Google Calendar and
+ * optionally Google Tasks. Returns immediately with a job ID.
+ * 
+ * Headers:
+ *   X-User-Id: user's UUID
+ * 
+ * Body:
+ *   {
+ *     syncToTasks: boolean (optional, default: false)
+ *   }
+ * 
+ * Response (202):
+ *   { jobId: string, status: 'queued' | 'running', statusUrl: string }
+ * 
+ * NOTE: User must have connected their Google account first.
+ * Poll GET /calendar/jobs/:jobId for progress.
+ */
+router.post('/sync',
+    authenticate,
+    asyncHandler(requireGoogleIntegration),
+    asyncHandler(async (req, res) => {
+        const { userId } = req;
+        const { syncToTasks = false } = req.body;
+
+        logger.info('Queueing task sync', { userId, syncToTasks });
+
+        // One active full sync per user: repeated clicks return the same job
+        const job = await jobQueue.enqueue(jobQueue.JobTypes.SYNC_ALL_TASKS, {
+            syncToTasks: !!syncToTasks
+        }, {
+            userId,
+            dedupeKey: `${jobQueue.JobTypes.SYNC_ALL_TASKS}:${userId}`
+        });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/calendar/jobs/${job.id}`,
+                message: 'Sync started. Poll the status URL for progress.'
+            }
+        });
+    })
+);
+
+/**
+ * POST /calendar/sync/inbound
+ * Queue a reconciliation of edits made in Google Calendar (moved, renamed or
+ * deleted events) back into Supabase.
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   {
+ *     conflictPolicy: 'supabase_wins' | 'google_wins' | 'flag' (optional, default from config)
+ *   }
+ *
+ * Response (202):
+ *   { jobId: string, status: 'queued' | 'running', statusUrl: string }
+ */
+router.post('/sync/inbound',
+    authenticate,
+    asyncHandler(requireGoogleIntegration),
+    asyncHandler(async (req, res) => {
+        const { userId } = req;
+        const { conflictPolicy } = req.body;
+
+        if (conflictPolicy !== undefined && !calendarReconciler.isValidConflictPolicy(conflictPolicy)) {
+            throw new AppError(
+                `Invalid conflictPolicy. Must be one of: ${Object.values(calendarReconciler.ConflictPolicy).join(', ')}`,
+                400
+            );
+        }
+
+        logger.info('Queueing inbound sync', { userId, conflictPolicy });
+
+        const job = await jobQueue.enqueue(jobQueue.JobTypes.SYNC_INBOUND, {
+            conflictPolicy: conflictPolicy || null
+        }, {
+            userId,
+            dedupeKey: `${jobQueue.JobTypes.SYNC_INBOUND}:${userId}`
+        });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/calendar/jobs/${job.id}`,
+                message: 'Inbound sync started. Poll the status URL for progress.'
+            }
+        });
+    })
+);
+
+/**
+ * POST /calendar/sync/watch
+ * Register a Google Calendar push notification channel so edits made in
+ * Google are synced within seconds. Replaces any existing channel.
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Response:
+ *   { channelId: string, expiresAt: string }
+ *
+ * NOTE: Requires GOOGLE_WEBHOOK_URL. Channels are renewed automatically.
+ */
+router.post('/sync/watch',
+    authenticate,
+    asyncHandler(requireGoogleIntegration),
+    asyncHandler(async (req, res) => {
+        const { userId } = req;
+
+        logger.info('Starting calendar watch', { userId });
+
+        let channel;
+        try {
+            channel = await calendarWatch.startWatch(userId);
+        } catch (error) {
+            if (error.message.includes('not configured')) {
+                throw new AppError(error.message, 503);
+            }
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            data: channel
+        });
+    })
+);
+
+/**
+ * DELETE /calendar/sync/watch
+ * Stop Google Calendar push notifications for the user
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.delete('/sync/watch',
+    authenticate,
+    asyncHandler(requireGoogleIntegration),
+    asyncHandler(async (req, res) => {
+        const { userId } = req;
+
+        logger.info('Stopping calendar watch', { userId });
+
+        const stopped = await calendarWatch.stopWatch(userId);
+
+        res.json({
+            success: true,
+            data: { stopped }
+        });
+    })
+);
+
+/**
+ * GET /calendar/jobs/:jobId
+ * Get status and progress of a background job
+ * 
+ * Headers:
+ *   X-User-Id: user's UUID
+ * 
+ * Response:
+ *   {
+ *     id, type,
+ *     status: 'queued' | 'running' | 'done' | 'failed',
+ *     progress: { total, processed, synced, failed },
+ *     result, error, attempts, createdAt, startedAt, finishedAt
+ *   }
+ */
+router.get('/jobs/:jobId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { jobId } = req.params;
+
+    const job = await jobQueue.getJob(jobId);
+
+    // Do not reveal other users' jobs
+    if (!job || job.user_id !== userId) {
+        throw new AppError('Job not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: jobQueue.formatJobForResponse(job)
+    });
+}));
+
+// =============================================================================
+// Webhook Endpoints
+// =============================================================================
+
+/**
+ * POST /calendar/webhooks/google
+ * Receive Google Calendar push notifications (events.watch channels)
+ *
+ * Not user-authenticated: Google identifies the channel with X-Goog-* headers
+ * and echoes the secret channel token we registered. The body is empty.
+ *
+ * The actual sync runs in a background job so Google gets a fast 200.
+ */
+router.post('/webhooks/google', asyncHandler(async (req, res) => {
+    const result = await calendarWatch.handleNotification({
+        channelId: req.get('X-Goog-Channel-ID'),
+        token: req.get('X-Goog-Channel-Token'),
+        resourceId: req.get('X-Goog-Resource-ID'),
+        resourceState: req.get('X-Goog-Resource-State'),
+        messageNumber: req.get('X-Goog-Message-Number')
+    });
+
+    if (!result.accepted) {
+        logger.warn('Rejected Google push notification', {
+            channelId: req.get('X-Goog-Channel-ID'),
+            reason: result.reason
+        });
+        throw new AppError('Invalid channel notification', 401);
+    }
+
+    res.status(200).json({ success: true });
+}));
+
+// =============================================================================
+// Summary Endpoints
+// =============================================================================
+
+/**
+ * POST /calendar/summary/daily
+ * Generate a daily summary using Groq LLM
+ * 
+ * Headers:
+ *   X-User-Id: user's UUID
+ * 
+ * Body:
+ *   {
+ *     timezone: string (required, IANA timezone)
+ *   }
+ */
+router.post('/summary/daily', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { timezone } = req.body;
+
+    if (!timezone) {
+        throw new AppError('Timezone is required in request body', 400);
+    }
+
+    logger.info('Generating daily summary', { userId, timezone });
+
+    const summary = await summaryGenerator.generateDailySummary(userId, timezone);
+
+    res.json({
+        success: true,
+        data: summary
+    });
+}));
+
+/**
+ * POST /calendar/summary/weekly
+ * Generate a weekly summary using Groq LLM
+ * 
+ * Headers:
+ *   X-User-Id: user's UUID
+ * 
+ * Body:
+ *   {
+ *     timezone: string (required, IANA timezone)
+ *   }
+ */
+router.post('/summary/weekly', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { timezone } = req.body;
+
+    if (!timezone) {
+        throw new AppError('Timezone is required in request body', 400);
+    }
+
+    logger.info('Generating weekly summary', { userId, timezone });
+
+    const summary = await summaryGenerator.generateWeeklySummary(userId, timezone);
+
+    res.json({
+        success: true,
+        data: summary
+    });
+}));
+
+// =============================================================================
+// Status Endpoints
+// =============================================================================
+
+/**
+ * PATCH /calendar/tasks/:taskId/status
+ * Update a task's status
+ * 
+ * Headers:
+ *   X-User-Id: user's UUID
+ * 
+ * Body:
+ *   {
+ *     status: 'pending' | 'in_progress' | 'completed' | 'cancelled'
+ *   }
+ *
+ * NOTE: When completing or cancelling, the response's `unblocked` lists the
+ * dependent tasks that no longer have unfinished prerequisites.
+ */
+router.patch('/tasks/:taskId/status', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+    const { status } = req.body;
+
+    if (!status) {
+        throw new AppError('Status is required', 400);
+    }
+
+    const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
+    if (!validStatuses.includes(status)) {
+        throw new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400);
+    }
+
+    logger.info('Updating task status', { userId, taskId, status });
+
+    const task = await taskManager.updateTaskStatus(userId, taskId, status);
+
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: task
+    });
+}));
+
+// =============================================================================
+// Single Task Endpoints
+// =============================================================================
+
+/**
+ * GET /calendar/tasks/:taskId
+ * Get a single task
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.get('/tasks/:taskId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+
+    const task = await taskManager.getTask(userId, taskId);
+
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: task
+    });
+}));
+
+/**
+ * GET /calendar/tasks/:taskId/history
+ * Get a task's change history: field-level before/after values and who made
+ * each change (user, chat, study_plan, google_sync or system)
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Query:
+ *   limit: number (optional, 1-100, default: 50)
+ *
+ * Response:
+ *   {
+ *     taskId, recurringTaskId,
+ *     revisions: [{ id, actor, action, changes: { column: { from, to } }, createdAt }]
+ *   }
+ *
+ * NOTE: Works for tasks in the trash too.
+ */
+router.get('/tasks/:taskId/history', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+
+    let limit;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new AppError('limit must be a whole number between 1 and 100', 400);
+        }
+    }
+
+    const history = await taskManager.getTaskHistory(userId, taskId, { limit });
+
+    if (!history) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: history
+    });
+}));
+
+/**
+ * PUT/PATCH /calendar/tasks/:taskId
+ * Edit a task. Changes are propagated to the linked Google Calendar event
+ * and Google Task, if any.
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body (all fields optional, at least one required):
+ *   {
+ *     title: string,
+ *     description: string | null,
+ *     deadline: string (ISO datetime, interpreted in the task's timezone),
+ *     start_time: string (ISO datetime, interpreted in the task's timezone),
+ *     duration_minutes: number | null (null resets to the default length),
+ *     priority: 'high' | 'medium' | 'low',
+ *     is_urgent: boolean | null,
+ *     is_important: boolean | null,
+ *     timezone: string (IANA timezone),
+ *     subject_id: string | null,
+ *     tags: string[] (replaces the current tags)
+ *   }
+ *
+ * NOTE: Moving only the deadline keeps the duration; changing only the
+ * duration keeps the start time.
+ */
+const updateTaskHandler = asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+    const { title, description, deadline, start_time: startTime, duration_minutes: durationMinutes, priority, is_urgent: isUrgent, is_important: isImportant, timezone, subject_id: subjectId, tags } = req.body;
+
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (description !== undefined) updates.description = description;
+    if (deadline !== undefined) updates.deadline = deadline;
+    if (startTime !== undefined) updates.startTime = startTime;
+    if (durationMinutes !== undefined) updates.durationMinutes = durationMinutes;
+    if (priority !== undefined) updates.priority = priority;
+    if (isUrgent !== undefined) updates.isUrgent = isUrgent;
+    if (isImportant !== undefined) updates.isImportant = isImportant;
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (subjectId !== undefined) updates.subjectId = subjectId;
+    if (tags !== undefined) updates.tags = tags;
+
+    if (Object.keys(updates).length === 0) {
+        throw new AppError('At least one of title, description, deadline, start_time, duration_minutes, priority, is_urgent, is_important, timezone, subject_id or tags is required', 400);
+    }
+
+    if (updates.title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+        throw new AppError('Task title must be a non-empty string', 400);
+    }
+
+    if (updates.deadline !== undefined && (typeof deadline !== 'string' || !deadline)) {
+        throw new AppError('Task deadline must be a non-empty ISO datetime string', 400);
+    }
+
+    if (updates.startTime !== undefined && (typeof startTime !== 'string' || !startTime)) {
+        throw new AppError('Task start_time must be a non-empty ISO datetime string', 400);
+    }
+
+    validateDuration(durationMinutes);
+    validatePriority(req.body);
+    validateSubjectAndTags(req.body);
+
+    if (updates.timezone !== undefined && !isValidTimezone(timezone)) {
+        throw new AppError(`Invalid timezone: ${timezone}`, 400);
+    }
+
+    logger.info('Updating task', { userId, taskId, fields: Object.keys(updates) });
+
+    let task;
+    try {
+        task = await taskManager.updateTask(userId, taskId, updates);
+    } catch (error) {
+        if (isInvalidTaskInput(error)) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: task
+    });
+});
+
+router.put('/tasks/:taskId', authenticate, updateTaskHandler);
+router.patch('/tasks/:taskId', authenticate, updateTaskHandler);
+
+/**
+ * DELETE /calendar/tasks/:taskId
+ * Move a task to the trash and delete its Google Calendar event and Google Task
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * NOTE: Use `trashedTaskId` from the response to restore the task; deleting
+ * an occurrence of a recurring task stores it first, so it gets its own ID.
+ */
+router.delete('/tasks/:taskId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+
+    logger.info('Deleting task', { userId, taskId });
+
+    const result = await taskManager.deleteTask(userId, taskId);
+
+    if (!result) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+/**
+ * POST /calendar/tasks/:taskId/restore
+ * Restore a task from the trash. A Google Calendar event removed by the
+ * deletion is created again.
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * NOTE: An occurrence cannot be restored while its recurring series is in
+ * the trash (409); restore the series first.
+ */
+router.post('/tasks/:taskId/restore', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+
+    logger.info('Restoring task', { userId, taskId });
+
+    let task;
+    try {
+        task = await taskManager.restoreTask(userId, taskId);
+    } catch (error) {
+        if (error.message.startsWith('Cannot restore')) {
+            throw new AppError(error.message, 409);
+        }
+        throw error;
+    }
+
+    if (!task) {
+        throw new AppError('Task not found in trash', 404);
+    }
+
+    res.json({
+        success: true,
+        data: task
+    });
+}));
+
+/**
+ * POST /calendar/tasks/:taskId/dependencies
+ * Make a task depend on another task (it is blocked until that one is done)
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   {
+ *     depends_on: string (required, prerequisite task ID or occurrence ID)
+ *   }
+ *
+ * Response (201): the dependent task with `dependsOn` and `blockedBy`
+ *
+ * NOTE: Links that would create a cycle are rejected with 409.
+ */
+router.post('/tasks/:taskId/dependencies', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+    const { depends_on: dependsOnTaskId } = req.body;
+
+    if (!dependsOnTaskId || typeof dependsOnTaskId !== 'string') {
+        throw new AppError('depends_on (task ID) is required', 400);
+    }
+
+    logger.info('Adding task dependency', { userId, taskId, dependsOnTaskId });
+
+    let task;
+    try {
+        task = await taskManager.addTaskDependency(userId, taskId, dependsOnTaskId);
+    } catch (error) {
+        if (error.message.startsWith('Invalid dependency')) {
+            throw new AppError(error.message, 400);
+        }
+        if (error.message.startsWith('Dependency cycle')) {
+            throw new AppError(error.message, 409);
+        }
+        throw error;
+    }
+
+    if (!task) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.status(201).json({
+        success: true,
+        data: task
+    });
+}));
+
+/**
+ * DELETE /calendar/tasks/:taskId/dependencies/:dependsOnTaskId
+ * Remove a dependency between two tasks
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.delete('/tasks/:taskId/dependencies/:dependsOnTaskId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId, dependsOnTaskId } = req.params;
+
+    logger.info('Removing task dependency', { userId, taskId, dependsOnTaskId });
+
+    const result = await taskManager.removeTaskDependency(userId, taskId, dependsOnTaskId);
+
+    if (!result) {
+        throw new AppError('Task not found', 404);
+    }
+
+    if (!result.removed) {
+        throw new AppError('Dependency not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+// =============================================================================
+// Checklist Endpoints
+// =============================================================================
+
+/**
+ * GET /calendar/tasks/:taskId/checklist
+ * Get a task's checklist items in order, with progress (e.g. "3/5")
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Response:
+ *   { taskId, items: [{ id, title, position, isCompleted, completedAt }], progress: { completed, total, label } }
+ */
+router.get('/tasks/:taskId/checklist', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+
+    const checklist = await taskManager.getChecklist(userId, taskId);
+
+    if (!checklist) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: checklist
+    });
+}));
+
+/**
+ * POST /calendar/tasks/:taskId/checklist
+ * Add items to the end of a task's checklist
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   { title: string } or { items: string[] } (up to 50 items per task)
+ *
+ * NOTE: Adding to an occurrence of a recurring task stores the occurrence
+ * first (the response `taskId` is its new ID).
+ */
+router.post('/tasks/:taskId/checklist', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+    const { title, items } = req.body;
+
+    const titles = items !== undefined ? items : (title !== undefined ? [title] : undefined);
+
+    if (!Array.isArray(titles) || titles.length === 0 || titles.some(item => typeof item !== 'string' || item.trim().length === 0)) {
+        throw new AppError('title or a non-empty items array of strings is required', 400);
+    }
+
+    logger.info('Adding checklist items', { userId, taskId, count: titles.length });
+
+    let checklist;
+    try {
+        checklist = await taskManager.addChecklistItems(userId, taskId, titles);
+    } catch (error) {
+        if (error.message.startsWith('Invalid checklist')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    if (!checklist) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.status(201).json({
+        success: true,
+        data: checklist
+    });
+}));
+
+/**
+ * PUT /calendar/tasks/:taskId/checklist/order
+ * Reorder a task's checklist
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   { item_ids: string[] (every item ID of the checklist, in the new order) }
+ */
+router.put('/tasks/:taskId/checklist/order', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId } = req.params;
+    const { item_ids: itemIds } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.some(id => typeof id !== 'string')) {
+        throw new AppError('item_ids must be an array of item IDs', 400);
+    }
+
+    let checklist;
+    try {
+        checklist = await taskManager.reorderChecklist(userId, taskId, itemIds);
+    } catch (error) {
+        if (error.message.startsWith('Invalid order')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    if (!checklist) {
+        throw new AppError('Task not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: checklist
+    });
+}));
+
+/**
+ * PATCH /calendar/tasks/:taskId/checklist/:itemId
+ * Rename, check or uncheck a checklist item
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body (at least one field required):
+ *   { title: string, is_completed: boolean }
+ *
+ * NOTE: Checking the last unchecked item completes the task (returned as
+ * `task`) unless CHECKLIST_AUTO_COMPLETE_TASK is false.
+ */
+router.patch('/tasks/:taskId/checklist/:itemId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId, itemId } = req.params;
+    const { title, is_completed: isCompleted } = req.body;
+
+    if (title === undefined && isCompleted === undefined) {
+        throw new AppError('At least one of title or is_completed is required', 400);
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+        throw new AppError('title must be a non-empty string', 400);
+    }
+
+    if (isCompleted !== undefined && typeof isCompleted !== 'boolean') {
+        throw new AppError('is_completed must be a boolean', 400);
+    }
+
+    let result;
+    try {
+        result = await taskManager.updateChecklistItem(userId, taskId, itemId, { title, isCompleted });
+    } catch (error) {
+        if (error.message.startsWith('Invalid checklist')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    if (!result) {
+        throw new AppError('Checklist item not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: result
+    });
+}));
+
+/**
+ * DELETE /calendar/tasks/:taskId/checklist/:itemId
+ * Delete a checklist item
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.delete('/tasks/:taskId/checklist/:itemId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { taskId, itemId } = req.params;
+
+    const checklist = await taskManager.deleteChecklistItem(userId, taskId, itemId);
+
+    if (!checklist) {
+        throw new AppError('Checklist item not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: checklist
+    });
+}));
+
+/**
+ * POST /calendar/tasks/:taskId/conflict/resolve
+ * Resolve a sync conflict flagged by inbound sync (conflictPolicy 'flag')
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Body:
+ *   {
+ *     keep: 'supabase' | 'google' (required)
+ *   }
+ */
+router.post('/tasks/:taskId/conflict/resolve',
+    authenticate,
+    asyncHandler(requireGoogleIntegration),
+    asyncHandler(async (req, res) => {
+        const { userId } = req;
+        const { taskId } = req.params;
+        const { keep } = req.body;
+
+        if (!['supabase', 'google'].includes(keep)) {
+            throw new AppError("keep must be 'supabase' or 'google'", 400);
+        }
+
+        logger.info('Resolving sync conflict', { userId, taskId, keep });
+
+        let task;
+        try {
+            task = await calendarReconciler.resolveConflict(userId, taskId, keep);
+        } catch (error) {
+            if (error.message === 'Task has no sync conflict') {
+                throw new AppError(error.message, 409);
+            }
+            throw error;
+        }
+
+        if (!task) {
+            throw new AppError('Task not found', 404);
+        }
+
+        res.json({
+            success: true,
+            data: task
+        });
+    })
+);
+
+// =============================================================================
+// Chat Endpoint (Natural Language Task Creation)
+// =============================================================================
+
+/**
+ * POST /calendar/chat
+ * Process natural language message: create a task, change one ("move my
+ * React session to 8pm", "mark today's DSA task done"), answer a question
+ * about the schedule from the user's actual tasks, or draft a study plan.
+ * The agent acts through tool calls, so one message can do several of these.
+ * 
  * Headers:
  *   X-User-Id: user's UUID
  * 
@@ -517,18 +1975,30 @@ router.patch('/tasks/:taskId/status', authenticate, asyncHandler(async (req, res
  *   {
  *     message: string (required) - User's natural language message
  *     timezone: string (required) - User's timezone
+ *     conversation_id: string (optional) - Conversation to continue; a new one is started without it
  *   }
  * 
  * Response:
  *   {
- *     type: 'task_created' | 'clarification' | 'general'
+ *     conversation_id: string - Pass it back with the next message (null if a new
+ *       conversation could not be stored)
+ *     type: 'task_created' | 'task_updated' | 'task_query' | 'plan_generated' | 'clarification' | 'general'
+ *       (from the last tool call that succeeded, or asked back)
  *     message: string - AI response
- *     task?: object - Created task if type is 'task_created'
+ *     actions: array - Every tool call of the turn: { tool, ok, type, task_ids, error }
+ *     task?: object - Created or changed task if type is 'task_created' (one task) or 'task_updated'
+ *     action?: 'update' | 'reschedule' | 'complete' | 'cancel' - if type is 'task_updated'
+ *     candidates?: array - Tasks that could be meant when a change is ambiguous ('clarification')
+ *     tasks?: array - Tasks the answer is based on if type is 'task_query', created tasks if 'task_created'
+ *     results?: array - Per task asked for in a create_task call (also when none was created):
+ *       { index, title, status: 'created' | 'invalid' | 'failed', task_id?, errors? }
+ *     query?: object - { start_date, end_date, statuses, tag, total } if type is 'task_query'
+ *     plan_id?: string, plan?: object - Draft study plan if type is 'plan_generated'
  *   }
  */
 router.post('/chat', authenticate, asyncHandler(async (req, res) => {
     const { userId } = req;
-    const { message, timezone, history = [] } = req.body;
+    const { message, timezone, conversation_id: conversationId } = req.body;
 
     // Validation
     if (!message || message.trim().length === 0) {
@@ -539,8 +2009,26 @@ router.post('/chat', authenticate, asyncHandler(async (req, res) => {
         throw new AppError('Timezone is required', 400);
     }
 
+    if (conversationId !== undefined && conversationId !== null && typeof conversationId !== 'string') {
+        throw new AppError('conversation_id must be a string', 400);
+    }
+
+    const receivedAt = new Date();
+
+    let conversation;
+    let history;
+    try {
+        ({ conversation, history } = await conversationManager.openConversation(userId, conversationId || null));
+    } catch (error) {
+        if (error.message === 'Conversation not found') {
+            throw new AppError(error.message, 404);
+        }
+        throw error;
+    }
+
     logger.info('Processing chat message', {
         userId,
+        conversationId: conversation ? conversation.id : null,
         messageLength: message.length,
         timezone,
         historyLength: history.length
@@ -549,84 +2037,111 @@ router.post('/chat', authenticate, asyncHandler(async (req, res) => {
     // Get current date in user's timezone
     const currentDate = getCurrentDateInTimezone(timezone);
 
-    // Process message with LLM (passing history for context)
-    const response = await chatService.processMessage(message, timezone, currentDate, history);
+    // Let the agent act through its tools (passing the stored history for context)
+    const response = await chatService.processMessage(userId, message, timezone, currentDate, history);
 
-    // Handle task creation intent
-    if (response.type === 'task_intent') {
-        // Validate extracted task data
-        const validation = chatService.validateTaskData(response.task);
-
-        if (!validation.valid) {
-            logger.warn('Invalid task data extracted', {
-                errors: validation.errors,
-                task: response.task
-            });
+    // The reply is stored with the message it answers (a new conversation is
+    // created only now); a failed write is logged and the reply still goes
+    // out, since a task may already have been changed
+    try {
+        conversation = await conversationManager.recordTurn(userId, conversation, { message, receivedAt, reply: response });
+    } catch (error) {
+        logger.error('Failed to record chat turn', {
+            error: error.message,
+            conversationId: conversation ? conversation.id : null
+        });
+    }
 
-            return res.json({
-                success: true,
-                data: {
-                    type: 'clarification',
-                    message: `I found some issues with the task information:\n${validation.errors.join('\n')}\n\nPlease provide the missing details.`
-                }
-            });
+    res.json({
+        success: true,
+        data: {
+            ...response,
+            conversation_id: conversation ? conversation.id : null
         }
+    });
+}));
 
-        // Create the task
-        try {
-            const createdTask = await taskManager.createTask(userId, {
-                title: response.task.title,
-                description: response.task.description,
-                deadline: `${response.task.date}T${response.task.time}:00`,
-                timezone
-            }, { syncToGoogle: false });
-
-            // Log successful chat-based task creation
-            await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_CREATED, {
-                taskId: createdTask.id,
-                title: createdTask.title,
-                createdVia: 'chat',
-                originalMessage: message
-            });
-
-            logger.info('Task created via chat', {
-                userId,
-                taskId: createdTask.id,
-                title: createdTask.title
-            });
-
-            // Return success with task details
-            return res.json({
-                success: true,
-                data: {
-                    type: 'task_created',
-                    message: `✅ **Task added to your calendar!**\n\n📚 **${createdTask.title}**\n📅 ${createdTask.deadlineFormatted}\n⏰ ${createdTask.deadlineRelative}${response.task.duration_minutes ? `\n⏱️ Duration: ${response.task.duration_minutes} minutes` : ''}\n\nYou can sync it to Google Calendar using the Sync button.`,
-                    task: createdTask
-                }
-            });
+/**
+ * GET /calendar/chat/conversations
+ * List the user's conversations, most recently active first
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Query:
+ *   limit: number (optional, 1-100, default: 50)
+ */
+router.get('/chat/conversations', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
 
-        } catch (error) {
-            logger.error('Failed to create task from chat', {
-                error: error.message,
-                userId,
-                task: response.task
-            });
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new AppError('limit must be between 1 and 100', 400);
+    }
 
-            await agentLogs.logFailure(userId, agentLogs.ActionTypes.TASK_CREATED, error.message, {
-                originalMessage: message
-            });
+    const conversations = await conversationManager.listConversations(userId, limit);
 
-            throw new AppError(`Failed to create task: ${error.message}`, 500);
+    res.json({
+        success: true,
+        data: {
+            conversations,
+            count: conversations.length
         }
+    });
+}));
+
+/**
+ * GET /calendar/chat/conversations/:conversationId
+ * Get a conversation with its messages (oldest first) and the summary of
+ * its older turns
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ *
+ * Query:
+ *   limit: number (optional, 1-500, default: 100) - newest messages kept
+ */
+router.get('/chat/conversations/:conversationId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { conversationId } = req.params;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        throw new AppError('limit must be between 1 and 500', 400);
+    }
+
+    const conversation = await conversationManager.getConversation(userId, conversationId, { limit });
+
+    if (!conversation) {
+        throw new AppError('Conversation not found', 404);
     }
 
-    // Plain text response (clarification, general chat, etc.)
     res.json({
         success: true,
-        data: {
-            type: 'general',
-            message: response.message
-        }
+        data: conversation
+    });
+}));
+
+/**
+ * DELETE /calendar/chat/conversations/:conversationId
+ * Delete a conversation and its messages. Tasks created from it are kept.
+ *
+ * Headers:
+ *   X-User-Id: user's UUID
+ */
+router.delete('/chat/conversations/:conversationId', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { conversationId } = req.params;
+
+    const deleted = await conversationManager.deleteConversation(userId, conversationId);
+
+    if (!deleted) {
+        throw new AppError('Conversation not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { conversationId }
     });
 }));
 
@@ -5,11 +5,13 @@
  * ARCHITECTURE:
  * - POST /generate: Study Plan Agent generates curriculum
  * - POST /apply: Calendar Agent schedules tasks
+ * - POST /:id/unapply: Remove the plan's pending tasks and return it to draft
+ * - POST /:id/reschedule: Move missed sessions to the next free slots
  * - GET  /:id: Retrieve plan details
  * 
  * FLOW:
  * 1. User chats → /generate → Plan created (draft)
- * 2. Frontend shows plan preview
+ * 2. Frontend shows plan preview (optionally /apply with dry_run to preview dates and conflicts)
  * 3. User approves  → /apply → Tasks created by Calendar Agent
  */
 
@@ -147,7 +149,10 @@ router.post('/generate', authenticate, asyncHandler(async (req, res) => {
  *   "timezone": "Asia/Kolkata",
  *   "options": {  // Optional
  *     "start_date": "2025-12-20",
- *     "preferred_time": "09:00"
+ *     "preferred_time": "09:00",
+ *     "allowed_hours": { "start": "08:00", "end": "22:00" },
+ *     "dry_run": false,
+ *     "chain_dependencies": false
  *   }
  * }
  * 
@@ -156,20 +161,43 @@ router.post('/generate', authenticate, asyncHandler(async (req, res) => {
  *   "success": true,
  *   "data": {
  *     "tasks_created": 28,
+ *     "dependencies_created": 27,
  *     "start_date": "2025-12-20",
  *     "end_date": "2026-01-17",
- *     "plan": { ... }
+ *     "plan": { ... },
+ *     "errors": [{ "day": 3, "session": 2, "error": "No free 60-minute slot ..." }],
+ *     "google_calendar_checked": true
  *   }
  * }
+ *
+ * NOTE: Sessions are placed in the first free slot at or after preferred_time
+ * within allowed_hours, avoiding existing tasks and Google Calendar busy times.
+ *
+ * NOTE: With dry_run, nothing is written: no tasks, no plan status change and
+ * no Google events. The response has "dry_run": true and "proposed_tasks",
+ * each with start/end times, "moved" (not at the preferred time) and the
+ * "conflicts" found at the preferred time.
+ *
+ * NOTE: With chain_dependencies, each day's sessions depend on the previous
+ * day's, so they show as blocked until the earlier sessions are completed.
+ *
+ * NOTE: Every session is tagged with a short tag derived from the plan's goal:
+ * the first three words that are not filler ("learn", "master", "the", "and",
+ * ...), joined with '-' and cut at a word boundary to 30 characters. E.g.
+ * "Master Data Structures and Algorithms for interviews" gives
+ * "data-structures-algorithms". Falls back to "study-plan".
  */
 router.post('/apply', authenticate, asyncHandler(async (req, res) => {
     const userId = req.userId;
     const { plan_id, timezone, options = {} } = req.body;
 
+    const dryRun = options.dry_run === true;
+
     logger.info('Study plan application request', {
         userId,
         planId: plan_id,
-        timezone
+        timezone,
+        dryRun
     });
 
     if (!plan_id) {
@@ -206,17 +234,38 @@ router.post('/apply', authenticate, asyncHandler(async (req, res) => {
         // Delegate to Calendar Agent
         const result = await taskManager.applyStudyPlan(userId, plan_id, timezone, {
             startDate: options.start_date,
-            preferredTime: options.preferred_time
+            preferredTime: options.preferred_time,
+            allowedHours: options.allowed_hours,
+            dryRun,
+            chainDependencies: options.chain_dependencies === true
         });
 
+        if (dryRun) {
+            return res.json({
+                success: true,
+                data: {
+                    dry_run: true,
+                    tasks_created: 0,
+                    proposed_tasks: result.proposedTasks,
+                    start_date: result.startDate,
+                    end_date: result.endDate,
+                    plan: result.plan,
+                    errors: result.errors,
+                    google_calendar_checked: result.googleCalendarChecked
+                }
+            });
+        }
+
         res.json({
             success: true,
             data: {
                 tasks_created: result.tasksCreated,
+                dependencies_created: result.dependenciesCreated,
                 start_date: result.startDate,
                 end_date: result.endDate,
                 plan: result.plan,
-                errors: result.errors
+                errors: result.errors,
+                google_calendar_checked: result.googleCalendarChecked
             }
         });
 
@@ -235,6 +284,8 @@ router.post('/apply', authenticate, asyncHandler(async (req, res) => {
             statusCode = 403;
         } else if (error.message.includes('already been applied')) {
             statusCode = 409; // Conflict
+        } else if (error.message.startsWith('Invalid')) {
+            statusCode = 400;
         }
 
         res.status(statusCode).json({
@@ -247,6 +298,157 @@ router.post('/apply', authenticate, asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * POST /study-plan/:id/unapply
+ * Undo an applied study plan
+ * 
+ * Removes the plan's pending tasks (with their Google Calendar events and
+ * Google Tasks) and returns the plan to draft. Started, completed and
+ * cancelled sessions are kept for history.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "plan_id": "uuid",
+ *     "status": "draft",
+ *     "tasks_removed": 20,
+ *     "tasks_kept": 8,
+ *     "errors": []
+ *   }
+ * }
+ */
+router.post('/:id/unapply', authenticate, asyncHandler(async (req, res) => {
+    const userId = req.userId;
+    const { id } = req.params;
+
+    logger.info('Study plan unapply request', {
+        userId,
+        planId: id
+    });
+
+    try {
+        const result = await taskManager.unapplyStudyPlan(userId, id);
+
+        res.json({
+            success: true,
+            data: {
+                plan_id: result.planId,
+                status: result.status,
+                tasks_removed: result.tasksRemoved,
+                tasks_kept: result.tasksKept,
+                errors: result.errors
+            }
+        });
+
+    } catch (error) {
+        logger.error('Study plan unapply failed', {
+            error: error.message,
+            userId,
+            planId: id
+        });
+
+        let statusCode = 500;
+        if (error.message.includes('not found')) {
+            statusCode = 404;
+        } else if (error.message.includes('Unauthorized')) {
+            statusCode = 403;
+        } else if (error.message.includes('has not been applied')) {
+            statusCode = 409;
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: {
+                code: 'UNAPPLY_FAILED',
+                message: error.message
+            }
+        });
+    }
+}));
+
+/**
+ * POST /study-plan/:id/reschedule
+ * Move missed sessions (still pending after their deadline) to the next free slots
+ * 
+ * Body (optional):
+ * {
+ *   "shift_later": false,  // Also push later sessions forward by a day, keeping topic order
+ *   "allowed_hours": { "start": "08:00", "end": "22:00" }
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "plan_id": "uuid",
+ *     "missed": 2,
+ *     "rescheduled": [{ "taskId": "uuid", "startTime": "...", "deadline": "...", ... }],
+ *     "errors": [],
+ *     "google_calendar_checked": true
+ *   }
+ * }
+ * 
+ * NOTE: The same rescheduling runs periodically for every applied plan
+ * (SCHEDULING_AUTO_RESCHEDULE).
+ */
+router.post('/:id/reschedule', authenticate, asyncHandler(async (req, res) => {
+    const userId = req.userId;
+    const { id } = req.params;
+    const { shift_later, allowed_hours } = req.body || {};
+
+    logger.info('Study plan reschedule request', {
+        userId,
+        planId: id,
+        shiftLater: shift_later === true
+    });
+
+    try {
+        const result = await taskManager.rescheduleMissedSessions(userId, id, {
+            shiftLater: shift_later === true,
+            allowedHours: allowed_hours,
+            trigger: 'manual'
+        });
+
+        res.json({
+            success: true,
+            data: {
+                plan_id: result.planId,
+                missed: result.missed,
+                rescheduled: result.rescheduled,
+                errors: result.errors,
+                google_calendar_checked: result.googleCalendarChecked
+            }
+        });
+
+    } catch (error) {
+        logger.error('Study plan reschedule failed', {
+            error: error.message,
+            userId,
+            planId: id
+        });
+
+        let statusCode = 500;
+        if (error.message.includes('not found')) {
+            statusCode = 404;
+        } else if (error.message.includes('Unauthorized')) {
+            statusCode = 403;
+        } else if (error.message.includes('has not been applied')) {
+            statusCode = 409;
+        } else if (error.message.startsWith('Invalid')) {
+            statusCode = 400;
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: {
+                code: 'RESCHEDULE_FAILED',
+                message: error.message
+            }
+        });
+    }
+}));
+
 /**
  * GET /study-plan/:id
  * Get study plan details by ID
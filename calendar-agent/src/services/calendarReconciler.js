@@ -0,0 +1,511 @@
+/**
+ * Calendar Reconciler Service
+ * Brings edits made directly in Google Calendar back into Supabase.
+ *
+ * Supabase stays the source of truth: nothing is copied from Google until it
+ * has been compared with the task and passed through the conflict policy.
+ *
+ * For every task linked to a Mentora event the reconciler compares:
+ * - title    (event summary without the 📚 prefix)
+ * - deadline (event end time)
+ * - duration (event start time, given the end)
+ * - deletion (event cancelled or gone)
+ *
+ * and decides who changed since the last sync. Local changes come from the
+ * task's revision history (task_revisions), so writes that do not touch
+ * these fields, and the reconciler's own writes, do not count:
+ * - Only Google changed    -> apply the Google change to the task
+ * - Only Supabase changed  -> push the task to Google
+ * - Both changed           -> conflict, handled by the conflict policy:
+ *     supabase_wins: overwrite the event from the task
+ *     google_wins:   overwrite the task from the event
+ *     flag:          leave both alone and store the conflict on the task
+ *
+ * Every conflict is logged to agent_logs.
+ *
+ * TODO: Reconcile description edits (the event description is generated, so
+ *       user notes would have to be split out first)
+ */
+
+const config = require('../config');
+const tasksDb = require('../db/helpers/tasks');
+const agentLogs = require('../db/helpers/agentLogs');
+const taskRevisions = require('../db/helpers/taskRevisions');
+const googleCalendar = require('./googleCalendar');
+const googleTasks = require('./googleTasks');
+const taskManager = require('./taskManager');
+const logger = require('../utils/logger');
+
+/**
+ * Conflict policies
+ */
+const ConflictPolicy = {
+    SUPABASE_WINS: 'supabase_wins',
+    GOOGLE_WINS: 'google_wins',
+    FLAG: 'flag'
+};
+
+// Prefix added to event titles by googleCalendar.createEvent
+const TITLE_PREFIX = '📚 ';
+
+// Task columns that correspond to the reconciled event fields
+const RECONCILED_COLUMNS = ['title', 'deadline', 'start_time', 'duration_minutes'];
+
+const { TaskActor } = taskRevisions;
+
+/**
+ * Check whether a value is a known conflict policy
+ * @param {string} policy - Policy name
+ * @returns {boolean} Whether the policy is valid
+ */
+function isValidConflictPolicy(policy) {
+    return Object.values(ConflictPolicy).includes(policy);
+}
+
+/**
+ * Reconcile all synced tasks of a user with their Google Calendar events
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} options - Reconciliation options
+ * @param {string} options.conflictPolicy - Override config.sync.conflictPolicy
+ * @param {Date} options.from - Start of deadline window (default: now - lookback)
+ * @param {Date} options.to - End of deadline window (default: now + lookahead)
+ * @param {Function} options.onProgress - Called with { total, processed } after each task
+ * @returns {Promise<Object>} Summary of what changed
+ */
+async function reconcileFromGoogle(userId, options = {}) {
+    const startTime = Date.now();
+    const conflictPolicy = options.conflictPolicy || config.sync.conflictPolicy;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const from = options.from || new Date(Date.now() - config.sync.inboundLookbackDays * dayMs);
+    const to = options.to || new Date(Date.now() + config.sync.inboundLookaheadDays * dayMs);
+
+    if (!isValidConflictPolicy(conflictPolicy)) {
+        throw new Error(`Invalid conflict policy: ${conflictPolicy}`);
+    }
+
+    logger.info('Reconciling tasks from Google Calendar', { userId, conflictPolicy });
+
+    const tasks = await tasksDb.getSyncedTasks(userId, from, to);
+
+    // The event window is padded by a day so a deadline moved just outside it is still seen
+    const events = await googleCalendar.listEvents(
+        userId,
+        new Date(from.getTime() - dayMs),
+        new Date(to.getTime() + dayMs),
+        { showDeleted: true, throwOnError: true }
+    );
+
+    const eventsById = new Map(events.map(event => [event.eventId, event]));
+
+    // Events whose task deadline is outside the window (e.g. moved there in Google)
+    const knownEventIds = new Set(tasks.map(task => task.google_calendar_event_id));
+    // Instances of a recurring series point at the series task, which is
+    // reconciled once against its series event
+    for (const event of events) {
+        if (event.taskId && !knownEventIds.has(event.eventId)) {
+            const task = await tasksDb.getTaskById(event.taskId, userId);
+            if (task && task.google_calendar_event_id && !knownEventIds.has(task.google_calendar_event_id) &&
+                (task.google_calendar_event_id === event.eventId || task.recurrence_rule)) {
+                knownEventIds.add(task.google_calendar_event_id);
+                tasks.push(task);
+            }
+        }
+    }
+
+    const summary = {
+        checked: tasks.length,
+        updatedFromGoogle: 0,
+        pushedToGoogle: 0,
+        cancelled: 0,
+        conflicts: 0,
+        unchanged: 0,
+        errors: []
+    };
+
+    let processed = 0;
+
+    for (const task of tasks) {
+        try {
+            // Events missing from the listing (moved far away, or purged) are fetched one by one
+            const event = eventsById.get(task.google_calendar_event_id) ||
+                await googleCalendar.getEvent(userId, task.google_calendar_event_id);
+
+            if (!event) {
+                summary.errors.push({ taskId: task.id, error: 'Could not read Google Calendar event' });
+            } else {
+                const outcome = await reconcileTask(userId, task, event, conflictPolicy);
+                countOutcome(summary, outcome);
+            }
+        } catch (error) {
+            logger.error('Failed to reconcile task', {
+                error: error.message,
+                userId,
+                taskId: task.id
+            });
+            summary.errors.push({ taskId: task.id, error: error.message });
+        }
+
+        processed++;
+        if (options.onProgress) {
+            await options.onProgress({ total: tasks.length, processed });
+        }
+    }
+
+    const details = {
+        conflictPolicy,
+        ...summary,
+        duration: Date.now() - startTime
+    };
+
+    if (summary.errors.length > 0) {
+        await agentLogs.logFailure(userId, agentLogs.ActionTypes.SYNC_INBOUND_COMPLETED,
+            `${summary.errors.length} task(s) could not be reconciled`, details);
+    } else {
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SYNC_INBOUND_COMPLETED, details);
+    }
+
+    logger.info(`Reconciled ${tasks.length} tasks in ${Date.now() - startTime}ms`, {
+        userId,
+        updatedFromGoogle: summary.updatedFromGoogle,
+        pushedToGoogle: summary.pushedToGoogle,
+        conflicts: summary.conflicts
+    });
+
+    return summary;
+}
+
+/**
+ * Reconcile one task with its Google Calendar event
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record from database
+ * @param {Object} event - Mapped event from googleCalendar (listEvents/getEvent)
+ * @param {string} conflictPolicy - One of ConflictPolicy
+ * @returns {Promise<string>} Outcome: unchanged | updated_from_google | cancelled | pushed_to_google | conflict
+ */
+async function reconcileTask(userId, task, event, conflictPolicy) {
+    const google = readEvent(event);
+    const differences = diffTaskAndEvent(task, google);
+
+    if (differences.length === 0) {
+        // Already in agreement; clear a stale conflict flag
+        if (task.sync_conflict) {
+            await tasksDb.updateTask(task.id, userId, { syncConflict: null, syncedAt: new Date() }, TaskActor.GOOGLE_SYNC);
+        }
+        return 'unchanged';
+    }
+
+    // A single occurrence cannot be re-created on its own, so its deletion always stands
+    if (google.deleted && task.recurring_task_id) {
+        return applyGoogleToTask(userId, task, google, differences);
+    }
+
+    const syncedAt = task.synced_at ? new Date(task.synced_at).getTime() : 0;
+    // A purged event has no update time; its deletion still happened in Google
+    const googleChanged = !syncedAt || !google.updated || new Date(google.updated).getTime() > syncedAt;
+    const localChanged = !!syncedAt && await hasLocalEdits(task, syncedAt);
+
+    // Google has not changed since the last sync, so the difference is a local edit
+    if (!googleChanged) {
+        return pushTaskToGoogle(userId, task, google.deleted);
+    }
+
+    if (!localChanged) {
+        return applyGoogleToTask(userId, task, google, differences);
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SYNC_CONFLICT, {
+        taskId: task.id,
+        eventId: task.google_calendar_event_id,
+        conflictPolicy,
+        fields: differences,
+        supabase: snapshotTask(task),
+        google
+    });
+
+    if (conflictPolicy === ConflictPolicy.GOOGLE_WINS) {
+        await applyGoogleToTask(userId, task, google, differences);
+        return 'conflict';
+    }
+
+    if (conflictPolicy === ConflictPolicy.FLAG) {
+        await tasksDb.updateTask(task.id, userId, {
+            syncConflict: {
+                detectedAt: new Date().toISOString(),
+                fields: differences,
+                supabase: snapshotTask(task),
+                google
+            }
+        }, TaskActor.GOOGLE_SYNC);
+        return 'conflict';
+    }
+
+    await pushTaskToGoogle(userId, task, google.deleted);
+    return 'conflict';
+}
+
+/**
+ * Resolve a flagged conflict by keeping one side
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {string} keep - 'supabase' or 'google'
+ * @returns {Promise<Object|null>} Formatted task after resolution, or null if not found
+ */
+async function resolveConflict(userId, taskId, keep) {
+    const task = await tasksDb.getTaskById(taskId, userId);
+
+    if (!task) {
+        return null;
+    }
+
+    if (!task.sync_conflict) {
+        throw new Error('Task has no sync conflict');
+    }
+
+    // Use the event as it is now, not as it was when the conflict was flagged
+    const event = await googleCalendar.getEvent(userId, task.google_calendar_event_id);
+
+    if (!event) {
+        throw new Error('Could not read Google Calendar event');
+    }
+
+    const google = readEvent(event);
+
+    if (keep === 'google') {
+        await applyGoogleToTask(userId, task, google, diffTaskAndEvent(task, google));
+    } else {
+        await pushTaskToGoogle(userId, task, google.deleted);
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SYNC_CONFLICT_RESOLVED, {
+        taskId,
+        keep
+    });
+
+    return taskManager.getTask(userId, taskId);
+}
+
+/**
+ * Extract the fields we reconcile from a mapped Google event
+ * @param {Object} event - Mapped event
+ * @returns {Object} { deleted, title, deadline, durationMinutes, updated }
+ */
+function readEvent(event) {
+    if (event.status === 'cancelled') {
+        return { deleted: true, updated: event.updated || null };
+    }
+
+    const title = (event.title || '').startsWith(TITLE_PREFIX)
+        ? event.title.slice(TITLE_PREFIX.length)
+        : (event.title || '');
+
+    return {
+        deleted: false,
+        title: title.trim(),
+        deadline: event.end ? new Date(event.end).toISOString() : null,
+        durationMinutes: event.start && event.end
+            ? Math.round((new Date(event.end).getTime() - new Date(event.start).getTime()) / 60000)
+            : null,
+        updated: event.updated || null
+    };
+}
+
+/**
+ * List the fields on which a task and its event disagree
+ * @param {Object} task - Task record
+ * @param {Object} google - Result of readEvent
+ * @returns {Array<string>} Field names ('deleted', 'title', 'deadline', 'duration')
+ */
+function diffTaskAndEvent(task, google) {
+    if (google.deleted) {
+        return ['deleted'];
+    }
+
+    const differences = [];
+
+    if (google.title && google.title !== task.title) {
+        differences.push('title');
+    }
+
+    if (google.deadline && new Date(google.deadline).getTime() !== new Date(task.deadline).getTime()) {
+        differences.push('deadline');
+    }
+
+    // Tasks without a stored duration use the default event length
+    const taskDuration = task.duration_minutes || googleCalendar.DEFAULT_EVENT_DURATION_MINUTES;
+    if (google.durationMinutes && google.durationMinutes !== taskDuration) {
+        differences.push('duration');
+    }
+
+    return differences;
+}
+
+/**
+ * Copy the Google side of a disagreement onto the task
+ * A deleted event cancels the task and unlinks it, so it is not re-created.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record
+ * @param {Object} google - Result of readEvent
+ * @param {Array<string>} differences - Fields that differ
+ * @returns {Promise<string>} Outcome
+ */
+async function applyGoogleToTask(userId, task, google, differences) {
+    if (google.deleted) {
+        if (task.google_task_id) {
+            await googleTasks.deleteTask(userId, task.google_task_id);
+        }
+
+        await tasksDb.updateTask(task.id, userId, {
+            status: task.status === tasksDb.TaskStatus.COMPLETED ? task.status : tasksDb.TaskStatus.CANCELLED,
+            googleCalendarEventId: null,
+            googleTaskId: null,
+            syncConflict: null,
+            syncedAt: new Date()
+        }, TaskActor.GOOGLE_SYNC);
+
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_UPDATED, {
+            taskId: task.id,
+            fields: ['status'],
+            source: 'google_calendar',
+            reason: 'Event deleted in Google Calendar'
+        });
+
+        return 'cancelled';
+    }
+
+    const changes = { syncConflict: null };
+
+    if (differences.includes('title')) {
+        changes.title = google.title;
+    }
+
+    if (differences.includes('deadline')) {
+        changes.deadline = new Date(google.deadline);
+    }
+
+    if (differences.includes('deadline') || differences.includes('duration')) {
+        const durationMinutes = differences.includes('duration') ? google.durationMinutes : task.duration_minutes;
+
+        if (durationMinutes) {
+            changes.durationMinutes = durationMinutes;
+            changes.startTime = new Date(new Date(google.deadline).getTime() - durationMinutes * 60000);
+        }
+    }
+
+    const updated = await tasksDb.updateTask(task.id, userId, changes, TaskActor.GOOGLE_SYNC);
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_UPDATED, {
+        taskId: task.id,
+        fields: differences,
+        source: 'google_calendar'
+    });
+
+    // Keeps the linked Google Task in step and records the sync time
+    await taskManager.propagateUpdateToGoogle(userId, updated);
+
+    return 'updated_from_google';
+}
+
+/**
+ * Overwrite the Google event from the task
+ * If the event was deleted in Google, a new one is created and linked.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record
+ * @param {boolean} eventDeleted - Whether the linked event is gone from Google
+ * @returns {Promise<string>} Outcome
+ */
+async function pushTaskToGoogle(userId, task, eventDeleted) {
+    if (eventDeleted) {
+        const result = await taskManager.syncTaskToGoogle(userId, task);
+
+        if (!result.calendar) {
+            throw new Error('Failed to re-create Google Calendar event');
+        }
+
+        if (task.sync_conflict) {
+            await tasksDb.updateTask(task.id, userId, { syncConflict: null, syncedAt: new Date() }, TaskActor.GOOGLE_SYNC);
+        }
+
+        return 'pushed_to_google';
+    }
+
+    const latest = await taskManager.propagateUpdateToGoogle(userId, task);
+
+    if (latest.synced_at === task.synced_at) {
+        throw new Error('Failed to update Google Calendar event');
+    }
+
+    if (task.sync_conflict) {
+        await tasksDb.updateTask(task.id, userId, { syncConflict: null, syncedAt: latest.synced_at }, TaskActor.GOOGLE_SYNC);
+    }
+
+    return 'pushed_to_google';
+}
+
+/**
+ * Whether the reconciled fields were edited in Mentora since the last sync
+ * Changes written by the reconciler itself (actor google_sync) are ignored.
+ *
+ * @param {Object} task - Task record
+ * @param {number} syncedAt - Last sync time (ms)
+ * @returns {Promise<boolean>} Whether there is a local edit to push or conflict with
+ */
+async function hasLocalEdits(task, syncedAt) {
+    const revisions = await taskRevisions.getRevisionsSince(task.id, new Date(syncedAt));
+
+    return revisions.some(revision =>
+        revision.actor !== TaskActor.GOOGLE_SYNC &&
+        RECONCILED_COLUMNS.some(column => column in revision.changes)
+    );
+}
+
+/**
+ * Snapshot of the reconciled task fields, for logs and conflict records
+ * @param {Object} task - Task record
+ * @returns {Object} { title, deadline, durationMinutes, status, updatedAt }
+ */
+function snapshotTask(task) {
+    return {
+        title: task.title,
+        deadline: task.deadline,
+        durationMinutes: task.duration_minutes || null,
+        status: task.status,
+        updatedAt: task.updated_at
+    };
+}
+
+/**
+ * Add a reconcileTask outcome to the summary counters
+ * @param {Object} summary - Summary being built
+ * @param {string} outcome - Outcome from reconcileTask
+ */
+function countOutcome(summary, outcome) {
+    switch (outcome) {
+        case 'updated_from_google':
+            summary.updatedFromGoogle++;
+            break;
+        case 'pushed_to_google':
+            summary.pushedToGoogle++;
+            break;
+        case 'cancelled':
+            summary.cancelled++;
+            break;
+        case 'conflict':
+            summary.conflicts++;
+            break;
+        default:
+            summary.unchanged++;
+    }
+}
+
+module.exports = {
+    ConflictPolicy,
+    isValidConflictPolicy,
+    reconcileFromGoogle,
+    reconcileTask,
+    resolveConflict
+};
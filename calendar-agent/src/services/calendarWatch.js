@@ -0,0 +1,402 @@
+/**
+ * Calendar Watch Service
+ * Near real-time inbound sync using Google Calendar push notifications.
+ *
+ * Flow:
+ * 1. startWatch() registers an `events.watch` channel pointing at
+ *    POST /calendar/webhooks/google, with a random secret token
+ * 2. Google calls the webhook whenever the calendar changes; the webhook only
+ *    validates the channel and queues an incremental sync job
+ * 3. The job lists changes since the stored nextSyncToken and runs each
+ *    Mentora event through calendarReconciler.reconcileTask()
+ * 4. Channels expire, so a recurring job re-registers them before they do
+ *
+ * A missing or expired (410) sync token falls back to a full reconciliation.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const channelsDb = require('../db/helpers/calendarChannels');
+const tasksDb = require('../db/helpers/tasks');
+const agentLogs = require('../db/helpers/agentLogs');
+const googleCalendar = require('./googleCalendar');
+const calendarReconciler = require('./calendarReconciler');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+// Extra passes when notifications arrive while a sync is running
+const MAX_SYNC_PASSES = 3;
+
+/**
+ * Register (or replace) the push notification channel for a user
+ *
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<Object>} { channelId, expiresAt }
+ */
+async function startWatch(userId) {
+    if (!config.google.webhookUrl) {
+        throw new Error('Push notifications are not configured (GOOGLE_WEBHOOK_URL)');
+    }
+
+    const existing = await channelsDb.getChannelByUserId(userId);
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const channel = await googleCalendar.watchEvents(userId, {
+        channelId: crypto.randomUUID(),
+        token,
+        address: config.google.webhookUrl,
+        ttlSeconds: config.sync.channelTtlSeconds
+    });
+
+    const saved = await channelsDb.saveChannel(userId, { ...channel, token });
+
+    // The new channel is live; the old one would only send duplicates
+    if (existing && existing.channel_id) {
+        await googleCalendar.stopChannel(userId, existing.channel_id, existing.resource_id);
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.GCAL_CHANNEL_REGISTERED, {
+        channelId: saved.channel_id,
+        expiresAt: saved.expires_at,
+        replacedChannelId: existing?.channel_id || null
+    });
+
+    // Without a sync token the first incremental sync does a full reconciliation
+    if (!saved.sync_token) {
+        await enqueueIncrementalSync(userId);
+    }
+
+    return {
+        channelId: saved.channel_id,
+        expiresAt: saved.expires_at
+    };
+}
+
+/**
+ * Stop push notifications for a user
+ * The sync token is kept so a later startWatch() can continue incrementally.
+ *
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<boolean>} Whether a channel was stopped
+ */
+async function stopWatch(userId) {
+    const channel = await channelsDb.getChannelByUserId(userId);
+
+    if (!channel || !channel.channel_id) {
+        return false;
+    }
+
+    await googleCalendar.stopChannel(userId, channel.channel_id, channel.resource_id);
+
+    await channelsDb.updateChannelState(userId, {
+        channel_id: null,
+        resource_id: null,
+        channel_token: null,
+        expires_at: null
+    });
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.GCAL_CHANNEL_STOPPED, {
+        channelId: channel.channel_id
+    });
+
+    return true;
+}
+
+/**
+ * Handle a push notification from Google
+ *
+ * @param {Object} notification - Values of the X-Goog-* headers
+ * @param {string} notification.channelId - X-Goog-Channel-ID
+ * @param {string} notification.token - X-Goog-Channel-Token
+ * @param {string} notification.resourceId - X-Goog-Resource-ID
+ * @param {string} notification.resourceState - X-Goog-Resource-State ('sync' | 'exists' | 'not_exists')
+ * @param {string} notification.messageNumber - X-Goog-Message-Number
+ * @returns {Promise<Object>} { accepted: boolean, reason?: string, jobId?: string }
+ */
+async function handleNotification(notification) {
+    if (!notification.channelId || !notification.token) {
+        return { accepted: false, reason: 'Missing channel headers' };
+    }
+
+    const channel = await channelsDb.getChannelByChannelId(notification.channelId);
+
+    if (!channel || !tokensMatch(channel.channel_token, notification.token)) {
+        return { accepted: false, reason: 'Unknown channel or invalid token' };
+    }
+
+    if (channel.resource_id !== notification.resourceId) {
+        return { accepted: false, reason: 'Resource mismatch' };
+    }
+
+    // Sent once when the channel is created; there are no changes yet
+    if (notification.resourceState === 'sync') {
+        return { accepted: true };
+    }
+
+    const messageNumber = parseInt(notification.messageNumber, 10) || 0;
+    if (messageNumber > (channel.last_message_number || 0)) {
+        await channelsDb.updateChannelState(channel.user_id, { last_message_number: messageNumber });
+    }
+
+    const job = await enqueueIncrementalSync(channel.user_id);
+
+    return { accepted: true, jobId: job.id };
+}
+
+/**
+ * Apply calendar changes since the last sync token
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} options - Sync options
+ * @param {Function} options.onProgress - Called with { pass, changed } after each pass
+ * @returns {Promise<Object>} { fullSync, changed, outcomes, skippedEvents }
+ * @throws {Error} If a changed event could not be reconciled and has failed fewer than
+ *   config.sync.maxEventFailures times (the sync token is not advanced)
+ */
+async function runIncrementalSync(userId, options = {}) {
+    const result = {
+        fullSync: false,
+        changed: 0,
+        outcomes: {},
+        skippedEvents: []
+    };
+
+    for (let pass = 1; pass <= MAX_SYNC_PASSES; pass++) {
+        const state = await channelsDb.getChannelByUserId(userId);
+        const seenMessage = state?.last_message_number || 0;
+
+        if (!state || !state.sync_token) {
+            await runFullSync(userId);
+            result.fullSync = true;
+        } else {
+            let changes;
+
+            try {
+                changes = await googleCalendar.listChangedEvents(userId, state.sync_token);
+            } catch (error) {
+                if (error.code !== 410) {
+                    throw error;
+                }
+
+                logger.warn('Calendar sync token expired, running full sync', { userId });
+                await channelsDb.saveSyncToken(userId, null);
+                await runFullSync(userId);
+                result.fullSync = true;
+                changes = null;
+            }
+
+            if (changes) {
+                const failed = await reconcileChanges(userId, state, changes.events, result);
+
+                result.changed += changes.events.length;
+
+                // Keep the old token so the failed changes are listed again: the
+                // job retries with backoff, and events that did apply reconcile
+                // to 'unchanged' the second time
+                if (failed > 0) {
+                    throw new Error(`Failed to reconcile ${failed} of ${changes.events.length} changed event(s)`);
+                }
+
+                await channelsDb.saveSyncToken(userId, changes.nextSyncToken);
+            }
+        }
+
+        if (options.onProgress) {
+            await options.onProgress({ pass, changed: result.changed });
+        }
+
+        // Notifications that arrived mid-run were deduplicated into this job
+        const latest = await channelsDb.getChannelByUserId(userId);
+        if (!latest || (latest.last_message_number || 0) <= seenMessage) {
+            break;
+        }
+    }
+
+    const reconciled = result.changed - (result.outcomes.skipped || 0);
+    if (reconciled > 0) {
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SYNC_INCREMENTAL_COMPLETED, result);
+    }
+
+    return result;
+}
+
+/**
+ * Re-register every channel that is about to expire
+ *
+ * @returns {Promise<Object>} { renewed, failed }
+ */
+async function renewExpiringChannels() {
+    const cutoff = new Date(Date.now() + config.sync.channelRenewBeforeHours * 60 * 60 * 1000);
+    const channels = await channelsDb.getExpiringChannels(cutoff);
+
+    const result = { renewed: 0, failed: 0 };
+
+    for (const channel of channels) {
+        try {
+            await startWatch(channel.user_id);
+            result.renewed++;
+        } catch (error) {
+            logger.error('Failed to renew calendar channel', {
+                error: error.message,
+                userId: channel.user_id,
+                channelId: channel.channel_id
+            });
+
+            await agentLogs.logFailure(channel.user_id, agentLogs.ActionTypes.GCAL_API_ERROR, error.message, {
+                channelId: channel.channel_id,
+                operation: 'renew_channel'
+            });
+
+            result.failed++;
+        }
+    }
+
+    if (channels.length > 0) {
+        logger.info('Renewed calendar channels', result);
+    }
+
+    return result;
+}
+
+/**
+ * Queue an incremental sync for a user
+ * Notifications often arrive in bursts; the dedupe key folds them into one job.
+ *
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<Object>} Job record
+ */
+async function enqueueIncrementalSync(userId) {
+    return jobQueue.enqueue(jobQueue.JobTypes.SYNC_INCREMENTAL, {}, {
+        userId,
+        dedupeKey: `${jobQueue.JobTypes.SYNC_INCREMENTAL}:${userId}`
+    });
+}
+
+/**
+ * Reconcile everything, then continue incrementally from a fresh token
+ * The token is taken first so changes made during reconciliation are not lost.
+ *
+ * @param {string} userId - User's unique identifier
+ * @returns {Promise<void>}
+ */
+async function runFullSync(userId) {
+    const { nextSyncToken } = await googleCalendar.listChangedEvents(userId, null);
+
+    await calendarReconciler.reconcileFromGoogle(userId);
+
+    await channelsDb.saveSyncToken(userId, nextSyncToken);
+}
+
+/**
+ * Reconcile a page of changed events and track the ones that keep failing
+ * Failed attempts are counted per event in the channel row. An event that
+ * reaches config.sync.maxEventFailures is logged and given up on, so one bad
+ * event cannot hold back the sync token forever.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} state - Channel record (failed_events)
+ * @param {Array<Object>} events - Mapped changed events
+ * @param {Object} result - Sync result; outcomes and skippedEvents are updated
+ * @returns {Promise<number>} Failed events that should be retried
+ */
+async function reconcileChanges(userId, state, events, result) {
+    const previousFailures = state.failed_events || {};
+    const failures = { ...previousFailures };
+    let failed = 0;
+
+    for (const event of events) {
+        const outcome = await reconcileChangedEvent(userId, event);
+        result.outcomes[outcome] = (result.outcomes[outcome] || 0) + 1;
+
+        if (outcome !== 'error') {
+            delete failures[event.eventId];
+            continue;
+        }
+
+        const attempts = (failures[event.eventId] || 0) + 1;
+
+        if (attempts < config.sync.maxEventFailures) {
+            failures[event.eventId] = attempts;
+            failed++;
+            continue;
+        }
+
+        delete failures[event.eventId];
+        result.skippedEvents.push(event.eventId);
+
+        logger.warn('Giving up on changed event after repeated failures', {
+            userId,
+            eventId: event.eventId,
+            attempts
+        });
+
+        await agentLogs.logFailure(userId, agentLogs.ActionTypes.SYNC_EVENT_SKIPPED,
+            `Event could not be reconciled after ${attempts} attempts`, {
+                eventId: event.eventId,
+                taskId: event.taskId || null,
+                attempts
+            });
+    }
+
+    if (Object.keys(previousFailures).length > 0 || Object.keys(failures).length > 0) {
+        await channelsDb.updateChannelState(userId, { failed_events: failures });
+    }
+
+    return failed;
+}
+
+/**
+ * Reconcile one changed event, if it belongs to a Mentora task
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} event - Mapped event
+ * @returns {Promise<string>} reconcileTask outcome, 'skipped' or 'error'
+ */
+async function reconcileChangedEvent(userId, event) {
+    // Deleted events carry no properties, so they can only be matched by ID
+    if (event.status !== 'cancelled' && !event.taskId) {
+        return 'skipped';
+    }
+
+    try {
+        const task = await tasksDb.getTaskByGoogleEventId(userId, event.eventId);
+
+        if (!task) {
+            return 'skipped';
+        }
+
+        return await calendarReconciler.reconcileTask(userId, task, event, config.sync.conflictPolicy);
+    } catch (error) {
+        logger.error('Failed to reconcile changed event', {
+            error: error.message,
+            userId,
+            eventId: event.eventId
+        });
+        return 'error';
+    }
+}
+
+/**
+ * Constant-time comparison of channel tokens
+ * @param {string} expected - Stored token
+ * @param {string} actual - Token from the request
+ * @returns {boolean} Whether they match
+ */
+function tokensMatch(expected, actual) {
+    if (!expected || !actual) {
+        return false;
+    }
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+    startWatch,
+    stopWatch,
+    handleNotification,
+    runIncrementalSync,
+    renewExpiringChannels
+};
@@ -1,25 +1,36 @@
 /**
  * Chat Service
- * Handles natural language task creation using Groq LLM.
+ * The chat agent: natural language task creation, changes and schedule
+ * questions using Groq LLM tool calling.
  * 
  * User can say things like:
  * - "Tomorrow at 7pm, I need to study React hooks for 2 hours"
  * - "Add a task to review Node.js concepts next Monday at 3pm"
+ * - "Monday 6pm physics revision, Tuesday 7pm maths mock test and Friday 5pm submit assignment"
+ * - "What do I have on Thursday?"
+ * - "Move my React session to 8pm" / "Mark today's DSA task done"
+ * - "Plan 2 weeks of graph theory, 1 hour a day, I know the basics"
  * 
- * The LLM extracts structured task information and validates it.
+ * The LLM acts by calling the tools in chatTools.js (create_task,
+ * query_tasks, modify_task, generate_study_plan). Their arguments are checked
+ * against JSON schemas before anything runs, and each result goes back to the
+ * LLM, which may call more tools (up to MAX_TOOL_STEPS rounds) before it
+ * writes the reply. One message can so lead to several actions.
+ * 
+ * Schedule answers come from query_tasks results only, so the assistant
+ * never describes tasks it has not been given.
+ * 
+ * Conversation history is stored server-side (see conversationManager.js);
+ * summarizeConversation folds older turns into a running summary.
  * 
  * IMPORTANT: We do NOT let the LLM decide dates/times silently.
  * If information is missing, we ask for clarification.
- * 
- * TODO: Add conversation history support
- * TODO: Add support for task queries ("What tasks do I have tomorrow?")
- * TODO: Add support for task updates via chat
  */
 
 const Groq = require('groq-sdk');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { parseRelativeDate } = require('../utils/timezone');
+const chatTools = require('./chatTools');
 
 // Initialize Groq client
 const groq = new Groq({
@@ -28,84 +39,94 @@ const groq = new Groq({
 
 /**
  * System prompt for the chat agent
- * This defines how the LLM should behave and extract task information
+ * This defines how the LLM should behave and when it should use its tools
  */
 const CHAT_SYSTEM_PROMPT = `You are a calendar and task management agent for Mentora, a study platform.
 
-Your job is to extract structured task information from user messages.
+You manage the student's tasks with your tools: create_task, query_tasks, modify_task and generate_study_plan.
 
 IMPORTANT: You will receive the CURRENT DATE AND TIME context with each message. Use this to correctly interpret relative dates like "tomorrow", "today", "next Monday", etc.
 
 RULES:
-1. If the user wants to create a task, return ONLY valid JSON (no markdown, no explanation).
-2. Do NOT add tasks yourself or guess missing information.
-3. For relative dates like "tomorrow", use the EXACT date provided in the context (e.g., if tomorrow is 2025-12-23, use "2025-12-23").
-4. If date or time is missing, ask for clarification.
-5. If the user is just chatting or asking questions, respond normally in plain text.
-6. Be friendly, encouraging, and helpful.
-
-TASK CREATION SCHEMA:
-When extracting a task, return this exact JSON structure:
-{
-  "intent": "create_task",
-  "task": {
-    "title": "string (required)",
-    "description": "string or null",
-    "date": "YYYY-MM-DD (required) - use the actual date, not keywords",
-    "time": "HH:MM in 24-hour format (required)",
-    "duration_minutes": number or null
-  }
-}
+1. To add a task, call create_task. If the date or time is missing, ask for it instead; never guess.
+2. For any question about the schedule (tasks on a day, this week, what is pending, etc.), call query_tasks and answer ONLY from its result. Never answer schedule questions from memory; you do not know the user's tasks.
+3. To change, move, complete or cancel an existing task, call modify_task. If it reports several matching tasks or none, ask the user which task they mean.
+4. To make a study plan, call generate_study_plan only once the user gave the timeline, the daily study time and their current level; otherwise ask for what is missing.
+5. If the user asks for several things in one message, make a tool call for each; put all new tasks of the message in ONE create_task call. If only some tasks have a day and time, add those and ask about the rest.
+6. Only say something was done when a tool result confirms it. If a tool returns an error, fix the call if you can, otherwise tell the user what is missing.
+7. Do NOT add tasks yourself or guess missing information.
+8. If the user is just chatting or asking other questions, respond normally in plain text without tools.
+9. Be friendly, encouraging, and helpful. Keep replies short, with light markdown (bold titles, bullet points).
 
 EXAMPLES:
 
 If today is December 22, 2025 and user says: "Tomorrow at 7pm, I need to study React hooks for 2 hours"
-Response:
-{
-  "intent": "create_task",
-  "task": {
-    "title": "Study React hooks",
-    "description": "Practice React hooks concepts",
-    "date": "2025-12-23",
-    "time": "19:00",
-    "duration_minutes": 120
-  }
-}
+Call create_task with: { "tasks": [{ "title": "Study React hooks", "description": "Practice React hooks concepts", "date": "2025-12-23", "time": "19:00", "duration_minutes": 120, "priority": null }] }
 
 User: "Add a task to review DSA"
-Response: "I'd be happy to help! When would you like to schedule this task? Please provide a date and time."
-
-If today is December 22, 2025 (Sunday) and user says: "Next Monday at 3pm, complete the PBL project"
-Response:
-{
-  "intent": "create_task",
-  "task": {
-    "title": "Complete PBL project",
-    "description": null,
-    "date": "2025-12-29",
-    "time": "15:00",
-    "duration_minutes": null
-  }
-}
+Reply: "I'd be happy to help! When would you like to schedule this task? Please provide a date and time."
+
+If today is December 22, 2025 (Monday) and user says: "Next Monday at 3pm, complete the PBL project, it's urgent"
+Call create_task with: { "tasks": [{ "title": "Complete PBL project", "description": null, "date": "2025-12-29", "time": "15:00", "duration_minutes": null, "priority": "high" }] }
+
+If today is December 22, 2025 (Monday) and user says: "Wednesday 6pm physics revision, Thursday 7pm maths mock test and Friday 5pm submit assignment"
+Call create_task with: { "tasks": [
+  { "title": "Physics revision", "description": null, "date": "2025-12-24", "time": "18:00", "duration_minutes": null, "priority": null },
+  { "title": "Maths mock test", "description": null, "date": "2025-12-25", "time": "19:00", "duration_minutes": null, "priority": null },
+  { "title": "Submit assignment", "description": null, "date": "2025-12-26", "time": "17:00", "duration_minutes": null, "priority": null }
+] }
+
+If today is December 22, 2025 (Monday) and user says: "What's still pending this week?"
+Call query_tasks with: { "start_date": "2025-12-22", "end_date": "2025-12-28", "statuses": ["pending", "in_progress"] }
+
+If today is December 22, 2025 and user says: "Move my React session to 8pm"
+Call modify_task with: { "action": "reschedule", "target": { "title": "React session", "date": null }, "changes": { "time": "20:00" } }
+
+If today is December 22, 2025 and user says: "Mark today's DSA task done"
+Call modify_task with: { "action": "complete", "target": { "title": "DSA", "date": "2025-12-22" } }
 
 IMPORTANT NOTES:
-- ALWAYS use the actual YYYY-MM-DD date format in your response, not keywords like "TOMORROW".
+- ALWAYS use the actual YYYY-MM-DD date format in tool arguments, not keywords like "TOMORROW".
 - Calculate the correct date based on the context provided (today's date, tomorrow's date, etc.).
 - Always use 24-hour time format (e.g., "19:00" not "7pm").
 - Extract the task title concisely but preserve key information.
-- If duration is mentioned, extract it in minutes.
-- If user says "2pm to 4pm", that means 2 hours duration (120 minutes) starting at 14:00.`;
+- If duration is mentioned, pass it in minutes.
+- If user says "2pm to 4pm", that means 2 hours duration (120 minutes) starting at 14:00.
+- Only set priority when the user says how important the task is ("urgent", "high priority", "not important", "low priority"); otherwise use null.
+- Words starting with # (e.g. "#dsa") are tags; do not put them in the title or description.
+- For "this week" use Monday to Sunday of the current week; for "next week", the following Monday to Sunday.
+- Use times from tool results exactly as given (they are already in the student's timezone).`;
 
 /**
- * Process a chat message and extract task intent
+ * System prompt for summarising older conversation turns
+ */
+const CONVERSATION_SUMMARY_SYSTEM_PROMPT = `You maintain a running summary of a conversation between a student and Mentora's calendar assistant.
+
+Combine the previous summary (if any) with the new messages into one updated summary.
+
+RULES:
+1. Keep what later messages may refer to: tasks created, changed or asked about (titles, dates, times), preferences and open questions.
+2. Drop greetings and small talk.
+3. Write plain text, at most 150 words, in the third person ("The student asked...").`;
+
+/**
+ * Most LLM rounds in one chat turn; the last round cannot call tools
+ */
+const MAX_TOOL_STEPS = 5;
+
+/**
+ * Process a chat message: let the LLM call tools until it can reply
  * 
+ * @param {string} userId - User's unique identifier (the tools act on their tasks)
  * @param {string} message - User's chat message
  * @param {string} timezone - User's timezone (IANA format)
  * @param {string} currentDate - Current date in user's timezone (YYYY-MM-DD)
- * @param {Array} history - Previous conversation messages (optional, max 20)
- * @returns {Promise<Object>} Parsed response with intent and task data or plain text
+ * @param {Array} history - Previous conversation messages, oldest first; may start with a
+ *   system message holding the summary of older turns (optional, max 20)
+ * @returns {Promise<Object>} Chat reply (see buildReply)
+ * @throws {Error} If the LLM fails before any tool ran
  */
-async function processMessage(message, timezone, currentDate, history = []) {
+async function processMessage(userId, message, timezone, currentDate, history = []) {
     const startTime = Date.now();
 
     // Get current time in user's timezone
@@ -175,154 +196,168 @@ USER MESSAGE: ${message}`;
         }
     ];
 
-    try {
-        // Call Groq LLM with the system prompt and history
-        const response = await groq.chat.completions.create({
-            model: config.groq.model,
-            messages: messagesArray,
-            temperature: 0.3, // Lower temperature for more consistent parsing
-            max_tokens: 1024
-        });
-
-        const aiResponse = response.choices[0].message.content.trim();
-
-        logger.debug('LLM response received', {
-            responseLength: aiResponse.length,
-            latencyMs: Date.now() - startTime
-        });
+    const context = { userId, message, timezone };
+    const outcomes = [];
 
-        // Try to parse as JSON (task creation intent)
-        let parsedResponse;
-        try {
-            parsedResponse = JSON.parse(aiResponse);
+    try {
+        for (let step = 1; step <= MAX_TOOL_STEPS; step++) {
+            // Call Groq LLM with the tools; the last round must answer in text
+            const response = await groq.chat.completions.create({
+                model: config.groq.model,
+                messages: messagesArray,
+                tools: chatTools.TOOL_DEFINITIONS,
+                tool_choice: step < MAX_TOOL_STEPS ? 'auto' : 'none',
+                temperature: 0.3, // Lower temperature for more consistent tool arguments
+                max_tokens: 1024
+            });
+
+            const aiMessage = response.choices[0].message;
+            const toolCalls = aiMessage.tool_calls || [];
+
+            logger.debug('LLM response received', {
+                step,
+                toolCalls: toolCalls.map(call => call.function.name),
+                latencyMs: Date.now() - startTime
+            });
+
+            if (toolCalls.length === 0) {
+                return buildReply((aiMessage.content || '').trim(), outcomes);
+            }
 
-            // Validate it's a task creation intent
-            if (parsedResponse.intent === 'create_task' && parsedResponse.task) {
-                logger.info('Task creation intent detected', {
-                    title: parsedResponse.task.title,
-                    date: parsedResponse.task.date
+            messagesArray.push({
+                role: 'assistant',
+                content: aiMessage.content || '',
+                tool_calls: toolCalls
+            });
+
+            // Run the calls in order (a later call may depend on an earlier one)
+            for (const toolCall of toolCalls) {
+                const outcome = await chatTools.runToolCall(toolCall, context);
+                outcomes.push(outcome);
+
+                logger.info('Chat tool called', {
+                    tool: outcome.tool,
+                    ok: outcome.ok,
+                    step
                 });
 
-                // Resolve relative dates to actual dates
-                const resolvedTask = await resolveTaskDates(
-                    parsedResponse.task,
-                    timezone,
-                    currentDate
-                );
-
-                return {
-                    type: 'task_intent',
-                    task: resolvedTask,
-                    originalResponse: aiResponse
-                };
+                messagesArray.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    name: toolCall.function.name,
+                    content: JSON.stringify(outcome.result)
+                });
             }
-        } catch (parseError) {
-            // Not JSON - it's a plain text response (asking for clarification, etc.)
-            logger.debug('Response is plain text (not task creation)');
         }
 
-        // Plain text response (clarification question, casual chat, etc.)
-        return {
-            type: 'text',
-            message: aiResponse
-        };
+        return buildReply('', outcomes);
 
     } catch (error) {
         logger.error('Chat processing failed', {
             error: error.message,
-            message: message.substring(0, 100)
+            message: message.substring(0, 100),
+            toolCalls: outcomes.length
         });
-        throw new Error(`Failed to process message: ${error.message}`);
-    }
-}
 
-/**
- * Resolve relative dates (TOMORROW, NEXT_MONDAY, etc.) to actual dates
- * 
- * @param {Object} task - Task object with potentially relative dates
- * @param {string} timezone - User's timezone
- * @param {string} currentDate - Current date (YYYY-MM-DD)
- * @returns {Object} Task with resolved dates
- */
-async function resolveTaskDates(task, timezone, currentDate) {
-    let resolvedDate = task.date;
-
-    // Check if date is a relative keyword
-    if (task.date && typeof task.date === 'string') {
-        const upperDate = task.date.toUpperCase();
-
-        // Handle relative date keywords
-        if (upperDate === 'TODAY') {
-            resolvedDate = currentDate;
-        } else if (upperDate === 'TOMORROW' || upperDate.includes('TOMORROW')) {
-            resolvedDate = parseRelativeDate('tomorrow', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_MONDAY')) {
-            resolvedDate = parseRelativeDate('next monday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_TUESDAY')) {
-            resolvedDate = parseRelativeDate('next tuesday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_WEDNESDAY')) {
-            resolvedDate = parseRelativeDate('next wednesday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_THURSDAY')) {
-            resolvedDate = parseRelativeDate('next thursday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_FRIDAY')) {
-            resolvedDate = parseRelativeDate('next friday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_SATURDAY')) {
-            resolvedDate = parseRelativeDate('next saturday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_SUNDAY')) {
-            resolvedDate = parseRelativeDate('next sunday', timezone, currentDate);
-        } else if (upperDate.includes('NEXT_WEEK')) {
-            resolvedDate = parseRelativeDate('next week', timezone, currentDate);
+        // Tools may already have changed tasks; report those rather than fail
+        if (outcomes.some(outcome => outcome.summary)) {
+            return buildReply('', outcomes);
         }
 
-        logger.debug('Resolved relative date', {
-            original: task.date,
-            resolved: resolvedDate,
-            timezone
-        });
+        throw new Error(`Failed to process message: ${error.message}`);
     }
-
-    return {
-        ...task,
-        date: resolvedDate
-    };
 }
 
 /**
- * Validate extracted task data
- * 
- * @param {Object} task - Task object to validate
- * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ * Build the chat reply from the LLM's text and the tool outcomes
+ * The type and records come from the last tool call that did something
+ * (or asked back); the outcome summaries stand in when the LLM wrote no text.
+ *
+ * @param {string} text - Final LLM text ('' if none)
+ * @param {Array<Object>} outcomes - Tool outcomes in call order (see chatTools.runToolCall)
+ * @returns {Object} {
+ *   type: 'task_created' | 'task_updated' | 'task_query' | 'plan_generated' | 'clarification' | 'general',
+ *   message, actions: [{ tool, ok, type, task_ids, error }],
+ *   task?, action?, tasks?, query?, results?, candidates?, plan_id?, plan?
+ * }
  */
-function validateTaskData(task) {
-    const errors = [];
+function buildReply(text, outcomes) {
+    const typed = outcomes.filter(outcome => outcome.type);
+    const last = [...typed].reverse().find(outcome => outcome.ok) || typed[typed.length - 1];
+
+    const summaries = outcomes.filter(outcome => outcome.summary).map(outcome => outcome.summary);
+
+    const reply = {
+        type: last ? last.type : 'general',
+        message: text || summaries.join('\n\n') || 'Sorry, I could not complete that. Could you rephrase your request?',
+        actions: outcomes.map(outcome => ({
+            tool: outcome.tool,
+            ok: outcome.ok,
+            type: outcome.type || null,
+            task_ids: outcome.ok ? (outcome.createdTasks || (outcome.task ? [outcome.task] : [])).map(task => task.id) : [],
+            error: outcome.ok ? null : outcome.result.error || null
+        }))
+    };
 
-    // Required fields
-    if (!task.title || task.title.trim().length === 0) {
-        errors.push('Task title is required');
+    if (!last) {
+        return reply;
     }
 
-    if (!task.date || !/^\d{4}-\d{2}-\d{2}$/.test(task.date)) {
-        errors.push('Valid date is required (YYYY-MM-DD)');
+    if (last.task) {
+        reply.task = last.task;
     }
-
-    if (!task.time || !/^\d{2}:\d{2}$/.test(task.time)) {
-        errors.push('Valid time is required (HH:MM)');
+    if (last.action) {
+        reply.action = last.action;
     }
-
-    // Optional fields validation
-    if (task.duration_minutes !== null && task.duration_minutes !== undefined) {
-        if (typeof task.duration_minutes !== 'number' || task.duration_minutes <= 0) {
-            errors.push('Duration must be a positive number');
-        }
+    if (last.tasks) {
+        reply.tasks = last.tasks;
+        reply.query = last.query;
+    }
+    if (last.createdTasks) {
+        reply.tasks = last.createdTasks;
+        reply.results = last.results;
+    }
+    if (last.candidates) {
+        reply.candidates = last.candidates;
+    }
+    if (last.planId) {
+        reply.plan_id = last.planId;
+        reply.plan = last.plan;
     }
 
-    return {
-        valid: errors.length === 0,
-        errors
-    };
+    return reply;
+}
+
+/**
+ * Fold older conversation turns into a running summary
+ *
+ * @param {string|null} previousSummary - Summary of the turns before these
+ * @param {Array} messages - Message records to add, oldest first ({ role, content })
+ * @returns {Promise<string>} Updated summary
+ * @throws {Error} If the LLM call fails
+ */
+async function summarizeConversation(previousSummary, messages) {
+    const transcript = messages
+        .map(message => `${message.role === 'user' ? 'Student' : 'Assistant'}: ${message.content}`)
+        .join('\n');
+
+    const response = await groq.chat.completions.create({
+        model: config.groq.model,
+        messages: [
+            { role: 'system', content: CONVERSATION_SUMMARY_SYSTEM_PROMPT },
+            {
+                role: 'user',
+                content: `PREVIOUS SUMMARY:\n${previousSummary || 'None'}\n\nNEW MESSAGES:\n${transcript}`
+            }
+        ],
+        temperature: 0.3,
+        max_tokens: 512
+    });
+
+    return response.choices[0].message.content.trim();
 }
 
 module.exports = {
     processMessage,
-    validateTaskData
+    summarizeConversation
 };
@@ -0,0 +1,792 @@
+/**
+ * Chat Tools
+ * The tools the chat agent (chatService.js) can call, and what they do.
+ *
+ * Tools:
+ * - create_task: add one or more tasks, each at a given date and time
+ * - query_tasks: list the user's tasks in a date range
+ * - modify_task: update, reschedule, complete or cancel an existing task
+ * - generate_study_plan: save a draft study plan (see studyPlanService.js)
+ *
+ * Every call is checked against the tool's JSON schema, then against the
+ * same rules the REST endpoints apply, before it runs. A rejected or failed
+ * call is not an error of the chat request: its reason goes back to the
+ * LLM, which can correct the call or ask the user.
+ *
+ * Tasks are created and changed through taskManager with the CHAT actor.
+ * `#tag` mentions in the message become the tags of new tasks (matched here,
+ * not by the LLM) and filter task queries.
+ */
+
+const { DateTime } = require('luxon');
+const taskManager = require('./taskManager');
+const studyPlanService = require('./studyPlanService');
+const agentLogs = require('../db/helpers/agentLogs');
+const { TaskStatus, TaskPriority, OPEN_STATUSES } = require('../db/helpers/tasks');
+const { TaskActor } = require('../db/helpers/taskRevisions');
+const { formatInTimezone } = require('../utils/timezone');
+const { extractHashtags, stripHashtags } = require('../utils/tags');
+const { toToolDefinitions, parseToolCall } = require('../utils/toolCalling');
+const logger = require('../utils/logger');
+
+/**
+ * Actions of the modify_task tool
+ */
+const TaskChangeAction = {
+    UPDATE: 'update',
+    RESCHEDULE: 'reschedule',
+    COMPLETE: 'complete',
+    CANCEL: 'cancel'
+};
+
+/**
+ * Most tasks a chat answer is grounded in (the rest are counted, not listed)
+ */
+const MAX_QUERY_TASKS = 25;
+
+/**
+ * Most tasks one create_task call can add
+ */
+const MAX_CHAT_TASKS = 10;
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIME_PATTERN = '^\\d{2}:\\d{2}$';
+
+/**
+ * JSON schema of one task for create_task
+ */
+const CHAT_TASK_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, description: 'Concise task title, without #tags' },
+        description: { type: ['string', 'null'] },
+        date: { type: 'string', pattern: DATE_PATTERN, description: 'YYYY-MM-DD, the actual date (not "tomorrow")' },
+        time: { type: 'string', pattern: TIME_PATTERN, description: 'HH:MM in 24-hour format' },
+        duration_minutes: { type: ['integer', 'null'], minimum: 1, maximum: 24 * 60, description: 'Only if the user said how long it takes' },
+        priority: {
+            type: ['string', 'null'],
+            enum: [...Object.values(TaskPriority), null],
+            description: 'Only if the user said how important the task is'
+        }
+    },
+    required: ['title', 'date', 'time'],
+    additionalProperties: false
+};
+
+/**
+ * Tools offered to the chat agent
+ * Each has a JSON schema for its arguments and an executor
+ * (args, context) => outcome; see runToolCall.
+ */
+const TOOLS = [
+    {
+        name: 'create_task',
+        description: 'Add tasks to the user\'s calendar, all tasks of the message in one call. Only include a task when the user gave both its day and time; never guess them.',
+        parameters: {
+            type: 'object',
+            properties: {
+                tasks: { type: 'array', minItems: 1, maxItems: MAX_CHAT_TASKS, items: CHAT_TASK_SCHEMA }
+            },
+            required: ['tasks'],
+            additionalProperties: false
+        },
+        // Each task is checked on its own (validateTaskData), so one bad task
+        // does not stop the others
+        argumentsSchema: {
+            type: 'object',
+            properties: {
+                tasks: { type: 'array', minItems: 1, maxItems: MAX_CHAT_TASKS, items: { type: 'object' } }
+            },
+            required: ['tasks'],
+            additionalProperties: false
+        },
+        execute: createTasksFromChat
+    },
+    {
+        name: 'query_tasks',
+        description: 'List the user\'s tasks between two dates. Use it for every question about the schedule; you do not know the user\'s tasks otherwise.',
+        parameters: {
+            type: 'object',
+            properties: {
+                start_date: { type: 'string', pattern: DATE_PATTERN, description: 'First day asked about (YYYY-MM-DD)' },
+                end_date: { type: 'string', pattern: DATE_PATTERN, description: 'Last day asked about (YYYY-MM-DD); same as start_date for one day' },
+                statuses: {
+                    type: ['array', 'null'],
+                    items: { type: 'string', enum: Object.values(TaskStatus) },
+                    description: 'Only tasks with these statuses, e.g. ["pending", "in_progress"] for what is still open'
+                }
+            },
+            required: ['start_date', 'end_date'],
+            additionalProperties: false
+        },
+        execute: queryTasksFromChat
+    },
+    {
+        name: 'modify_task',
+        description: 'Change an existing task: "reschedule" for a new day or time, "complete" for done/finished, "cancel" for cancelled/skipped/dropped, "update" for anything else.',
+        parameters: {
+            type: 'object',
+            properties: {
+                action: { type: 'string', enum: Object.values(TaskChangeAction) },
+                target: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string', minLength: 1, description: 'The words the user used for the task, e.g. "React session"' },
+                        date: { type: ['string', 'null'], pattern: DATE_PATTERN, description: 'The day the task is on now, only if the user said it' }
+                    },
+                    required: ['title'],
+                    additionalProperties: false
+                },
+                changes: {
+                    type: ['object', 'null'],
+                    description: 'Only what the user asked to change (omit for complete and cancel)',
+                    properties: {
+                        title: { type: ['string', 'null'] },
+                        description: { type: ['string', 'null'] },
+                        date: { type: ['string', 'null'], pattern: DATE_PATTERN, description: 'New day' },
+                        time: { type: ['string', 'null'], pattern: TIME_PATTERN, description: 'New time, 24-hour' },
+                        duration_minutes: { type: ['integer', 'null'], minimum: 1, maximum: 24 * 60 },
+                        priority: { type: ['string', 'null'], enum: [...Object.values(TaskPriority), null] }
+                    },
+                    additionalProperties: false
+                }
+            },
+            required: ['action', 'target'],
+            additionalProperties: false
+        },
+        execute: modifyTaskFromChat
+    },
+    {
+        ...studyPlanService.STUDY_PLAN_TOOL,
+        execute: generateStudyPlanFromChat
+    }
+];
+
+/**
+ * The tools in chat completion request format
+ */
+const TOOL_DEFINITIONS = toToolDefinitions(TOOLS);
+
+/**
+ * Run a tool call from the LLM
+ * Never throws: invalid calls and failures come back as outcomes with ok: false.
+ *
+ * @param {Object} toolCall - Tool call from the chat completion ({ id, function: { name, arguments } })
+ * @param {Object} context - Chat context
+ * @param {string} context.userId - User's unique identifier
+ * @param {string} context.message - User's chat message
+ * @param {string} context.timezone - User's timezone
+ * @returns {Promise<Object>} Outcome { tool, ok, result, type?, summary?, ... }:
+ *   `result` goes back to the LLM; `type`, `summary` and the records
+ *   (task, tasks, query, candidates, planId, plan) build the chat reply
+ */
+async function runToolCall(toolCall, context) {
+    const call = parseToolCall(toolCall, TOOLS);
+
+    if (call.errors.length > 0) {
+        logger.warn('Invalid chat tool call', { tool: call.name, errors: call.errors });
+        return { tool: call.name, ...rejected(call.errors) };
+    }
+
+    try {
+        return { tool: call.name, ...await call.tool.execute(call.args, context) };
+    } catch (error) {
+        logger.error('Chat tool failed', {
+            error: error.message,
+            userId: context.userId,
+            tool: call.name
+        });
+
+        return { tool: call.name, ok: false, result: { error: error.message } };
+    }
+}
+
+/**
+ * Outcome of a call whose arguments were refused
+ * @param {Array<string>} errors - What is wrong
+ * @returns {Object} Outcome without tool name
+ */
+function rejected(errors) {
+    return { ok: false, result: { error: `Invalid arguments: ${errors.join('; ')}` } };
+}
+
+/**
+ * Compact view of a task for the LLM
+ * @param {Object} task - Formatted task
+ * @returns {Object} { id, title, when, status, priority, duration_minutes }
+ */
+function describeTask(task) {
+    return {
+        id: task.id,
+        title: task.title,
+        when: task.startTimeFormatted || task.deadlineFormatted,
+        status: task.status,
+        priority: task.priority,
+        duration_minutes: task.durationMinutes || null
+    };
+}
+
+/**
+ * create_task executor
+ * Every task is validated on its own; the valid ones are created in one
+ * batch (taskManager.applyTaskBatch), so they are all added or none is. A
+ * task the batch refuses is reported and the batch retried without it. The
+ * time is when a task starts if the user said how long it takes, otherwise
+ * it is the deadline.
+ *
+ * @param {Object} args - Tool arguments ({ tasks })
+ * @param {Object} context - Chat context ({ userId, message, timezone })
+ * @returns {Promise<Object>} Outcome; `results` has one entry per task:
+ *   { index, title, status: 'created' | 'invalid' | 'failed', task_id?, errors? }
+ */
+async function createTasksFromChat(args, context) {
+    const { userId, message, timezone } = context;
+    const tags = extractHashtags(message);
+
+    const results = args.tasks.map((task, index) => {
+        const title = typeof task.title === 'string' ? stripHashtags(task.title) : task.title;
+        const validation = validateTaskData({ ...task, title });
+
+        return validation.valid
+            ? { index, title, status: 'pending', task: { ...task, title } }
+            : { index, title: typeof title === 'string' && title ? title : null, status: 'invalid', errors: validation.errors };
+    });
+
+    let pending = results.filter(result => result.status === 'pending');
+
+    while (pending.length > 0) {
+        const batch = await taskManager.applyTaskBatch(userId, pending.map(({ task }) => {
+            const when = `${task.date}T${task.time}:00`;
+            const durationMinutes = task.duration_minutes ? Math.round(task.duration_minutes) : null;
+
+            return {
+                op: 'create',
+                task: {
+                    title: task.title,
+                    description: task.description,
+                    ...(durationMinutes
+                        ? { startTime: when, durationMinutes }
+                        : { deadline: when }),
+                    priority: task.priority || undefined,
+                    tags,
+                    timezone
+                }
+            };
+        }), { syncToGoogle: false, actor: TaskActor.CHAT });
+
+        if (batch.applied) {
+            batch.results.forEach((item, i) => {
+                Object.assign(pending[i], { status: 'created', created: item.task });
+            });
+            break;
+        }
+
+        if (batch.rolledBack) {
+            pending.forEach(result => Object.assign(result, { status: 'failed', errors: [batch.error] }));
+            await agentLogs.logFailure(userId, agentLogs.ActionTypes.TASK_CREATED, batch.error, {
+                originalMessage: message
+            });
+            break;
+        }
+
+        batch.results.filter(item => item.status === 'invalid').forEach(item => {
+            Object.assign(pending[item.index], { status: 'invalid', errors: [item.error] });
+        });
+        pending = pending.filter(result => result.status === 'pending');
+    }
+
+    const createdTasks = results.filter(result => result.status === 'created').map(result => result.created);
+
+    // Log successful chat-based task creation
+    for (const createdTask of createdTasks) {
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_CREATED, {
+            taskId: createdTask.id,
+            title: createdTask.title,
+            createdVia: 'chat',
+            originalMessage: message
+        });
+    }
+
+    logger.info('Tasks created via chat', {
+        userId,
+        requested: results.length,
+        created: createdTasks.length
+    });
+
+    const report = results.map(result => ({
+        index: result.index,
+        title: result.created ? result.created.title : result.title,
+        status: result.status,
+        ...(result.created ? { task_id: result.created.id } : { errors: result.errors })
+    }));
+
+    return {
+        ok: createdTasks.length > 0,
+        type: createdTasks.length > 0 ? 'task_created' : 'clarification',
+        ...(createdTasks.length === 1 ? { task: createdTasks[0] } : {}),
+        createdTasks,
+        results: report,
+        summary: formatCreationSummary(createdTasks, report),
+        result: {
+            ...(createdTasks.length === 0 ? { error: 'No task was created' } : {}),
+            created: createdTasks.map(describeTask),
+            not_created: report.filter(item => item.status !== 'created')
+        }
+    };
+}
+
+/**
+ * One confirmation message for the tasks of a create_task call
+ * @param {Array<Object>} createdTasks - Created tasks (formatted)
+ * @param {Array<Object>} report - Per-task results
+ * @returns {string} Confirmation (markdown)
+ */
+function formatCreationSummary(createdTasks, report) {
+    const failed = report.filter(item => item.status !== 'created');
+    const failedLines = failed.map(item => `⚠️ **${item.title || `Task ${item.index + 1}`}** was not added: ${item.errors.join('; ')}`);
+
+    if (createdTasks.length === 1 && failed.length === 0) {
+        const createdTask = createdTasks[0];
+        return `✅ **Task added to your calendar!**\n\n📚 **${createdTask.title}**\n📅 ${createdTask.startTimeFormatted || createdTask.deadlineFormatted}\n⏰ ${createdTask.deadlineRelative}${createdTask.durationMinutes ? `\n⏱️ Duration: ${createdTask.durationMinutes} minutes` : ''}${createdTask.priority === TaskPriority.HIGH ? '\n🔥 High priority' : ''}\n\nYou can sync it to Google Calendar using the Sync button.`;
+    }
+
+    if (createdTasks.length === 0) {
+        const nextStep = failed.some(item => item.status === 'invalid')
+            ? 'Please provide the missing details.'
+            : 'Please try again in a moment.';
+        return `I couldn't add ${failed.length === 1 ? 'that task' : 'those tasks'}:\n${failedLines.join('\n')}\n\n${nextStep}`;
+    }
+
+    const createdLines = createdTasks.map(task =>
+        `📚 **${task.title}** — ${task.startTimeFormatted || task.deadlineFormatted}${task.durationMinutes ? ` (${task.durationMinutes} min)` : ''}${task.priority === TaskPriority.HIGH ? ' 🔥' : ''}`
+    );
+
+    return [
+        `✅ **${createdTasks.length} tasks added to your calendar!**`,
+        '',
+        ...createdLines,
+        ...(failed.length > 0 ? ['', ...failedLines] : []),
+        '',
+        'You can sync them to Google Calendar using the Sync button.'
+    ].join('\n');
+}
+
+/**
+ * query_tasks executor
+ * The LLM gets one line per task (at most MAX_QUERY_TASKS) and answers from
+ * those alone.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Chat context ({ userId, message, timezone })
+ * @returns {Promise<Object>} Outcome
+ */
+async function queryTasksFromChat(args, context) {
+    const { userId, message, timezone } = context;
+    const query = {
+        startDate: args.start_date,
+        endDate: args.end_date,
+        statuses: args.statuses || null,
+        // Like for creation, tags come from the message itself
+        tag: extractHashtags(message)[0] || null
+    };
+
+    const validation = validateQueryData(query);
+    if (!validation.valid) {
+        return rejected(validation.errors);
+    }
+
+    const { tasks, total } = await taskManager.listTasks(userId, {
+        from: query.startDate,
+        to: query.endDate,
+        timezone,
+        statuses: query.statuses || undefined,
+        tag: query.tag || undefined,
+        limit: MAX_QUERY_TASKS
+    });
+
+    const period = query.startDate === query.endDate
+        ? query.startDate
+        : `${query.startDate} to ${query.endDate}`;
+    const taskLines = tasks.map(formatTaskForQuery(timezone));
+    const more = total - tasks.length;
+
+    logger.info('Task query answered via chat', {
+        userId,
+        startDate: query.startDate,
+        endDate: query.endDate,
+        total
+    });
+
+    return {
+        ok: true,
+        type: 'task_query',
+        tasks,
+        query: {
+            start_date: query.startDate,
+            end_date: query.endDate,
+            statuses: query.statuses,
+            tag: query.tag,
+            total
+        },
+        summary: total === 0
+            ? `📅 You have no matching tasks for ${period}.`
+            : [
+                `📅 ${total} task${total === 1 ? '' : 's'} for ${period}:`,
+                ...taskLines,
+                ...(more > 0 ? [`…and ${more} more in your task list.`] : [])
+            ].join('\n'),
+        result: {
+            period,
+            timezone,
+            total,
+            shown: tasks.length,
+            tasks: taskLines
+        }
+    };
+}
+
+/**
+ * modify_task executor
+ * Finds the task by fuzzy title (taskManager.findTaskByReference); when no
+ * task or several fit, nothing changes and the candidates are returned so
+ * the user can be asked which one.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Chat context ({ userId, timezone })
+ * @returns {Promise<Object>} Outcome
+ */
+async function modifyTaskFromChat(args, context) {
+    const { userId, timezone } = context;
+    const raw = args.changes || {};
+    const intent = {
+        action: args.action,
+        target: {
+            title: stripHashtags(args.target.title),
+            date: args.target.date || null
+        },
+        changes: {
+            title: raw.title ? stripHashtags(raw.title) : null,
+            description: raw.description ?? null,
+            date: raw.date || null,
+            time: raw.time || null,
+            duration_minutes: raw.duration_minutes ?? null,
+            priority: raw.priority || null
+        }
+    };
+
+    const validation = validateChangeData(intent);
+    if (!validation.valid) {
+        return rejected(validation.errors);
+    }
+
+    const { action, target, changes } = intent;
+
+    // Editing may touch finished tasks; moving, completing or cancelling only open ones
+    const match = await taskManager.findTaskByReference(userId, target.title, {
+        date: target.date || undefined,
+        statuses: action === TaskChangeAction.UPDATE
+            ? [...OPEN_STATUSES, TaskStatus.COMPLETED]
+            : OPEN_STATUSES,
+        timezone
+    });
+
+    if (!match.task) {
+        return {
+            ok: false,
+            type: 'clarification',
+            candidates: match.candidates,
+            summary: match.candidates.length === 0
+                ? `I couldn't find a task matching "${target.title}"${target.date ? ` on ${target.date}` : ''}. Could you give its title or day?`
+                : `I found several tasks matching "${target.title}":\n${match.candidates
+                    .map((task, index) => `${index + 1}. **${task.title}** (${task.startTimeFormatted || task.deadlineFormatted})`)
+                    .join('\n')}\n\nWhich one do you mean?`,
+            result: {
+                error: match.candidates.length === 0
+                    ? 'No matching task. Ask the user for its title or day.'
+                    : 'Several tasks match. Ask the user which one they mean.',
+                candidates: match.candidates.map(describeTask)
+            }
+        };
+    }
+
+    let task;
+    if (action === TaskChangeAction.COMPLETE || action === TaskChangeAction.CANCEL) {
+        const status = action === TaskChangeAction.COMPLETE ? TaskStatus.COMPLETED : TaskStatus.CANCELLED;
+        task = await taskManager.updateTaskStatus(userId, match.task.id, status, { actor: TaskActor.CHAT });
+    } else {
+        task = await taskManager.updateTask(userId, match.task.id, buildTaskUpdates(match.task, changes), {
+            actor: TaskActor.CHAT
+        });
+    }
+
+    if (!task) {
+        throw new Error('Task not found');
+    }
+
+    logger.info('Task changed via chat', { userId, taskId: task.id, action });
+
+    const confirmations = {
+        [TaskChangeAction.COMPLETE]: `✅ Marked **${task.title}** as done. Nice work!`,
+        [TaskChangeAction.CANCEL]: `🗑️ Cancelled **${task.title}**.`,
+        [TaskChangeAction.RESCHEDULE]: `📅 Moved **${task.title}** to ${task.startTimeFormatted || task.deadlineFormatted}.`,
+        [TaskChangeAction.UPDATE]: `✏️ Updated **${task.title}**.`
+    };
+    const unblocked = task.unblocked && task.unblocked.length > 0
+        ? `\n\n🔓 Now unblocked: ${task.unblocked.map(t => t.title).join(', ')}`
+        : '';
+
+    return {
+        ok: true,
+        type: 'task_updated',
+        action,
+        task,
+        summary: `${confirmations[action]}${unblocked}`,
+        result: {
+            action,
+            task: describeTask(task),
+            unblocked: (task.unblocked || []).map(t => t.title)
+        }
+    };
+}
+
+/**
+ * generate_study_plan executor
+ * Stores the plan as a draft, like POST /study-plan/generate.
+ *
+ * @param {Object} args - Tool arguments (a plan matching STUDY_PLAN_SCHEMA)
+ * @param {Object} context - Chat context ({ userId })
+ * @returns {Promise<Object>} Outcome
+ */
+async function generateStudyPlanFromChat(args, context) {
+    const validation = studyPlanService.validatePlan(args);
+    if (!validation.valid) {
+        return rejected(validation.errors);
+    }
+
+    const saved = await studyPlanService.savePlan(context.userId, args);
+
+    await agentLogs.logSuccess(context.userId, agentLogs.ActionTypes.STUDY_PLAN_GENERATED, {
+        planId: saved.planId,
+        goal: saved.plan.goal,
+        totalDays: saved.plan.total_days,
+        createdVia: 'chat'
+    });
+
+    return {
+        ok: true,
+        type: 'plan_generated',
+        planId: saved.planId,
+        plan: saved.plan,
+        summary: saved.message,
+        result: {
+            plan_id: saved.planId,
+            goal: saved.plan.goal,
+            total_days: saved.plan.total_days,
+            note: 'Saved as a draft; the student reviews it and adds it to the calendar from the study plan screen.'
+        }
+    };
+}
+
+/**
+ * Build a formatter that turns a task into one prompt line
+ * @param {string} timezone - User's timezone
+ * @returns {Function} (task) => string like "- Thu 14:00-15:00 | Study graphs | pending | high"
+ */
+function formatTaskForQuery(timezone) {
+    return task => {
+        const end = formatInTimezone(new Date(task.deadline), timezone, 'HH:mm');
+        const when = task.startTime
+            ? `${formatInTimezone(new Date(task.startTime), timezone, 'EEE MMM d HH:mm')}-${end}`
+            : `${formatInTimezone(new Date(task.deadline), timezone, 'EEE MMM d')} due ${end}`;
+
+        const details = [
+            when,
+            task.title,
+            task.status,
+            task.priority,
+            ...(task.tags && task.tags.length > 0 ? [task.tags.map(tag => `#${tag}`).join(' ')] : []),
+            ...(task.checklistProgress ? [`checklist ${task.checklistProgress.label}`] : [])
+        ];
+
+        return `- ${details.join(' | ')}`;
+    };
+}
+
+/**
+ * Turn the changes of a modify_task call into taskManager.updateTask updates
+ * A new date keeps the task's time of day and a new time keeps its day. The
+ * time moves the start when the task has one (or a duration is given, as for
+ * new tasks), otherwise the deadline.
+ *
+ * @param {Object} task - Formatted task being changed
+ * @param {Object} changes - Requested changes (null fields are unchanged)
+ * @returns {Object} Updates for taskManager.updateTask
+ */
+function buildTaskUpdates(task, changes) {
+    const updates = {};
+
+    if (changes.title) {
+        updates.title = changes.title;
+    }
+
+    if (changes.description !== null && changes.description !== undefined) {
+        updates.description = changes.description;
+    }
+
+    if (changes.priority) {
+        updates.priority = changes.priority;
+    }
+
+    if (changes.duration_minutes) {
+        updates.durationMinutes = Math.round(changes.duration_minutes);
+    }
+
+    if (changes.date || changes.time) {
+        const byStart = !!(task.startTime || changes.duration_minutes);
+        const current = DateTime.fromJSDate(new Date(byStart && task.startTime ? task.startTime : task.deadline))
+            .setZone(task.timezone);
+
+        const when = `${changes.date || current.toISODate()}T${changes.time || current.toFormat('HH:mm')}:00`;
+        updates[byStart ? 'startTime' : 'deadline'] = when;
+    }
+
+    return updates;
+}
+
+/**
+ * Validate extracted task data
+ * 
+ * @param {Object} task - One task of a create_task call
+ * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ */
+function validateTaskData(task) {
+    const errors = [];
+
+    // Required fields
+    if (typeof task.title !== 'string' || task.title.trim().length === 0) {
+        errors.push('Task title is required');
+    }
+
+    if (!task.date || !/^\d{4}-\d{2}-\d{2}$/.test(task.date)) {
+        errors.push('Valid date is required (YYYY-MM-DD)');
+    }
+
+    if (!task.time || !/^\d{2}:\d{2}$/.test(task.time)) {
+        errors.push('Valid time is required (HH:MM)');
+    }
+
+    // Optional fields validation
+    if (task.duration_minutes !== null && task.duration_minutes !== undefined) {
+        if (typeof task.duration_minutes !== 'number' || task.duration_minutes <= 0) {
+            errors.push('Duration must be a positive number');
+        } else if (task.duration_minutes > 24 * 60) {
+            errors.push('Duration cannot be longer than 24 hours');
+        }
+    }
+
+    if (task.priority !== null && task.priority !== undefined && !['high', 'medium', 'low'].includes(task.priority)) {
+        errors.push('Priority must be high, medium or low');
+    }
+
+    if (task.description !== null && task.description !== undefined && typeof task.description !== 'string') {
+        errors.push('Description must be text');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate extracted task query data
+ *
+ * @param {Object} query - Query from a query_tasks call ({ startDate, endDate, statuses })
+ * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ */
+function validateQueryData(query) {
+    const errors = [];
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    if (!isDate(query.startDate) || !isDate(query.endDate)) {
+        errors.push('Valid start and end dates are required (YYYY-MM-DD)');
+    } else if (query.endDate < query.startDate) {
+        errors.push('End date cannot be before start date');
+    }
+
+    if (query.statuses !== null && query.statuses !== undefined &&
+        (!Array.isArray(query.statuses) || query.statuses.some(status => !Object.values(TaskStatus).includes(status)))) {
+        errors.push(`Statuses must be among ${Object.values(TaskStatus).join(', ')}`);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate extracted task change data
+ *
+ * @param {Object} intent - Task change from a modify_task call ({ action, target, changes })
+ * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ */
+function validateChangeData({ action, target, changes }) {
+    const errors = [];
+
+    if (!Object.values(TaskChangeAction).includes(action)) {
+        errors.push(`Action must be one of ${Object.values(TaskChangeAction).join(', ')}`);
+    }
+
+    if (!target.title || target.title.trim().length === 0) {
+        errors.push('Which task do you mean? Please name it');
+    }
+
+    if (target.date && !/^\d{4}-\d{2}-\d{2}$/.test(target.date)) {
+        errors.push('Valid task date is required (YYYY-MM-DD)');
+    }
+
+    if (changes.date && !/^\d{4}-\d{2}-\d{2}$/.test(changes.date)) {
+        errors.push('Valid new date is required (YYYY-MM-DD)');
+    }
+
+    if (changes.time && !/^\d{2}:\d{2}$/.test(changes.time)) {
+        errors.push('Valid new time is required (HH:MM)');
+    }
+
+    if (changes.duration_minutes !== null &&
+        (typeof changes.duration_minutes !== 'number' || changes.duration_minutes <= 0 || changes.duration_minutes > 24 * 60)) {
+        errors.push('Duration must be a positive number of minutes, at most 24 hours');
+    }
+
+    if (changes.priority && !Object.values(TaskPriority).includes(changes.priority)) {
+        errors.push('Priority must be high, medium or low');
+    }
+
+    if (action === TaskChangeAction.RESCHEDULE && !changes.date && !changes.time && !changes.duration_minutes) {
+        errors.push('When should the task move to? Please give a new date or time');
+    }
+
+    if (action === TaskChangeAction.UPDATE && !changes.title && changes.description === null &&
+        !changes.date && !changes.time && !changes.duration_minutes && !changes.priority) {
+        errors.push('What should change about the task?');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+module.exports = {
+    TaskChangeAction,
+    MAX_QUERY_TASKS,
+    MAX_CHAT_TASKS,
+    TOOLS,
+    TOOL_DEFINITIONS,
+    runToolCall,
+    buildTaskUpdates,
+    validateTaskData,
+    validateQueryData,
+    validateChangeData
+};
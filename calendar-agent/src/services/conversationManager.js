@@ -0,0 +1,264 @@
+/**
+ * Conversation Manager Service
+ * Server-side memory of the chat agent.
+ *
+ * This service orchestrates:
+ * - Starting conversations and loading their recent turns as LLM history
+ * - Recording both sides of each turn, with the tasks the reply created or changed
+ * - Folding older turns into a running summary once a conversation gets long
+ * - Listing, reading and deleting conversations
+ *
+ * History comes only from stored messages, so a client cannot make the agent
+ * believe it said something it did not.
+ */
+
+const config = require('../config');
+const conversationsDb = require('../db/helpers/conversations');
+const chatMessagesDb = require('../db/helpers/chatMessages');
+const chatService = require('./chatService');
+const logger = require('../utils/logger');
+
+/**
+ * Longest conversation title (taken from the first message)
+ */
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Load a conversation and its history
+ * A new conversation is not stored yet: recordTurn creates it with its first
+ * turn, so a message that gets no reply leaves no empty conversation behind.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string|null} conversationId - Existing conversation, or null to start one
+ * @returns {Promise<Object>} { conversation, history }; conversation is null for a new
+ *   one, history is ready for chatService.processMessage (summary first, then the
+ *   recent messages)
+ * @throws {Error} 'Conversation not found' if conversationId is not the user's
+ */
+async function openConversation(userId, conversationId) {
+    if (!conversationId) {
+        return { conversation: null, history: [] };
+    }
+
+    const conversation = await conversationsDb.getConversationById(conversationId, userId);
+
+    if (!conversation) {
+        throw new Error('Conversation not found');
+    }
+
+    const messages = await chatMessagesDb.getMessages(conversation.id, {
+        after: conversation.summarized_until || undefined,
+        limit: config.chat.historyWindow
+    });
+
+    return {
+        conversation,
+        history: [
+            ...(conversation.summary
+                ? [{ role: 'system', content: `Summary of the earlier conversation: ${conversation.summary}` }]
+                : []),
+            ...messages.map(message => ({ role: message.role, content: message.content }))
+        ]
+    };
+}
+
+/**
+ * Store both sides of a chat turn, then summarise older turns if needed
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object|null} conversation - Conversation record, or null to start one
+ *   (titled after the message)
+ * @param {Object} turn - The turn
+ * @param {string} turn.message - User's message
+ * @param {Date} turn.receivedAt - When the user's message arrived
+ * @param {Object} turn.reply - Reply data sent to the client ({ type, message, actions, ... })
+ * @returns {Promise<Object>} The conversation record
+ * @throws {Error} If the turn could not be stored (a conversation created for it is removed)
+ */
+async function recordTurn(userId, conversation, turn) {
+    const isNew = !conversation;
+
+    if (isNew) {
+        const title = turn.message.trim().replace(/\s+/g, ' ').slice(0, MAX_TITLE_LENGTH);
+        conversation = await conversationsDb.createConversation(userId, title);
+
+        logger.info('Conversation started', { userId, conversationId: conversation.id });
+    }
+
+    try {
+        await chatMessagesDb.addMessages(conversation.id, userId, [
+            {
+                role: chatMessagesDb.MessageRole.USER,
+                content: turn.message,
+                createdAt: turn.receivedAt.toISOString()
+            },
+            {
+                role: chatMessagesDb.MessageRole.ASSISTANT,
+                content: turn.reply.message,
+                responseType: turn.reply.type,
+                taskIds: getReplyTaskIds(turn.reply)
+            }
+        ]);
+    } catch (error) {
+        // Do not leave a new conversation without its first turn
+        if (isNew) {
+            await conversationsDb.deleteConversation(conversation.id, userId).catch(() => {});
+        }
+        throw error;
+    }
+
+    await compactConversation(userId, conversation);
+
+    return conversation;
+}
+
+/**
+ * Fold older messages into the conversation summary
+ * Runs once more than CHAT_HISTORY_WINDOW messages are unsummarised; the
+ * newest half of the window stays verbatim. The backlog is folded oldest
+ * first, at most twice the window per LLM call, so messages left over by
+ * earlier failed summaries are still covered. A failed summary is logged and
+ * retried on the next turn (history still only sends the newest messages).
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} conversation - Conversation record
+ * @returns {Promise<void>}
+ */
+async function compactConversation(userId, conversation) {
+    const window = config.chat.historyWindow;
+    const keep = Math.ceil(window / 2);
+
+    let summary = conversation.summary;
+    let summarizedUntil = conversation.summarized_until || undefined;
+    let pending = await chatMessagesDb.countMessages(conversation.id, { after: summarizedUntil });
+
+    if (pending <= window) {
+        await conversationsDb.updateConversation(conversation.id, userId);
+        return;
+    }
+
+    try {
+        while (pending > keep) {
+            const folded = await chatMessagesDb.getMessages(conversation.id, {
+                after: summarizedUntil,
+                limit: Math.min(pending - keep, window * 2),
+                earliest: true
+            });
+
+            if (folded.length === 0) {
+                break;
+            }
+
+            summary = await chatService.summarizeConversation(summary, folded);
+            summarizedUntil = folded[folded.length - 1].created_at;
+
+            // Saved per step so a later failure keeps what was folded
+            await conversationsDb.updateConversation(conversation.id, userId, { summary, summarizedUntil });
+
+            pending -= folded.length;
+
+            logger.info('Conversation summarised', {
+                conversationId: conversation.id,
+                messages: folded.length
+            });
+        }
+    } catch (error) {
+        logger.error('Failed to summarise conversation', {
+            error: error.message,
+            conversationId: conversation.id
+        });
+        await conversationsDb.updateConversation(conversation.id, userId);
+    }
+}
+
+/**
+ * List a user's conversations
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {number} limit - Maximum conversations (default: 50)
+ * @returns {Promise<Array>} Formatted conversations, most recently active first
+ */
+async function listConversations(userId, limit = 50) {
+    const conversations = await conversationsDb.getConversations(userId, limit);
+    return conversations.map(formatConversation);
+}
+
+/**
+ * Get a conversation with its messages
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum messages, newest kept (default: 100)
+ * @returns {Promise<Object|null>} Formatted conversation with messages (oldest first) or null if not found
+ */
+async function getConversation(userId, conversationId, options = {}) {
+    const conversation = await conversationsDb.getConversationById(conversationId, userId);
+
+    if (!conversation) {
+        return null;
+    }
+
+    const messages = await chatMessagesDb.getMessages(conversation.id, { limit: options.limit });
+
+    return {
+        ...formatConversation(conversation),
+        summary: conversation.summary || null,
+        messages: messages.map(message => ({
+            id: message.id,
+            role: message.role,
+            content: message.content,
+            responseType: message.response_type || null,
+            taskIds: message.task_ids || [],
+            createdAt: message.created_at
+        }))
+    };
+}
+
+/**
+ * Delete a conversation and its messages (tasks it created are kept)
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} Whether the conversation was deleted
+ */
+async function deleteConversation(userId, conversationId) {
+    const deleted = await conversationsDb.deleteConversation(conversationId, userId);
+
+    if (deleted) {
+        logger.info('Conversation deleted', { userId, conversationId });
+    }
+
+    return deleted;
+}
+
+/**
+ * IDs of the tasks a reply created or changed
+ * @param {Object} reply - Reply data ({ type, actions })
+ * @returns {Array<string>} Task IDs, once each
+ */
+function getReplyTaskIds(reply) {
+    return [...new Set((reply.actions || []).flatMap(action => action.task_ids || []))];
+}
+
+/**
+ * Format a conversation for API response
+ * @param {Object} conversation - Conversation record
+ * @returns {Object} Formatted conversation
+ */
+function formatConversation(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.created_at,
+        updatedAt: conversation.updated_at
+    };
+}
+
+module.exports = {
+    openConversation,
+    recordTurn,
+    listConversations,
+    getConversation,
+    deleteConversation
+};
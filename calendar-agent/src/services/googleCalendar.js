@@ -7,20 +7,24 @@
  * - Update existing events
  * - Delete events
  * - List events for date ranges
+ * - Read events back for inbound reconciliation (see calendarReconciler.js)
+ * - Free/busy lookups for scheduling study sessions
+ * - Push notification channels and incremental (sync token) listing
+ * - Recurring tasks as a single recurring event; single occurrences are
+ *   edited through their instance IDs
+ * - Event color follows task priority
  * 
  * IMPORTANT: Supabase is the source of truth.
- * Google Calendar is a sync target, not a source.
+ * Google Calendar is a sync target; edits made there are reconciled back
+ * into Supabase by calendarReconciler.js, never written directly.
  * 
  * TODO: Implement batch operations for multiple events
- * TODO: Add support for recurring events
- * TODO: Implement push notifications (webhooks) for real-time sync
- * TODO: Add calendar color coding for different task types
  * TODO: Handle rate limiting with exponential backoff
  */
 
 const { google } = require('googleapis');
 const { getAuthenticatedClient } = require('./googleOAuth');
-const { toGoogleDateTime } = require('../utils/timezone');
+const { toGoogleDateTime, formatInTimezone } = require('../utils/timezone');
 const logger = require('../utils/logger');
 const agentLogs = require('../db/helpers/agentLogs');
 
@@ -35,6 +39,21 @@ const CALENDAR_ID = 'primary';
  */
 const DEFAULT_EVENT_DURATION_MINUTES = 60;
 
+/**
+ * Longest range queried in one FreeBusy request
+ */
+const FREEBUSY_MAX_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Event colorId per task priority (Google's fixed event palette)
+ * 11 = Tomato, 9 = Blueberry (the original study task color), 8 = Graphite
+ */
+const PRIORITY_COLOR_IDS = {
+    high: '11',
+    medium: '9',
+    low: '8'
+};
+
 /**
  * Get a Calendar API client for a user
  * @param {string} userId - User's unique identifier
@@ -53,7 +72,9 @@ async function getCalendarClient(userId) {
  * @param {string} task.id - Task ID
  * @param {string} task.title - Task title
  * @param {string} task.description - Task description
- * @param {Date} task.deadline - Task deadline (UTC)
+ * @param {Date} task.deadline - Task deadline (UTC), used as the event end
+ * @param {number} task.durationMinutes - Event length in minutes (default: 60)
+ * @param {string} task.priority - Task priority, used for the event color
  * @param {string} task.timezone - User's timezone
  * @returns {Promise<Object>} Created event data
  */
@@ -68,16 +89,15 @@ async function createEvent(userId, task) {
     try {
         const calendar = await getCalendarClient(userId);
 
-        // Calculate event start time (1 hour before deadline by default)
-        const deadlineTime = new Date(task.deadline).getTime();
-        const startDateTime = new Date(deadlineTime - DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+        // The event ends at the deadline and lasts the task's duration
+        const { start, end } = getEventTimes(task);
 
         // Build event resource
         const event = {
             summary: `📚 ${task.title}`,
             description: buildEventDescription(task),
-            start: toGoogleDateTime(startDateTime, task.timezone),
-            end: toGoogleDateTime(task.deadline, task.timezone),
+            start: toGoogleDateTime(start, task.timezone),
+            end: toGoogleDateTime(end, task.timezone),
             // Add task metadata for reference
             extendedProperties: {
                 private: {
@@ -93,11 +113,14 @@ async function createEvent(userId, task) {
                     { method: 'popup', minutes: 10 }
                 ]
             },
-            // Color: Study tasks in blue (colorId 9)
-            // TODO: Make configurable based on task type
-            colorId: '9'
+            colorId: getColorId(task)
         };
 
+        // A recurring series is one event; Google expands the occurrences
+        if (task.recurrenceRule) {
+            event.recurrence = buildRecurrence(task);
+        }
+
         const response = await calendar.events.insert({
             calendarId: CALENDAR_ID,
             resource: event
@@ -162,16 +185,20 @@ async function updateEvent(userId, eventId, task) {
         const calendar = await getCalendarClient(userId);
 
         // Calculate event times
-        const deadlineTime = new Date(task.deadline).getTime();
-        const startDateTime = new Date(deadlineTime - DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+        const { start, end } = getEventTimes(task);
 
         const event = {
             summary: `📚 ${task.title}`,
             description: buildEventDescription(task),
-            start: toGoogleDateTime(startDateTime, task.timezone),
-            end: toGoogleDateTime(task.deadline, task.timezone)
+            start: toGoogleDateTime(start, task.timezone),
+            end: toGoogleDateTime(end, task.timezone),
+            colorId: getColorId(task)
         };
 
+        if (task.recurrenceRule) {
+            event.recurrence = buildRecurrence(task);
+        }
+
         const response = await calendar.events.patch({
             calendarId: CALENDAR_ID,
             eventId: eventId,
@@ -259,17 +286,62 @@ async function deleteEvent(userId, eventId) {
     }
 }
 
+/**
+ * Bring back a deleted instance of a recurring event
+ * Deleting an instance only cancels it, so it can be confirmed again.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} eventId - Google Calendar instance ID
+ * @returns {Promise<boolean>} Whether the instance was restored
+ */
+async function restoreEvent(userId, eventId) {
+    logger.debug('Restoring calendar event', { userId, eventId });
+
+    try {
+        const calendar = await getCalendarClient(userId);
+
+        await calendar.events.patch({
+            calendarId: CALENDAR_ID,
+            eventId,
+            resource: { status: 'confirmed' }
+        });
+
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.GCAL_EVENT_UPDATED, {
+            eventId,
+            restored: true
+        });
+
+        logger.info('Restored calendar event', { userId, eventId });
+        return true;
+
+    } catch (error) {
+        await agentLogs.logFailure(userId, agentLogs.ActionTypes.GCAL_API_ERROR, error.message, {
+            eventId,
+            operation: 'restore'
+        });
+
+        logger.error('Failed to restore calendar event', {
+            error: error.message,
+            userId,
+            eventId
+        });
+
+        return false;
+    }
+}
+
 /**
  * List calendar events for a date range
  * 
  * @param {string} userId - User's unique identifier
  * @param {Date} startDate - Start of range (UTC)
  * @param {Date} endDate - End of range (UTC)
+ * @param {Object} options - List options
+ * @param {boolean} options.showDeleted - Include cancelled (deleted) events
+ * @param {boolean} options.throwOnError - Throw instead of returning [] on API errors
  * @returns {Promise<Array>} List of events
- * 
- * TODO: Add pagination for large date ranges
  */
-async function listEvents(userId, startDate, endDate) {
+async function listEvents(userId, startDate, endDate, options = {}) {
     logger.debug('Listing calendar events', {
         userId,
         startDate: startDate.toISOString(),
@@ -279,30 +351,30 @@ async function listEvents(userId, startDate, endDate) {
     try {
         const calendar = await getCalendarClient(userId);
 
-        const response = await calendar.events.list({
-            calendarId: CALENDAR_ID,
-            timeMin: startDate.toISOString(),
-            timeMax: endDate.toISOString(),
-            singleEvents: true,
-            orderBy: 'startTime',
-            maxResults: 250,  // TODO: Handle pagination for more events
-            // Only get Mentora events
-            privateExtendedProperty: 'source=mentora_calendar_agent'
-        });
-
-        const events = response.data.items || [];
+        const events = [];
+        let pageToken;
+
+        do {
+            const response = await calendar.events.list({
+                calendarId: CALENDAR_ID,
+                timeMin: startDate.toISOString(),
+                timeMax: endDate.toISOString(),
+                singleEvents: true,
+                orderBy: 'startTime',
+                maxResults: 250,
+                showDeleted: !!options.showDeleted,
+                pageToken,
+                // Only get Mentora events
+                privateExtendedProperty: 'source=mentora_calendar_agent'
+            });
+
+            events.push(...(response.data.items || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
 
         logger.debug(`Found ${events.length} calendar events`, { userId });
 
-        return events.map(event => ({
-            eventId: event.id,
-            title: event.summary,
-            description: event.description,
-            start: event.start.dateTime || event.start.date,
-            end: event.end.dateTime || event.end.date,
-            htmlLink: event.htmlLink,
-            taskId: event.extendedProperties?.private?.mentora_task_id
-        }));
+        return events.map(mapEvent);
 
     } catch (error) {
         logger.error('Failed to list calendar events', {
@@ -310,22 +382,321 @@ async function listEvents(userId, startDate, endDate) {
             userId
         });
 
+        if (options.throwOnError) {
+            throw error;
+        }
+
         // Return empty array on failure - don't break the flow
         return [];
     }
 }
 
+/**
+ * Get a single calendar event
+ * A deleted event (404/410) is returned with status 'cancelled' so callers
+ * can tell "gone" apart from "could not check".
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} eventId - Google Calendar event ID
+ * @returns {Promise<Object|null>} Event, or null if the API call failed
+ */
+async function getEvent(userId, eventId) {
+    try {
+        const calendar = await getCalendarClient(userId);
+
+        const response = await calendar.events.get({
+            calendarId: CALENDAR_ID,
+            eventId
+        });
+
+        return mapEvent(response.data);
+
+    } catch (error) {
+        if (error.code === 404 || error.code === 410) {
+            return { eventId, status: 'cancelled' };
+        }
+
+        logger.error('Failed to get calendar event', {
+            error: error.message,
+            userId,
+            eventId
+        });
+
+        return null;
+    }
+}
+
+/**
+ * Get the busy times of the user's calendar (all events, not only Mentora's)
+ * Queried in chunks because the FreeBusy API limits the length of the range.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Date} startDate - Start of range (UTC)
+ * @param {Date} endDate - End of range (UTC)
+ * @returns {Promise<Array|null>} [{ start: Date, end: Date }], or null if the API call failed
+ */
+async function getBusyTimes(userId, startDate, endDate) {
+    try {
+        const calendar = await getCalendarClient(userId);
+        const busy = [];
+
+        for (let from = startDate.getTime(); from < endDate.getTime(); from += FREEBUSY_MAX_RANGE_MS) {
+            const to = Math.min(from + FREEBUSY_MAX_RANGE_MS, endDate.getTime());
+
+            const response = await calendar.freebusy.query({
+                requestBody: {
+                    timeMin: new Date(from).toISOString(),
+                    timeMax: new Date(to).toISOString(),
+                    items: [{ id: CALENDAR_ID }]
+                }
+            });
+
+            const result = response.data.calendars?.[CALENDAR_ID];
+
+            if (result?.errors?.length) {
+                throw new Error(`FreeBusy error: ${result.errors.map(e => e.reason).join(', ')}`);
+            }
+
+            for (const period of result?.busy || []) {
+                busy.push({ start: new Date(period.start), end: new Date(period.end) });
+            }
+        }
+
+        return busy;
+
+    } catch (error) {
+        logger.error('Failed to get calendar busy times', {
+            error: error.message,
+            userId
+        });
+
+        return null;
+    }
+}
+
+/**
+ * List events changed since a sync token (incremental sync)
+ * Without a sync token this pages through the whole calendar once, only to
+ * obtain the first nextSyncToken.
+ *
+ * Errors are thrown; a 410 (error.code === 410) means the token expired and
+ * the caller must fall back to a full sync.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string|null} syncToken - nextSyncToken from the previous call
+ * @returns {Promise<Object>} { events: Array, nextSyncToken: string }
+ */
+async function listChangedEvents(userId, syncToken) {
+    const calendar = await getCalendarClient(userId);
+
+    const events = [];
+    let pageToken;
+    let nextSyncToken = null;
+
+    // syncToken cannot be combined with time bounds or property filters,
+    // so events from other sources are filtered out by the caller
+    do {
+        const response = await calendar.events.list({
+            calendarId: CALENDAR_ID,
+            syncToken: syncToken || undefined,
+            showDeleted: true,
+            maxResults: 250,
+            pageToken
+        });
+
+        // A full listing is only needed for its token
+        if (syncToken) {
+            events.push(...(response.data.items || []));
+        }
+
+        pageToken = response.data.nextPageToken;
+        nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+    } while (pageToken);
+
+    logger.debug(`Found ${events.length} changed calendar events`, { userId });
+
+    return {
+        events: events.map(mapEvent),
+        nextSyncToken
+    };
+}
+
+/**
+ * Register a push notification channel for calendar event changes
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} channel - Channel options
+ * @param {string} channel.channelId - Unique channel ID
+ * @param {string} channel.token - Secret Google echoes back in X-Goog-Channel-Token
+ * @param {string} channel.address - HTTPS webhook URL
+ * @param {number} channel.ttlSeconds - Requested channel lifetime
+ * @returns {Promise<Object>} { channelId, resourceId, expiresAt: Date }
+ */
+async function watchEvents(userId, channel) {
+    const calendar = await getCalendarClient(userId);
+
+    const response = await calendar.events.watch({
+        calendarId: CALENDAR_ID,
+        resource: {
+            id: channel.channelId,
+            type: 'web_hook',
+            address: channel.address,
+            token: channel.token,
+            params: { ttl: String(channel.ttlSeconds) }
+        }
+    });
+
+    logger.info('Registered calendar push channel', {
+        userId,
+        channelId: response.data.id
+    });
+
+    return {
+        channelId: response.data.id,
+        resourceId: response.data.resourceId,
+        expiresAt: new Date(Number(response.data.expiration))
+    };
+}
+
+/**
+ * Stop a push notification channel
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} channelId - Channel ID
+ * @param {string} resourceId - Resource ID returned by watchEvents
+ * @returns {Promise<boolean>} Success status
+ */
+async function stopChannel(userId, channelId, resourceId) {
+    try {
+        const calendar = await getCalendarClient(userId);
+
+        await calendar.channels.stop({
+            resource: { id: channelId, resourceId }
+        });
+
+        logger.info('Stopped calendar push channel', { userId, channelId });
+        return true;
+
+    } catch (error) {
+        // Already expired or stopped
+        if (error.code === 404) {
+            return true;
+        }
+
+        logger.error('Failed to stop calendar push channel', {
+            error: error.message,
+            userId,
+            channelId
+        });
+
+        return false;
+    }
+}
+
+/**
+ * Map a Google Calendar event resource to our event shape
+ * @param {Object} event - Google Calendar event resource
+ * @returns {Object} Mapped event
+ */
+function mapEvent(event) {
+    return {
+        eventId: event.id,
+        title: event.summary,
+        description: event.description,
+        start: event.start?.dateTime || event.start?.date,
+        end: event.end?.dateTime || event.end?.date,
+        htmlLink: event.htmlLink,
+        status: event.status,
+        updated: event.updated,
+        taskId: event.extendedProperties?.private?.mentora_task_id
+    };
+}
+
+/**
+ * Compute the event span for a task
+ * Tasks created before durations were stored fall back to the default length.
+ *
+ * @param {Object} task - Task data with deadline and optional durationMinutes
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getEventTimes(task) {
+    const end = new Date(task.deadline);
+    const minutes = task.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES;
+    const start = new Date(end.getTime() - minutes * 60 * 1000);
+
+    return { start, end };
+}
+
+/**
+ * Build the `recurrence` lines of a recurring event
+ * EXDATEs must match instance start times in the event's timezone.
+ *
+ * @param {Object} task - Task data
+ * @param {string} task.recurrenceRule - Canonical RRULE (see utils/recurrence.js)
+ * @param {Array<string>} task.recurrenceExdates - Excluded occurrence deadlines (ISO, UTC)
+ * @param {number} task.durationMinutes - Event length in minutes
+ * @param {string} task.timezone - Task timezone
+ * @returns {Array<string>} Recurrence lines
+ */
+function buildRecurrence(task) {
+    const lines = [`RRULE:${task.recurrenceRule}`];
+    const exdates = task.recurrenceExdates || [];
+
+    if (exdates.length > 0) {
+        const starts = exdates.map(deadline =>
+            formatInTimezone(getEventTimes({ deadline, durationMinutes: task.durationMinutes }).start, task.timezone, "yyyyMMdd'T'HHmmss"));
+        lines.push(`EXDATE;TZID=${task.timezone}:${starts.join(',')}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Get the Google event ID of one instance of a recurring event
+ * Updating or deleting this ID changes only that occurrence.
+ *
+ * @param {string} eventId - Recurring (series) event ID
+ * @param {Object} occurrence - Occurrence data with its original deadline and the series durationMinutes
+ * @returns {string} Instance event ID
+ */
+function getInstanceId(eventId, occurrence) {
+    const { start } = getEventTimes(occurrence);
+    const stamp = start.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    return `${eventId}_${stamp}`;
+}
+
+/**
+ * Event color for a task: its subject's colour if set, otherwise its priority's
+ * @param {Object} task - Task data
+ * @returns {string} Google Calendar colorId
+ */
+function getColorId(task) {
+    return task.subjectColorId || PRIORITY_COLOR_IDS[task.priority] || PRIORITY_COLOR_IDS.medium;
+}
+
 /**
  * Build event description from task data
+ * Checklist items (task.checklist: [{ title, isCompleted }]) are listed as ☐/☑ lines.
+ *
  * @param {Object} task - Task data
  * @returns {string} Formatted description
  */
 function buildEventDescription(task) {
+    const checklist = task.checklist || [];
+
     const lines = [
         `📋 Study Task: ${task.title}`,
         '',
         task.description || 'No description provided.',
         '',
+        ...(checklist.length > 0
+            ? [
+                `Checklist (${checklist.filter(item => item.isCompleted).length}/${checklist.length}):`,
+                ...checklist.map(item => `${item.isCompleted ? '☑' : '☐'} ${item.title}`),
+                ''
+            ]
+            : []),
         '---',
         `Status: ${task.status || 'pending'}`,
         `Task ID: ${task.id}`,
@@ -340,5 +711,13 @@ module.exports = {
     createEvent,
     updateEvent,
     deleteEvent,
-    listEvents
+    restoreEvent,
+    listEvents,
+    getEvent,
+    getBusyTimes,
+    listChangedEvents,
+    watchEvents,
+    stopChannel,
+    getInstanceId,
+    DEFAULT_EVENT_DURATION_MINUTES
 };
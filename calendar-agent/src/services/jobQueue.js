@@ -0,0 +1,364 @@
+/**
+ * Job Queue Service
+ * Durable background jobs for work that should not block an HTTP request
+ * (Google sync, mostly).
+ *
+ * Flow:
+ * 1. A route or service calls enqueue() and gets a job ID back immediately
+ * 2. The worker loop claims the job with a lease and runs its handler
+ * 3. Handlers report progress, which clients poll via GET /calendar/jobs/:jobId
+ * 4. On failure the job is retried with backoff until max_attempts is reached
+ *
+ * Leasing: while a handler runs, the worker keeps renewing the lease.
+ * If the process dies, the lease expires and any worker re-claims the job,
+ * so handlers MUST be safe to re-run (idempotent).
+ *
+ * Recurring system jobs (e.g. channel renewal) are registered with
+ * registerRecurringJob() and enqueued on a timer while the worker runs.
+ * Their dedupe key keeps at most one active copy across processes.
+ *
+ * Storage is pluggable (config.jobs.driver):
+ * - 'supabase' (default): jobs table, see db/helpers/jobs.js
+ * - 'memory': in-process Map for tests, see db/helpers/jobsMemory.js
+ *
+ * TODO: Support more than one job at a time per worker
+ * TODO: Add per-user fairness so one large sync cannot starve others
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const driver = config.jobs.driver === 'memory'
+    ? require('../db/helpers/jobsMemory')
+    : require('../db/helpers/jobs');
+
+const { JobStatus } = driver;
+
+/**
+ * Known job types
+ */
+const JobTypes = {
+    SYNC_ALL_TASKS: 'sync.all_tasks',
+    SYNC_TASK: 'sync.task',
+    SYNC_TASK_BATCH: 'sync.task_batch',
+    SYNC_INBOUND: 'sync.inbound',
+    SYNC_INCREMENTAL: 'sync.incremental',
+    SYNC_RENEW_CHANNELS: 'sync.renew_channels',
+    STUDY_PLAN_RESCHEDULE: 'study_plan.reschedule_missed',
+    TRASH_PURGE: 'tasks.purge_trash'
+};
+
+// Registered handlers: type -> async (job, context) => result
+const handlers = new Map();
+
+// Recurring jobs: type -> { intervalMs, payload }
+const recurringJobs = new Map();
+let recurringTimers = [];
+
+const workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Worker loop state
+let running = false;
+let pollTimer = null;
+let currentRun = null;
+
+/**
+ * Register the handler for a job type
+ *
+ * @param {string} type - Job type (use JobTypes constants)
+ * @param {Function} handler - async (job, { reportProgress }) => result
+ */
+function registerHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Run a job type periodically while the worker is running
+ * The job is enqueued when the worker starts and then every intervalMs.
+ *
+ * @param {string} type - Job type (use JobTypes constants)
+ * @param {number} intervalMs - Interval between runs
+ * @param {Object} payload - Handler input
+ */
+function registerRecurringJob(type, intervalMs, payload = {}) {
+    recurringJobs.set(type, { intervalMs, payload });
+}
+
+/**
+ * Enqueue a recurring job unless a copy is already queued or running
+ * @param {string} type - Job type
+ */
+function enqueueRecurring(type) {
+    const { payload } = recurringJobs.get(type);
+
+    enqueue(type, payload, { dedupeKey: `${type}:recurring` }).catch(error => {
+        logger.error('Failed to enqueue recurring job', { type, error: error.message });
+    });
+}
+
+/**
+ * Add a job to the queue
+ *
+ * @param {string} type - Job type (use JobTypes constants)
+ * @param {Object} payload - Handler input (must be JSON-serialisable)
+ * @param {Object} options - Enqueue options
+ * @param {string} options.userId - Owner of the job
+ * @param {string} options.dedupeKey - Reuse an active job with the same key instead of adding another
+ * @param {number} options.maxAttempts - Override the configured attempt limit
+ * @param {Date} options.runAt - Do not run before this time
+ * @returns {Promise<Object>} Job record
+ */
+async function enqueue(type, payload = {}, options = {}) {
+    const job = await driver.insertJob({
+        userId: options.userId,
+        type,
+        payload,
+        dedupeKey: options.dedupeKey,
+        maxAttempts: options.maxAttempts || config.jobs.maxAttempts,
+        runAt: options.runAt
+    });
+
+    logger.info('Job enqueued', {
+        jobId: job.id,
+        type,
+        userId: options.userId
+    });
+
+    return job;
+}
+
+/**
+ * Get a job by ID
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record or null
+ */
+async function getJob(jobId) {
+    return driver.getJobById(jobId);
+}
+
+/**
+ * Claim and run a single job, if one is runnable
+ *
+ * @returns {Promise<boolean>} Whether a job was processed
+ */
+async function runNextJob() {
+    const job = await driver.claimNextJob(workerId, config.jobs.leaseSeconds);
+
+    if (!job) {
+        return false;
+    }
+
+    const startTime = Date.now();
+    const handler = handlers.get(job.type);
+
+    // A job whose lease expired on its last attempt has nothing left to try
+    if (job.attempts > job.max_attempts) {
+        await finishJob(job, JobStatus.FAILED, {
+            error_message: job.error_message || 'Job exceeded max attempts'
+        });
+        return true;
+    }
+
+    if (!handler) {
+        logger.error('No handler registered for job type', { jobId: job.id, type: job.type });
+        await finishJob(job, JobStatus.FAILED, {
+            error_message: `No handler registered for job type: ${job.type}`
+        });
+        return true;
+    }
+
+    logger.info('Running job', {
+        jobId: job.id,
+        type: job.type,
+        attempt: job.attempts
+    });
+
+    // Keep the lease alive while the handler runs
+    const leaseMs = config.jobs.leaseSeconds * 1000;
+    const heartbeat = setInterval(() => {
+        driver.updateRunningJob(job.id, workerId, {
+            lease_expires_at: new Date(Date.now() + leaseMs).toISOString()
+        }).catch(error => {
+            logger.warn('Failed to renew job lease', { jobId: job.id, error: error.message });
+        });
+    }, Math.max(1000, Math.floor(leaseMs / 3)));
+
+    const context = {
+        reportProgress: async (progress) => {
+            await driver.updateRunningJob(job.id, workerId, {
+                progress,
+                lease_expires_at: new Date(Date.now() + leaseMs).toISOString()
+            });
+        }
+    };
+
+    try {
+        const result = await handler(job, context);
+
+        await finishJob(job, JobStatus.DONE, {
+            result: result || null,
+            error_message: null
+        });
+
+        logger.info(`Job completed in ${Date.now() - startTime}ms`, {
+            jobId: job.id,
+            type: job.type
+        });
+    } catch (error) {
+        logger.error('Job failed', {
+            jobId: job.id,
+            type: job.type,
+            attempt: job.attempts,
+            error: error.message
+        });
+
+        if (job.attempts < job.max_attempts) {
+            // Retry with quadratic backoff: 30s, 2m, 4.5m, ...
+            const delayMs = job.attempts * job.attempts * 30 * 1000;
+            await driver.updateRunningJob(job.id, workerId, {
+                status: JobStatus.QUEUED,
+                error_message: error.message,
+                locked_by: null,
+                lease_expires_at: null,
+                run_at: new Date(Date.now() + delayMs).toISOString()
+            });
+        } else {
+            await finishJob(job, JobStatus.FAILED, {
+                error_message: error.message
+            });
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    return true;
+}
+
+/**
+ * Move a running job to a terminal state
+ *
+ * @param {Object} job - Job record
+ * @param {string} status - JobStatus.DONE or JobStatus.FAILED
+ * @param {Object} fields - Extra column values
+ * @returns {Promise<Object|null>} Updated job
+ */
+async function finishJob(job, status, fields = {}) {
+    return driver.updateRunningJob(job.id, workerId, {
+        ...fields,
+        status,
+        locked_by: null,
+        lease_expires_at: null,
+        finished_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Poll for jobs until stopWorker() is called
+ * Processes jobs back-to-back while the queue has work, then waits pollIntervalMs.
+ *
+ * @param {number} delayMs - Delay before the next poll
+ */
+function scheduleNextPoll(delayMs) {
+    if (!running) {
+        return;
+    }
+
+    pollTimer = setTimeout(async () => {
+        let processed = false;
+
+        currentRun = runNextJob()
+            .then(result => { processed = result; })
+            .catch(error => {
+                logger.error('Job worker poll failed', { error: error.message });
+            });
+
+        await currentRun;
+        currentRun = null;
+
+        scheduleNextPoll(processed ? 0 : config.jobs.pollIntervalMs);
+    }, delayMs);
+}
+
+/**
+ * Start the background worker loop
+ */
+function startWorker() {
+    if (running) {
+        return;
+    }
+
+    running = true;
+    logger.info('Job worker started', {
+        workerId,
+        driver: config.jobs.driver,
+        handlers: [...handlers.keys()]
+    });
+
+    scheduleNextPoll(0);
+
+    for (const [type, { intervalMs }] of recurringJobs) {
+        enqueueRecurring(type);
+        recurringTimers.push(setInterval(() => enqueueRecurring(type), intervalMs));
+    }
+}
+
+/**
+ * Stop the worker loop and wait for the current job to finish
+ *
+ * @returns {Promise<void>}
+ */
+async function stopWorker() {
+    running = false;
+
+    recurringTimers.forEach(clearInterval);
+    recurringTimers = [];
+
+    if (pollTimer) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+    }
+
+    if (currentRun) {
+        await currentRun;
+    }
+
+    logger.info('Job worker stopped', { workerId });
+}
+
+/**
+ * Format a job for API response
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} Formatted job
+ */
+function formatJobForResponse(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress || {},
+        result: job.result || null,
+        error: job.error_message || null,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        createdAt: job.created_at,
+        startedAt: job.started_at || null,
+        finishedAt: job.finished_at || null
+    };
+}
+
+module.exports = {
+    JobStatus,
+    JobTypes,
+    registerHandler,
+    registerRecurringJob,
+    enqueue,
+    getJob,
+    runNextJob,
+    startWorker,
+    stopWorker,
+    formatJobForResponse
+};
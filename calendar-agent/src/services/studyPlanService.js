@@ -8,7 +8,8 @@
  * 
  * FLOW:
  * 1. User provides learning goal via chat
- * 2. LLM generates structured study plan (JSON)
+ * 2. LLM calls the generate_study_plan tool with a structured plan
+ *    (arguments checked against STUDY_PLAN_SCHEMA, then validatePlan)
  * 3. Plan stored in DB with status='draft'
  * 4. User reviews plan in frontend
  * 5. User approves → Calendar Agent creates tasks
@@ -22,6 +23,7 @@ const Groq = require('groq-sdk');
 const config = require('../config');
 const logger = require('../utils/logger');
 const studyPlansDb = require('../db/helpers/studyPlans');
+const { toToolDefinitions, parseToolCall } = require('../utils/toolCalling');
 
 // Initialize Groq client
 const groq = new Groq({
@@ -30,14 +32,14 @@ const groq = new Groq({
 
 /**
  * System prompt for study plan generation
- * Defines the schema and rules for the LLM
+ * Defines the rules for the LLM (the plan schema is STUDY_PLAN_SCHEMA, passed as a tool)
  */
 const STUDY_PLAN_SYSTEM_PROMPT = `You are a personalized study planning assistant for Mentora, an AI-powered learning platform.
 
 Your job is to create structured, effective study plans based on user learning goals.
 
 CRITICAL RULES:
-1. If the user wants a study plan, return ONLY valid JSON (no markdown, no explanation, no code blocks).
+1. When you have everything you need, call the generate_study_plan tool with the plan. Never write the plan out as text or JSON.
 2. Do NOT create calendar tasks - you only design the learning curriculum.
 3. Do NOT guess daily availability - ALWAYS ask if not explicitly specified.
 4. Do NOT include specific dates or times - only day numbers and session durations.
@@ -54,26 +56,6 @@ WHEN TO ASK FOR CLARIFICATION:
 - User says "2 hours daily" without timeline → ASK for total duration
 - User gives vague timeline like "soon" or "quickly" → ASK for specific weeks/days
 
-STUDY PLAN JSON SCHEMA (use this EXACT structure):
-{
-  "intent": "generate_study_plan",
-  "plan": {
-    "goal": "string - clear description of learning objective",
-    "total_days": number,
-    "daily_time_minutes": number,
-    "learning_strategy": ["spaced_repetition", "pomodoro", "active_recall", "feynman_technique"],
-    "schedule": [
-      {
-        "day": number (1 to total_days),
-        "topic": "string - what to study this day",
-        "sessions": number (how many study sessions),
-        "session_duration_minutes": number,
-        "notes": "string or null - study tips, focus areas"
-      }
-    ]
-  }
-}
-
 LEARNING STRATEGIES EXPLAINED:
 - "spaced_repetition": Review topics at increasing intervals
 - "pomodoro": 25-minute focused sessions with 5-minute breaks
@@ -85,44 +67,35 @@ EXAMPLE INPUTS & OUTPUTS:
 Example 1 - COMPLETE INFO (Generate Plan):
 Input: "I want to prepare for DSA interviews in 4 weeks, I can study 2 hours daily"
 
-Output:
+Call generate_study_plan with:
 {
-  "intent": "generate_study_plan",
-  "plan": {
-    "goal": "Master Data Structures and Algorithms for technical interviews",
-    "total_days": 28,
-    "daily_time_minutes": 120,
-    "learning_strategy": ["spaced_repetition", "active_recall"],
-    "schedule": [
-      {
-        "day": 1,
-        "topic": "Arrays and Strings - Two Pointer Technique",
-        "sessions": 2,
-        "session_duration_minutes": 60,
-        "notes": "Practice 5 easy problems, focus on pattern recognition"
-      },
-      {
-        "day": 2,
-        "topic": "Arrays - Sliding Window Problems",
-        "sessions": 2,
-        "session_duration_minutes": 60,
-        "notes": "Build on yesterday's concepts, 3 medium problems"
-      },
-      {
-        "day": 3,
-        "topic": "Linked Lists - Basics and Reversal",
-        "sessions": 2,
-        "session_duration_minutes": 60,
-        "notes": "Understand node manipulation, practice pointer operations"
-      }
-    ]
-  }
+  "goal": "Master Data Structures and Algorithms for technical interviews",
+  "total_days": 28,
+  "daily_time_minutes": 120,
+  "learning_strategy": ["spaced_repetition", "active_recall"],
+  "schedule": [
+    {
+      "day": 1,
+      "topic": "Arrays and Strings - Two Pointer Technique",
+      "sessions": 2,
+      "session_duration_minutes": 60,
+      "notes": "Practice 5 easy problems, focus on pattern recognition"
+    },
+    {
+      "day": 2,
+      "topic": "Arrays - Sliding Window Problems",
+      "sessions": 2,
+      "session_duration_minutes": 60,
+      "notes": "Build on yesterday's concepts, 3 medium problems"
+    },
+    ... one entry for every day up to day 28
+  ]
 }
 
 Example 2 - MISSING TIMELINE (Ask Question):
 Input: "I want to learn React"
 
-Output (plain text):
+Reply (plain text, no tool call):
 "Great! I'd love to help you learn React. To create the best study plan for you, I need a few more details:
 
 1. How many weeks or days do you have to learn React?
@@ -134,7 +107,7 @@ Let me know these details and I'll create a personalized plan!"
 Example 3 - MISSING DAILY TIME (Ask Question):
 Input: "I have to learn trees in DSA"
 
-Output (plain text):
+Reply (plain text, no tool call):
 "I can help you master Trees in DSA! To create an effective study plan, I need to know:
 
 1. How many days or weeks do you have for this topic?
@@ -147,7 +120,7 @@ Once I know your timeline and daily commitment, I'll create a complete day-by-da
 Example 4 - MISSING DAILY TIME (Ask Question):
 Input: "Learn machine learning in 2 months"
 
-Output (plain text):
+Reply (plain text, no tool call):
 "Excellent goal! To create an effective ML study plan, please tell me:
 
 1. How much time can you study daily (in hours)?
@@ -159,7 +132,7 @@ This will help me tailor the plan to your level and interests!"
 Example 5 - VAGUE TIMELINE (Ask Question):
 Input: "I want to master System Design quickly"
 
-Output (plain text):
+Reply (plain text, no tool call):
 "I'd love to help you master System Design! However, 'quickly' means different things to different people. Could you please specify:
 
 1. Exactly how many weeks or months do you have?
@@ -186,6 +159,59 @@ TOPIC PROGRESSION BEST PRACTICES:
 
 Always be realistic but encouraging in your plans.`;
 
+/**
+ * Learning strategies a plan can use
+ */
+const LEARNING_STRATEGIES = ['spaced_repetition', 'pomodoro', 'active_recall', 'feynman_technique'];
+
+/**
+ * JSON schema of a study plan (the arguments of the generate_study_plan tool)
+ */
+const STUDY_PLAN_SCHEMA = {
+    type: 'object',
+    properties: {
+        goal: { type: 'string', minLength: 1, description: 'Clear description of the learning objective' },
+        total_days: { type: 'integer', minimum: 1 },
+        daily_time_minutes: { type: 'integer', minimum: 1 },
+        learning_strategy: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: LEARNING_STRATEGIES }
+        },
+        schedule: {
+            type: 'array',
+            minItems: 1,
+            description: 'One entry per day, day 1 to total_days',
+            items: {
+                type: 'object',
+                properties: {
+                    day: { type: 'integer', minimum: 1 },
+                    topic: { type: 'string', minLength: 1, description: 'What to study this day' },
+                    sessions: { type: 'integer', minimum: 1 },
+                    session_duration_minutes: { type: 'integer', minimum: 1 },
+                    notes: { type: ['string', 'null'], description: 'Study tips, focus areas' }
+                },
+                required: ['day', 'topic', 'sessions', 'session_duration_minutes']
+            }
+        }
+    },
+    required: ['goal', 'total_days', 'daily_time_minutes', 'learning_strategy', 'schedule']
+};
+
+/**
+ * Tool the LLM calls to hand over a study plan
+ */
+const STUDY_PLAN_TOOL = {
+    name: 'generate_study_plan',
+    description: 'Save a day-by-day study plan as a draft for the student to review. Only call it once the timeline, daily time and current level are known.',
+    parameters: STUDY_PLAN_SCHEMA
+};
+
+/**
+ * How many times the LLM may correct an invalid plan
+ */
+const MAX_PLAN_ATTEMPTS = 2;
+
 /**
  * Generate a study plan from user input
  * 
@@ -203,105 +229,66 @@ async function generatePlan(message, userId, timezone) {
         timezone
     });
 
-    try {
-        // Call Groq LLM with study plan prompt
-        const response = await groq.chat.completions.create({
-            model: config.groq.model,
-            messages: [
-                {
-                    role: 'system',
-                    content: STUDY_PLAN_SYSTEM_PROMPT
-                },
-                {
-                    role: 'user',
-                    content: `User timezone: ${timezone}\n\nUser request: ${message}`
-                }
-            ],
-            temperature: 0.2, // Lower temperature for more deterministic behavior
-            max_tokens: 2048
-        });
-
-        const aiResponse = response.choices[0].message.content.trim();
-
-        logger.debug('LLM response received', {
-            responseLength: aiResponse.length,
-            latencyMs: Date.now() - startTime
-        });
-
-        // Try to parse as JSON (plan generation)
-        let parsedResponse;
-        let isValidJSON = false;
-
-        try {
-            // Robust JSON extraction - find actual JSON bounds
-            let jsonString = aiResponse.trim();
-
-            // Remove markdown code blocks
-            jsonString = jsonString.replace(/```json\s*/g, '').replace(/```\s*/g, '');
+    const messages = [
+        {
+            role: 'system',
+            content: STUDY_PLAN_SYSTEM_PROMPT
+        },
+        {
+            role: 'user',
+            content: `User timezone: ${timezone}\n\nUser request: ${message}`
+        }
+    ];
 
-            // Find the first { and last }
-            const firstBrace = jsonString.indexOf('{');
-            const lastBrace = jsonString.lastIndexOf('}');
+    try {
+        let errors = [];
+
+        for (let attempt = 1; attempt <= MAX_PLAN_ATTEMPTS; attempt++) {
+            // Call Groq LLM with study plan prompt and tool
+            const response = await groq.chat.completions.create({
+                model: config.groq.model,
+                messages,
+                tools: toToolDefinitions([STUDY_PLAN_TOOL]),
+                tool_choice: 'auto',
+                temperature: 0.2, // Lower temperature for more deterministic behavior
+                max_tokens: 2048
+            });
 
-            if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                // Extract only the JSON portion
-                jsonString = jsonString.substring(firstBrace, lastBrace + 1);
-                parsedResponse = JSON.parse(jsonString);
-                isValidJSON = true;
+            const aiMessage = response.choices[0].message;
+            const toolCall = (aiMessage.tool_calls || [])[0];
 
-                logger.debug('JSON parsed successfully', {
-                    intent: parsedResponse.intent,
-                    hasPlan: !!parsedResponse.plan
-                });
-            }
-        } catch (parseError) {
-            // JSON parsing failed - it's plain text
-            logger.debug('JSON parsing failed - treating as clarification', { error: parseError.message });
-            isValidJSON = false;
-        }
-
-        // If we successfully parsed JSON and it's a study plan
-        if (isValidJSON && parsedResponse.intent === 'generate_study_plan' && parsedResponse.plan) {
-            logger.info('Valid study plan JSON detected');
+            logger.debug('LLM response received', {
+                toolCall: toolCall ? toolCall.function.name : null,
+                latencyMs: Date.now() - startTime
+            });
 
-            // Validate the plan structure
-            const validation = validatePlan(parsedResponse.plan);
-            if (!validation.valid) {
-                logger.warn('Plan validation failed', { errors: validation.errors });
+            // No tool call: the LLM is asking for missing details
+            if (!toolCall) {
                 return {
                     type: 'clarification',
-                    message: `I generated a plan but found some issues:\n${validation.errors.join('\n')}\n\nCould you provide more specific details?`
+                    message: (aiMessage.content || '').trim()
                 };
             }
 
-            logger.info('Validation passed, storing in database...');
+            const call = parseToolCall(toolCall, [STUDY_PLAN_TOOL]);
+            errors = call.errors.length > 0 ? call.errors : validatePlan(call.args).errors;
 
-            // Store plan in database (draft state)
-            const storedPlan = await studyPlansDb.createStudyPlan({
-                userId,
-                goal: parsedResponse.plan.goal,
-                planJson: parsedResponse.plan
-            });
-
-            logger.info('Stored in database', { planId: storedPlan.id });
+            if (errors.length === 0) {
+                return await savePlan(userId, call.args);
+            }
 
-            // Return plan with ID for frontend
-            const result = {
-                type: 'plan_generated',
-                planId: storedPlan.id,
-                plan: parsedResponse.plan,
-                message: formatPlanSummary(parsedResponse.plan)
-            };
+            logger.warn('Plan validation failed', { attempt, errors });
 
-            logger.info('Returning plan_generated response', { planId: result.planId });
-            return result;
+            // Hand the errors back so the LLM can correct its call
+            messages.push(
+                { role: 'assistant', content: aiMessage.content || '', tool_calls: [toolCall] },
+                { role: 'tool', tool_call_id: toolCall.id, name: toolCall.function.name, content: JSON.stringify({ error: errors.join('; ') }) }
+            );
         }
 
-        // If we got here, it's a clarification (plain text or invalid JSON)
-        logger.debug('Returning clarification response');
         return {
             type: 'clarification',
-            message: aiResponse
+            message: `I generated a plan but found some issues:\n${errors.join('\n')}\n\nCould you provide more specific details?`
         };
 
     } catch (error) {
@@ -314,6 +301,30 @@ async function generatePlan(message, userId, timezone) {
     }
 }
 
+/**
+ * Store a validated study plan as a draft
+ * 
+ * @param {string} userId - User UUID
+ * @param {Object} plan - Plan matching STUDY_PLAN_SCHEMA that passed validatePlan
+ * @returns {Promise<Object>} { type: 'plan_generated', planId, plan, message }
+ */
+async function savePlan(userId, plan) {
+    const storedPlan = await studyPlansDb.createStudyPlan({
+        userId,
+        goal: plan.goal,
+        planJson: plan
+    });
+
+    logger.info('Study plan stored', { planId: storedPlan.id });
+
+    return {
+        type: 'plan_generated',
+        planId: storedPlan.id,
+        plan,
+        message: formatPlanSummary(plan)
+    };
+}
+
 /**
  * Validate study plan structure
  * 
@@ -398,6 +409,9 @@ This plan has been saved. Review it and click "Add to Calendar" when you're read
 }
 
 module.exports = {
+    STUDY_PLAN_SCHEMA,
+    STUDY_PLAN_TOOL,
     generatePlan,
+    savePlan,
     validatePlan
 };
@@ -6,8 +6,9 @@
  * It is NOT used for task scheduling, timing decisions, or any other logic.
  * 
  * Features:
- * - Daily task summaries with productivity insights
- * - Weekly progress summaries with trends
+ * - Daily task summaries with productivity insights (high-priority pending
+ *   tasks are called out)
+ * - Weekly progress summaries with trends and time spent per subject
  * - Personalized study recommendations
  * 
  * TODO: Add caching for identical summary requests
@@ -22,6 +23,8 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const agentLogs = require('../db/helpers/agentLogs');
 const tasksDb = require('../db/helpers/tasks');
+const subjectsDb = require('../db/helpers/subjects');
+const taskManager = require('./taskManager');
 const { formatInTimezone, getStartOfTodayUTC, getEndOfTodayUTC, getStartOfWeekUTC, getEndOfWeekUTC, isValidTimezone } = require('../utils/timezone');
 
 // Initialize Groq client
@@ -29,6 +32,11 @@ const groq = new Groq({
     apiKey: config.groq.apiKey
 });
 
+/**
+ * Most overdue tasks listed in the daily summary prompt (the count is always given)
+ */
+const MAX_OVERDUE_IN_PROMPT = 5;
+
 /**
  * System prompt for daily summaries
  */
@@ -80,10 +88,13 @@ async function generateDailySummary(userId, timezone = 'UTC') {
         const startOfDay = getStartOfTodayUTC(tz);
         const endOfDay = getEndOfTodayUTC(tz);
 
-        const tasks = await tasksDb.getTasksByDateRange(userId, startOfDay, endOfDay);
-        const stats = await tasksDb.getTaskStats(userId, startOfDay, endOfDay);
+        const tasks = await taskManager.getTasksInRange(userId, startOfDay, endOfDay);
+        const stats = tasksDb.computeTaskStats(tasks);
 
-        if (tasks.length === 0) {
+        // Unfinished tasks from earlier days
+        const overdue = await tasksDb.getOverdueTasks(userId, startOfDay);
+
+        if (tasks.length === 0 && overdue.length === 0) {
             return {
                 summary: "📅 You don't have any tasks scheduled for today! Take this opportunity to plan ahead or enjoy a well-deserved break. 🌟",
                 tasks: [],
@@ -94,6 +105,9 @@ async function generateDailySummary(userId, timezone = 'UTC') {
 
         // Format tasks for the prompt
         const taskList = formatTasksForPrompt(tasks, tz);
+        const highPriorityPending = tasks.filter(t =>
+            t.priority === tasksDb.TaskPriority.HIGH && t.status === tasksDb.TaskStatus.PENDING
+        );
 
         // Build the user prompt
         const userPrompt = `Please provide a daily summary for today's study tasks.
@@ -110,11 +124,18 @@ STATISTICS:
 - Pending: ${stats.pending}
 - Completion Rate: ${stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0}%
 
+HIGH-PRIORITY TASKS STILL PENDING:
+${highPriorityPending.length > 0 ? formatTasksForPrompt(highPriorityPending, tz) : 'None'}
+
+OVERDUE TASKS FROM EARLIER DAYS (${overdue.length}, oldest first):
+${overdue.length > 0 ? formatTasksForPrompt(overdue.slice(0, MAX_OVERDUE_IN_PROMPT), tz) : 'None'}
+
 Please provide:
 1. A brief overview of today's workload
 2. Recognition of completed tasks (if any)
-3. Priorities for remaining tasks
-4. A motivational closing message`;
+3. A clear call-out of the high-priority tasks still pending (if any), then priorities for the rest
+4. A short note on the overdue backlog (if any) and whether to catch up or reschedule it
+5. A motivational closing message`;
 
         // Call Groq API
         const response = await groq.chat.completions.create({
@@ -147,8 +168,19 @@ Please provide:
                 id: t.id,
                 title: t.title,
                 status: t.status,
+                priority: t.priority || tasksDb.TaskPriority.MEDIUM,
+                deadline: formatInTimezone(new Date(t.deadline), tz, 'HH:mm')
+            })),
+            highPriorityPending: highPriorityPending.map(t => ({
+                id: t.id,
+                title: t.title,
                 deadline: formatInTimezone(new Date(t.deadline), tz, 'HH:mm')
             })),
+            overdue: overdue.map(t => ({
+                id: t.id,
+                title: t.title,
+                deadline: formatInTimezone(new Date(t.deadline), tz, 'yyyy-MM-dd HH:mm')
+            })),
             stats,
             generatedAt: new Date().toISOString()
         };
@@ -190,8 +222,9 @@ async function generateWeeklySummary(userId, timezone = 'UTC') {
         const startOfWeek = getStartOfWeekUTC(tz);
         const endOfWeek = getEndOfWeekUTC(tz);
 
-        const tasks = await tasksDb.getTasksByDateRange(userId, startOfWeek, endOfWeek);
-        const stats = await tasksDb.getTaskStats(userId, startOfWeek, endOfWeek);
+        const tasks = await taskManager.getTasksInRange(userId, startOfWeek, endOfWeek);
+        const stats = tasksDb.computeTaskStats(tasks);
+        const overdueTotal = await tasksDb.countOverdueTasks(userId, new Date());
 
         if (tasks.length === 0) {
             return {
@@ -211,6 +244,7 @@ async function generateWeeklySummary(userId, timezone = 'UTC') {
 
         // Format tasks for the prompt
         const taskList = formatTasksForPrompt(tasks, tz);
+        const subjects = await subjectsDb.getSubjects(userId);
 
         // Build the user prompt
         const userPrompt = `Please provide a weekly summary and analysis of this student's study tasks.
@@ -223,17 +257,22 @@ ${taskList}
 DAILY BREAKDOWN:
 ${formatDailyBreakdown(tasksByDay)}
 
+TIME BY SUBJECT (completed study hours):
+${formatSubjectBreakdown(stats.bySubject, subjects)}
+
 STATISTICS:
 - Total tasks: ${stats.total}
 - Completed: ${stats.completed}
 - In Progress: ${stats.inProgress}
 - Pending: ${stats.pending}
 - Cancelled: ${stats.cancelled}
+- Overdue (this week): ${stats.overdue}
+- Overdue backlog (all time): ${overdueTotal}
 - Completion Rate: ${stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0}%
 
 Please provide:
 1. An overview of the week's productivity
-2. Pattern analysis (busiest days, task distribution)
+2. Pattern analysis (busiest days, task distribution, time split across subjects)
 3. Achievements and areas of excellence
 4. Areas that need improvement
 5. Specific recommendations for next week
@@ -272,7 +311,7 @@ Please provide:
                 status: t.status,
                 deadline: formatInTimezone(new Date(t.deadline), tz, 'EEEE, HH:mm')
             })),
-            stats,
+            stats: { ...stats, overdueTotal },
             dateRange: {
                 start: formatInTimezone(startOfWeek, tz, 'yyyy-MM-dd'),
                 end: formatInTimezone(endOfWeek, tz, 'yyyy-MM-dd')
@@ -310,8 +349,9 @@ function formatTasksForPrompt(tasks, timezone) {
         const deadline = new Date(task.deadline);
         const formattedDeadline = formatInTimezone(deadline, timezone, 'EEEE, MMM d \'at\' HH:mm');
         const statusEmoji = getStatusEmoji(task.status);
+        const priority = task.priority || tasksDb.TaskPriority.MEDIUM;
 
-        return `${index + 1}. ${statusEmoji} "${task.title}" - Due: ${formattedDeadline} (${task.status})`;
+        return `${index + 1}. ${statusEmoji} "${task.title}" - Due: ${formattedDeadline} (${task.status}, ${priority} priority)`;
     }).join('\n');
 }
 
@@ -355,6 +395,26 @@ function formatDailyBreakdown(tasksByDay) {
         .join('\n');
 }
 
+/**
+ * Format per-subject statistics for the prompt, largest share of time first
+ * @param {Object} bySubject - stats.bySubject from computeTaskStats
+ * @param {Array} subjects - The user's subject records (for names)
+ * @returns {string} Formatted breakdown
+ */
+function formatSubjectBreakdown(bySubject, subjects) {
+    const names = new Map(subjects.map(subject => [subject.id, subject.name]));
+    const totalHours = Object.values(bySubject).reduce((sum, entry) => sum + entry.hours, 0);
+
+    return Object.entries(bySubject)
+        .sort(([, a], [, b]) => b.hours - a.hours || b.total - a.total)
+        .map(([subjectId, entry]) => {
+            const name = names.get(subjectId) || 'No subject';
+            const share = totalHours > 0 ? ` (${Math.round((entry.hours / totalHours) * 100)}% of study time)` : '';
+            return `- ${name}: ${entry.hours}h${share}, ${entry.completed}/${entry.total} tasks completed`;
+        })
+        .join('\n');
+}
+
 /**
  * Get emoji for task status
  * @param {string} status - Task status
@@ -0,0 +1,150 @@
+/**
+ * Sync Job Handlers
+ * Registers the Google sync handlers (outbound and inbound), the study
+ * plan rescheduler and the trash purge with the job queue.
+ *
+ * Kept separate from taskManager so that taskManager can enqueue jobs
+ * without a circular dependency on the handlers that call back into it.
+ *
+ * Handlers must be idempotent: a job can run again after a crash.
+ */
+
+const jobQueue = require('./jobQueue');
+const taskManager = require('./taskManager');
+const calendarReconciler = require('./calendarReconciler');
+const calendarWatch = require('./calendarWatch');
+const config = require('../config');
+const tasksDb = require('../db/helpers/tasks');
+const logger = require('../utils/logger');
+
+/**
+ * Sync every unsynced task of a user
+ * Payload: { syncToTasks: boolean }
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.SYNC_ALL_TASKS, async (job, { reportProgress }) => {
+    const result = await taskManager.syncAllTasks(job.user_id, {
+        syncToTasks: !!job.payload.syncToTasks,
+        onProgress: reportProgress
+    });
+
+    return {
+        synced: result.synced,
+        failed: result.failed,
+        tasks: result.tasks
+    };
+});
+
+/**
+ * Sync a single task right after creation
+ * Payload: { taskId: string, syncToTasks: boolean }
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.SYNC_TASK, async (job) => {
+    const task = await tasksDb.getTaskById(job.payload.taskId, job.user_id);
+
+    if (!task) {
+        logger.warn('Task for sync job no longer exists', {
+            jobId: job.id,
+            taskId: job.payload.taskId
+        });
+        return { skipped: true, reason: 'Task not found' };
+    }
+
+    // Already synced by an earlier attempt or a full sync
+    if (task.google_calendar_event_id) {
+        return { skipped: true, reason: 'Task already synced' };
+    }
+
+    const result = await taskManager.syncTaskToGoogle(job.user_id, task, {
+        syncToTasks: !!job.payload.syncToTasks
+    });
+
+    // Only retry when the calendar event was not created, otherwise a retry would duplicate it
+    if (!result.calendar) {
+        throw new Error(result.errors.join('; ') || 'Failed to sync to Google Calendar');
+    }
+
+    return {
+        taskId: task.id,
+        eventId: result.calendar.eventId,
+        errors: result.errors
+    };
+});
+
+/**
+ * Push the changes of a task batch to Google
+ * Payload: { created: string[], updated: string[], deleted: string[] } (task IDs)
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.SYNC_TASK_BATCH, async (job, { reportProgress }) => {
+    return taskManager.propagateBatchToGoogle(job.user_id, job.payload, {
+        onProgress: reportProgress
+    });
+});
+
+/**
+ * Pull edits made in Google Calendar back into Supabase
+ * Payload: { conflictPolicy: string }
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.SYNC_INBOUND, async (job, { reportProgress }) => {
+    return calendarReconciler.reconcileFromGoogle(job.user_id, {
+        conflictPolicy: job.payload.conflictPolicy,
+        onProgress: reportProgress
+    });
+});
+
+/**
+ * Apply calendar changes reported by a push notification
+ * Payload: {}
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.SYNC_INCREMENTAL, async (job, { reportProgress }) => {
+    return calendarWatch.runIncrementalSync(job.user_id, {
+        onProgress: reportProgress
+    });
+});
+
+/**
+ * Re-register push notification channels before they expire (system job)
+ * Payload: {}
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.SYNC_RENEW_CHANNELS, async () => {
+    return calendarWatch.renewExpiringChannels();
+});
+
+/**
+ * Move missed study sessions of every applied plan (system job)
+ * Payload: { shiftLater: boolean }
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.STUDY_PLAN_RESCHEDULE, async (job) => {
+    return taskManager.rescheduleAllMissedSessions({
+        shiftLater: !!job.payload.shiftLater
+    });
+});
+
+/**
+ * Permanently delete tasks past the trash retention window (system job)
+ * Payload: {}
+ */
+jobQueue.registerHandler(jobQueue.JobTypes.TRASH_PURGE, async () => {
+    return taskManager.purgeTrash();
+});
+
+if (config.google.webhookUrl) {
+    jobQueue.registerRecurringJob(
+        jobQueue.JobTypes.SYNC_RENEW_CHANNELS,
+        config.sync.channelRenewIntervalMinutes * 60 * 1000
+    );
+}
+
+if (config.scheduling.autoReschedule) {
+    jobQueue.registerRecurringJob(
+        jobQueue.JobTypes.STUDY_PLAN_RESCHEDULE,
+        config.scheduling.rescheduleIntervalMinutes * 60 * 1000,
+        { shiftLater: config.scheduling.rescheduleShiftLater }
+    );
+}
+
+jobQueue.registerRecurringJob(
+    jobQueue.JobTypes.TRASH_PURGE,
+    config.trash.purgeIntervalMinutes * 60 * 1000
+);
+
+module.exports = jobQueue;
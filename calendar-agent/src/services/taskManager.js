@@ -4,27 +4,123 @@
  * 
  * This service orchestrates:
  * - Task creation with timezone handling
- * - Task retrieval (today, weekly)
+ * - Task retrieval (today, weekly, or any date range with sorting and cursor pagination)
+ * - Overdue tasks (unfinished past their deadline) as a backlog that can be
+ *   moved to the next free slots in bulk
  * - Task synchronization to Google services
  * - Task status management
+ * - Task editing and deletion (propagated to Google); deleted tasks stay in
+ *   the trash, can be restored, and are purged after a retention window
+ * - Recurring tasks (RRULE series expanded per range; single occurrences
+ *   are stored as their own rows only once they are edited or completed)
+ * - Study plan application with deterministic free-slot finding
+ * - Task priorities (today/week lists are ordered and grouped by priority)
+ * - Task dependencies (a task is blocked until its prerequisites are done)
+ * - Full-text task search with cursor pagination, and fuzzy lookup of the
+ *   task a chat message refers to
+ * - Subjects and tags (today/week lists and stats can be filtered by either)
+ * - Checklists inside a task, with progress rolled up into the task (and
+ *   optionally completing it once every item is checked)
+ * - Batches of create/status/reschedule/delete operations applied as one
+ *   unit, with Google propagation in a single background job
  * 
  * IMPORTANT: Supabase is ALWAYS the source of truth.
  * Google Calendar/Tasks are sync targets.
- * 
- * TODO: Add task prioritization
- * TODO: Implement task dependencies
- * TODO: Add recurring task support
- * TODO: Implement smart scheduling suggestions (NOT using AI for timing)
- * TODO: Add batch operations for performance
  */
 
+const config = require('../config');
 const tasksDb = require('../db/helpers/tasks');
 const agentLogs = require('../db/helpers/agentLogs');
+const taskDependenciesDb = require('../db/helpers/taskDependencies');
+const taskRevisions = require('../db/helpers/taskRevisions');
+const subjectsDb = require('../db/helpers/subjects');
+const checklistItemsDb = require('../db/helpers/checklistItems');
+const userIntegrations = require('../db/helpers/userIntegrations');
 const googleCalendar = require('./googleCalendar');
 const googleTasks = require('./googleTasks');
-const { isValidTimezone, parseToUTC, getStartOfTodayUTC, getEndOfTodayUTC, getStartOfWeekUTC, getEndOfWeekUTC, formatInTimezone, getRelativeTime } = require('../utils/timezone');
+const jobQueue = require('./jobQueue');
+const { SLOT_STEP_MINUTES, parseTimeOfDay, mergeIntervals, subtractIntervals, findSlotInDay } = require('../utils/scheduling');
+const { normalizeRule, expandOccurrences, getFirstOccurrence, isOccurrence, buildOccurrenceId, parseOccurrenceId } = require('../utils/recurrence');
+const { normalizeTag, normalizeTags, deriveTag } = require('../utils/tags');
+const { scoreTitleMatch } = require('../utils/titleMatch');
+const { isValidTimezone, parseToUTC, parseRangeBoundaryToUTC, getStartOfTodayUTC, getEndOfTodayUTC, getStartOfWeekUTC, getEndOfWeekUTC, formatInTimezone, getRelativeTime } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
+/**
+ * Longest allowed task duration (one day)
+ */
+const MAX_TASK_DURATION_MINUTES = 24 * 60;
+
+/**
+ * How many days ahead the rescheduler looks for a free slot
+ */
+const RESCHEDULE_SEARCH_DAYS = 14;
+
+/**
+ * Operations accepted by applyTaskBatch
+ */
+const BatchOperation = {
+    CREATE: 'create',
+    UPDATE_STATUS: 'update_status',
+    RESCHEDULE: 'reschedule',
+    DELETE: 'delete'
+};
+
+/**
+ * Most operations in one batch
+ */
+const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Orders for listTasks (ties are broken by deadline, then ID)
+ */
+const TaskSort = {
+    DEADLINE: 'deadline',
+    DEADLINE_DESC: '-deadline',
+    PRIORITY: 'priority',
+    TITLE: 'title'
+};
+
+/**
+ * Longest date range listTasks accepts (recurring series are expanded in memory)
+ */
+const MAX_LIST_RANGE_DAYS = 366;
+
+/**
+ * Most stored tasks listTasks reads for one range (it sorts, counts and pages
+ * them in memory); above this it asks for a narrower range or more filters
+ */
+const MAX_LIST_STORED_TASKS = 5000;
+
+/**
+ * Most items in one task's checklist, and longest item title
+ */
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_ITEM_LENGTH = 500;
+
+/**
+ * Date window findTaskByReference searches when no day is given
+ */
+const MATCH_WINDOW_PAST_DAYS = 7;
+const MATCH_WINDOW_FUTURE_DAYS = 30;
+
+/**
+ * Lowest title score that counts as a match, how far ahead of the runner-up a
+ * match must be to be picked, and how many candidates are offered otherwise
+ */
+const MIN_MATCH_SCORE = 0.5;
+const CLEAR_MATCH_MARGIN = 0.2;
+const MAX_MATCH_CANDIDATES = 5;
+
+/**
+ * Sort rank of each priority level (lower sorts first)
+ */
+const PRIORITY_RANK = {
+    [tasksDb.TaskPriority.HIGH]: 0,
+    [tasksDb.TaskPriority.MEDIUM]: 1,
+    [tasksDb.TaskPriority.LOW]: 2
+};
+
 /**
  * Create a new study task
  * 
@@ -32,14 +128,26 @@ const logger = require('../utils/logger');
  * @param {Object} taskData - Task data from request
  * @param {string} taskData.title - Task title
  * @param {string} taskData.description - Task description
- * @param {string} taskData.deadline - Deadline (ISO string in user's timezone)
+ * @param {string} taskData.deadline - Deadline / event end (ISO string in user's timezone)
+ * @param {string} taskData.startTime - Event start (ISO string in user's timezone, optional)
+ * @param {number} taskData.durationMinutes - Event length in minutes (optional)
  * @param {string} taskData.timezone - User's timezone
+ * @param {string} taskData.recurrence - RRULE for a recurring task (optional)
+ * @param {Array<string>} taskData.exdates - Occurrences to skip (ISO strings in user's timezone)
+ * @param {string} taskData.studyPlanId - Study plan that created the task (optional)
+ * @param {string} taskData.priority - 'high' | 'medium' | 'low' (optional)
+ * @param {boolean} taskData.isUrgent - Eisenhower "urgent" flag (optional)
+ * @param {boolean} taskData.isImportant - Eisenhower "important" flag (optional)
+ * @param {string} taskData.subjectId - Subject the task belongs to (optional)
+ * @param {Array<string>} taskData.tags - Free-form tags (optional)
+ * @param {Array<string>} taskData.checklist - Checklist item titles, in order (optional)
  * @param {Object} options - Creation options
- * @param {boolean} options.syncToGoogle - Whether to sync to Google immediately
- * @returns {Promise<Object>} Created task
+ * @param {boolean} options.syncToGoogle - Whether to queue a Google sync job for the task
+ * @param {string} options.actor - Who creates the task, for its history (TaskActor, default: user)
+ * @returns {Promise<Object>} Created task (with syncJobId when a sync was queued)
  * 
  * IMPORTANT: We do NOT let AI decide timestamps.
- * Deadline must be explicitly provided by the frontend.
+ * Deadline (or start time and duration) must be explicitly provided by the frontend.
  */
 async function createTask(userId, taskData, options = {}) {
     const startTime = Date.now();
@@ -49,13 +157,66 @@ async function createTask(userId, taskData, options = {}) {
         title: taskData.title
     });
 
+    const prepared = prepareTask(userId, taskData);
+    const checklist = normalizeChecklist(taskData.checklist || []);
+    await assertSubject(userId, prepared.subjectId);
+
+    // Create task in Supabase (source of truth)
+    const task = await tasksDb.createTask({
+        ...prepared,
+        actor: options.actor || taskRevisions.TaskActor.USER
+    });
+
+    // Log task creation
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_CREATED, {
+        taskId: task.id,
+        title: task.title,
+        deadline: task.deadline,
+        durationMinutes: task.duration_minutes,
+        priority: task.priority,
+        recurrence: task.recurrence_rule
+    });
+
+    logger.info(`Task created in ${Date.now() - startTime}ms`, {
+        taskId: task.id,
+        userId
+    });
+
+    const items = await checklistItemsDb.createItems(userId, task.id, checklist);
+    const formatted = formatTaskForResponse({ ...task, checklist_items: items });
+
+    // Optionally sync to Google
+    // The sync runs in the background job queue so the response is not blocked
+    if (options.syncToGoogle) {
+        const job = await jobQueue.enqueue(jobQueue.JobTypes.SYNC_TASK, {
+            taskId: task.id
+        }, { userId });
+
+        formatted.syncJobId = job.id;
+    }
+
+    return formatted;
+}
+
+/**
+ * Validate new task input and resolve it into the data tasksDb.createTask expects
+ * Shared by createTask and applyTaskBatch.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} taskData - Task data (see createTask)
+ * @returns {Object} Task data for tasksDb.createTask / tasksDb.createTasks
+ * @throws {Error} On missing fields or an invalid schedule, priority, recurrence or tags
+ *
+ * NOTE: The subject is not checked here (that needs a query); see assertSubject.
+ */
+function prepareTask(userId, taskData) {
     // Validate required fields
     if (!taskData.title || taskData.title.trim().length === 0) {
         throw new Error('Task title is required');
     }
 
-    if (!taskData.deadline) {
-        throw new Error('Task deadline is required');
+    if (!taskData.deadline && !taskData.startTime) {
+        throw new Error('Task deadline or start time is required');
     }
 
     // Validate and use timezone
@@ -63,40 +224,76 @@ async function createTask(userId, taskData, options = {}) {
         ? taskData.timezone
         : 'UTC';
 
-    // Parse deadline to UTC
-    // The frontend provides deadline in the user's timezone
-    // We store it in UTC in the database
-    const deadlineUTC = parseToUTC(taskData.deadline, timezone);
+    // Parse deadline and start to UTC
+    // The frontend provides them in the user's timezone
+    // We store them in UTC in the database
+    const schedule = resolveSchedule({
+        deadline: taskData.deadline ? parseToUTC(taskData.deadline, timezone) : undefined,
+        startTime: taskData.startTime ? parseToUTC(taskData.startTime, timezone) : undefined,
+        durationMinutes: taskData.durationMinutes ?? undefined
+    });
 
-    // Create task in Supabase (source of truth)
-    const task = await tasksDb.createTask({
+    const priority = resolvePriority({
+        priority: taskData.priority ?? undefined,
+        isUrgent: taskData.isUrgent ?? undefined,
+        isImportant: taskData.isImportant ?? undefined
+    });
+
+    let deadlineUTC = schedule.deadline;
+
+    let recurrenceRule = null;
+    let recurrenceExdates = [];
+
+    if (taskData.recurrence) {
+        recurrenceRule = normalizeRule(taskData.recurrence, timezone);
+
+        // The series starts at the first matching occurrence, as Google would show it
+        const firstOccurrence = getFirstOccurrence({ rule: recurrenceRule, dtstart: deadlineUTC, timezone });
+        if (!firstOccurrence) {
+            throw new Error('Recurrence rule does not produce any occurrences');
+        }
+
+        deadlineUTC = firstOccurrence;
+        recurrenceExdates = (taskData.exdates || []).map(date => parseToUTC(date, timezone).toISOString());
+    }
+
+    return {
         userId,
         title: taskData.title.trim(),
         description: taskData.description?.trim() || null,
         deadline: deadlineUTC,
-        timezone
-    });
+        // Recomputed because a series deadline may have moved to its first occurrence
+        startTime: schedule.durationMinutes ? getScheduleStart(deadlineUTC, schedule.durationMinutes) : null,
+        durationMinutes: schedule.durationMinutes,
+        timezone,
+        recurrenceRule,
+        recurrenceExdates,
+        studyPlanId: taskData.studyPlanId,
+        priority: priority.priority,
+        isUrgent: priority.isUrgent,
+        isImportant: priority.isImportant,
+        subjectId: taskData.subjectId || null,
+        tags: taskData.tags ? normalizeTags(taskData.tags) : []
+    };
+}
 
-    // Log task creation
-    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_CREATED, {
-        taskId: task.id,
-        title: task.title,
-        deadline: task.deadline
-    });
+/**
+ * Check that a subject exists and belongs to the user
+ * @param {string} userId - User's unique identifier
+ * @param {string|null} subjectId - Subject ID (null/undefined passes)
+ * @returns {Promise<void>}
+ * @throws {Error} 'Invalid subject: ...' if the user has no such subject
+ */
+async function assertSubject(userId, subjectId) {
+    if (!subjectId) {
+        return;
+    }
 
-    logger.info(`Task created in ${Date.now() - startTime}ms`, {
-        taskId: task.id,
-        userId
-    });
+    const subject = await subjectsDb.getSubjectById(subjectId, userId);
 
-    // Optionally sync to Google immediately
-    // By default, we don't sync immediately to avoid blocking the response
-    // TODO: Move to async job queue for production
-    if (options.syncToGoogle) {
-        await syncTaskToGoogle(userId, task);
+    if (!subject) {
+        throw new Error(`Invalid subject: ${subjectId}`);
     }
-
-    return formatTaskForResponse(task);
 }
 
 /**
@@ -104,9 +301,10 @@ async function createTask(userId, taskData, options = {}) {
  * 
  * @param {string} userId - User's unique identifier
  * @param {string} timezone - User's timezone
- * @returns {Promise<Array>} Today's tasks
+ * @param {Object} filters - Optional filters, also applied to the statistics (see getTasksInRange)
+ * @returns {Promise<Object>} Today's tasks (highest priority first) with statistics
  */
-async function getTodayTasks(userId, timezone = 'UTC') {
+async function getTodayTasks(userId, timezone = 'UTC', filters = {}) {
     const tz = isValidTimezone(timezone) ? timezone : 'UTC';
 
     const startOfDay = getStartOfTodayUTC(tz);
@@ -119,15 +317,20 @@ async function getTodayTasks(userId, timezone = 'UTC') {
         endOfDay: endOfDay.toISOString()
     });
 
-    const tasks = await tasksDb.getTasksByDateRange(userId, startOfDay, endOfDay);
+    const records = await attachChecklists(await attachDependencies(userId, await getTasksInRange(userId, startOfDay, endOfDay, filters)));
+    const tasks = sortByPriority(records).map(task => formatTaskForResponse(task, tz));
 
     // Also fetch weekly stats for the dashboard counters
     const startOfWeek = getStartOfWeekUTC(tz);
     const endOfWeek = getEndOfWeekUTC(tz);
-    const stats = await tasksDb.getTaskStats(userId, startOfWeek, endOfWeek);
+    const stats = {
+        ...tasksDb.computeTaskStats(await getTasksInRange(userId, startOfWeek, endOfWeek, filters)),
+        overdueTotal: (await findOverdueTasks(userId, filters)).length
+    };
 
     return {
-        tasks: tasks.map(task => formatTaskForResponse(task, tz)),
+        tasks,
+        byPriority: groupByPriority(tasks),
         stats
     };
 }
@@ -137,9 +340,10 @@ async function getTodayTasks(userId, timezone = 'UTC') {
  * 
  * @param {string} userId - User's unique identifier
  * @param {string} timezone - User's timezone
- * @returns {Promise<Object>} Weekly tasks with statistics
+ * @param {Object} filters - Optional filters, also applied to the statistics (see getTasksInRange)
+ * @returns {Promise<Object>} Weekly tasks (highest priority first) with statistics
  */
-async function getWeekTasks(userId, timezone = 'UTC') {
+async function getWeekTasks(userId, timezone = 'UTC', filters = {}) {
     const tz = isValidTimezone(timezone) ? timezone : 'UTC';
 
     const startOfWeek = getStartOfWeekUTC(tz);
@@ -152,11 +356,17 @@ async function getWeekTasks(userId, timezone = 'UTC') {
         endOfWeek: endOfWeek.toISOString()
     });
 
-    const tasks = await tasksDb.getTasksByDateRange(userId, startOfWeek, endOfWeek);
-    const stats = await tasksDb.getTaskStats(userId, startOfWeek, endOfWeek);
+    const records = await getTasksInRange(userId, startOfWeek, endOfWeek, filters);
+    const stats = {
+        ...tasksDb.computeTaskStats(records),
+        overdueTotal: (await findOverdueTasks(userId, filters)).length
+    };
+    const tasks = sortByPriority(await attachChecklists(await attachDependencies(userId, records)))
+        .map(task => formatTaskForResponse(task, tz));
 
     return {
-        tasks: tasks.map(task => formatTaskForResponse(task, tz)),
+        tasks,
+        byPriority: groupByPriority(tasks),
         stats,
         dateRange: {
             start: startOfWeek.toISOString(),
@@ -166,202 +376,2349 @@ async function getWeekTasks(userId, timezone = 'UTC') {
 }
 
 /**
- * Sync a single task to Google Calendar and optionally Google Tasks
- * 
- * @param {string} userId - User's unique identifier
- * @param {Object} task - Task record from database
- * @param {Object} options - Sync options
- * @param {boolean} options.syncToTasks - Whether to also sync to Google Tasks
- * @returns {Promise<Object>} Sync result
+ * Order task records by priority, then by deadline
+ * @param {Array} tasks - Task records (sorted by deadline)
+ * @returns {Array} New array, highest priority first
  */
-async function syncTaskToGoogle(userId, task, options = {}) {
-    logger.info('Syncing task to Google', {
-        userId,
-        taskId: task.id
-    });
+function sortByPriority(tasks) {
+    const rank = task => PRIORITY_RANK[task.priority] ?? PRIORITY_RANK[tasksDb.TaskPriority.MEDIUM];
 
-    const result = {
-        taskId: task.id,
-        calendar: null,
-        tasks: null,
-        errors: []
-    };
+    return [...tasks].sort((a, b) => rank(a) - rank(b) || new Date(a.deadline) - new Date(b.deadline));
+}
 
-    // Sync to Google Calendar
-    try {
-        const calendarResult = await googleCalendar.createEvent(userId, {
-            id: task.id,
-            title: task.title,
-            description: task.description,
-            deadline: new Date(task.deadline),
-            timezone: task.timezone,
-            status: task.status
-        });
+/**
+ * Group formatted tasks by priority level
+ * @param {Array} tasks - Formatted tasks
+ * @returns {Object} { high: [], medium: [], low: [] }
+ */
+function groupByPriority(tasks) {
+    const groups = {};
 
-        if (calendarResult) {
-            result.calendar = calendarResult;
+    for (const priority of Object.values(tasksDb.TaskPriority)) {
+        groups[priority] = tasks.filter(task => task.priority === priority);
+    }
 
-            // Update task with Google Calendar event ID
-            await tasksDb.updateTaskSyncInfo(task.id, {
-                googleCalendarEventId: calendarResult.eventId
-            });
-        } else {
-            result.errors.push('Failed to sync to Google Calendar');
+    return groups;
+}
+
+/**
+ * Get task records in a date range with recurring series expanded
+ * Each occurrence without a stored row becomes a virtual record whose ID is
+ * `${seriesId}_${yyyyMMddTHHmmssZ}`; series rows themselves are not returned.
+ *
+ * Filters are applied to the stored tasks in the query and to occurrences
+ * after expansion, since occurrences may differ from their series (e.g. an
+ * edited occurrence with other tags).
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Date} startDate - Start of range (UTC)
+ * @param {Date} endDate - End of range (UTC)
+ * @param {Object} filters - Optional filters
+ * @param {Array<string>} filters.statuses - Only tasks with these statuses
+ * @param {string} filters.subjectId - Only tasks of this subject ('none' for tasks without one)
+ * @param {string} filters.tag - Only tasks with this tag
+ * @param {Object} options - Options
+ * @param {number} options.maxStoredTasks - Fail with 'Too many tasks: ...' above this many stored tasks
+ * @returns {Promise<Array>} Task records sorted by deadline
+ */
+async function getTasksInRange(userId, startDate, endDate, filters = {}, options = {}) {
+    const tasks = await tasksDb.getTasksByDateRange(userId, startDate, endDate, {
+        statuses: filters.statuses,
+        subjectId: filters.subjectId,
+        tag: filters.tag ? normalizeTag(filters.tag) : undefined,
+        maxRows: options.maxStoredTasks
+    });
+    const series = await tasksDb.getRecurringSeries(userId, endDate);
+
+    const stored = await tasksDb.getOccurrenceOverrides(series.map(s => s.id), startDate, endDate);
+    const storedKeys = new Set(stored.map(o => `${o.recurring_task_id}|${new Date(o.original_deadline).getTime()}`));
+
+    const occurrences = [];
+    for (const s of series) {
+        for (const deadline of expandOccurrences(toRecurrence(s), startDate, endDate)) {
+            // Stored occurrences are already in `tasks` if they fall in the range
+            if (!storedKeys.has(`${s.id}|${deadline.getTime()}`)) {
+                occurrences.push(buildVirtualOccurrence(s, deadline));
+            }
         }
-    } catch (error) {
-        logger.error('Google Calendar sync failed', {
-            error: error.message,
-            taskId: task.id
-        });
-        result.errors.push(`Calendar: ${error.message}`);
     }
 
-    // Optionally sync to Google Tasks
-    if (options.syncToTasks) {
-        try {
-            const tasksResult = await googleTasks.createTask(userId, {
-                id: task.id,
-                title: task.title,
-                description: task.description,
-                deadline: new Date(task.deadline),
-                timezone: task.timezone
-            });
+    return tasks
+        .filter(task => !task.recurrence_rule)
+        .concat(occurrences)
+        .filter(task => matchesFilters(task, filters))
+        .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+}
 
-            if (tasksResult) {
-                result.tasks = tasksResult;
+/**
+ * Check a task record against subject/tag filters
+ * @param {Object} task - Task record
+ * @param {Object} filters - See getTasksInRange
+ * @returns {boolean} Whether the task matches
+ */
+function matchesFilters(task, filters) {
+    // Stored tasks are already filtered by status in the query; occurrences are not
+    if (filters.statuses && filters.statuses.length > 0 && !filters.statuses.includes(task.status)) {
+        return false;
+    }
 
-                // Update task with Google Task ID
-                await tasksDb.updateTaskSyncInfo(task.id, {
-                    googleTaskId: tasksResult.googleTaskId
-                });
-            } else {
-                result.errors.push('Failed to sync to Google Tasks');
-            }
-        } catch (error) {
-            logger.error('Google Tasks sync failed', {
-                error: error.message,
-                taskId: task.id
-            });
-            result.errors.push(`Tasks: ${error.message}`);
+    if (filters.subjectId) {
+        const subjectId = task.subject_id || 'none';
+        if (subjectId !== filters.subjectId) {
+            return false;
         }
     }
 
-    return result;
+    if (filters.tag && !(task.tags || []).includes(normalizeTag(filters.tag))) {
+        return false;
+    }
+
+    return true;
 }
 
 /**
- * Sync all unsynced tasks to Google
- * WARNING: This is intentionally synchronous/sequential
- * 
+ * List tasks in an arbitrary date range, sorted and paginated
+ * Recurring series are expanded like in getTasksInRange, so paging happens
+ * after expansion; cursors hold the sort key of the last task, which keeps
+ * pages stable when tasks are added or removed in between.
+ *
  * @param {string} userId - User's unique identifier
- * @param {Object} options - Sync options
- * @returns {Promise<Object>} Sync results summary
- * 
- * TODO: Implement batch operations for better performance
- * TODO: Move to async job queue for large number of tasks
- * TODO: Add rate limiting to avoid Google API quota issues
+ * @param {Object} options - Range, filters and paging
+ * @param {string} options.from - Range start (ISO date or datetime in `timezone`; a date means 00:00)
+ * @param {string} options.to - Range end (ISO date or datetime in `timezone`; a date means the end of that day)
+ * @param {string} options.timezone - IANA timezone for the boundaries and formatting (default: UTC)
+ * @param {Array<string>} options.statuses - Only tasks with these statuses
+ * @param {string} options.subjectId - Only tasks of this subject ('none' for tasks without one)
+ * @param {string} options.tag - Only tasks with this tag
+ * @param {string} options.sort - One of TaskSort (default: deadline)
+ * @param {string} options.cursor - `nextCursor` from the previous page
+ * @param {number} options.limit - Page size (default: 50)
+ * @returns {Promise<Object>} { tasks, total, stats, nextCursor, dateRange }; total and
+ *   stats cover every task in the range that matches the filters, not just the page
+ * @throws {Error} 'Invalid range: ...' (also when more than MAX_LIST_STORED_TASKS
+ *   tasks match), 'Invalid datetime format: ...' or 'Invalid cursor'
  */
-async function syncAllTasks(userId, options = {}) {
-    const startTime = Date.now();
-
-    logger.info('Starting full task sync', { userId });
+async function listTasks(userId, options) {
+    const tz = isValidTimezone(options.timezone) ? options.timezone : 'UTC';
+    const sort = options.sort || TaskSort.DEADLINE;
+    const limit = options.limit || 50;
 
-    // Log sync start
-    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SYNC_STARTED);
+    if (!Object.values(TaskSort).includes(sort)) {
+        throw new Error(`Invalid sort: ${sort} (expected ${Object.values(TaskSort).join(', ')})`);
+    }
 
-    // Get all unsynced tasks
-    const unsyncedTasks = await tasksDb.getUnsyncedTasks(userId);
+    const start = parseRangeBoundaryToUTC(options.from, tz, 'start');
+    const end = parseRangeBoundaryToUTC(options.to, tz, 'end');
 
-    if (unsyncedTasks.length === 0) {
-        logger.info('No tasks to sync', { userId });
-        return {
-            synced: 0,
-            failed: 0,
-            tasks: []
-        };
+    if (end < start) {
+        throw new Error('Invalid range: to is before from');
     }
 
-    logger.info(`Found ${unsyncedTasks.length} unsynced tasks`, { userId });
+    if (end - start > MAX_LIST_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Invalid range: at most ${MAX_LIST_RANGE_DAYS} days`);
+    }
 
-    const results = {
-        synced: 0,
-        failed: 0,
-        tasks: []
-    };
+    const after = options.cursor ? decodeListCursor(options.cursor, sort) : null;
 
-    // TODO: This is intentionally sequential - should use batching in production
-    for (const task of unsyncedTasks) {
-        const syncResult = await syncTaskToGoogle(userId, task, options);
+    logger.debug('Listing tasks', { userId, start: start.toISOString(), end: end.toISOString(), sort });
 
-        if (syncResult.errors.length === 0) {
-            results.synced++;
-        } else {
-            results.failed++;
+    let records;
+    try {
+        records = await getTasksInRange(userId, start, end, {
+            statuses: options.statuses,
+            subjectId: options.subjectId,
+            tag: options.tag
+        }, { maxStoredTasks: MAX_LIST_STORED_TASKS });
+    } catch (error) {
+        if (error.message.startsWith('Too many tasks')) {
+            throw new Error(`Invalid range: more than ${MAX_LIST_STORED_TASKS} tasks match, narrow the range or add filters`);
         }
-
-        results.tasks.push({
-            taskId: task.id,
-            title: task.title,
-            success: syncResult.errors.length === 0,
-            errors: syncResult.errors
-        });
+        throw error;
     }
 
-    const duration = Date.now() - startTime;
-
-    // Log sync completion
-    const logAction = results.failed > 0
-        ? agentLogs.ActionTypes.SYNC_PARTIAL
-        : agentLogs.ActionTypes.SYNC_COMPLETED;
-
-    await agentLogs.logSuccess(userId, logAction, {
-        synced: results.synced,
-        failed: results.failed,
-        durationMs: duration
-    });
+    const sorted = [...records].sort((a, b) => compareSortKeys(getSortKey(a, sort), getSortKey(b, sort)));
+    const remaining = after
+        ? sorted.filter(task => compareSortKeys(getSortKey(task, sort), after) > 0)
+        : sorted;
 
-    logger.info(`Task sync completed in ${duration}ms`, {
-        userId,
-        synced: results.synced,
-        failed: results.failed
-    });
+    const page = await attachChecklists(await attachDependencies(userId, remaining.slice(0, limit)));
+    const last = page[page.length - 1];
 
-    return results;
+    return {
+        tasks: page.map(task => formatTaskForResponse(task, tz)),
+        total: records.length,
+        stats: tasksDb.computeTaskStats(records),
+        nextCursor: remaining.length > limit ? encodeListCursor(sort, getSortKey(last, sort)) : null,
+        dateRange: {
+            start: start.toISOString(),
+            end: end.toISOString()
+        }
+    };
 }
 
 /**
- * Update task status
- * 
- * @param {string} userId - User's unique identifier
- * @param {string} taskId - Task ID
- * @param {string} status - New status
- * @returns {Promise<Object>} Updated task
+ * Sort key of a task record; ties are broken by ID so the order is total
+ * @param {Object} task - Task record
+ * @param {string} sort - One of TaskSort
+ * @returns {Array} Key, compared element by element (see compareSortKeys)
  */
-async function updateTaskStatus(userId, taskId, status) {
-    logger.info('Updating task status', { userId, taskId, status });
-
-    const task = await tasksDb.updateTaskStatus(taskId, userId, status);
+function getSortKey(task, sort) {
+    const deadline = new Date(task.deadline).getTime();
+
+    switch (sort) {
+        case TaskSort.DEADLINE_DESC:
+            return [-deadline, task.id];
+        case TaskSort.PRIORITY:
+            return [PRIORITY_RANK[task.priority] ?? PRIORITY_RANK[tasksDb.TaskPriority.MEDIUM], deadline, task.id];
+        case TaskSort.TITLE:
+            return [(task.title || '').toLowerCase(), deadline, task.id];
+        default:
+            return [deadline, task.id];
+    }
+}
 
-    // Log status change
+/**
+ * Compare two sort keys
+ * @param {Array} a - Sort key
+ * @param {Array} b - Sort key
+ * @returns {number} Negative, zero or positive
+ */
+function compareSortKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+/**
+ * Encode the position after a listed task as an opaque cursor
+ * @param {string} sort - Sort the page was listed with
+ * @param {Array} key - Sort key of the last task on the page
+ * @returns {string} Cursor (base64url)
+ */
+function encodeListCursor(sort, key) {
+    return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+/**
+ * Decode a list cursor
+ * @param {string} cursor - Cursor from encodeListCursor
+ * @param {string} sort - Sort of the current request (must match the cursor's)
+ * @returns {Array} Sort key
+ * @throws {Error} If the cursor is malformed or was made for another sort
+ */
+function decodeListCursor(cursor, sort) {
+    let position;
+
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!position || position.sort !== sort || !Array.isArray(position.key) ||
+        position.key.length !== getSortKey({ deadline: 0, id: '' }, sort).length) {
+        throw new Error('Invalid cursor');
+    }
+
+    return position.key;
+}
+
+/**
+ * Get all overdue tasks: unfinished tasks whose deadline has passed, across all time
+ * Occurrences of recurring tasks are listed only once stored (edited or
+ * started); a repetition that was never touched is skipped, not owed.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} timezone - Timezone for formatting
+ * @param {Object} filters - Optional filters (see getTasksInRange)
+ * @returns {Promise<Object>} { tasks (oldest deadline first), count }
+ */
+async function getOverdueTasks(userId, timezone = 'UTC', filters = {}) {
+    const tz = isValidTimezone(timezone) ? timezone : 'UTC';
+
+    const records = await findOverdueTasks(userId, filters);
+    const tasks = (await attachChecklists(await attachDependencies(userId, records)))
+        .map(task => formatTaskForResponse(task, tz));
+
+    return {
+        tasks,
+        count: tasks.length
+    };
+}
+
+/**
+ * Move overdue tasks to the next free slots
+ * Highest priority tasks are placed first, oldest first within a priority.
+ * Each task keeps its duration and, where possible, its time of day; slots
+ * avoid other tasks and Google Calendar busy times, within the allowed hours.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} options - Reschedule options
+ * @param {Array<string>} options.taskIds - Only these overdue tasks (default: all)
+ * @param {Object} options.allowedHours - { start, end } in HH:mm (default: config)
+ * @returns {Promise<Object>} { overdue, rescheduled, errors, googleCalendarChecked }
+ */
+async function rescheduleOverdueTasks(userId, options = {}) {
+    const { DateTime } = require('luxon');
+
+    const { allowedStart, allowedEnd } = parseAllowedHours({
+        start: options.allowedHours?.start || config.scheduling.allowedHoursStart,
+        end: options.allowedHours?.end || config.scheduling.allowedHoursEnd
+    });
+
+    // Start looking at the next slot boundary
+    const stepMs = SLOT_STEP_MINUTES * 60000;
+    const now = new Date(Math.ceil(Date.now() / stepMs) * stepMs);
+
+    const overdue = await findOverdueTasks(userId);
+    const result = {
+        overdue: overdue.length,
+        rescheduled: [],
+        errors: [],
+        googleCalendarChecked: false
+    };
+
+    let moving = overdue;
+
+    if (options.taskIds) {
+        const overdueIds = new Set(overdue.map(task => task.id));
+
+        for (const taskId of options.taskIds.filter(id => !overdueIds.has(id))) {
+            result.errors.push({ taskId, error: 'Task not found or not overdue' });
+        }
+
+        moving = overdue.filter(task => options.taskIds.includes(task.id));
+    }
+
+    if (moving.length === 0) {
+        return result;
+    }
+
+    moving = sortByPriority(moving);
+
+    const rangeEnd = new Date(now.getTime() + (RESCHEDULE_SEARCH_DAYS + 1) * 24 * 60 * 60 * 1000);
+    const { commitments, googleCalendarChecked } = await collectBusyTime(userId, now, rangeEnd, { exclude: moving });
+    let busy = mergeIntervals(commitments);
+    result.googleCalendarChecked = googleCalendarChecked;
+
+    for (const task of moving) {
+        const durationMinutes = task.duration_minutes || googleCalendar.DEFAULT_EVENT_DURATION_MINUTES;
+        const currentStart = DateTime.fromJSDate(getTaskSpan(task).start).setZone(task.timezone);
+        const today = DateTime.fromJSDate(now).setZone(task.timezone).startOf('day');
+
+        let start = null;
+        for (let offset = 0; offset < RESCHEDULE_SEARCH_DAYS && !start; offset++) {
+            start = findSlotInDay(busy, {
+                day: today.plus({ days: offset }),
+                allowedStart,
+                allowedEnd,
+                preferred: { hour: currentStart.hour, minute: currentStart.minute },
+                notBefore: now,
+                durationMinutes,
+                bufferMinutes: config.scheduling.bufferMinutes
+            });
+        }
+
+        if (!start) {
+            result.errors.push({
+                taskId: task.id,
+                title: task.title,
+                error: `No free ${durationMinutes}-minute slot in the next ${RESCHEDULE_SEARCH_DAYS} days`
+            });
+            continue;
+        }
+
+        try {
+            const updated = await updateTask(userId, task.id, {
+                startTime: DateTime.fromJSDate(start).setZone(task.timezone).toISO(),
+                durationMinutes
+            }, { actor: taskRevisions.TaskActor.USER });
+
+            result.rescheduled.push({
+                taskId: task.id,
+                title: task.title,
+                previousStartTime: currentStart.toUTC().toISO(),
+                startTime: updated.startTime,
+                deadline: updated.deadline
+            });
+        } catch (error) {
+            logger.error('Failed to reschedule overdue task', {
+                error: error.message,
+                taskId: task.id
+            });
+            result.errors.push({
+                taskId: task.id,
+                title: task.title,
+                error: error.message
+            });
+            continue;
+        }
+
+        busy = mergeIntervals([...busy, { start, end: new Date(start.getTime() + durationMinutes * 60000) }]);
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASKS_OVERDUE_RESCHEDULED, {
+        overdue: result.overdue,
+        rescheduled: result.rescheduled.length,
+        errors: result.errors.length
+    });
+
+    logger.info(`Overdue tasks rescheduled: ${result.rescheduled.length} moved`, {
+        userId,
+        errors: result.errors.length
+    });
+
+    return result;
+}
+
+/**
+ * Overdue task records of a user, oldest deadline first
+ * @param {string} userId - User's unique identifier
+ * @param {Object} filters - Optional filters (see getTasksInRange)
+ * @returns {Promise<Array>} Task records
+ */
+async function findOverdueTasks(userId, filters = {}) {
+    const tasks = await tasksDb.getOverdueTasks(userId, new Date());
+    return tasks.filter(task => matchesFilters(task, filters));
+}
+
+/**
+ * Find the task a user means by a loose name ("my react session")
+ * Titles are matched fuzzily (see utils/titleMatch) within a date window:
+ * the given day, or from MATCH_WINDOW_PAST_DAYS ago to MATCH_WINDOW_FUTURE_DAYS
+ * ahead. A task is only picked when it fits clearly better than the rest, so
+ * callers can ask the user to choose between the candidates otherwise.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} reference - What the user called the task
+ * @param {Object} options - Match options
+ * @param {string} options.date - Day the task is on (YYYY-MM-DD in `timezone`, optional)
+ * @param {Array<string>} options.statuses - Only tasks with these statuses (default: pending, in progress)
+ * @param {string} options.timezone - IANA timezone for the window and formatting (default: UTC)
+ * @returns {Promise<Object>} { task, candidates }; task is the match or null, candidates
+ *   are the tasks that fit (best first, at most MAX_MATCH_CANDIDATES) with `matchScore`
+ * @throws {Error} 'Invalid datetime format: ...' if date is malformed
+ */
+async function findTaskByReference(userId, reference, options = {}) {
+    const tz = isValidTimezone(options.timezone) ? options.timezone : 'UTC';
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    const start = options.date
+        ? parseRangeBoundaryToUTC(options.date, tz, 'start')
+        : new Date(now - MATCH_WINDOW_PAST_DAYS * day);
+    const end = options.date
+        ? parseRangeBoundaryToUTC(options.date, tz, 'end')
+        : new Date(now + MATCH_WINDOW_FUTURE_DAYS * day);
+
+    const records = await getTasksInRange(userId, start, end, {
+        statuses: options.statuses || tasksDb.OPEN_STATUSES
+    });
+
+    // Best score first; among equals, the task closest to now
+    const scored = records
+        .map(task => ({ task, score: scoreTitleMatch(reference, task.title) }))
+        .filter(entry => entry.score >= MIN_MATCH_SCORE)
+        .sort((a, b) => b.score - a.score ||
+            Math.abs(new Date(a.task.deadline) - now) - Math.abs(new Date(b.task.deadline) - now));
+
+    logger.debug('Matched task reference', { userId, reference, matches: scored.length });
+
+    const candidates = scored.slice(0, MAX_MATCH_CANDIDATES).map(entry => ({
+        ...formatTaskForResponse(entry.task, tz),
+        matchScore: entry.score
+    }));
+
+    const clear = scored.length === 1 ||
+        (scored.length > 1 && scored[0].score - scored[1].score >= CLEAR_MATCH_MARGIN);
+
+    return {
+        task: clear ? candidates[0] : null,
+        candidates
+    };
+}
+
+/**
+ * Search tasks by title and description
+ * Results are ranked (title matches count more than description matches) and
+ * carry highlighted snippets. Recurring series are matched once, as the series.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} query - Search text
+ * @param {Object} options - Filters and paging
+ * @param {string} options.status - Only tasks with this status
+ * @param {string} options.from - Earliest deadline (ISO string in `timezone`)
+ * @param {string} options.to - Latest deadline (ISO string in `timezone`)
+ * @param {string} options.studyPlanId - Only tasks created by this study plan
+ * @param {string} options.cursor - `nextCursor` from the previous page
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {string} options.timezone - Timezone for dates and formatting (default: UTC)
+ * @returns {Promise<Object>} { tasks, nextCursor } (nextCursor is null on the last page)
+ */
+async function searchTasks(userId, query, options = {}) {
+    const tz = isValidTimezone(options.timezone) ? options.timezone : 'UTC';
+    const limit = options.limit || 20;
+
+    logger.debug('Searching tasks', { userId, query, status: options.status, studyPlanId: options.studyPlanId });
+
+    // One extra row tells us whether there is another page
+    const rows = await tasksDb.searchTasks(userId, query, {
+        status: options.status,
+        from: options.from ? parseToUTC(options.from, tz) : undefined,
+        to: options.to ? parseToUTC(options.to, tz) : undefined,
+        studyPlanId: options.studyPlanId,
+        after: options.cursor ? decodeSearchCursor(options.cursor) : undefined,
+        limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    const records = await attachDependencies(userId, page.map(row => row.task));
+
+    const tasks = records.map((task, index) => ({
+        ...formatTaskForResponse(task, tz),
+        search: {
+            rank: page[index].rank,
+            titleHighlight: page[index].title_highlight,
+            snippet: page[index].snippet
+        }
+    }));
+
+    const last = page[page.length - 1];
+
+    return {
+        tasks,
+        nextCursor: rows.length > limit ? encodeSearchCursor(last.rank, last.task.id) : null
+    };
+}
+
+/**
+ * Encode the position after a search result as an opaque cursor
+ * @param {number} rank - Result rank
+ * @param {string} id - Task ID
+ * @returns {string} Cursor (base64url)
+ */
+function encodeSearchCursor(rank, id) {
+    return Buffer.from(JSON.stringify({ rank, id })).toString('base64url');
+}
+
+/**
+ * Decode a search cursor
+ * @param {string} cursor - Cursor from encodeSearchCursor
+ * @returns {Object} { rank, id }
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeSearchCursor(cursor) {
+    let position;
+
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!position || typeof position.rank !== 'number' || typeof position.id !== 'string') {
+        throw new Error('Invalid cursor');
+    }
+
+    return position;
+}
+
+/**
+ * Find a task record by task ID or occurrence ID
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID or `${seriesId}_${yyyyMMddTHHmmssZ}`
+ * @returns {Promise<Object|null>} Stored record, virtual occurrence, or null
+ */
+async function findTaskRecord(userId, taskId) {
+    const occurrence = parseOccurrenceId(taskId);
+
+    if (!occurrence) {
+        return tasksDb.getTaskById(taskId, userId);
+    }
+
+    const series = await tasksDb.getTaskById(occurrence.seriesId, userId);
+
+    if (!series || !series.recurrence_rule) {
+        return null;
+    }
+
+    const stored = await tasksDb.getOccurrenceOverride(series.id, occurrence.originalDeadline);
+    if (stored) {
+        return stored;
+    }
+
+    if (!isOccurrence(toRecurrence(series), occurrence.originalDeadline)) {
+        return null;
+    }
+
+    return buildVirtualOccurrence(series, occurrence.originalDeadline);
+}
+
+/**
+ * Store a virtual occurrence as its own row so it can change independently
+ * The row stays linked to its Google instance, so later edits only touch that occurrence.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} occurrence - Virtual occurrence from findTaskRecord
+ * @param {string} actor - Whose change required storing it (TaskActor)
+ * @returns {Promise<Object>} Stored occurrence record
+ */
+async function materializeOccurrence(userId, occurrence, actor) {
+    return tasksDb.createTask({
+        userId,
+        title: occurrence.title,
+        description: occurrence.description,
+        deadline: new Date(occurrence.original_deadline),
+        startTime: occurrence.start_time ? new Date(occurrence.start_time) : null,
+        durationMinutes: occurrence.duration_minutes,
+        timezone: occurrence.timezone,
+        status: occurrence.status,
+        priority: occurrence.priority,
+        isUrgent: occurrence.is_urgent,
+        isImportant: occurrence.is_important,
+        subjectId: occurrence.subject_id,
+        tags: occurrence.tags,
+        recurringTaskId: occurrence.recurring_task_id,
+        originalDeadline: new Date(occurrence.original_deadline),
+        googleCalendarEventId: occurrence.google_calendar_event_id,
+        actor
+    });
+}
+
+/**
+ * Whether a record is a virtual (not yet stored) occurrence
+ * @param {Object} task - Task record
+ * @returns {boolean} True for virtual occurrences
+ */
+function isVirtualOccurrence(task) {
+    return !!parseOccurrenceId(task.id);
+}
+
+/**
+ * Build an unsaved occurrence record from its series
+ *
+ * @param {Object} series - Series task record
+ * @param {Date} deadline - Occurrence deadline (UTC)
+ * @returns {Object} Virtual task record
+ */
+function buildVirtualOccurrence(series, deadline) {
+    return {
+        ...series,
+        id: buildOccurrenceId(series.id, deadline),
+        deadline: deadline.toISOString(),
+        recurrence_rule: null,
+        recurrence_exdates: [],
+        recurring_task_id: series.id,
+        original_deadline: deadline.toISOString(),
+        start_time: series.duration_minutes
+            ? getScheduleStart(deadline, series.duration_minutes).toISOString()
+            : null,
+        google_calendar_event_id: series.google_calendar_event_id
+            ? googleCalendar.getInstanceId(series.google_calendar_event_id, {
+                deadline,
+                durationMinutes: series.duration_minutes
+            })
+            : null,
+        google_task_id: null
+    };
+}
+
+/**
+ * Recurrence definition of a series record (see utils/recurrence.js)
+ * @param {Object} series - Series task record
+ * @returns {Object} { rule, dtstart, timezone, exdates }
+ */
+function toRecurrence(series) {
+    return {
+        rule: series.recurrence_rule,
+        dtstart: new Date(series.deadline),
+        timezone: series.timezone,
+        exdates: series.recurrence_exdates || []
+    };
+}
+
+/**
+ * Build the task data Google services expect from a task record
+ * @param {Object} task - Task record from database
+ * @param {Object|null} subject - The task's subject record (its colour overrides the priority colour)
+ * @returns {Object} Google payload (without the checklist; see loadGooglePayload)
+ */
+function toGooglePayload(task, subject = null) {
+    return {
+        id: task.id,
+        title: task.title,
+        description: task.description,
+        deadline: new Date(task.deadline),
+        durationMinutes: task.duration_minutes || null,
+        timezone: task.timezone,
+        status: task.status,
+        priority: task.priority || tasksDb.TaskPriority.MEDIUM,
+        recurrenceRule: task.recurrence_rule || null,
+        recurrenceExdates: task.recurrence_exdates || [],
+        subjectColorId: subject?.google_color_id || null
+    };
+}
+
+/**
+ * Build the Google payload of a task, loading its subject and checklist
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record from database
+ * @returns {Promise<Object>} Google payload
+ */
+async function loadGooglePayload(userId, task) {
+    const subject = task.subject_id ? await subjectsDb.getSubjectById(task.subject_id, userId) : null;
+    const items = isVirtualOccurrence(task) ? [] : await checklistItemsDb.getItems([task.id]);
+
+    return {
+        ...toGooglePayload(task, subject),
+        checklist: items.map(item => ({ title: item.title, isCompleted: item.is_completed }))
+    };
+}
+
+/**
+ * Validate a task's priority and Eisenhower flags
+ * When the flags are given without a priority, the priority follows the
+ * quadrant: urgent and important is high, either one is medium, neither is low.
+ *
+ * @param {Object} input - Requested values (undefined when not given)
+ * @param {string} input.priority - 'high' | 'medium' | 'low'
+ * @param {boolean|null} input.isUrgent - Eisenhower "urgent" flag
+ * @param {boolean|null} input.isImportant - Eisenhower "important" flag
+ * @param {Object} current - Current task values (for edits)
+ * @returns {Object} Changed values only ({ priority?, isUrgent?, isImportant? })
+ */
+function resolvePriority(input, current = {}) {
+    const resolved = {};
+
+    if (input.priority !== undefined) {
+        if (!Object.values(tasksDb.TaskPriority).includes(input.priority)) {
+            throw new Error(`Invalid priority: ${input.priority} (expected ${Object.values(tasksDb.TaskPriority).join(', ')})`);
+        }
+        resolved.priority = input.priority;
+    }
+
+    for (const flag of ['isUrgent', 'isImportant']) {
+        if (input[flag] !== undefined) {
+            if (input[flag] !== null && typeof input[flag] !== 'boolean') {
+                throw new Error(`Invalid priority: ${flag} must be true, false or null`);
+            }
+            resolved[flag] = input[flag];
+        }
+    }
+
+    const flagsGiven = resolved.isUrgent !== undefined || resolved.isImportant !== undefined;
+
+    if (resolved.priority === undefined && flagsGiven) {
+        const urgent = resolved.isUrgent ?? current.isUrgent;
+        const important = resolved.isImportant ?? current.isImportant;
+
+        if (urgent && important) {
+            resolved.priority = tasksDb.TaskPriority.HIGH;
+        } else if (urgent || important) {
+            resolved.priority = tasksDb.TaskPriority.MEDIUM;
+        } else {
+            resolved.priority = tasksDb.TaskPriority.LOW;
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Work out a task's span from any two of deadline (end), start time and duration
+ * Missing values come from the current task, so an edit that only moves the
+ * deadline keeps the duration, and one that only changes the duration keeps the start.
+ *
+ * @param {Object} input - Requested values
+ * @param {Date} input.deadline - Deadline / event end (UTC)
+ * @param {Date} input.startTime - Event start (UTC)
+ * @param {number|null} input.durationMinutes - Event length in minutes
+ * @param {Object} current - Current task values (for edits)
+ * @returns {Object} { deadline, startTime, durationMinutes } (start and duration may be null)
+ */
+function resolveSchedule(input, current = {}) {
+    let { deadline, startTime, durationMinutes } = input;
+
+    if (durationMinutes !== undefined && durationMinutes !== null) {
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_TASK_DURATION_MINUTES) {
+            throw new Error(`Invalid schedule: duration must be between 1 and ${MAX_TASK_DURATION_MINUTES} minutes`);
+        }
+    }
+
+    if (startTime && deadline) {
+        if (startTime.getTime() >= deadline.getTime()) {
+            throw new Error('Invalid schedule: start time must be before the deadline');
+        }
+
+        const span = Math.round((deadline.getTime() - startTime.getTime()) / 60000);
+
+        if (span < 1 || span > MAX_TASK_DURATION_MINUTES) {
+            throw new Error(`Invalid schedule: duration must be between 1 and ${MAX_TASK_DURATION_MINUTES} minutes`);
+        }
+
+        if (durationMinutes && durationMinutes !== span) {
+            throw new Error('Invalid schedule: duration does not match start time and deadline');
+        }
+
+        durationMinutes = span;
+    } else if (startTime) {
+        durationMinutes = durationMinutes || current.durationMinutes || googleCalendar.DEFAULT_EVENT_DURATION_MINUTES;
+        deadline = new Date(startTime.getTime() + durationMinutes * 60000);
+    } else if (durationMinutes) {
+        // Resizing keeps the start where there is one, otherwise the deadline
+        if (!deadline && current.startTime) {
+            deadline = new Date(current.startTime.getTime() + durationMinutes * 60000);
+        }
+        deadline = deadline || current.deadline;
+    } else {
+        deadline = deadline || current.deadline;
+        durationMinutes = durationMinutes === null ? null : (current.durationMinutes || null);
+    }
+
+    return {
+        deadline,
+        startTime: durationMinutes ? getScheduleStart(deadline, durationMinutes) : null,
+        durationMinutes: durationMinutes || null
+    };
+}
+
+/**
+ * Start of a task that ends at `deadline` and lasts `durationMinutes`
+ * @param {Date} deadline - Deadline / event end (UTC)
+ * @param {number} durationMinutes - Event length in minutes
+ * @returns {Date} Start time (UTC)
+ */
+function getScheduleStart(deadline, durationMinutes) {
+    return new Date(deadline.getTime() - durationMinutes * 60000);
+}
+
+/**
+ * Sync a single task to Google Calendar and optionally Google Tasks
+ * 
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record from database
+ * @param {Object} options - Sync options
+ * @param {boolean} options.syncToTasks - Whether to also sync to Google Tasks
+ * @returns {Promise<Object>} Sync result
+ */
+async function syncTaskToGoogle(userId, task, options = {}) {
+    logger.info('Syncing task to Google', {
+        userId,
+        taskId: task.id
+    });
+
+    const result = {
+        taskId: task.id,
+        calendar: null,
+        tasks: null,
+        errors: []
+    };
+
+    // Sync to Google Calendar
+    try {
+        const calendarResult = await googleCalendar.createEvent(userId, await loadGooglePayload(userId, task));
+
+        if (calendarResult) {
+            result.calendar = calendarResult;
+
+            // Update task with Google Calendar event ID
+            await tasksDb.updateTaskSyncInfo(task.id, {
+                googleCalendarEventId: calendarResult.eventId
+            });
+
+            if (task.recurrence_rule) {
+                await syncStoredOccurrences(userId, task, calendarResult.eventId);
+            }
+        } else {
+            result.errors.push('Failed to sync to Google Calendar');
+        }
+    } catch (error) {
+        logger.error('Google Calendar sync failed', {
+            error: error.message,
+            taskId: task.id
+        });
+        result.errors.push(`Calendar: ${error.message}`);
+    }
+
+    // Optionally sync to Google Tasks
+    // Google Tasks has no recurrence, so series are only synced to Calendar
+    if (options.syncToTasks && !task.recurrence_rule) {
+        try {
+            const tasksResult = await googleTasks.createTask(userId, {
+                id: task.id,
+                title: task.title,
+                description: task.description,
+                deadline: new Date(task.deadline),
+                timezone: task.timezone
+            });
+
+            if (tasksResult) {
+                result.tasks = tasksResult;
+
+                // Update task with Google Task ID
+                await tasksDb.updateTaskSyncInfo(task.id, {
+                    googleTaskId: tasksResult.googleTaskId
+                });
+            } else {
+                result.errors.push('Failed to sync to Google Tasks');
+            }
+        } catch (error) {
+            logger.error('Google Tasks sync failed', {
+                error: error.message,
+                taskId: task.id
+            });
+            result.errors.push(`Tasks: ${error.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Link stored occurrences to the instances of a newly created series event
+ * and push their edits (e.g. a moved occurrence) to those instances.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} series - Series task record
+ * @param {string} eventId - Google event ID of the series
+ * @returns {Promise<void>}
+ */
+async function syncStoredOccurrences(userId, series, eventId) {
+    const occurrences = await tasksDb.getOccurrenceOverrides([series.id], new Date(series.deadline));
+
+    for (const occurrence of occurrences) {
+        const instanceId = googleCalendar.getInstanceId(eventId, {
+            deadline: occurrence.original_deadline,
+            durationMinutes: series.duration_minutes
+        });
+        const linked = await tasksDb.updateTask(occurrence.id, userId, { googleCalendarEventId: instanceId });
+
+        await propagateUpdateToGoogle(userId, linked);
+    }
+}
+
+/**
+ * Sync all unsynced tasks to Google
+ * Runs sequentially inside a background job (see syncJobs.js).
+ * 
+ * @param {string} userId - User's unique identifier
+ * @param {Object} options - Sync options
+ * @param {boolean} options.syncToTasks - Whether to also sync to Google Tasks
+ * @param {Function} options.onProgress - Called with { total, processed, synced, failed } after each task
+ * @returns {Promise<Object>} Sync results summary
+ * 
+ * TODO: Implement batch operations for better performance
+ * TODO: Add rate limiting to avoid Google API quota issues
+ */
+async function syncAllTasks(userId, options = {}) {
+    const startTime = Date.now();
+
+    logger.info('Starting full task sync', { userId });
+
+    // Log sync start
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SYNC_STARTED);
+
+    // Get all unsynced tasks
+    const unsyncedTasks = await tasksDb.getUnsyncedTasks(userId);
+
+    if (unsyncedTasks.length === 0) {
+        logger.info('No tasks to sync', { userId });
+        return {
+            synced: 0,
+            failed: 0,
+            tasks: []
+        };
+    }
+
+    logger.info(`Found ${unsyncedTasks.length} unsynced tasks`, { userId });
+
+    const results = {
+        synced: 0,
+        failed: 0,
+        tasks: []
+    };
+
+    // TODO: This is intentionally sequential - should use batching in production
+    for (const task of unsyncedTasks) {
+        const syncResult = await syncTaskToGoogle(userId, task, options);
+
+        if (syncResult.errors.length === 0) {
+            results.synced++;
+        } else {
+            results.failed++;
+        }
+
+        results.tasks.push({
+            taskId: task.id,
+            title: task.title,
+            success: syncResult.errors.length === 0,
+            errors: syncResult.errors
+        });
+
+        if (options.onProgress) {
+            await options.onProgress({
+                total: unsyncedTasks.length,
+                processed: results.tasks.length,
+                synced: results.synced,
+                failed: results.failed
+            });
+        }
+    }
+
+    const duration = Date.now() - startTime;
+
+    // Log sync completion
+    const logAction = results.failed > 0
+        ? agentLogs.ActionTypes.SYNC_PARTIAL
+        : agentLogs.ActionTypes.SYNC_COMPLETED;
+
+    await agentLogs.logSuccess(userId, logAction, {
+        synced: results.synced,
+        failed: results.failed,
+        durationMs: duration
+    });
+
+    logger.info(`Task sync completed in ${duration}ms`, {
+        userId,
+        synced: results.synced,
+        failed: results.failed
+    });
+
+    return results;
+}
+
+/**
+ * Update task status
+ * 
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {string} status - New status
+ * @param {Object} options - Update options
+ * @param {string} options.actor - Who makes the change, for the task history (TaskActor, default: user)
+ * @returns {Promise<Object|null>} Updated task or null if not found (or in the trash)
+ *
+ * NOTE: For an occurrence of a recurring task only that occurrence changes.
+ */
+async function updateTaskStatus(userId, taskId, status, options = {}) {
+    logger.info('Updating task status', { userId, taskId, status });
+
+    const actor = options.actor || taskRevisions.TaskActor.USER;
+
+    let recordId = taskId;
+
+    if (parseOccurrenceId(taskId)) {
+        const occurrence = await findTaskRecord(userId, taskId);
+
+        if (!occurrence) {
+            return null;
+        }
+
+        recordId = isVirtualOccurrence(occurrence)
+            ? (await materializeOccurrence(userId, occurrence, actor)).id
+            : occurrence.id;
+    }
+
+    const task = await tasksDb.updateTaskStatus(recordId, userId, status, actor);
+
+    if (!task) {
+        return null;
+    }
+
+    // Log status change
     await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_STATUS_CHANGED, {
         taskId,
-        newStatus: status
+        newStatus: status
+    });
+
+    // If task is completed and synced to Google Tasks, mark as complete there too
+    if (status === tasksDb.TaskStatus.COMPLETED && task.google_task_id) {
+        try {
+            await googleTasks.completeTask(userId, task.google_task_id);
+        } catch (error) {
+            logger.warn('Failed to complete Google Task', {
+                error: error.message,
+                taskId
+            });
+            // Don't fail the operation - Google sync is secondary
+        }
+    }
+
+    const formatted = formatTaskForResponse(task);
+
+    if (isResolvedStatus(status)) {
+        formatted.unblocked = await findUnblockedDependents(userId, task);
+    }
+
+    return formatted;
+}
+
+/**
+ * Get a single task
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} Formatted task or null if not found
+ */
+async function getTask(userId, taskId) {
+    const task = await findTaskRecord(userId, taskId);
+
+    if (!task) {
+        return null;
+    }
+
+    const [withDependencies] = await attachDependencies(userId, [task]);
+    const [withChecklist] = await attachChecklists([withDependencies]);
+
+    return {
+        ...formatTaskForResponse(withChecklist),
+        checklist: withChecklist.checklist_items.map(formatChecklistItem)
+    };
+}
+
+/**
+ * Get the change history of a task
+ * Trashed tasks keep their history until they are purged.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID (or occurrence ID)
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum revisions (default: 50)
+ * @returns {Promise<Object|null>} { taskId, revisions } (newest first) or null if not found
+ *
+ * NOTE: An occurrence that was never changed on its own has no history;
+ * changes to it are recorded on its series.
+ */
+async function getTaskHistory(userId, taskId, options = {}) {
+    let task = await findTaskRecord(userId, taskId);
+
+    if (!task && !parseOccurrenceId(taskId)) {
+        task = await tasksDb.getDeletedTaskById(taskId, userId);
+    }
+
+    if (!task) {
+        return null;
+    }
+
+    const revisions = isVirtualOccurrence(task)
+        ? []
+        : await taskRevisions.getTaskRevisions(task.id, userId, options.limit);
+
+    return {
+        taskId: task.id,
+        recurringTaskId: task.recurring_task_id || null,
+        revisions: revisions.map(revision => ({
+            id: revision.id,
+            actor: revision.actor,
+            action: revision.action,
+            changes: revision.changes,
+            createdAt: revision.created_at
+        }))
+    };
+}
+
+/**
+ * Edit a task and propagate the change to Google
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {Object} updates - Fields to change
+ * @param {string} updates.title - New title
+ * @param {string} updates.description - New description
+ * @param {string} updates.deadline - New deadline (ISO string in the task's timezone)
+ * @param {string} updates.startTime - New start (ISO string in the task's timezone)
+ * @param {number|null} updates.durationMinutes - New duration in minutes (null for the default)
+ * @param {string} updates.timezone - New timezone
+ * @param {string} updates.priority - New priority ('high' | 'medium' | 'low')
+ * @param {boolean|null} updates.isUrgent - Eisenhower "urgent" flag
+ * @param {boolean|null} updates.isImportant - Eisenhower "important" flag
+ * @param {string|null} updates.subjectId - Subject (null to clear)
+ * @param {Array<string>} updates.tags - Tags (replace the current ones)
+ * @param {Object} options - Update options
+ * @param {string} options.actor - Who makes the change, for the task history (TaskActor, default: user)
+ * @returns {Promise<Object|null>} Updated task or null if not found
+ *
+ * NOTE: Google failures are logged but do not fail the edit.
+ * Supabase has already been updated and remains the source of truth.
+ * Editing an occurrence of a recurring task leaves the rest of the series untouched.
+ */
+async function updateTask(userId, taskId, updates, options = {}) {
+    logger.info('Updating task', { userId, taskId, fields: Object.keys(updates) });
+
+    const actor = options.actor || taskRevisions.TaskActor.USER;
+
+    let existing = await findTaskRecord(userId, taskId);
+
+    if (!existing) {
+        return null;
+    }
+
+    const changes = {};
+
+    if (updates.title !== undefined) {
+        if (!updates.title || updates.title.trim().length === 0) {
+            throw new Error('Task title cannot be empty');
+        }
+        changes.title = updates.title.trim();
+    }
+
+    if (updates.description !== undefined) {
+        changes.description = updates.description?.trim() || null;
+    }
+
+    if (updates.timezone !== undefined) {
+        if (!isValidTimezone(updates.timezone)) {
+            throw new Error(`Invalid timezone: ${updates.timezone}`);
+        }
+        changes.timezone = updates.timezone;
+    }
+
+    if (updates.subjectId !== undefined) {
+        await assertSubject(userId, updates.subjectId);
+        changes.subjectId = updates.subjectId || null;
+    }
+
+    if (updates.tags !== undefined) {
+        changes.tags = normalizeTags(updates.tags || []);
+    }
+
+    Object.assign(changes, resolvePriority({
+        priority: updates.priority,
+        isUrgent: updates.isUrgent,
+        isImportant: updates.isImportant
+    }, {
+        isUrgent: existing.is_urgent,
+        isImportant: existing.is_important
+    }));
+
+    if (updates.deadline !== undefined || updates.startTime !== undefined || updates.durationMinutes !== undefined) {
+        // Interpret new times in the (possibly new) task timezone
+        const timezone = changes.timezone || existing.timezone;
+        const schedule = resolveSchedule({
+            deadline: updates.deadline !== undefined ? parseToUTC(updates.deadline, timezone) : undefined,
+            startTime: updates.startTime !== undefined ? parseToUTC(updates.startTime, timezone) : undefined,
+            durationMinutes: updates.durationMinutes
+        }, {
+            deadline: new Date(existing.deadline),
+            startTime: existing.start_time ? new Date(existing.start_time) : null,
+            durationMinutes: existing.duration_minutes
+        });
+
+        changes.deadline = schedule.deadline;
+        changes.startTime = schedule.startTime;
+        changes.durationMinutes = schedule.durationMinutes;
+    }
+
+    if (isVirtualOccurrence(existing)) {
+        existing = await materializeOccurrence(userId, existing, actor);
+    }
+
+    const task = await tasksDb.updateTask(existing.id, userId, changes, actor);
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_UPDATED, {
+        taskId: task.id,
+        recurringTaskId: task.recurring_task_id || undefined,
+        fields: Object.keys(changes)
+    });
+
+    const synced = await propagateUpdateToGoogle(userId, task);
+
+    return formatTaskForResponse(synced);
+}
+
+/**
+ * Move a task to the trash and remove its Google Calendar event and Google Task
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.actor - Who deletes the task, for its history (TaskActor, default: user)
+ * @returns {Promise<Object|null>} Deletion result (trashedTaskId is the ID to restore) or null if not found
+ */
+async function deleteTask(userId, taskId, options = {}) {
+    logger.info('Deleting task', { userId, taskId });
+
+    const actor = options.actor || taskRevisions.TaskActor.USER;
+
+    let task = await findTaskRecord(userId, taskId);
+
+    if (!task) {
+        return null;
+    }
+
+    // Virtual occurrences are stored first so they can be restored from the trash
+    if (isVirtualOccurrence(task)) {
+        task = await materializeOccurrence(userId, task, actor);
+    }
+
+    // Deleting a series event in Google removes every occurrence; deleting an
+    // instance ID cancels just that one
+
+    const google = {
+        calendarEventDeleted: null,
+        googleTaskDeleted: null
+    };
+
+    // Remove from Google first so we still know the linked IDs
+    if (task.google_calendar_event_id) {
+        google.calendarEventDeleted = await googleCalendar.deleteEvent(userId, task.google_calendar_event_id);
+    }
+
+    if (task.google_task_id) {
+        google.googleTaskDeleted = await googleTasks.deleteTask(userId, task.google_task_id);
+    }
+
+    if (task.recurring_task_id) {
+        // Exclude the occurrence so the series does not produce it again
+        const series = await tasksDb.getTaskById(task.recurring_task_id, userId);
+
+        if (series) {
+            await tasksDb.updateTask(series.id, userId, {
+                recurrenceExdates: [...(series.recurrence_exdates || []), new Date(task.original_deadline).toISOString()]
+            }, actor);
+        }
+    }
+
+    // Stored occurrences of a series go to the trash with it
+    await tasksDb.deleteTask(task.id, userId, actor);
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_DELETED, {
+        taskId,
+        title: task.title,
+        recurringTaskId: task.recurring_task_id || undefined,
+        google
+    });
+
+    return {
+        taskId,
+        trashedTaskId: task.id,
+        deleted: true,
+        google
+    };
+}
+
+/**
+ * List the tasks in a user's trash
+ * Occurrences deleted together with their series are restored with it, so
+ * only the series is listed.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} timezone - Timezone for formatting
+ * @returns {Promise<Array>} Formatted tasks with deletedAt and purgeAt
+ */
+async function getTrash(userId, timezone = 'UTC') {
+    const tz = isValidTimezone(timezone) ? timezone : 'UTC';
+    const tasks = await tasksDb.getDeletedTasks(userId);
+
+    const deletedAtById = new Map(tasks.map(task => [task.id, task.deleted_at]));
+    const retentionMs = config.trash.retentionDays * 24 * 60 * 60 * 1000;
+
+    return tasks
+        .filter(task => !task.recurring_task_id || deletedAtById.get(task.recurring_task_id) !== task.deleted_at)
+        .map(task => ({
+            ...formatTaskForResponse(task, tz),
+            deletedAt: task.deleted_at,
+            purgeAt: new Date(new Date(task.deleted_at).getTime() + retentionMs).toISOString()
+        }));
+}
+
+/**
+ * Restore a task from the trash
+ * A Google Calendar event removed by the deletion is brought back: a cancelled
+ * occurrence instance is un-cancelled, any other task gets a new event.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - ID of the trashed task (see getTrash)
+ * @returns {Promise<Object|null>} Restored task with `google`, or null if not in the trash
+ * @throws {Error} 'Cannot restore ...' when the occurrence's series is in the trash
+ */
+async function restoreTask(userId, taskId) {
+    logger.info('Restoring task', { userId, taskId });
+
+    const task = await tasksDb.getDeletedTaskById(taskId, userId);
+
+    if (!task) {
+        return null;
+    }
+
+    let series = null;
+    if (task.recurring_task_id) {
+        series = await tasksDb.getTaskById(task.recurring_task_id, userId);
+
+        if (!series) {
+            throw new Error('Cannot restore an occurrence while its recurring series is in the trash');
+        }
+    }
+
+    let restored = await tasksDb.restoreTask(task, taskRevisions.TaskActor.USER);
+
+    // Let the series produce the occurrence again
+    if (series) {
+        const originalDeadline = new Date(task.original_deadline).getTime();
+
+        await tasksDb.updateTask(series.id, userId, {
+            recurrenceExdates: (series.recurrence_exdates || [])
+                .filter(date => new Date(date).getTime() !== originalDeadline)
+        }, taskRevisions.TaskActor.USER);
+    }
+
+    const google = {
+        calendarEventRestored: null
+    };
+
+    if (restored.google_calendar_event_id && await userIntegrations.hasValidGoogleIntegration(userId)) {
+        const event = await googleCalendar.getEvent(userId, restored.google_calendar_event_id);
+
+        if (!event) {
+            google.calendarEventRestored = false;
+        } else if (event.status === 'cancelled') {
+            if (restored.recurring_task_id) {
+                google.calendarEventRestored = await googleCalendar.restoreEvent(userId, restored.google_calendar_event_id);
+            } else {
+                // The Google Task was deleted along with the event
+                restored = await tasksDb.updateTask(restored.id, userId, {
+                    googleCalendarEventId: null,
+                    googleTaskId: null
+                });
+
+                const result = await syncTaskToGoogle(userId, restored, {
+                    syncToTasks: !!task.google_task_id
+                });
+
+                google.calendarEventRestored = !!result.calendar;
+                restored = await tasksDb.getTaskById(restored.id, userId);
+            }
+        }
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_RESTORED, {
+        taskId: restored.id,
+        title: restored.title,
+        recurringTaskId: restored.recurring_task_id || undefined,
+        google
+    });
+
+    return {
+        ...formatTaskForResponse(restored),
+        google
+    };
+}
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the
+ * retention window (periodic job, all users)
+ *
+ * @returns {Promise<Object>} { purged }
+ */
+async function purgeTrash() {
+    const cutoff = new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+
+    const purged = await tasksDb.purgeDeletedTasks(cutoff);
+
+    if (purged > 0) {
+        logger.info('Purged deleted tasks', { purged, cutoff: cutoff.toISOString() });
+    }
+
+    return { purged };
+}
+
+/**
+ * Apply several task operations as one unit
+ *
+ * Every operation is validated before anything is written; if one is
+ * invalid, nothing is applied. Writes are grouped by type (one insert for
+ * all creates, one update per status) and, if one fails, the operations
+ * already applied are undone in reverse order.
+ *
+ * Google is not called per item: a single background job propagates the
+ * whole batch afterwards (see propagateBatchToGoogle).
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Array<Object>} operations - Operations, each one of:
+ *   { op: 'create', task } (task as for createTask),
+ *   { op: 'update_status', taskId, status },
+ *   { op: 'reschedule', taskId, deadline, startTime, durationMinutes },
+ *   { op: 'delete', taskId }
+ * @param {Object} options - Batch options
+ * @param {boolean} options.syncToGoogle - Whether created tasks are synced to Google
+ * @param {string} options.actor - Who makes the changes, for the task history (TaskActor, default: user)
+ * @returns {Promise<Object>} { applied, results, syncJobId } or, when nothing was applied,
+ *   { applied: false, rolledBack, error, results }. Each result has the operation `index`,
+ *   `op` and `status` ('applied', 'invalid', 'not_applied', 'failed' or 'rolled_back').
+ */
+async function applyTaskBatch(userId, operations, options = {}) {
+    const actor = options.actor || taskRevisions.TaskActor.USER;
+
+    logger.info('Applying task batch', { userId, operations: operations.length });
+
+    const items = await validateBatch(userId, operations);
+    const invalid = items.filter(item => item.error);
+
+    if (invalid.length > 0) {
+        return {
+            applied: false,
+            rolledBack: false,
+            error: `Batch rejected: ${invalid.length} invalid operation(s)`,
+            results: items.map(item => ({
+                index: item.index,
+                op: item.op,
+                status: item.error ? 'invalid' : 'not_applied',
+                error: item.error
+            }))
+        };
+    }
+
+    const byOp = op => items.filter(item => item.op === op);
+    const undo = [];
+    let current = [];
+
+    try {
+        // Virtual occurrences are stored first so they can change on their own
+        for (const item of items) {
+            if (item.record && isVirtualOccurrence(item.record)) {
+                current = [item];
+                item.record = await materializeOccurrence(userId, item.record, actor);
+                const storedId = item.record.id;
+                undo.push(() => tasksDb.purgeTasks([storedId], userId));
+            }
+        }
+
+        current = byOp(BatchOperation.CREATE);
+        const created = await tasksDb.createTasks(current.map(item => item.prepared), actor);
+        undo.push(() => tasksDb.purgeTasks(created.map(task => task.id), userId));
+        current.forEach((item, i) => {
+            item.task = created[i];
+            item.applied = true;
+        });
+
+        // Purging the created tasks above also removes their checklist items
+        for (const item of current) {
+            item.task.checklist_items = await checklistItemsDb.createItems(userId, item.task.id, item.checklist);
+        }
+
+        const statusItems = byOp(BatchOperation.UPDATE_STATUS);
+        for (const status of new Set(statusItems.map(item => item.status))) {
+            current = statusItems.filter(item => item.status === status);
+            const previous = current.map(item => item.record);
+
+            const updated = await tasksDb.updateTasksStatus(previous.map(task => task.id), userId, status, actor);
+            undo.push(() => restoreStatuses(userId, previous, actor));
+
+            const updatedById = new Map(updated.map(task => [task.id, task]));
+            for (const item of current) {
+                item.task = updatedById.get(item.record.id);
+                if (!item.task) {
+                    throw new Error(`Task not found: ${item.record.id}`);
+                }
+            }
+            current.forEach(item => {
+                item.applied = true;
+            });
+        }
+
+        for (const item of byOp(BatchOperation.RESCHEDULE)) {
+            current = [item];
+            const previous = item.record;
+
+            item.task = await tasksDb.updateTask(previous.id, userId, item.changes, actor);
+            if (!item.task) {
+                throw new Error(`Task not found: ${previous.id}`);
+            }
+
+            undo.push(() => tasksDb.updateTask(previous.id, userId, {
+                deadline: new Date(previous.deadline),
+                startTime: previous.start_time ? new Date(previous.start_time) : null,
+                durationMinutes: previous.duration_minutes
+            }, actor));
+            item.applied = true;
+        }
+
+        for (const item of byOp(BatchOperation.DELETE)) {
+            current = [item];
+            const task = item.record;
+
+            if (task.recurring_task_id) {
+                // Exclude the occurrence so the series does not produce it again
+                const series = await tasksDb.getTaskById(task.recurring_task_id, userId);
+
+                if (series) {
+                    const previousExdates = series.recurrence_exdates || [];
+
+                    await tasksDb.updateTask(series.id, userId, {
+                        recurrenceExdates: [...previousExdates, new Date(task.original_deadline).toISOString()]
+                    }, actor);
+                    undo.push(() => tasksDb.updateTask(series.id, userId, { recurrenceExdates: previousExdates }, actor));
+                }
+            }
+
+            // Already in the trash when its series was deleted earlier in the batch
+            if (await tasksDb.deleteTask(task.id, userId, actor)) {
+                undo.push(async () => {
+                    const deleted = await tasksDb.getDeletedTaskById(task.id, userId);
+                    if (deleted) {
+                        await tasksDb.restoreTask(deleted, actor);
+                    }
+                });
+            }
+            item.applied = true;
+        }
+    } catch (error) {
+        logger.error('Task batch failed, rolling back', {
+            error: error.message,
+            userId,
+            applied: undo.length
+        });
+
+        const rollbackErrors = [];
+        for (const step of undo.reverse()) {
+            try {
+                await step();
+            } catch (undoError) {
+                rollbackErrors.push(undoError.message);
+            }
+        }
+
+        if (rollbackErrors.length > 0) {
+            logger.error('Task batch rollback incomplete', { userId, errors: rollbackErrors });
+        }
+
+        await agentLogs.logFailure(userId, agentLogs.ActionTypes.TASK_BATCH, error.message, {
+            operations: items.length,
+            rollbackErrors: rollbackErrors.length > 0 ? rollbackErrors : undefined
+        });
+
+        return {
+            applied: false,
+            rolledBack: true,
+            error: `Batch failed and was rolled back: ${error.message}`,
+            rollbackErrors: rollbackErrors.length > 0 ? rollbackErrors : undefined,
+            results: items.map(item => {
+                if (current.includes(item)) {
+                    return { index: item.index, op: item.op, status: 'failed', error: error.message };
+                }
+                return { index: item.index, op: item.op, status: item.applied ? 'rolled_back' : 'not_applied' };
+            })
+        };
+    }
+
+    for (const item of byOp(BatchOperation.UPDATE_STATUS)) {
+        if (isResolvedStatus(item.status)) {
+            item.unblocked = await findUnblockedDependents(userId, item.task);
+        }
+    }
+
+    const counts = {
+        created: byOp(BatchOperation.CREATE).length,
+        statusChanged: byOp(BatchOperation.UPDATE_STATUS).length,
+        rescheduled: byOp(BatchOperation.RESCHEDULE).length,
+        deleted: byOp(BatchOperation.DELETE).length
+    };
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_BATCH, {
+        operations: items.length,
+        ...counts,
+        taskIds: items.map(item => (item.task || item.record).id)
+    });
+
+    const isLinked = task => !!(task.google_calendar_event_id || task.google_task_id);
+    const googleBatch = {
+        created: options.syncToGoogle ? byOp(BatchOperation.CREATE).map(item => item.task.id) : [],
+        updated: [...byOp(BatchOperation.UPDATE_STATUS), ...byOp(BatchOperation.RESCHEDULE)]
+            .filter(item => isLinked(item.task))
+            .map(item => item.task.id),
+        deleted: byOp(BatchOperation.DELETE)
+            .filter(item => isLinked(item.record))
+            .map(item => item.record.id)
+    };
+
+    let syncJobId = null;
+    if (googleBatch.created.length + googleBatch.updated.length + googleBatch.deleted.length > 0) {
+        const job = await jobQueue.enqueue(jobQueue.JobTypes.SYNC_TASK_BATCH, googleBatch, { userId });
+        syncJobId = job.id;
+    }
+
+    logger.info('Task batch applied', { userId, ...counts, syncJobId });
+
+    return {
+        applied: true,
+        results: items.map(item => ({
+            index: item.index,
+            op: item.op,
+            status: 'applied',
+            ...(item.op === BatchOperation.DELETE
+                ? { trashedTaskId: item.record.id }
+                : { task: formatTaskForResponse(item.task) }),
+            unblocked: item.unblocked
+        })),
+        syncJobId
+    };
+}
+
+/**
+ * Validate batch operations and load the tasks they refer to
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Array<Object>} operations - Operations (see applyTaskBatch)
+ * @returns {Promise<Array>} Items { index, op, error?, prepared?, checklist?, record?, status?, changes? }
+ */
+async function validateBatch(userId, operations) {
+    const seen = new Set();
+    const items = [];
+
+    for (const [index, operation] of operations.entries()) {
+        const item = { index, op: operation.op };
+        items.push(item);
+
+        try {
+            if (!Object.values(BatchOperation).includes(operation.op)) {
+                throw new Error(`Unknown operation: ${operation.op}`);
+            }
+
+            if (operation.op === BatchOperation.CREATE) {
+                if (!operation.task) {
+                    throw new Error('task is required');
+                }
+                if (!operation.task.timezone) {
+                    throw new Error('Timezone is required');
+                }
+                item.prepared = prepareTask(userId, operation.task);
+                item.checklist = normalizeChecklist(operation.task.checklist || []);
+                await assertSubject(userId, item.prepared.subjectId);
+                continue;
+            }
+
+            if (!operation.taskId) {
+                throw new Error('task_id is required');
+            }
+
+            // Each task changes at most once, so grouping writes by type keeps the result the same
+            if (seen.has(operation.taskId)) {
+                throw new Error('Task appears in more than one operation');
+            }
+            seen.add(operation.taskId);
+
+            if (operation.op === BatchOperation.UPDATE_STATUS &&
+                !Object.values(tasksDb.TaskStatus).includes(operation.status)) {
+                throw new Error(`Invalid status: ${operation.status}`);
+            }
+
+            const record = await findTaskRecord(userId, operation.taskId);
+
+            if (!record) {
+                throw new Error('Task not found');
+            }
+
+            item.record = record;
+            item.status = operation.status;
+
+            if (operation.op === BatchOperation.RESCHEDULE) {
+                if (operation.deadline === undefined && operation.startTime === undefined && operation.durationMinutes === undefined) {
+                    throw new Error('deadline, start_time or duration_minutes is required');
+                }
+
+                const schedule = resolveSchedule({
+                    deadline: operation.deadline !== undefined ? parseToUTC(operation.deadline, record.timezone) : undefined,
+                    startTime: operation.startTime !== undefined ? parseToUTC(operation.startTime, record.timezone) : undefined,
+                    durationMinutes: operation.durationMinutes
+                }, {
+                    deadline: new Date(record.deadline),
+                    startTime: record.start_time ? new Date(record.start_time) : null,
+                    durationMinutes: record.duration_minutes
+                });
+
+                item.changes = {
+                    deadline: schedule.deadline,
+                    startTime: schedule.startTime,
+                    durationMinutes: schedule.durationMinutes
+                };
+            }
+        } catch (error) {
+            item.error = error.message;
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Put tasks back to their previous statuses (undoing a batch)
+ * @param {string} userId - User's unique identifier
+ * @param {Array<Object>} previous - Task records before the change
+ * @param {string} actor - TaskActor
+ * @returns {Promise<void>}
+ */
+async function restoreStatuses(userId, previous, actor) {
+    for (const status of new Set(previous.map(task => task.status))) {
+        const taskIds = previous.filter(task => task.status === status).map(task => task.id);
+        await tasksDb.updateTasksStatus(taskIds, userId, status, actor);
+    }
+}
+
+/**
+ * Push the changes of an applied batch to Google (background job)
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} batch - Task IDs from applyTaskBatch
+ * @param {Array<string>} batch.created - Tasks to create events for
+ * @param {Array<string>} batch.updated - Linked tasks whose status or schedule changed
+ * @param {Array<string>} batch.deleted - Trashed tasks whose event/task must be deleted
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with { total, processed } after each task
+ * @returns {Promise<Object>} { created, updated, deleted, errors }
+ */
+async function propagateBatchToGoogle(userId, batch, options = {}) {
+    const result = { created: 0, updated: 0, deleted: 0, errors: [] };
+    const total = batch.created.length + batch.updated.length + batch.deleted.length;
+    let processed = 0;
+
+    const step = async () => {
+        processed++;
+        if (options.onProgress) {
+            await options.onProgress({ total, processed });
+        }
+    };
+
+    for (const task of await tasksDb.getTasksByIds(userId, batch.created)) {
+        // Already synced by an earlier attempt or a full sync
+        if (!task.google_calendar_event_id) {
+            const synced = await syncTaskToGoogle(userId, task);
+
+            if (synced.calendar) {
+                result.created++;
+            } else {
+                result.errors.push({ taskId: task.id, error: synced.errors.join('; ') });
+            }
+        }
+        await step();
+    }
+
+    for (const task of await tasksDb.getTasksByIds(userId, batch.updated)) {
+        await propagateUpdateToGoogle(userId, task);
+
+        if (task.status === tasksDb.TaskStatus.COMPLETED && task.google_task_id) {
+            try {
+                await googleTasks.completeTask(userId, task.google_task_id);
+            } catch (error) {
+                result.errors.push({ taskId: task.id, error: error.message });
+            }
+        }
+
+        result.updated++;
+        await step();
+    }
+
+    for (const taskId of batch.deleted) {
+        // Restored since the batch ran: its event is still needed
+        const task = await tasksDb.getDeletedTaskById(taskId, userId);
+
+        if (task) {
+            if (task.google_calendar_event_id && !await googleCalendar.deleteEvent(userId, task.google_calendar_event_id)) {
+                result.errors.push({ taskId, error: 'Failed to delete Google Calendar event' });
+            }
+            if (task.google_task_id) {
+                await googleTasks.deleteTask(userId, task.google_task_id);
+            }
+            result.deleted++;
+        }
+        await step();
+    }
+
+    return result;
+}
+
+/**
+ * Make a task depend on another task
+ * The task stays blocked until the prerequisite is completed or cancelled.
+ * Occurrences of a recurring task can be linked (they are stored first), but
+ * a whole series cannot.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Dependent task ID (or occurrence ID)
+ * @param {string} dependsOnTaskId - Prerequisite task ID (or occurrence ID)
+ * @returns {Promise<Object|null>} Dependent task, or null if either task is not found
+ * @throws {Error} 'Invalid dependency: ...' or 'Dependency cycle: ...'
+ */
+async function addTaskDependency(userId, taskId, dependsOnTaskId) {
+    logger.info('Adding task dependency', { userId, taskId, dependsOnTaskId });
+
+    if (taskId === dependsOnTaskId) {
+        throw new Error('Invalid dependency: a task cannot depend on itself');
+    }
+
+    let task = await findTaskRecord(userId, taskId);
+    let prerequisite = await findTaskRecord(userId, dependsOnTaskId);
+
+    if (!task || !prerequisite) {
+        return null;
+    }
+
+    if (task.recurrence_rule || prerequisite.recurrence_rule) {
+        throw new Error('Invalid dependency: link single occurrences, not a recurring series');
+    }
+
+    // Virtual occurrences have no links yet, so they cannot close a cycle
+    const links = await taskDependenciesDb.getUserDependencies(userId);
+    if (dependsOnPath(links, prerequisite.id, task.id)) {
+        throw new Error(`Dependency cycle: "${prerequisite.title}" already depends on "${task.title}"`);
+    }
+
+    if (isVirtualOccurrence(task)) {
+        task = await materializeOccurrence(userId, task, taskRevisions.TaskActor.USER);
+    }
+
+    if (isVirtualOccurrence(prerequisite)) {
+        prerequisite = await materializeOccurrence(userId, prerequisite, taskRevisions.TaskActor.USER);
+    }
+
+    await taskDependenciesDb.addDependency(userId, task.id, prerequisite.id);
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_DEPENDENCY_ADDED, {
+        taskId: task.id,
+        dependsOnTaskId: prerequisite.id
+    });
+
+    const [withDependencies] = await attachDependencies(userId, [task]);
+
+    return formatTaskForResponse(withDependencies);
+}
+
+/**
+ * Remove a prerequisite from a task
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Dependent task ID (or occurrence ID)
+ * @param {string} dependsOnTaskId - Prerequisite task ID (or occurrence ID)
+ * @returns {Promise<Object|null>} { taskId, dependsOnTaskId, removed }, or null if either task is not found
+ */
+async function removeTaskDependency(userId, taskId, dependsOnTaskId) {
+    logger.info('Removing task dependency', { userId, taskId, dependsOnTaskId });
+
+    const task = await findTaskRecord(userId, taskId);
+    const prerequisite = await findTaskRecord(userId, dependsOnTaskId);
+
+    if (!task || !prerequisite) {
+        return null;
+    }
+
+    const removed = await taskDependenciesDb.removeDependency(userId, task.id, prerequisite.id);
+
+    if (removed) {
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_DEPENDENCY_REMOVED, {
+            taskId: task.id,
+            dependsOnTaskId: prerequisite.id
+        });
+    }
+
+    return {
+        taskId,
+        dependsOnTaskId,
+        removed
+    };
+}
+
+/**
+ * Add `depends_on` (prerequisite IDs) and `blocked_by` (prerequisites not yet
+ * done) to task records
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Array} tasks - Task records
+ * @returns {Promise<Array>} New records with dependency fields
+ */
+async function attachDependencies(userId, tasks) {
+    const storedIds = tasks.filter(task => !isVirtualOccurrence(task)).map(task => task.id);
+    const links = await taskDependenciesDb.getDependencies(storedIds);
+
+    const prerequisiteIds = [...new Set(links.map(link => link.depends_on_task_id))];
+    const prerequisites = new Map(
+        (await tasksDb.getTasksByIds(userId, prerequisiteIds)).map(task => [task.id, task])
+    );
+
+    return tasks.map(task => {
+        const dependsOn = links
+            .filter(link => link.task_id === task.id)
+            .map(link => prerequisites.get(link.depends_on_task_id))
+            .filter(Boolean);
+
+        return {
+            ...task,
+            depends_on: dependsOn.map(prerequisite => prerequisite.id),
+            blocked_by: dependsOn
+                .filter(prerequisite => !isResolvedStatus(prerequisite.status))
+                .map(prerequisite => ({
+                    id: prerequisite.id,
+                    title: prerequisite.title,
+                    status: prerequisite.status
+                }))
+        };
     });
+}
 
-    // If task is completed and synced to Google Tasks, mark as complete there too
-    if (status === tasksDb.TaskStatus.COMPLETED && task.google_task_id) {
-        try {
-            await googleTasks.completeTask(userId, task.google_task_id);
-        } catch (error) {
-            logger.warn('Failed to complete Google Task', {
-                error: error.message,
-                taskId
-            });
-            // Don't fail the operation - Google sync is secondary
+/**
+ * Find the tasks that a just-finished task was the last blocker of
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record that was completed or cancelled
+ * @returns {Promise<Array>} [{ id, title }] of tasks that are no longer blocked
+ */
+async function findUnblockedDependents(userId, task) {
+    const dependentIds = (await taskDependenciesDb.getDependents(task.id)).map(link => link.task_id);
+
+    if (dependentIds.length === 0) {
+        return [];
+    }
+
+    const dependents = await attachDependencies(userId, await tasksDb.getTasksByIds(userId, dependentIds));
+    const unblocked = dependents
+        .filter(dependent => dependent.blocked_by.length === 0)
+        .map(dependent => ({ id: dependent.id, title: dependent.title }));
+
+    if (unblocked.length > 0) {
+        await agentLogs.logSuccess(userId, agentLogs.ActionTypes.TASK_UNBLOCKED, {
+            taskId: task.id,
+            unblockedTaskIds: unblocked.map(dependent => dependent.id)
+        });
+    }
+
+    return unblocked;
+}
+
+/**
+ * Whether a prerequisite in this status no longer blocks its dependents
+ * @param {string} status - Task status
+ * @returns {boolean} True for completed and cancelled
+ */
+function isResolvedStatus(status) {
+    return status === tasksDb.TaskStatus.COMPLETED || status === tasksDb.TaskStatus.CANCELLED;
+}
+
+/**
+ * Whether `fromId` already depends on `toId`, directly or through other tasks
+ *
+ * @param {Array} links - Dependency records ({ task_id, depends_on_task_id })
+ * @param {string} fromId - Task to start from
+ * @param {string} toId - Task to look for among its prerequisites
+ * @returns {boolean} True if a path exists
+ */
+function dependsOnPath(links, fromId, toId) {
+    const prerequisitesOf = new Map();
+    for (const link of links) {
+        if (!prerequisitesOf.has(link.task_id)) {
+            prerequisitesOf.set(link.task_id, []);
+        }
+        prerequisitesOf.get(link.task_id).push(link.depends_on_task_id);
+    }
+
+    const seen = new Set([fromId]);
+    const queue = [fromId];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+
+        if (current === toId) {
+            return true;
+        }
+
+        for (const next of prerequisitesOf.get(current) || []) {
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Get the checklist of a task
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID or occurrence ID
+ * @returns {Promise<Object|null>} { taskId, items, progress } or null if the task is not found
+ */
+async function getChecklist(userId, taskId) {
+    const task = await findTaskRecord(userId, taskId);
+
+    if (!task) {
+        return null;
+    }
+
+    // A virtual occurrence has no rows of its own yet
+    const items = isVirtualOccurrence(task) ? [] : await checklistItemsDb.getItems([task.id]);
+
+    return formatChecklist(task.id, items);
+}
+
+/**
+ * Append items to a task's checklist
+ * Adding to an occurrence of a recurring task stores the occurrence first,
+ * so the items belong to that occurrence only.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID or occurrence ID
+ * @param {Array<string>} titles - Item titles, in order
+ * @returns {Promise<Object|null>} { taskId, items, progress } or null if the task is not found
+ * @throws {Error} 'Invalid checklist: ...' on empty titles or too many items
+ */
+async function addChecklistItems(userId, taskId, titles) {
+    const newTitles = normalizeChecklist(titles);
+
+    let task = await findTaskRecord(userId, taskId);
+
+    if (!task) {
+        return null;
+    }
+
+    if (isVirtualOccurrence(task)) {
+        task = await materializeOccurrence(userId, task, taskRevisions.TaskActor.USER);
+    }
+
+    const existing = await checklistItemsDb.getItems([task.id]);
+
+    if (existing.length + newTitles.length > MAX_CHECKLIST_ITEMS) {
+        throw new Error(`Invalid checklist: at most ${MAX_CHECKLIST_ITEMS} items per task`);
+    }
+
+    const nextPosition = existing.reduce((max, item) => Math.max(max, item.position + 1), 0);
+    const created = await checklistItemsDb.createItems(userId, task.id, newTitles, nextPosition);
+
+    await propagateUpdateToGoogle(userId, task);
+
+    return formatChecklist(task.id, [...existing, ...created]);
+}
+
+/**
+ * Rename, check or uncheck a checklist item
+ * Checking the last unchecked item completes a pending or in-progress task
+ * (unless CHECKLIST_AUTO_COMPLETE_TASK is false).
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {string} itemId - Item ID
+ * @param {Object} updates - Fields to change
+ * @param {string} updates.title - New title
+ * @param {boolean} updates.isCompleted - Completion state
+ * @returns {Promise<Object|null>} { taskId, item, items, progress, task? } or null if
+ *   the task or item is not found; `task` is the parent when it was auto-completed
+ */
+async function updateChecklistItem(userId, taskId, itemId, updates) {
+    const title = updates.title !== undefined ? normalizeChecklist([updates.title])[0] : undefined;
+
+    const task = await findTaskRecord(userId, taskId);
+
+    if (!task || isVirtualOccurrence(task)) {
+        return null;
+    }
+
+    const item = await checklistItemsDb.updateItem(itemId, task.id, userId, {
+        title,
+        isCompleted: updates.isCompleted
+    });
+
+    if (!item) {
+        return null;
+    }
+
+    const items = await checklistItemsDb.getItems([task.id]);
+    const result = { ...formatChecklist(task.id, items), item: formatChecklistItem(item) };
+
+    const allChecked = items.length > 0 && items.every(i => i.is_completed);
+    const open = task.status === tasksDb.TaskStatus.PENDING || task.status === tasksDb.TaskStatus.IN_PROGRESS;
+    let latest = task;
+
+    if (updates.isCompleted && allChecked && open && config.checklist.autoCompleteTask) {
+        logger.info('Checklist done, completing task', { userId, taskId: task.id });
+
+        result.task = await updateTaskStatus(userId, task.id, tasksDb.TaskStatus.COMPLETED, {
+            actor: taskRevisions.TaskActor.SYSTEM
+        });
+        latest = { ...task, status: tasksDb.TaskStatus.COMPLETED };
+    }
+
+    await propagateUpdateToGoogle(userId, latest);
+
+    return result;
+}
+
+/**
+ * Delete a checklist item
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {string} itemId - Item ID
+ * @returns {Promise<Object|null>} { taskId, items, progress } or null if the task or item is not found
+ */
+async function deleteChecklistItem(userId, taskId, itemId) {
+    const task = await findTaskRecord(userId, taskId);
+
+    if (!task || isVirtualOccurrence(task)) {
+        return null;
+    }
+
+    const deleted = await checklistItemsDb.deleteItem(itemId, task.id, userId);
+
+    if (!deleted) {
+        return null;
+    }
+
+    await propagateUpdateToGoogle(userId, task);
+
+    return formatChecklist(task.id, await checklistItemsDb.getItems([task.id]));
+}
+
+/**
+ * Reorder a task's checklist
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} itemIds - Every item ID of the checklist, in the new order
+ * @returns {Promise<Object|null>} { taskId, items, progress } or null if the task is not found
+ * @throws {Error} 'Invalid order: ...' if itemIds is not exactly the checklist's items
+ */
+async function reorderChecklist(userId, taskId, itemIds) {
+    const task = await findTaskRecord(userId, taskId);
+
+    if (!task || isVirtualOccurrence(task)) {
+        return null;
+    }
+
+    const items = await checklistItemsDb.getItems([task.id]);
+    const byId = new Map(items.map(item => [item.id, item]));
+
+    if (itemIds.length !== items.length || new Set(itemIds).size !== itemIds.length ||
+        itemIds.some(id => !byId.has(id))) {
+        throw new Error('Invalid order: item_ids must list every checklist item exactly once');
+    }
+
+    const reordered = [];
+
+    for (const [position, id] of itemIds.entries()) {
+        const item = byId.get(id);
+        reordered.push(item.position === position
+            ? item
+            : await checklistItemsDb.updateItem(id, task.id, userId, { position }));
+    }
+
+    await propagateUpdateToGoogle(userId, task);
+
+    return formatChecklist(task.id, reordered);
+}
+
+/**
+ * Trim checklist item titles and check their count and length
+ * @param {Array<string>} titles - Raw titles
+ * @returns {Array<string>} Trimmed titles
+ * @throws {Error} 'Invalid checklist: ...'
+ */
+function normalizeChecklist(titles) {
+    if (!Array.isArray(titles) || titles.some(title => typeof title !== 'string' || title.trim().length === 0)) {
+        throw new Error('Invalid checklist: items must be non-empty strings');
+    }
+
+    if (titles.length > MAX_CHECKLIST_ITEMS) {
+        throw new Error(`Invalid checklist: at most ${MAX_CHECKLIST_ITEMS} items per task`);
+    }
+
+    if (titles.some(title => title.trim().length > MAX_CHECKLIST_ITEM_LENGTH)) {
+        throw new Error(`Invalid checklist: items can be at most ${MAX_CHECKLIST_ITEM_LENGTH} characters`);
+    }
+
+    return titles.map(title => title.trim());
+}
+
+/**
+ * Load the checklist items of task records (as `checklist_items`)
+ * Virtual occurrences get an empty checklist.
+ *
+ * @param {Array} tasks - Task records
+ * @returns {Promise<Array>} New task records with checklist_items
+ */
+async function attachChecklists(tasks) {
+    const storedIds = tasks.filter(task => !isVirtualOccurrence(task)).map(task => task.id);
+    const items = await checklistItemsDb.getItems(storedIds);
+
+    return tasks.map(task => ({
+        ...task,
+        checklist_items: items.filter(item => item.task_id === task.id)
+    }));
+}
+
+/**
+ * Checklist progress of a task
+ * @param {Array} items - Item records
+ * @returns {Object} { completed, total, label } (label like "3/5")
+ */
+function getChecklistProgress(items) {
+    const completed = items.filter(item => item.is_completed).length;
+
+    return {
+        completed,
+        total: items.length,
+        label: `${completed}/${items.length}`
+    };
+}
+
+/**
+ * Format a checklist for API response
+ * @param {string} taskId - ID of the task that owns the items
+ * @param {Array} items - Item records
+ * @returns {Object} { taskId, items, progress }
+ */
+function formatChecklist(taskId, items) {
+    const sorted = [...items].sort((a, b) => a.position - b.position);
+
+    return {
+        taskId,
+        items: sorted.map(formatChecklistItem),
+        progress: getChecklistProgress(sorted)
+    };
+}
+
+/**
+ * Format a checklist item for API response
+ * @param {Object} item - Item record
+ * @returns {Object} Formatted item
+ */
+function formatChecklistItem(item) {
+    return {
+        id: item.id,
+        title: item.title,
+        position: item.position,
+        isCompleted: item.is_completed,
+        completedAt: item.completed_at || null
+    };
+}
+
+/**
+ * Push the current state of a task to its linked Google Calendar event and Google Task
+ * Records the sync time when the calendar event was updated, so the inbound
+ * reconciler does not mistake this edit for a pending local change.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} task - Task record from database
+ * @returns {Promise<Object>} Latest task record
+ */
+async function propagateUpdateToGoogle(userId, task) {
+    const googlePayload = await loadGooglePayload(userId, task);
+
+    let latest = task;
+
+    // Both services fail gracefully and return null on error
+    if (task.google_calendar_event_id) {
+        const event = await googleCalendar.updateEvent(userId, task.google_calendar_event_id, googlePayload);
+
+        if (event) {
+            latest = await tasksDb.updateTaskSyncInfo(task.id, {});
         }
     }
 
-    return formatTaskForResponse(task);
+    if (task.google_task_id) {
+        await googleTasks.updateTask(userId, task.google_task_id, googlePayload);
+    }
+
+    return latest;
 }
 
 /**
@@ -383,12 +2740,36 @@ function formatTaskForResponse(task, timezone = null) {
         deadline: deadline.toISOString(),
         deadlineFormatted: formatInTimezone(deadline, tz, 'yyyy-MM-dd HH:mm'),
         deadlineRelative: getRelativeTime(deadline, tz),
+        startTime: task.start_time || null,
+        startTimeFormatted: task.start_time ? formatInTimezone(new Date(task.start_time), tz, 'yyyy-MM-dd HH:mm') : null,
+        durationMinutes: task.duration_minutes || null,
         timezone: task.timezone,
         status: task.status,
+        isOverdue: tasksDb.isTaskOverdue(task),
+        priority: task.priority || tasksDb.TaskPriority.MEDIUM,
+        isUrgent: task.is_urgent ?? null,
+        isImportant: task.is_important ?? null,
+        // Only present when dependencies were loaded (see attachDependencies)
+        dependsOn: task.depends_on,
+        blockedBy: task.blocked_by,
+        isBlocked: task.blocked_by ? task.blocked_by.length > 0 : undefined,
         googleCalendarEventId: task.google_calendar_event_id || null,
         googleTaskId: task.google_task_id || null,
         isSynced: !!(task.google_calendar_event_id || task.google_task_id),
         syncedAt: task.synced_at,
+        syncConflict: task.sync_conflict || null,
+        recurrence: task.recurrence_rule || null,
+        recurrenceExdates: task.recurrence_rule ? (task.recurrence_exdates || []) : undefined,
+        recurringTaskId: task.recurring_task_id || null,
+        originalDeadline: task.original_deadline || null,
+        isRecurring: !!(task.recurrence_rule || task.recurring_task_id),
+        studyPlanId: task.study_plan_id || null,
+        subjectId: task.subject_id || null,
+        tags: task.tags || [],
+        // Only present when the checklist was loaded (see attachChecklists)
+        checklistProgress: task.checklist_items && task.checklist_items.length > 0
+            ? getChecklistProgress(task.checklist_items)
+            : undefined,
         createdAt: task.created_at,
         updatedAt: task.updated_at
     };
@@ -402,18 +2783,24 @@ function formatTaskForResponse(task, timezone = null) {
  * This is where the Calendar Agent takes over from the Study Plan Agent.
  * Study Plan Agent decides WHAT to learn, Calendar Agent decides WHEN.
  * 
+ * Sessions are placed deterministically (see scheduleStudySessions): each one
+ * goes in the first free window at or after the preferred time, within the
+ * allowed hours, avoiding existing tasks and Google Calendar busy times.
+ * Sessions that do not fit are reported in `errors` rather than overlapping.
+ * 
+ * With `dryRun`, the same schedule is computed and returned as `proposedTasks`
+ * without creating tasks, changing the plan status or touching Google.
+ * 
  * @param {string} userId - User UUID
  * @param {string} planId - Study plan UUID
  * @param {string} timezone - User timezone
  * @param {Object} options - Application options
- * @param {Date} options.startDate - When to start the plan (default: tomorrow)
- * @param {string} options.preferredTime - Preferred daily time (HH:mm format, default: "09:00")
+ * @param {Date|string} options.startDate - When to start the plan (default: tomorrow)
+ * @param {string} options.preferredTime - Preferred daily start time (HH:mm format, default: "09:00")
+ * @param {Object} options.allowedHours - { start, end } (HH:mm) window for sessions (default: config.scheduling)
+ * @param {boolean} options.dryRun - Only compute and return the proposed tasks
+ * @param {boolean} options.chainDependencies - Make each day's sessions depend on the previous day's
  * @returns {Promise<Object>} Application result with created tasks
- * 
- * TODO: Add conflict detection with existing tasks
- * TODO: Implement  smart time slot finding based on calendar availability
- * TODO: Add rescheduling logic for missed sessions
- * TODO: Support for multi-session days with time spacing
  */
 async function applyStudyPlan(userId, planId, timezone, options = {}) {
     const startTime = Date.now();
@@ -444,85 +2831,135 @@ async function applyStudyPlan(userId, planId, timezone, options = {}) {
     const plan = planRecord.plan_json;
 
     // Determine start date (defaults to tomorrow)
-    const startDate = options.startDate
-        ? DateTime.fromJSDate(new Date(options.startDate)).setZone(timezone)
-        : DateTime.now().setZone(timezone).plus({ days: 1 }).startOf('day');
+    // A date string is a calendar date in the user's timezone
+    let startDate;
+    if (typeof options.startDate === 'string') {
+        startDate = DateTime.fromISO(options.startDate, { zone: timezone }).startOf('day');
+    } else if (options.startDate) {
+        startDate = DateTime.fromJSDate(new Date(options.startDate)).setZone(timezone).startOf('day');
+    } else {
+        startDate = DateTime.now().setZone(timezone).plus({ days: 1 }).startOf('day');
+    }
+
+    if (!startDate.isValid) {
+        throw new Error(`Invalid start date: ${options.startDate}`);
+    }
 
     // Default study time (can be customized)
     const preferredTime = options.preferredTime || '09:00';
-    const [preferredHour, preferredMinute] = preferredTime.split(':').map(Number);
+    const allowedHours = {
+        start: options.allowedHours?.start || config.scheduling.allowedHoursStart,
+        end: options.allowedHours?.end || config.scheduling.allowedHoursEnd
+    };
 
     logger.debug('Plan application settings', {
         startDate: startDate.toISO(),
         preferredTime,
+        allowedHours,
         totalDays: plan.total_days,
         sessionsPerDay: plan.schedule[0]?.sessions || 1
     });
 
-    const createdTasks = [];
-    const errors = [];
+    const schedule = await scheduleStudySessions(userId, plan, timezone, {
+        startDate,
+        preferredTime,
+        allowedHours
+    });
 
-    // Convert each day in the plan to tasks
-    for (const dayPlan of plan.schedule) {
-        try {
-            // Calculate the actual date for this day
-            const taskDate = startDate.plus({ days: dayPlan.day - 1 });
-
-            // Create tasks for each session in the day
-            for (let sessionNum = 1; sessionNum <= dayPlan.sessions; sessionNum++) {
-                // Space out sessions if multiple per day
-                // Session 1 at preferredTime, Session 2 a few hours later, etc.
-                const sessionOffset = (sessionNum - 1) * 3; // 3 hours between sessions
-                const sessionTime = taskDate.set({
-                    hour: preferredHour + sessionOffset,
-                    minute: preferredMinute,
-                    second: 0,
-                    millisecond: 0
-                });
+    const planSummary = {
+        googleCalendarChecked: schedule.googleCalendarChecked,
+        startDate: startDate.toISODate(),
+        endDate: startDate.plus({ days: plan.total_days - 1 }).toISODate(),
+        plan: {
+            id: planId,
+            goal: plan.goal,
+            totalDays: plan.total_days
+        }
+    };
 
-                // Create task title
-                const taskTitle = dayPlan.sessions > 1
-                    ? `${dayPlan.topic} (Session ${sessionNum}/${dayPlan.sessions})`
-                    : dayPlan.topic;
+    if (options.dryRun) {
+        logger.info(`Study plan preview: ${schedule.sessions.length} tasks proposed`, {
+            userId,
+            planId,
+            errors: schedule.errors.length,
+            duration: Date.now() - startTime
+        });
 
-                // Build description
-                const description = [
-                    `📚 Study Plan: ${plan.goal}`,
-                    `📅 Day ${dayPlan.day} of ${plan.total_days}`,
-                    dayPlan.notes ? `💡 ${dayPlan.notes}` : null,
-                    `⏱️ Duration: ${dayPlan.session_duration_minutes} minutes`
-                ].filter(Boolean).join('\n');
+        return {
+            dryRun: true,
+            tasksCreated: 0,
+            proposedTasks: schedule.sessions.map(session => formatProposedSession(session, timezone)),
+            errors: schedule.errors,
+            ...planSummary
+        };
+    }
 
-                // Create the task
-                const task = await createTask(userId, {
-                    title: taskTitle,
-                    description,
-                    deadline: sessionTime.toISO(),
-                    timezone
-                }, { syncToGoogle: false }); // We'll sync in batch later
+    const createdTasks = [];
+    const createdByDay = new Map();
+    const errors = [...schedule.errors];
 
-                createdTasks.push(task);
+    // Lets the plan's sessions be filtered and counted together
+    const planTag = deriveTag(plan.goal || planRecord.goal) || 'study-plan';
 
-                logger.debug('Created study session task', {
-                    day: dayPlan.day,
-                    session: sessionNum,
-                    date: sessionTime.toISO(),
-                    title: taskTitle
-                });
+    for (const session of schedule.sessions) {
+        try {
+            // The session ends (deadline) after its duration
+            const task = await createTask(userId, {
+                title: session.title,
+                description: session.description,
+                startTime: DateTime.fromJSDate(session.start).setZone(timezone).toISO(),
+                durationMinutes: session.durationMinutes,
+                timezone,
+                studyPlanId: planId,
+                tags: [planTag],
+                checklist: session.checklist
+            }, {
+                syncToGoogle: false, // We'll sync in batch later
+                actor: taskRevisions.TaskActor.STUDY_PLAN
+            });
+
+            createdTasks.push(task);
+
+            if (!createdByDay.has(session.day)) {
+                createdByDay.set(session.day, []);
             }
+            createdByDay.get(session.day).push(task.id);
+
+            logger.debug('Created study session task', {
+                day: session.day,
+                session: session.session,
+                date: task.startTime,
+                title: session.title
+            });
         } catch (error) {
-            logger.error('Failed to create task for study plan day', {
+            logger.error('Failed to create task for study plan session', {
                 error: error.message,
-                day: dayPlan.day,
-                topic: dayPlan.topic
+                day: session.day,
+                session: session.session
             });
             errors.push({
-                day: dayPlan.day,
+                day: session.day,
+                session: session.session,
                 error: error.message
             });
         }
     }
 
+    // Day N+1 depends on day N (or the last earlier day that has sessions)
+    let dependenciesCreated = 0;
+    if (options.chainDependencies) {
+        const days = [...createdByDay.keys()].sort((a, b) => a - b);
+
+        for (let i = 1; i < days.length; i++) {
+            for (const taskId of createdByDay.get(days[i])) {
+                for (const previousId of createdByDay.get(days[i - 1])) {
+                    await taskDependenciesDb.addDependency(userId, taskId, previousId);
+                    dependenciesCreated++;
+                }
+            }
+        }
+    }
+
     // Update plan status to 'applied'
     await studyPlansDb.updatePlanStatus(planId, 'applied');
 
@@ -530,7 +2967,9 @@ async function applyStudyPlan(userId, planId, timezone, options = {}) {
     await agentLogs.logSuccess(userId, agentLogs.ActionTypes.STUDY_PLAN_APPLIED, {
         planId,
         tasksCreated: createdTasks.length,
+        dependenciesCreated,
         errors: errors.length,
+        googleCalendarChecked: schedule.googleCalendarChecked,
         durationMs: Date.now() - startTime
     });
 
@@ -544,23 +2983,574 @@ async function applyStudyPlan(userId, planId, timezone, options = {}) {
     return {
         tasksCreated: createdTasks.length,
         tasks: createdTasks,
+        dependenciesCreated,
         errors,
-        startDate: startDate.toISODate(),
-        endDate: startDate.plus({ days: plan.total_days - 1 }).toISODate(),
-        plan: {
-            id: planId,
-            goal: plan.goal,
-            totalDays: plan.total_days
+        ...planSummary
+    };
+}
+
+/**
+ * Undo an applied study plan
+ * Pending sessions are deleted along with their Google Calendar events and
+ * Google Tasks; sessions that were started, completed or cancelled are kept
+ * for history. The plan returns to 'draft' so it can be applied again.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} planId - Study plan UUID
+ * @returns {Promise<Object>} { planId, status, tasksRemoved, tasksKept, errors }
+ */
+async function unapplyStudyPlan(userId, planId) {
+    const studyPlansDb = require('../db/helpers/studyPlans');
+
+    logger.info('Unapplying study plan', { userId, planId });
+
+    const planRecord = await studyPlansDb.getStudyPlan(planId);
+
+    if (!planRecord) {
+        throw new Error('Study plan not found');
+    }
+
+    if (planRecord.user_id !== userId) {
+        throw new Error('Unauthorized: This plan belongs to another user');
+    }
+
+    if (planRecord.status !== 'applied') {
+        throw new Error('This plan has not been applied to your calendar');
+    }
+
+    const tasks = await tasksDb.getTasksByStudyPlan(userId, planId);
+
+    let tasksRemoved = 0;
+    let tasksKept = 0;
+    const errors = [];
+
+    for (const task of tasks) {
+        if (task.status !== tasksDb.TaskStatus.PENDING) {
+            tasksKept++;
+            continue;
+        }
+
+        try {
+            await deleteTask(userId, task.id, { actor: taskRevisions.TaskActor.STUDY_PLAN });
+            tasksRemoved++;
+        } catch (error) {
+            logger.error('Failed to remove study plan task', {
+                error: error.message,
+                taskId: task.id,
+                planId
+            });
+            errors.push({
+                taskId: task.id,
+                error: error.message
+            });
+        }
+    }
+
+    // A partly removed plan stays applied so the remaining tasks can be retried
+    if (errors.length === 0) {
+        await studyPlansDb.updatePlanStatus(planId, 'draft');
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.STUDY_PLAN_UNAPPLIED, {
+        planId,
+        tasksRemoved,
+        tasksKept,
+        errors: errors.length
+    });
+
+    logger.info(`Study plan unapplied: ${tasksRemoved} tasks removed`, {
+        userId,
+        planId,
+        tasksKept,
+        errors: errors.length
+    });
+
+    return {
+        planId,
+        status: errors.length === 0 ? 'draft' : planRecord.status,
+        tasksRemoved,
+        tasksKept,
+        errors
+    };
+}
+
+/**
+ * Move missed sessions of a study plan to the next free slots
+ * A session is missed when its deadline has passed while it is still pending.
+ * Each one keeps its time of day where possible (see findSlotInDay) and goes
+ * in the first free slot from now on, within the allowed hours.
+ *
+ * With `shiftLater`, every later pending session of the plan is also pushed
+ * forward by a day. Sessions are then placed strictly in their current order,
+ * so the topic order of the plan is kept.
+ *
+ * New times are written through updateTask, which updates the Google events.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} planId - Study plan UUID
+ * @param {Object} options - Rescheduling options
+ * @param {boolean} options.shiftLater - Also push later sessions forward by a day
+ * @param {Object} options.allowedHours - { start, end } (HH:mm) window for sessions (default: config.scheduling)
+ * @param {string} options.trigger - 'manual' or 'scheduled' (for agent_logs)
+ * @returns {Promise<Object>} { planId, missed, rescheduled, errors, googleCalendarChecked }
+ */
+async function rescheduleMissedSessions(userId, planId, options = {}) {
+    const studyPlansDb = require('../db/helpers/studyPlans');
+    const { DateTime } = require('luxon');
+
+    logger.info('Rescheduling missed study sessions', { userId, planId, shiftLater: !!options.shiftLater });
+
+    const planRecord = await studyPlansDb.getStudyPlan(planId);
+
+    if (!planRecord) {
+        throw new Error('Study plan not found');
+    }
+
+    if (planRecord.user_id !== userId) {
+        throw new Error('Unauthorized: This plan belongs to another user');
+    }
+
+    if (planRecord.status !== 'applied') {
+        throw new Error('This plan has not been applied to your calendar');
+    }
+
+    const { allowedStart, allowedEnd } = parseAllowedHours({
+        start: options.allowedHours?.start || config.scheduling.allowedHoursStart,
+        end: options.allowedHours?.end || config.scheduling.allowedHoursEnd
+    });
+
+    // Start looking at the next slot boundary
+    const stepMs = SLOT_STEP_MINUTES * 60000;
+    const now = new Date(Math.ceil(Date.now() / stepMs) * stepMs);
+
+    const pending = (await tasksDb.getTasksByStudyPlan(userId, planId))
+        .filter(task => task.status === tasksDb.TaskStatus.PENDING);
+    const missed = pending.filter(task => new Date(task.deadline) <= now);
+
+    const result = {
+        planId,
+        missed: missed.length,
+        rescheduled: [],
+        errors: [],
+        googleCalendarChecked: false
+    };
+
+    if (missed.length === 0) {
+        return result;
+    }
+
+    const moving = options.shiftLater ? pending : missed;
+
+    const lastDeadline = Math.max(now.getTime(), ...moving.map(task => new Date(task.deadline).getTime()));
+    const rangeEnd = new Date(lastDeadline + (RESCHEDULE_SEARCH_DAYS + 1) * 24 * 60 * 60 * 1000);
+
+    const { commitments, googleCalendarChecked } = await collectBusyTime(userId, now, rangeEnd, { exclude: moving });
+    let busy = mergeIntervals(commitments);
+    result.googleCalendarChecked = googleCalendarChecked;
+
+    // Each session goes after the previous one, which keeps the plan order
+    let notBefore = now;
+
+    for (const task of moving) {
+        const durationMinutes = task.duration_minutes || googleCalendar.DEFAULT_EVENT_DURATION_MINUTES;
+        const currentStart = DateTime.fromJSDate(getTaskSpan(task).start).setZone(task.timezone);
+        const isMissed = new Date(task.deadline) <= now;
+
+        // Missed sessions look from today; later ones from the day after their current day
+        let firstDay = isMissed
+            ? DateTime.fromJSDate(now).setZone(task.timezone).startOf('day')
+            : currentStart.plus({ days: 1 }).startOf('day');
+        const previousDay = DateTime.fromJSDate(notBefore).setZone(task.timezone).startOf('day');
+        if (previousDay > firstDay) {
+            firstDay = previousDay;
+        }
+
+        let start = null;
+        for (let offset = 0; offset < RESCHEDULE_SEARCH_DAYS && !start; offset++) {
+            start = findSlotInDay(busy, {
+                day: firstDay.plus({ days: offset }),
+                allowedStart,
+                allowedEnd,
+                preferred: { hour: currentStart.hour, minute: currentStart.minute },
+                notBefore,
+                durationMinutes,
+                bufferMinutes: config.scheduling.bufferMinutes
+            });
+        }
+
+        if (!start) {
+            result.errors.push({
+                taskId: task.id,
+                title: task.title,
+                error: `No free ${durationMinutes}-minute slot in the next ${RESCHEDULE_SEARCH_DAYS} days`
+            });
+            continue;
+        }
+
+        try {
+            const updated = await updateTask(userId, task.id, {
+                startTime: DateTime.fromJSDate(start).setZone(task.timezone).toISO(),
+                durationMinutes
+            }, { actor: taskRevisions.TaskActor.STUDY_PLAN });
+
+            result.rescheduled.push({
+                taskId: task.id,
+                title: task.title,
+                missed: isMissed,
+                previousStartTime: currentStart.toUTC().toISO(),
+                startTime: updated.startTime,
+                deadline: updated.deadline
+            });
+        } catch (error) {
+            logger.error('Failed to reschedule study session', {
+                error: error.message,
+                taskId: task.id,
+                planId
+            });
+            result.errors.push({
+                taskId: task.id,
+                title: task.title,
+                error: error.message
+            });
+            continue;
+        }
+
+        const end = new Date(start.getTime() + durationMinutes * 60000);
+        busy = mergeIntervals([...busy, { start, end }]);
+        notBefore = end;
+    }
+
+    await agentLogs.logSuccess(userId, agentLogs.ActionTypes.STUDY_PLAN_RESCHEDULED, {
+        planId,
+        trigger: options.trigger || 'manual',
+        shiftLater: !!options.shiftLater,
+        missed: result.missed,
+        rescheduled: result.rescheduled.length,
+        errors: result.errors.length
+    });
+
+    logger.info(`Study plan rescheduled: ${result.rescheduled.length} sessions moved`, {
+        userId,
+        planId,
+        errors: result.errors.length
+    });
+
+    return result;
+}
+
+/**
+ * Reschedule missed sessions of every applied plan (periodic job)
+ *
+ * @param {Object} options - Rescheduling options
+ * @param {boolean} options.shiftLater - Also push later sessions forward by a day
+ * @returns {Promise<Object>} { plans, rescheduled, failed }
+ */
+async function rescheduleAllMissedSessions(options = {}) {
+    // One pass per plan; the plan handles all of its missed sessions at once
+    const plans = await tasksDb.getPlansWithMissedSessions(new Date());
+
+    const summary = { plans: plans.length, rescheduled: 0, failed: 0 };
+
+    for (const { study_plan_id: planId, user_id: userId } of plans) {
+        try {
+            const result = await rescheduleMissedSessions(userId, planId, {
+                shiftLater: options.shiftLater,
+                trigger: 'scheduled'
+            });
+            summary.rescheduled += result.rescheduled.length;
+            summary.failed += result.errors.length;
+        } catch (error) {
+            logger.error('Failed to reschedule study plan', {
+                error: error.message,
+                userId,
+                planId
+            });
+            summary.failed++;
+        }
+    }
+
+    if (plans.length > 0) {
+        logger.info('Rescheduled missed study sessions', summary);
+    }
+
+    return summary;
+}
+
+/**
+ * Work out when each session of a study plan takes place
+ * Busy time is every non-cancelled task in the plan's date range plus the
+ * user's Google Calendar free/busy (when connected). Sessions are placed in
+ * plan order and each placed session becomes busy for the ones after it.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Object} plan - Plan JSON (goal, total_days, schedule)
+ * @param {string} timezone - User timezone
+ * @param {Object} settings - Scheduling settings
+ * @param {DateTime} settings.startDate - First plan day (Luxon, start of day in timezone)
+ * @param {string} settings.preferredTime - Preferred start time (HH:mm)
+ * @param {Object} settings.allowedHours - { start, end } (HH:mm)
+ * @returns {Promise<Object>} { sessions, errors, googleCalendarChecked }
+ *   Each session and error lists the commitments its preferred slot overlaps (`conflicts`).
+ */
+async function scheduleStudySessions(userId, plan, timezone, settings) {
+    const preferred = parseTimeOfDay(settings.preferredTime);
+    const { allowedStart, allowedEnd } = parseAllowedHours(settings.allowedHours);
+
+    const lastDay = Math.max(...plan.schedule.map(dayPlan => dayPlan.day));
+    const rangeStart = settings.startDate.toJSDate();
+    const rangeEnd = settings.startDate.plus({ days: lastDay }).toJSDate();
+
+    // Individual commitments are kept to report what a preferred slot conflicts with
+    const { commitments, googleCalendarChecked } = await collectBusyTime(userId, rangeStart, rangeEnd);
+    let busy = mergeIntervals(commitments);
+
+    const sessions = [];
+    const errors = [];
+
+    for (const dayPlan of plan.schedule) {
+        const day = settings.startDate.plus({ days: dayPlan.day - 1 });
+        const durationMinutes = Math.round(dayPlan.session_duration_minutes) || googleCalendar.DEFAULT_EVENT_DURATION_MINUTES;
+
+        // Later sessions of the same day come after the earlier ones
+        let notBefore = null;
+
+        for (let sessionNum = 1; sessionNum <= dayPlan.sessions; sessionNum++) {
+            const title = dayPlan.sessions > 1
+                ? `${dayPlan.topic} (Session ${sessionNum}/${dayPlan.sessions})`
+                : dayPlan.topic;
+
+            const preferredStart = day.set({ ...preferred, second: 0, millisecond: 0 }).toJSDate();
+            const wanted = notBefore && notBefore > preferredStart ? notBefore : preferredStart;
+            const conflicts = findConflicts(commitments, wanted, new Date(wanted.getTime() + durationMinutes * 60000));
+
+            const start = findSlotInDay(busy, {
+                day,
+                allowedStart,
+                allowedEnd,
+                preferred,
+                notBefore,
+                durationMinutes,
+                bufferMinutes: config.scheduling.bufferMinutes
+            });
+
+            if (!start) {
+                errors.push({
+                    day: dayPlan.day,
+                    session: sessionNum,
+                    error: `No free ${durationMinutes}-minute slot between ${settings.allowedHours.start} and ${settings.allowedHours.end} on ${day.toISODate()}`,
+                    conflicts
+                });
+                continue;
+            }
+
+            const end = new Date(start.getTime() + durationMinutes * 60000);
+
+            sessions.push({
+                day: dayPlan.day,
+                session: sessionNum,
+                title,
+                description: [
+                    `📚 Study Plan: ${plan.goal}`,
+                    `📅 Day ${dayPlan.day} of ${plan.total_days}`,
+                    `⏱️ Duration: ${durationMinutes} minutes`
+                ].join('\n'),
+                // "Practice 5 easy problems, focus on pattern recognition" becomes two items
+                checklist: notesToChecklist(dayPlan.notes),
+                start,
+                durationMinutes,
+                moved: start.getTime() !== wanted.getTime(),
+                conflicts
+            });
+
+            commitments.push({ start, end, source: 'study_plan', title });
+            busy = mergeIntervals([...busy, { start, end }]);
+            notBefore = end;
         }
+    }
+
+    return {
+        sessions,
+        errors,
+        googleCalendarChecked
+    };
+}
+
+/**
+ * Parse and check an allowed-hours window
+ * @param {Object} allowedHours - { start, end } (HH:mm)
+ * @returns {Object} { allowedStart, allowedEnd } as { hour, minute }
+ */
+function parseAllowedHours(allowedHours) {
+    const allowedStart = parseTimeOfDay(allowedHours.start);
+    const allowedEnd = parseTimeOfDay(allowedHours.end);
+
+    if (allowedEnd.hour * 60 + allowedEnd.minute <= allowedStart.hour * 60 + allowedStart.minute) {
+        throw new Error('Invalid allowed hours: end must be after start');
+    }
+
+    return { allowedStart, allowedEnd };
+}
+
+/**
+ * Collect everything that occupies the user's time in a range
+ * Non-cancelled tasks come from Supabase; Google Calendar free/busy is added
+ * when Google is connected. Without Google, only Mentora's own tasks are avoided.
+ *
+ * @param {string} userId - User's unique identifier
+ * @param {Date} rangeStart - Start of range (UTC)
+ * @param {Date} rangeEnd - End of range (UTC)
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.exclude - Task records about to move (they and their events are not busy)
+ * @returns {Promise<Object>} { commitments: [{ start, end, source, taskId?, title? }], googleCalendarChecked }
+ */
+async function collectBusyTime(userId, rangeStart, rangeEnd, options = {}) {
+    const excluded = options.exclude || [];
+    const excludedIds = new Set(excluded.map(task => task.id));
+
+    // Tasks are fetched by deadline, so include ones that end after the range but start inside it
+    const tasks = await getTasksInRange(userId, rangeStart, new Date(rangeEnd.getTime() + MAX_TASK_DURATION_MINUTES * 60000));
+    const taskBusy = tasks
+        .filter(task => task.status !== tasksDb.TaskStatus.CANCELLED && !excludedIds.has(task.id))
+        .map(task => ({
+            ...getTaskSpan(task),
+            source: 'task',
+            taskId: task.id,
+            title: task.title
+        }));
+
+    let googleBusy = null;
+    if (await userIntegrations.hasValidGoogleIntegration(userId)) {
+        googleBusy = await googleCalendar.getBusyTimes(userId, rangeStart, rangeEnd);
+    }
+
+    // Free/busy does not say which event is which; cut out the moving tasks' own events
+    if (googleBusy && excluded.length > 0) {
+        googleBusy = subtractIntervals(googleBusy, excluded.filter(task => task.google_calendar_event_id).map(getTaskSpan));
+    }
+
+    return {
+        commitments: [
+            ...taskBusy,
+            ...(googleBusy || []).map(interval => ({ ...interval, source: 'google_calendar' }))
+        ],
+        googleCalendarChecked: googleBusy !== null
+    };
+}
+
+/**
+ * Calendar span of a task record
+ * @param {Object} task - Task record
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getTaskSpan(task) {
+    const end = new Date(task.deadline);
+
+    return {
+        start: getScheduleStart(end, task.duration_minutes || googleCalendar.DEFAULT_EVENT_DURATION_MINUTES),
+        end
+    };
+}
+
+/**
+ * Format a scheduled (not yet created) study session like a task response
+ * @param {Object} session - Session from scheduleStudySessions
+ * @param {string} timezone - User timezone
+ * @returns {Object} Proposed task
+ */
+function formatProposedSession(session, timezone) {
+    const deadline = new Date(session.start.getTime() + session.durationMinutes * 60000);
+
+    return {
+        day: session.day,
+        session: session.session,
+        title: session.title,
+        description: session.description,
+        checklist: session.checklist,
+        startTime: session.start.toISOString(),
+        startTimeFormatted: formatInTimezone(session.start, timezone, 'yyyy-MM-dd HH:mm'),
+        deadline: deadline.toISOString(),
+        deadlineFormatted: formatInTimezone(deadline, timezone, 'yyyy-MM-dd HH:mm'),
+        durationMinutes: session.durationMinutes,
+        timezone,
+        moved: session.moved,
+        conflicts: session.conflicts
     };
 }
 
+/**
+ * Split a study plan day's notes into checklist item titles
+ * @param {string|null} notes - Notes such as "Practice 5 easy problems, focus on X"
+ * @returns {Array<string>} Item titles (capitalized)
+ */
+function notesToChecklist(notes) {
+    if (!notes || typeof notes !== 'string') {
+        return [];
+    }
+
+    return notes
+        .split(/[,;\n]+/)
+        .map(part => part.trim().replace(/\.$/, ''))
+        .filter(Boolean)
+        .slice(0, MAX_CHECKLIST_ITEMS)
+        .map(part => (part.charAt(0).toUpperCase() + part.slice(1)).slice(0, MAX_CHECKLIST_ITEM_LENGTH));
+}
+
+/**
+ * Commitments that overlap a time span
+ * @param {Array<Object>} commitments - [{ start, end, source, taskId?, title? }]
+ * @param {Date} start - Span start
+ * @param {Date} end - Span end
+ * @returns {Array<Object>} Overlapping commitments with ISO times
+ */
+function findConflicts(commitments, start, end) {
+    return commitments
+        .filter(item => item.start < end && item.end > start)
+        .sort((a, b) => a.start - b.start)
+        .map(item => ({
+            source: item.source,
+            taskId: item.taskId,
+            title: item.title,
+            start: item.start.toISOString(),
+            end: item.end.toISOString()
+        }));
+}
+
 module.exports = {
+    BatchOperation,
+    MAX_BATCH_OPERATIONS,
+    TaskSort,
+    MAX_LIST_RANGE_DAYS,
     createTask,
     getTodayTasks,
     getWeekTasks,
+    getTasksInRange,
+    listTasks,
+    getOverdueTasks,
+    rescheduleOverdueTasks,
+    findTaskByReference,
+    searchTasks,
     syncTaskToGoogle,
     syncAllTasks,
     updateTaskStatus,
-    applyStudyPlan
+    getTask,
+    getTaskHistory,
+    updateTask,
+    deleteTask,
+    getTrash,
+    restoreTask,
+    purgeTrash,
+    applyTaskBatch,
+    propagateBatchToGoogle,
+    addTaskDependency,
+    removeTaskDependency,
+    getChecklist,
+    addChecklistItems,
+    updateChecklistItem,
+    deleteChecklistItem,
+    reorderChecklist,
+    propagateUpdateToGoogle,
+    applyStudyPlan,
+    unapplyStudyPlan,
+    rescheduleMissedSessions,
+    rescheduleAllMissedSessions
 };
@@ -0,0 +1,414 @@
+/**
+ * Recurrence Utilities
+ * Parses and expands the RFC 5545 RRULE subset supported for recurring tasks.
+ *
+ * Supported:
+ * - FREQ=DAILY | WEEKLY | MONTHLY
+ * - INTERVAL
+ * - BYDAY (weekdays; MONTHLY also accepts ordinals like 1MO or -1FR)
+ * - COUNT or UNTIL
+ * - EXDATE (stored separately on the task as UTC instants)
+ *
+ * Occurrences are expanded in the task's timezone so that "every Monday 7pm"
+ * stays at 7pm local time across DST changes, which is also how Google
+ * Calendar expands an RRULE with a TZID start.
+ *
+ * Occurrences that are not stored as rows are identified as
+ * `${seriesId}_${yyyyMMddTHHmmssZ}` (original deadline in UTC).
+ */
+
+const { DateTime } = require('luxon');
+const { isValidTimezone } = require('./timezone');
+const config = require('../config');
+
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const WEEKDAYS = {
+    MO: 1,
+    TU: 2,
+    WE: 3,
+    TH: 4,
+    FR: 5,
+    SA: 6,
+    SU: 7
+};
+
+// Upper bound on candidate dates examined per expansion (guards against huge ranges)
+const MAX_ITERATIONS = 5000;
+
+const OCCURRENCE_ID_PATTERN = /^([0-9a-f-]{36})_(\d{8}T\d{6}Z)$/i;
+const UTC_STAMP_FORMAT = "yyyyMMdd'T'HHmmss'Z'";
+
+/**
+ * Parse an RRULE string
+ *
+ * @param {string} ruleStr - e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=12" ("RRULE:" prefix optional)
+ * @param {string} timezone - Timezone used for a date-only UNTIL
+ * @returns {Object} { freq, interval, byDay: [{ weekday, ordinal }], count, until: Date|null }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+function parseRule(ruleStr, timezone = config.timezone.default) {
+    if (!ruleStr || typeof ruleStr !== 'string') {
+        throw new Error('Recurrence rule must be a string');
+    }
+
+    const tz = isValidTimezone(timezone) ? timezone : config.timezone.default;
+    const body = ruleStr.trim().replace(/^RRULE:/i, '');
+    const parts = {};
+
+    for (const part of body.split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!key || value === undefined || value === '') {
+            throw new Error(`Invalid recurrence rule part: ${part}`);
+        }
+        parts[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    const unsupported = Object.keys(parts)
+        .filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+    }
+
+    if (parts.WKST && parts.WKST !== 'MO') {
+        throw new Error('Only WKST=MO is supported');
+    }
+
+    if (!SUPPORTED_FREQS.includes(parts.FREQ)) {
+        throw new Error(`FREQ must be one of: ${SUPPORTED_FREQS.join(', ')}`);
+    }
+
+    let interval = 1;
+    if (parts.INTERVAL) {
+        interval = parseInt(parts.INTERVAL, 10);
+        if (!/^\d+$/.test(parts.INTERVAL) || interval < 1) {
+            throw new Error(`Invalid INTERVAL: ${parts.INTERVAL}`);
+        }
+    }
+
+    if (parts.COUNT && parts.UNTIL) {
+        throw new Error('COUNT and UNTIL cannot be combined');
+    }
+
+    let count = null;
+    if (parts.COUNT) {
+        count = parseInt(parts.COUNT, 10);
+        if (!/^\d+$/.test(parts.COUNT) || count < 1) {
+            throw new Error(`Invalid COUNT: ${parts.COUNT}`);
+        }
+    }
+
+    let until = null;
+    if (parts.UNTIL) {
+        until = parseUntil(parts.UNTIL, tz);
+    }
+
+    const byDay = [];
+    if (parts.BYDAY) {
+        for (const token of parts.BYDAY.split(',')) {
+            const match = token.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+            if (!match) {
+                throw new Error(`Invalid BYDAY value: ${token}`);
+            }
+
+            const ordinal = match[1] ? parseInt(match[1], 10) : null;
+            if (ordinal !== null) {
+                if (parts.FREQ !== 'MONTHLY') {
+                    throw new Error('BYDAY ordinals (e.g. 1MO) are only supported with FREQ=MONTHLY');
+                }
+                if (ordinal === 0 || Math.abs(ordinal) > 5) {
+                    throw new Error(`Invalid BYDAY ordinal: ${token}`);
+                }
+            }
+
+            byDay.push({ weekday: WEEKDAYS[match[2]], ordinal });
+        }
+    }
+
+    return {
+        freq: parts.FREQ,
+        interval,
+        byDay,
+        count,
+        until
+    };
+}
+
+/**
+ * Parse an UNTIL value (UTC date-time or local date)
+ * A date-only UNTIL includes the whole day in the task's timezone.
+ *
+ * @param {string} value - e.g. "20261231T235959Z" or "20261231"
+ * @param {string} timezone - Task timezone
+ * @returns {Date} UNTIL instant
+ */
+function parseUntil(value, timezone) {
+    let dt;
+
+    if (/^\d{8}T\d{6}Z$/.test(value)) {
+        dt = DateTime.fromFormat(value, UTC_STAMP_FORMAT, { zone: 'UTC' });
+    } else if (/^\d{8}T\d{6}$/.test(value)) {
+        dt = DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss", { zone: timezone });
+    } else if (/^\d{8}$/.test(value)) {
+        dt = DateTime.fromFormat(value, 'yyyyMMdd', { zone: timezone }).endOf('day');
+    }
+
+    if (!dt || !dt.isValid) {
+        throw new Error(`Invalid UNTIL: ${value}`);
+    }
+
+    return dt.toUTC().toJSDate();
+}
+
+/**
+ * Format a parsed rule back into a canonical RRULE string (without "RRULE:")
+ * UNTIL is always written in UTC, as Google requires for zoned events.
+ *
+ * @param {Object} rule - Result of parseRule
+ * @returns {string} RRULE string
+ */
+function formatRule(rule) {
+    const dayCodes = Object.fromEntries(Object.entries(WEEKDAYS).map(([code, num]) => [num, code]));
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+
+    if (rule.byDay.length > 0) {
+        parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${dayCodes[d.weekday]}`).join(',')}`);
+    }
+
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+
+    if (rule.until) {
+        parts.push(`UNTIL=${DateTime.fromJSDate(rule.until, { zone: 'UTC' }).toFormat(UTC_STAMP_FORMAT)}`);
+    }
+
+    return parts.join(';');
+}
+
+/**
+ * Validate an RRULE and return it in canonical form
+ *
+ * @param {string} ruleStr - RRULE string
+ * @param {string} timezone - Task timezone
+ * @returns {string} Canonical RRULE string
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeRule(ruleStr, timezone) {
+    return formatRule(parseRule(ruleStr, timezone));
+}
+
+/**
+ * Expand the occurrences of a recurring task within a range
+ *
+ * @param {Object} series - Recurrence definition
+ * @param {string} series.rule - RRULE string
+ * @param {Date} series.dtstart - First deadline (UTC)
+ * @param {string} series.timezone - Task timezone
+ * @param {Array<string>} series.exdates - Excluded occurrence deadlines (ISO, UTC)
+ * @param {Date} rangeStart - Start of range (UTC, inclusive)
+ * @param {Date} rangeEnd - End of range (UTC, inclusive)
+ * @returns {Array<Date>} Occurrence deadlines (UTC), ascending
+ */
+function expandOccurrences(series, rangeStart, rangeEnd) {
+    const tz = isValidTimezone(series.timezone) ? series.timezone : config.timezone.default;
+    const rule = parseRule(series.rule, tz);
+    const start = DateTime.fromJSDate(new Date(series.dtstart), { zone: tz });
+    const excluded = new Set((series.exdates || []).map(d => new Date(d).getTime()));
+
+    const rangeStartMs = rangeStart.getTime();
+    const rangeEndMs = rangeEnd.getTime();
+    const untilMs = rule.until ? rule.until.getTime() : Infinity;
+
+    const occurrences = [];
+    let generated = 0;
+    let iterations = 0;
+
+    // Periods without a candidate (e.g. no 31st in the month) count too, so this always ends
+    for (let period = 0; iterations < MAX_ITERATIONS; period++) {
+        const candidates = candidatesForPeriod(rule, start, period);
+        iterations++;
+
+        for (const candidate of candidates) {
+            iterations++;
+
+            const ms = candidate.toMillis();
+            if (ms < start.toMillis()) {
+                continue;
+            }
+
+            if (ms > untilMs || ms > rangeEndMs || (rule.count && generated >= rule.count)) {
+                return occurrences;
+            }
+
+            // EXDATEs still count towards COUNT (RFC 5545)
+            generated++;
+
+            if (ms >= rangeStartMs && !excluded.has(ms)) {
+                occurrences.push(candidate.toUTC().toJSDate());
+            }
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Candidate local date-times for one period (day, week or month) of a rule
+ *
+ * @param {Object} rule - Parsed rule
+ * @param {DateTime} start - First occurrence in the task timezone
+ * @param {number} period - Period index (0 = the period containing start)
+ * @returns {Array<DateTime>} Candidates in chronological order
+ */
+function candidatesForPeriod(rule, start, period) {
+    const atStartTime = (date) => DateTime.fromObject({
+        year: date.year,
+        month: date.month,
+        day: date.day,
+        hour: start.hour,
+        minute: start.minute,
+        second: start.second
+    }, { zone: start.zoneName });
+
+    const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(d => d.weekday)
+        : [start.weekday];
+
+    if (rule.freq === 'DAILY') {
+        const day = start.startOf('day').plus({ days: period * rule.interval });
+        return rule.byDay.length === 0 || weekdays.includes(day.weekday)
+            ? [atStartTime(day)]
+            : [];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        const week = start.startOf('week').plus({ weeks: period * rule.interval });
+        return [...new Set(weekdays)]
+            .sort((a, b) => a - b)
+            .map(weekday => atStartTime(week.plus({ days: weekday - 1 })));
+    }
+
+    // MONTHLY
+    const month = start.startOf('month').plus({ months: period * rule.interval });
+
+    if (rule.byDay.length === 0) {
+        return start.day <= month.daysInMonth
+            ? [atStartTime(month.set({ day: start.day }))]
+            : [];
+    }
+
+    const days = new Set();
+    for (const { weekday, ordinal } of rule.byDay) {
+        const matching = [];
+        for (let day = 1; day <= month.daysInMonth; day++) {
+            if (month.set({ day }).weekday === weekday) {
+                matching.push(day);
+            }
+        }
+
+        if (ordinal === null) {
+            matching.forEach(day => days.add(day));
+        } else {
+            const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+            if (day) {
+                days.add(day);
+            }
+        }
+    }
+
+    return [...days]
+        .sort((a, b) => a - b)
+        .map(day => atStartTime(month.set({ day })));
+}
+
+/**
+ * First occurrence at or after a date (used to align a new series' start)
+ *
+ * @param {Object} series - Recurrence definition (see expandOccurrences)
+ * @returns {Date|null} First occurrence, or null if the rule yields none
+ */
+function getFirstOccurrence(series) {
+    const from = new Date(series.dtstart);
+    // Rules without a match in the first year are not useful for study tasks
+    const to = DateTime.fromJSDate(from).plus({ years: 1 }).toJSDate();
+
+    // COUNT must be counted from the aligned start, not the requested one
+    const [first] = expandOccurrences({ ...series, rule: stripLimits(series.rule), exdates: [] }, from, to);
+    return first || null;
+}
+
+/**
+ * Remove COUNT/UNTIL from a rule
+ * @param {string} ruleStr - RRULE string
+ * @returns {string} RRULE string without limits
+ */
+function stripLimits(ruleStr) {
+    return ruleStr
+        .replace(/^RRULE:/i, '')
+        .split(';')
+        .filter(part => !/^(COUNT|UNTIL)=/i.test(part))
+        .join(';');
+}
+
+/**
+ * Check whether a date is an occurrence of a series (EXDATEs excluded)
+ *
+ * @param {Object} series - Recurrence definition (see expandOccurrences)
+ * @param {Date} date - Candidate deadline (UTC)
+ * @returns {boolean} Whether the date is an occurrence
+ */
+function isOccurrence(series, date) {
+    return expandOccurrences(series, date, date).length === 1;
+}
+
+/**
+ * Build the ID of an occurrence that has no row of its own
+ *
+ * @param {string} seriesId - Series task ID
+ * @param {Date} originalDeadline - Occurrence deadline (UTC)
+ * @returns {string} Occurrence ID
+ */
+function buildOccurrenceId(seriesId, originalDeadline) {
+    const stamp = DateTime.fromJSDate(new Date(originalDeadline), { zone: 'UTC' }).toFormat(UTC_STAMP_FORMAT);
+    return `${seriesId}_${stamp}`;
+}
+
+/**
+ * Parse an occurrence ID
+ *
+ * @param {string} id - Task or occurrence ID
+ * @returns {Object|null} { seriesId, originalDeadline: Date } or null if not an occurrence ID
+ */
+function parseOccurrenceId(id) {
+    const match = typeof id === 'string' && id.match(OCCURRENCE_ID_PATTERN);
+
+    if (!match) {
+        return null;
+    }
+
+    const dt = DateTime.fromFormat(match[2].toUpperCase(), UTC_STAMP_FORMAT, { zone: 'UTC' });
+    if (!dt.isValid) {
+        return null;
+    }
+
+    return {
+        seriesId: match[1],
+        originalDeadline: dt.toJSDate()
+    };
+}
+
+module.exports = {
+    parseRule,
+    formatRule,
+    normalizeRule,
+    expandOccurrences,
+    getFirstOccurrence,
+    isOccurrence,
+    buildOccurrenceId,
+    parseOccurrenceId
+};
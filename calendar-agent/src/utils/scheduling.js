@@ -0,0 +1,179 @@
+/**
+ * Scheduling Utilities
+ * Deterministic free-slot finding for placing study sessions.
+ *
+ * Busy time comes from the caller (Supabase tasks and Google Calendar
+ * free/busy); these functions only do the arithmetic. The same inputs always
+ * produce the same slots. No AI is involved in choosing times.
+ *
+ * Candidate start times are aligned to SLOT_STEP_MINUTES from where the
+ * search starts, so sessions land on tidy local times (09:00, 09:15, ...).
+ */
+
+/**
+ * Granularity of candidate session start times
+ */
+const SLOT_STEP_MINUTES = 15;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse an "HH:mm" time of day
+ * @param {string} value - Time of day (24-hour)
+ * @returns {Object} { hour, minute }
+ * @throws {Error} If the value is not a valid time of day
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time of day: ${value} (expected HH:mm)`);
+    }
+
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Sort intervals and merge the ones that overlap or touch
+ * @param {Array<Object>} intervals - [{ start: Date, end: Date }]
+ * @returns {Array<Object>} Merged intervals sorted by start
+ */
+function mergeIntervals(intervals) {
+    const sorted = intervals
+        .filter(interval => interval.end > interval.start)
+        .map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) }))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const merged = [];
+
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+
+        if (last && interval.start <= last.end) {
+            if (interval.end > last.end) {
+                last.end = interval.end;
+            }
+        } else {
+            merged.push(interval);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Remove spans from a list of intervals
+ * Used to take a task's own event out of free/busy data before moving it.
+ *
+ * @param {Array<Object>} intervals - [{ start: Date, end: Date }]
+ * @param {Array<Object>} removed - [{ start: Date, end: Date }]
+ * @returns {Array<Object>} Remaining pieces (merged, sorted)
+ */
+function subtractIntervals(intervals, removed) {
+    let remaining = mergeIntervals(intervals);
+
+    for (const cut of removed) {
+        remaining = remaining.flatMap(interval => {
+            if (cut.end <= interval.start || cut.start >= interval.end) {
+                return [interval];
+            }
+
+            const pieces = [];
+            if (cut.start > interval.start) {
+                pieces.push({ start: interval.start, end: new Date(cut.start) });
+            }
+            if (cut.end < interval.end) {
+                pieces.push({ start: new Date(cut.end), end: interval.end });
+            }
+            return pieces;
+        });
+    }
+
+    return remaining;
+}
+
+/**
+ * Find the earliest free start in [from, to] for a span of the given length
+ *
+ * @param {Array<Object>} busy - Merged busy intervals (see mergeIntervals)
+ * @param {Object} options - Search options
+ * @param {Date} options.from - Earliest start
+ * @param {Date} options.to - Latest end
+ * @param {number} options.durationMinutes - Length of the span
+ * @param {number} options.bufferMinutes - Free time kept on both sides of busy intervals
+ * @returns {Date|null} Start time, or null if nothing fits
+ */
+function findFreeSlot(busy, options) {
+    const duration = options.durationMinutes * MINUTE_MS;
+    const buffer = (options.bufferMinutes || 0) * MINUTE_MS;
+    const from = options.from.getTime();
+    const step = SLOT_STEP_MINUTES * MINUTE_MS;
+
+    const align = time => from + Math.ceil((time - from) / step) * step;
+
+    let candidate = from;
+
+    for (const interval of busy) {
+        const blockedFrom = interval.start.getTime() - buffer;
+        const blockedTo = interval.end.getTime() + buffer;
+
+        if (blockedTo <= candidate) {
+            continue;
+        }
+
+        // Intervals are sorted, so nothing later can overlap a span that fits here
+        if (blockedFrom >= candidate + duration) {
+            break;
+        }
+
+        candidate = align(blockedTo);
+    }
+
+    return candidate + duration <= options.to.getTime() ? new Date(candidate) : null;
+}
+
+/**
+ * Find a slot for a session on one local day
+ * Searches from the preferred time to the end of the allowed hours first,
+ * then from the start of the allowed hours, so the preferred time wins when free.
+ *
+ * @param {Array<Object>} busy - Merged busy intervals (see mergeIntervals)
+ * @param {Object} options - Search options
+ * @param {DateTime} options.day - Any time on the local day (Luxon, in the user's timezone)
+ * @param {Object} options.allowedStart - { hour, minute } start of allowed hours
+ * @param {Object} options.allowedEnd - { hour, minute } end of allowed hours
+ * @param {Object} options.preferred - { hour, minute } preferred start time
+ * @param {Date} options.notBefore - Earliest acceptable start (optional)
+ * @param {number} options.durationMinutes - Session length
+ * @param {number} options.bufferMinutes - Free time kept around other commitments
+ * @returns {Date|null} Session start, or null if the day has no room
+ */
+function findSlotInDay(busy, options) {
+    const at = ({ hour, minute }) => options.day.set({ hour, minute, second: 0, millisecond: 0 }).toJSDate();
+
+    const windowStart = at(options.allowedStart);
+    const windowEnd = at(options.allowedEnd);
+    const notBefore = options.notBefore && options.notBefore > windowStart ? options.notBefore : windowStart;
+
+    const search = (from, to) => findFreeSlot(busy, {
+        from,
+        to,
+        durationMinutes: options.durationMinutes,
+        bufferMinutes: options.bufferMinutes
+    });
+
+    const preferred = at(options.preferred);
+    const preferredFrom = preferred > notBefore ? preferred : notBefore;
+
+    return search(preferredFrom, windowEnd)
+        || (preferredFrom > notBefore ? search(notBefore, windowEnd) : null);
+}
+
+module.exports = {
+    SLOT_STEP_MINUTES,
+    parseTimeOfDay,
+    mergeIntervals,
+    subtractIntervals,
+    findFreeSlot,
+    findSlotInDay
+};
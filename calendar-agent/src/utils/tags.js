@@ -0,0 +1,132 @@
+/**
+ * Tag Utilities
+ * Normalization of free-form task tags and `#tag` extraction from chat text.
+ *
+ * Tags are stored lowercase, without the leading '#', with whitespace turned
+ * into '-', so "#DSA", "dsa" and " Dsa " are the same tag.
+ */
+
+/**
+ * Longest tag kept (longer ones are cut)
+ */
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Most tags on one task
+ */
+const MAX_TAGS = 20;
+
+// A '#' at the start or after whitespace, followed by letters, digits, '-' or '_'
+const HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * Most words kept in a tag derived from free text
+ */
+const MAX_DERIVED_TAG_WORDS = 3;
+
+/**
+ * Longest tag derived from free text (cut at a word boundary)
+ */
+const MAX_DERIVED_TAG_LENGTH = 30;
+
+// Words that say nothing about the topic of a goal
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with',
+    'my', 'i', 'want', 'learn', 'master', 'study', 'understand', 'get',
+    'better', 'basics', 'about', 'how', 'prepare', 'preparation'
+]);
+
+/**
+ * Normalize one tag
+ * @param {string} tag - Raw tag (may start with '#')
+ * @returns {string} Normalized tag ('' if nothing is left)
+ */
+function normalizeTag(tag) {
+    return tag
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .slice(0, MAX_TAG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+/**
+ * Derive a short tag from free text such as a study plan goal
+ *
+ * Keeps the first MAX_DERIVED_TAG_WORDS words that are not filler words,
+ * stopping early rather than cutting a word when MAX_DERIVED_TAG_LENGTH
+ * would be exceeded. The same text always gives the same tag.
+ * @param {string} text - Free text
+ * @returns {string} Normalized tag ('' if no significant word is found)
+ */
+function deriveTag(text) {
+    const words = (text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !FILLER_WORDS.has(word));
+
+    let tag = '';
+    for (const word of words.slice(0, MAX_DERIVED_TAG_WORDS)) {
+        const next = tag ? `${tag}-${word}` : word;
+        if (next.length > MAX_DERIVED_TAG_LENGTH) {
+            break;
+        }
+        tag = next;
+    }
+
+    // A single over-long word is still better than no tag
+    return tag || normalizeTag(words[0] || '').slice(0, MAX_DERIVED_TAG_LENGTH);
+}
+
+/**
+ * Normalize a list of tags, dropping empty ones and duplicates
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Normalized tags, in first-seen order
+ * @throws {Error} 'Invalid tags: ...' if tags is not an array of strings or has too many entries
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new Error('Invalid tags: expected an array of strings');
+    }
+
+    const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS) {
+        throw new Error(`Invalid tags: at most ${MAX_TAGS} tags per task`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Find `#tag` mentions in free text
+ * @param {string} text - Text such as a chat message
+ * @returns {Array<string>} Normalized tags
+ */
+function extractHashtags(text) {
+    const tags = [...(text || '').matchAll(HASHTAG_PATTERN)].map(match => match[2]);
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+/**
+ * Remove `#tag` mentions from free text
+ * @param {string} text - Text such as a task title
+ * @returns {string} Text without the mentions, whitespace collapsed
+ */
+function stripHashtags(text) {
+    return (text || '')
+        .replace(HASHTAG_PATTERN, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    MAX_TAGS,
+    normalizeTag,
+    normalizeTags,
+    deriveTag,
+    extractHashtags,
+    stripHashtags
+};
@@ -116,6 +116,31 @@ function parseToUTC(dateTimeStr, timezone = config.timezone.default) {
     return dt.toUTC().toJSDate();
 }
 
+/**
+ * Parse one end of a date range in a timezone
+ * A date without a time ("2026-10-26") covers the whole local day: as the
+ * start of a range it means 00:00, as the end it means 23:59:59.999.
+ *
+ * @param {string} value - ISO date or datetime string
+ * @param {string} timezone - User's timezone
+ * @param {string} boundary - 'start' or 'end'
+ * @returns {Date} UTC Date object
+ */
+function parseRangeBoundaryToUTC(value, timezone = config.timezone.default, boundary = 'start') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return parseToUTC(value, timezone);
+    }
+
+    const tz = isValidTimezone(timezone) ? timezone : config.timezone.default;
+    const day = DateTime.fromISO(value, { zone: tz });
+
+    if (!day.isValid) {
+        throw new Error(`Invalid datetime format: ${value}`);
+    }
+
+    return (boundary === 'end' ? day.endOf('day') : day.startOf('day')).toUTC().toJSDate();
+}
+
 /**
  * Format a UTC date for display in a specific timezone
  * @param {Date} utcDate - UTC Date object
@@ -252,6 +277,7 @@ module.exports = {
     getStartOfWeekUTC,
     getEndOfWeekUTC,
     parseToUTC,
+    parseRangeBoundaryToUTC,
     formatInTimezone,
     toGoogleDateTime,
     getRelativeTime,
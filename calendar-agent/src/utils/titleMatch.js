@@ -0,0 +1,118 @@
+/**
+ * Title Matching Utilities
+ * Fuzzy matching of the way a user names a task ("my react session") against
+ * task titles ("Study React hooks").
+ *
+ * Titles and references are compared word by word after lowercasing and
+ * dropping punctuation and filler words. A reference word matches a title
+ * word when they are equal, one is a prefix of the other (at least 3
+ * letters), or they are one typo apart (words of 5+ letters).
+ */
+
+// Words that name "a task" rather than which task
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'my', 'our', 'this', 'that', 'of', 'for', 'to', 'on', 'in', 'at',
+    'task', 'tasks', 'session', 'sessions', 'event', 'one',
+    'today', 'todays', 'tomorrow', 'tomorrows', 'tonight', 'tonights'
+]);
+
+/**
+ * Split text into comparable words
+ * @param {string} text - Title or reference
+ * @returns {Array<string>} Lowercase words without filler words
+ */
+function toWords(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !FILLER_WORDS.has(word));
+}
+
+/**
+ * Whether two words are at most one edit (insert, delete, substitute) apart
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {boolean} True if within one edit
+ */
+function isOneEditApart(a, b) {
+    if (Math.abs(a.length - b.length) > 1) {
+        return false;
+    }
+
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+
+        if (++edits > 1) {
+            return false;
+        }
+
+        if (a.length > b.length) {
+            i++;
+        } else if (b.length > a.length) {
+            j++;
+        } else {
+            i++;
+            j++;
+        }
+    }
+
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Whether a reference word matches a title word
+ * @param {string} ref - Word from the reference
+ * @param {string} word - Word from the title
+ * @returns {boolean} True on a match
+ */
+function wordsMatch(ref, word) {
+    if (ref === word) {
+        return true;
+    }
+
+    if (Math.min(ref.length, word.length) >= 3 && (word.startsWith(ref) || ref.startsWith(word))) {
+        return true;
+    }
+
+    return Math.min(ref.length, word.length) >= 5 && isOneEditApart(ref, word);
+}
+
+/**
+ * Score how well a reference names a title
+ * @param {string} reference - What the user called the task
+ * @param {string} title - Task title
+ * @returns {number} 0 (no word in common) to 1 (every reference word found, same words)
+ */
+function scoreTitleMatch(reference, title) {
+    const refWords = toWords(reference);
+    const titleWords = toWords(title);
+
+    if (refWords.length === 0 || titleWords.length === 0) {
+        return 0;
+    }
+
+    const matched = refWords.filter(ref => titleWords.some(word => wordsMatch(ref, word))).length;
+
+    if (matched === 0) {
+        return 0;
+    }
+
+    // Mostly how much of the reference was found; a little for how much of the title it covers
+    const coverage = matched / refWords.length;
+    const precision = Math.min(matched / titleWords.length, 1);
+
+    return Math.round((coverage * 0.8 + precision * 0.2) * 100) / 100;
+}
+
+module.exports = {
+    scoreTitleMatch
+};
@@ -0,0 +1,174 @@
+/**
+ * Tool Calling Utilities
+ * Declaring LLM tools and checking the calls the model makes to them.
+ *
+ * A tool is { name, description, parameters } where parameters is a JSON
+ * schema. The model returns its arguments as a JSON string; they are parsed
+ * and checked against the schema before anything is executed, and the errors
+ * go back to the model so it can correct the call.
+ *
+ * A tool may add `argumentsSchema`, a looser schema checked instead of
+ * `parameters` when its executor validates parts of the arguments itself
+ * (e.g. list items that are accepted or refused one by one).
+ *
+ * Only the schema keywords the agents use are supported: type (string or
+ * list, including 'null' and 'integer'), enum, properties, required,
+ * additionalProperties: false, items, minItems, maxItems, minLength,
+ * maxLength, pattern, minimum and maximum.
+ */
+
+/**
+ * JSON schema type of a value
+ * @param {*} value - Any value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+
+    return typeof value;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} path - Name of the value in error messages (default: 'arguments')
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateArguments(schema, value, path = 'arguments') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = typeOf(value);
+
+        // An integer is also a number
+        if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            return [`${path} must be ${types.join(' or ')}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.filter(option => option !== null).join(', ')}`];
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateArguments(schema.items, item, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateArguments(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Turn tools into the `tools` parameter of a chat completion request
+ * @param {Array<Object>} tools - [{ name, description, parameters }]
+ * @returns {Array<Object>} [{ type: 'function', function: { name, description, parameters } }]
+ */
+function toToolDefinitions(tools) {
+    return tools.map(tool => ({
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }
+    }));
+}
+
+/**
+ * Parse and validate a tool call from the model
+ * @param {Object} toolCall - Tool call ({ id, function: { name, arguments } })
+ * @param {Array<Object>} tools - Declared tools ({ name, parameters, argumentsSchema? })
+ * @returns {Object} { id, name, tool, args, errors } - tool is null and errors
+ *   is non-empty when the call cannot be executed
+ */
+function parseToolCall(toolCall, tools) {
+    const name = toolCall.function && toolCall.function.name;
+    const tool = tools.find(candidate => candidate.name === name) || null;
+    const parsed = { id: toolCall.id, name, tool, args: null, errors: [] };
+
+    if (!tool) {
+        parsed.errors.push(`Unknown tool: ${name}`);
+        return parsed;
+    }
+
+    try {
+        parsed.args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+        parsed.errors.push('arguments must be valid JSON');
+        return parsed;
+    }
+
+    parsed.errors = validateArguments(tool.argumentsSchema || tool.parameters, parsed.args);
+
+    if (parsed.errors.length > 0) {
+        parsed.tool = null;
+    }
+
+    return parsed;
+}
+
+module.exports = {
+    validateArguments,
+    toToolDefinitions,
+    parseToolCall
+};
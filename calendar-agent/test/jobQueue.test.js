@@ -0,0 +1,174 @@
+/**
+ * Job Queue Tests
+ * Runs the queue against the in-memory driver (JOBS_DRIVER=memory):
+ * claiming, lease expiry, retry backoff, dedupe and max_attempts.
+ *
+ * Time is moved forward by mocking Date.now(), which is all the queue and
+ * the memory driver read to decide whether a job is due or a lease expired.
+ */
+
+// Set before config is loaded; the other required settings are never used here
+process.env.JOBS_DRIVER = 'memory';
+for (const name of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'GROQ_API_KEY', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REDIRECT_URI']) {
+    process.env[name] = process.env[name] || 'test';
+}
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const logger = require('../src/utils/logger');
+const jobsMemory = require('../src/db/helpers/jobsMemory');
+const jobQueue = require('../src/services/jobQueue');
+
+const { JobStatus } = jobQueue;
+
+let now;
+
+/**
+ * Move the mocked clock forward
+ * @param {number} ms - Milliseconds
+ */
+function advance(ms) {
+    now += ms;
+}
+
+beforeEach(() => {
+    jobsMemory.reset();
+    // Jobs are stamped with the real time when enqueued; start a minute later so they are due
+    now = Date.now() + 60 * 1000;
+    mock.method(Date, 'now', () => now);
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('claims a queued job, runs its handler and stores the result', async () => {
+    const seen = [];
+    jobQueue.registerHandler('test.claim', async (job) => {
+        seen.push(job);
+        return { ok: true };
+    });
+
+    const queued = await jobQueue.enqueue('test.claim', { value: 1 }, { userId: 'user-1' });
+    assert.equal(queued.status, JobStatus.QUEUED);
+
+    assert.equal(await jobQueue.runNextJob(), true);
+
+    assert.equal(seen.length, 1);
+    assert.deepEqual(seen[0].payload, { value: 1 });
+    assert.equal(seen[0].status, JobStatus.RUNNING);
+
+    const job = await jobQueue.getJob(queued.id);
+    assert.equal(job.status, JobStatus.DONE);
+    assert.equal(job.attempts, 1);
+    assert.deepEqual(job.result, { ok: true });
+    assert.equal(job.locked_by, null);
+    assert.ok(job.finished_at);
+
+    assert.equal(await jobQueue.runNextJob(), false);
+});
+
+test('re-claims a job whose lease expired and ignores the stale worker', async () => {
+    let release;
+    jobQueue.registerHandler('test.lease', () => new Promise(resolve => {
+        release = resolve;
+    }));
+
+    const queued = await jobQueue.enqueue('test.lease', {}, { maxAttempts: 3 });
+    const running = jobQueue.runNextJob();
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Still leased: nobody else can claim it
+    assert.equal(await jobsMemory.claimNextJob('other-worker', 60), null);
+
+    advance((config.jobs.leaseSeconds + 1) * 1000);
+    const reclaimed = await jobsMemory.claimNextJob('other-worker', 60);
+    assert.equal(reclaimed.id, queued.id);
+    assert.equal(reclaimed.attempts, 2);
+
+    // The first worker finishes late; the job stays with the new owner
+    release({ late: true });
+    await running;
+
+    const job = await jobQueue.getJob(queued.id);
+    assert.equal(job.status, JobStatus.RUNNING);
+    assert.equal(job.locked_by, 'other-worker');
+    assert.equal(job.result, null);
+});
+
+test('fails a job whose lease expired on its last attempt', async () => {
+    jobQueue.registerHandler('test.crashed', async () => {
+        assert.fail('handler must not run again');
+    });
+
+    const queued = await jobQueue.enqueue('test.crashed', {}, { maxAttempts: 1 });
+
+    // A worker claims the job and dies without finishing it
+    await jobsMemory.claimNextJob('crashed-worker', 60);
+    advance(61 * 1000);
+
+    assert.equal(await jobQueue.runNextJob(), true);
+
+    const job = await jobQueue.getJob(queued.id);
+    assert.equal(job.status, JobStatus.FAILED);
+    assert.equal(job.error_message, 'Job exceeded max attempts');
+});
+
+test('retries a failed job with backoff, then fails it at max_attempts', async () => {
+    let calls = 0;
+    jobQueue.registerHandler('test.retry', async () => {
+        calls++;
+        throw new Error(`boom ${calls}`);
+    });
+
+    const queued = await jobQueue.enqueue('test.retry', {}, { maxAttempts: 2 });
+
+    await jobQueue.runNextJob();
+    let job = await jobQueue.getJob(queued.id);
+    assert.equal(job.status, JobStatus.QUEUED);
+    assert.equal(job.attempts, 1);
+    assert.equal(job.error_message, 'boom 1');
+    assert.equal(new Date(job.run_at).getTime(), now + 30 * 1000);
+
+    // Not due until the backoff has passed
+    assert.equal(await jobQueue.runNextJob(), false);
+    advance(29 * 1000);
+    assert.equal(await jobQueue.runNextJob(), false);
+    assert.equal(calls, 1);
+
+    advance(1000);
+    assert.equal(await jobQueue.runNextJob(), true);
+
+    job = await jobQueue.getJob(queued.id);
+    assert.equal(calls, 2);
+    assert.equal(job.status, JobStatus.FAILED);
+    assert.equal(job.attempts, 2);
+    assert.equal(job.error_message, 'boom 2');
+    assert.ok(job.finished_at);
+
+    advance(60 * 60 * 1000);
+    assert.equal(await jobQueue.runNextJob(), false);
+});
+
+test('reuses the active job for a dedupe key until it finishes', async () => {
+    jobQueue.registerHandler('test.dedupe', async () => ({ done: true }));
+
+    const first = await jobQueue.enqueue('test.dedupe', { n: 1 }, { dedupeKey: 'test.dedupe:user-1' });
+    const second = await jobQueue.enqueue('test.dedupe', { n: 2 }, { dedupeKey: 'test.dedupe:user-1' });
+    const other = await jobQueue.enqueue('test.dedupe', { n: 3 }, { dedupeKey: 'test.dedupe:user-2' });
+
+    assert.equal(second.id, first.id);
+    assert.deepEqual(second.payload, { n: 1 });
+    assert.notEqual(other.id, first.id);
+
+    await jobQueue.runNextJob();
+    await jobQueue.runNextJob();
+    assert.equal((await jobQueue.getJob(first.id)).status, JobStatus.DONE);
+
+    const third = await jobQueue.enqueue('test.dedupe', { n: 4 }, { dedupeKey: 'test.dedupe:user-1' });
+    assert.notEqual(third.id, first.id);
+    assert.equal(third.status, JobStatus.QUEUED);
+});